@@ -0,0 +1,45 @@
+// Regenerates src/publicSuffixList.js from the official Public Suffix List.
+// Usage:
+//   npm run update-psl                      (downloads from publicsuffix.org)
+//   npm run update-psl -- ./public_suffix_list.dat   (uses a local copy, e.g. offline)
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { argv } from 'node:process';
+
+const PSL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT = new URL('../src/publicSuffixList.js', import.meta.url);
+
+async function loadList(localPath) {
+    if (localPath) return readFile(localPath, 'utf8');
+    const response = await fetch(PSL_URL);
+    if (!response.ok) throw new Error(`Failed to download list: ${response.status}`);
+    return response.text();
+}
+
+// Keep rules and the ICANN/PRIVATE section markers; drop other comments and blank lines
+function extractRules(text) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && (!line.startsWith('//') || /^\/\/ ===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===/.test(line)))
+        .filter(line => !line.includes('`') && !line.includes('\\'));
+}
+
+const localPath = argv[2];
+const rules = extractRules(await loadList(localPath));
+if (rules.length < 1000) throw new Error(`Only ${rules.length} rules found, refusing to overwrite the bundled list.`);
+
+const version = new Date().toISOString().slice(0, 10);
+const output = `// Public Suffix List rules (https://publicsuffix.org/list/)
+// Generated by scripts/update-public-suffix-list.js on ${version}. Do not edit by hand.
+// One rule per line, in the list's own syntax: \`com\`, \`co.uk\`, \`*.ck\` (wildcard), \`!www.ck\` (exception).
+
+export const PUBLIC_SUFFIX_LIST_VERSION = '${version}';
+
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.join('\n')}
+\`;
+`;
+
+await writeFile(OUTPUT, output, 'utf8');
+console.log(`Wrote ${rules.length} rules to src/publicSuffixList.js`);
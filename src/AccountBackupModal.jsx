@@ -0,0 +1,298 @@
+import { useState, useEffect, useRef } from 'react';
+import './Dashboard.css';
+import { parseBackupFile, decryptBackup, planRestore } from './accountBackup.js';
+import { summarizeRulesDiff } from './rulesDiff.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const RESTORE_PARTS = [
+    { id: 'rules', label: 'Current rules' },
+    { id: 'presets', label: 'Presets' },
+    { id: 'settings', label: 'Dashboard settings' },
+    { id: 'activityLog', label: 'Activity log' }
+];
+
+// Full-account backup (password-protected file) and the restore wizard:
+// choose file → enter password → preview what will be overwritten → restore
+export default function AccountBackupModal({ isOpen, onClose, initialMode = 'backup', current, onCreateBackup, onRestore, canRestoreActivityLog = true, isStrictModeActive, categoryLabels }) {
+    const [mode, setMode] = useState(initialMode); // 'backup' | 'restore'
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [includeActivityLog, setIncludeActivityLog] = useState(false);
+    const [step, setStep] = useState('file'); // Restore: 'file' | 'password' | 'preview' | 'done'
+    const [file, setFile] = useState(null);
+    const [backup, setBackup] = useState(null);
+    const [parts, setParts] = useState({});
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setMode(initialMode);
+            setPassword('');
+            setConfirmPassword('');
+            setIncludeActivityLog(false);
+            setStep('file');
+            setFile(null);
+            setBackup(null);
+            setError(null);
+            setResult(null);
+        }
+    }, [isOpen, initialMode]);
+
+    if (!isOpen) return null;
+
+    const switchMode = (next) => {
+        setMode(next);
+        setPassword('');
+        setConfirmPassword('');
+        setStep('file');
+        setError(null);
+        setResult(null);
+    };
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            console.error('Account backup error:', err);
+            setError(err.message || 'Something went wrong.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // --- Backup ---
+    const passwordProblem = password.length < MIN_PASSWORD_LENGTH
+        ? `Use at least ${MIN_PASSWORD_LENGTH} characters.`
+        : password !== confirmPassword ? 'Passwords do not match.' : null;
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (passwordProblem) return;
+        run(async () => {
+            await onCreateBackup({ password, includeActivityLog });
+            setPassword('');
+            setConfirmPassword('');
+            setResult('Backup downloaded. Keep the password somewhere safe: the file cannot be opened without it.');
+        });
+    };
+
+    // --- Restore ---
+    const handleFileUpload = (e) => {
+        const selected = e.target.files[0];
+        e.target.value = ''; // Allow re-uploading the same file
+        if (!selected) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                setFile(parseBackupFile(event.target.result));
+                setError(null);
+                setStep('password');
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(selected);
+    };
+
+    const handleUnlock = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const opened = await decryptBackup(file, password);
+            setBackup(opened);
+            setPassword('');
+            setParts({
+                rules: !!opened.rules && !isStrictModeActive,
+                presets: opened.presets.length > 0 && !isStrictModeActive,
+                settings: true,
+                activityLog: false // Opt-in: merges old entries into the extension's log
+            });
+            setStep('preview');
+        });
+    };
+
+    const plan = backup ? planRestore(backup, current) : null;
+    const available = plan ? {
+        rules: !!plan.rules && !isStrictModeActive,
+        presets: backup.presets.length > 0 && !isStrictModeActive,
+        settings: plan.settings.length > 0,
+        activityLog: plan.activityLog !== null && canRestoreActivityLog
+    } : {};
+    const describe = (id) => {
+        if (id === 'rules') {
+            if (!plan.rules) return 'Not in this backup';
+            if (isStrictModeActive) return 'Locked during Strict Mode';
+            return `Replaces your current rules: ${summarizeRulesDiff(plan.rules, categoryLabels)}`;
+        }
+        if (id === 'presets') {
+            if (backup.presets.length === 0) return 'None in this backup';
+            if (isStrictModeActive) return 'Locked during Strict Mode';
+            const overwritten = plan.presets.overwritten.length
+                ? `, overwrites ${plan.presets.overwritten.map(name => `"${name}"`).join(', ')}`
+                : '';
+            return `Adds ${plan.presets.added.length}${overwritten}`;
+        }
+        if (id === 'settings') {
+            if (!plan.settings.length) return 'Same as your current settings';
+            return `${plan.settings.length} setting${plan.settings.length === 1 ? '' : 's'} will change`
+                + (isStrictModeActive ? ' (Strict Mode and accountability settings are kept during Strict Mode)' : '');
+        }
+        if (plan.activityLog === null) return 'Not in this backup';
+        if (!canRestoreActivityLog) return 'Update the extension to restore the activity log';
+        return `Adds ${plan.activityLog} entr${plan.activityLog === 1 ? 'y' : 'ies'} to this browser's log`;
+    };
+    const selectedParts = RESTORE_PARTS.filter(part => available[part.id] && parts[part.id]).map(part => part.id);
+
+    const handleRestore = () => {
+        if (selectedParts.length === 0) return;
+        run(async () => {
+            setResult(await onRestore(backup, selectedParts));
+            setStep('done');
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={busy ? undefined : onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', maxWidth: '560px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Account Backup</h2>
+                    <button className="modal-close-button" onClick={onClose} disabled={busy}>✕</button>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    <div style={{ display: 'flex', gap: '8px', marginBottom: '1rem' }}>
+                        <button className={`preset-btn ${mode === 'backup' ? 'active' : ''}`} onClick={() => switchMode('backup')} disabled={busy}>
+                            Back Up
+                        </button>
+                        <button className={`preset-btn ${mode === 'restore' ? 'active' : ''}`} onClick={() => switchMode('restore')} disabled={busy}>
+                            Restore
+                        </button>
+                    </div>
+
+                    {mode === 'backup' ? (
+                        <form onSubmit={handleCreate}>
+                            <p style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', lineHeight: 1.5, marginTop: 0 }}>
+                                Downloads one encrypted file with your current rules, every preset and your dashboard settings.
+                                Choose a password for the file; you will need it to restore.
+                            </p>
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', marginBottom: '12px', cursor: 'pointer' }}>
+                                <input type="checkbox" checked={includeActivityLog} onChange={(e) => setIncludeActivityLog(e.target.checked)} />
+                                Include this browser's activity log
+                            </label>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                                <input
+                                    type="password"
+                                    className="settings-input"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    placeholder="Backup password"
+                                    autoComplete="new-password"
+                                />
+                                <input
+                                    type="password"
+                                    className="settings-input"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    placeholder="Confirm password"
+                                    autoComplete="new-password"
+                                />
+                            </div>
+                            {password && passwordProblem && <div className="input-error-msg" style={{ marginTop: '8px' }}>{passwordProblem}</div>}
+                            {error && <div className="input-error-msg" style={{ marginTop: '8px' }}>{error}</div>}
+                            {result && <p style={{ fontSize: '0.85rem', marginTop: '8px', color: '#22c55e' }}>{result}</p>}
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                <button type="button" className="neutral-button" onClick={onClose} disabled={busy}>Close</button>
+                                <button type="submit" className="primary-button" disabled={busy || !!passwordProblem}>
+                                    {busy ? 'Creating...' : 'Download Backup'}
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <>
+                            {step === 'file' && (
+                                <>
+                                    <p style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', lineHeight: 1.5, marginTop: 0 }}>
+                                        Choose a backup file. You will see what it changes before anything is written.
+                                    </p>
+                                    <button className="neutral-button" onClick={() => fileInputRef.current?.click()}>Choose Backup File</button>
+                                    <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileUpload} style={{ display: 'none' }} />
+                                </>
+                            )}
+
+                            {step === 'password' && (
+                                <form onSubmit={handleUnlock}>
+                                    <p style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', lineHeight: 1.5, marginTop: 0 }}>
+                                        Backup from {new Date(file.created_at).toLocaleString()}. Enter the password it was created with.
+                                    </p>
+                                    <input
+                                        type="password"
+                                        className="settings-input"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        placeholder="Backup password"
+                                        autoFocus
+                                        style={{ width: '100%', boxSizing: 'border-box' }}
+                                    />
+                                    {error && <div className="input-error-msg" style={{ marginTop: '8px' }}>{error}</div>}
+                                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                        <button type="button" className="neutral-button" onClick={() => { setStep('file'); setError(null); }} disabled={busy}>Back</button>
+                                        <button type="submit" className="primary-button" disabled={busy || !password}>
+                                            {busy ? 'Opening...' : 'Open Backup'}
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
+
+                            {step === 'preview' && plan && (
+                                <>
+                                    <p style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', lineHeight: 1.5, marginTop: 0 }}>
+                                        Choose what to restore. Checked items overwrite what is on your account now.
+                                    </p>
+                                    <ul className="log-feed-list">
+                                        {RESTORE_PARTS.map(part => (
+                                            <li key={part.id} className="log-item" style={{ padding: '8px 10px', gap: '10px', alignItems: 'flex-start' }}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={!!available[part.id] && !!parts[part.id]}
+                                                    disabled={!available[part.id] || busy}
+                                                    onChange={(e) => setParts({ ...parts, [part.id]: e.target.checked })}
+                                                    style={{ marginTop: '3px' }}
+                                                />
+                                                <span style={{ flex: 1, minWidth: 0 }}>
+                                                    <span style={{ fontWeight: 600, fontSize: '0.9rem' }}>{part.label}</span>
+                                                    <span style={{ display: 'block', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{describe(part.id)}</span>
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    {error && <div className="input-error-msg" style={{ marginTop: '8px' }}>{error}</div>}
+                                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                        <button className="neutral-button" onClick={onClose} disabled={busy}>Cancel</button>
+                                        <button className="primary-button" onClick={handleRestore} disabled={busy || selectedParts.length === 0}>
+                                            {busy ? 'Restoring...' : 'Restore Selected'}
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+
+                            {step === 'done' && (
+                                <>
+                                    <p style={{ fontSize: '0.9rem', color: '#22c55e', lineHeight: 1.5, marginTop: 0 }}>{result}</p>
+                                    <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1.5rem' }}>
+                                        <button className="primary-button" onClick={onClose}>Done</button>
+                                    </div>
+                                </>
+                            )}
+
+                            {step === 'file' && error && <div className="input-error-msg" style={{ marginTop: '8px' }}>{error}</div>}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,313 @@
+import { useState, useEffect, useMemo } from 'react';
+import { toUnicodeHost } from './publicSuffix.js';
+import { EMPTY_HISTORY_FILTERS } from './historyFilters.js';
+import { fetchAllHistory } from './historyPaging.js';
+import { ALL_SUPPORTED } from './extensionCompat.js';
+import { ANALYTICS_PERIODS, WEEKDAY_LABELS, computeActivityAnalytics, formatDayLabel } from './activityAnalytics.js';
+
+const SERIES_COLORS = ['#2563eb', '#ea580c', '#16a34a', '#9333ea', '#db2777'];
+const BLOCK_COLOR = '#dc2626';
+const ALLOW_COLOR = '#16a34a';
+const CACHE_COLOR = '#eab308';
+
+const CARD_STYLE = {
+    marginTop: '1.5rem',
+    padding: '1.5rem',
+    background: 'var(--input-bg)',
+    borderRadius: '12px',
+    border: '1px solid var(--border-color)'
+};
+const NOTE_STYLE = { color: 'var(--text-secondary)', fontSize: '0.8rem', margin: '8px 0 0 0' };
+const AXIS_TEXT = { fontSize: '10px', fill: 'var(--text-secondary)' };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Charts computed in the browser from the extension's local activity log (see activityAnalytics.js)
+export default function ActivityAnalytics({ settings, extensionSupport = ALL_SUPPORTED }) {
+    const [logs, setLogs] = useState(null);
+    const [error, setError] = useState(null);
+    const [days, setDays] = useState(14);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchAllHistory({ filters: EMPTY_HISTORY_FILTERS, paging: extensionSupport.blockLogPaging })
+            .then(result => {
+                if (!cancelled) setLogs(result);
+            })
+            .catch(err => {
+                console.error('Error loading the activity log for analytics:', err);
+                if (!cancelled) setError('Could not read the activity log from the extension.');
+            });
+        return () => { cancelled = true; };
+    }, [extensionSupport.blockLogPaging]);
+
+    const analytics = useMemo(() => logs ? computeActivityAnalytics(logs, { days }) : null, [logs, days]);
+
+    return (
+        <div style={CARD_STYLE}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+                <div>
+                    <h4 style={{ margin: '0 0 8px 0' }}>Activity on This Device</h4>
+                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', margin: 0 }}>
+                        Computed in your browser from the activity log the extension keeps. Nothing here is sent anywhere.
+                    </p>
+                </div>
+                <select className="settings-input" value={days} onChange={(e) => setDays(Number(e.target.value))} style={{ width: 'auto' }} aria-label="Period">
+                    {ANALYTICS_PERIODS.map(period => (
+                        <option key={period} value={period}>Last {period} days</option>
+                    ))}
+                </select>
+            </div>
+
+            {error ? (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>{error}</p>
+            ) : !analytics ? (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Reading activity log...</p>
+            ) : analytics.totals.entries === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', textAlign: 'center', padding: '1.5rem 0 0.5rem' }}>
+                    No activity logged in the last {days} days.
+                </p>
+            ) : (
+                <>
+                    <AnalyticsSection title="Blocks by Hour" subtitle={plural(analytics.totals.blocks, 'block')}>
+                        <BlockHeatmap heatmap={analytics.heatmap} />
+                    </AnalyticsSection>
+
+                    <AnalyticsSection title="Top Blocked Sites">
+                        {analytics.topDomains.length === 0 ? (
+                            <p style={NOTE_STYLE}>Nothing blocked in this period.</p>
+                        ) : (
+                            <>
+                                <LineChart
+                                    days={analytics.days}
+                                    series={analytics.topDomains.map((domain, index) => ({
+                                        label: toUnicodeHost(domain.site),
+                                        color: SERIES_COLORS[index % SERIES_COLORS.length],
+                                        values: domain.perDay
+                                    }))}
+                                    formatValue={(value) => plural(value, 'block')}
+                                />
+                                <ChartLegend items={analytics.topDomains.map((domain, index) => ({
+                                    label: `${toUnicodeHost(domain.site)} (${domain.total})`,
+                                    color: SERIES_COLORS[index % SERIES_COLORS.length]
+                                }))} />
+                            </>
+                        )}
+                    </AnalyticsSection>
+
+                    <AnalyticsSection
+                        title="Allowed vs. Blocked"
+                        subtitle={`${plural(analytics.totals.allows, 'allow')} · ${plural(analytics.totals.blocks, 'block')}`}
+                    >
+                        <RatioBars days={analytics.days} ratio={analytics.ratio} />
+                        <ChartLegend items={[{ label: 'Allowed', color: ALLOW_COLOR }, { label: 'Blocked', color: BLOCK_COLOR }]} />
+                        {!settings?.logAllowDecisions && (
+                            <p style={NOTE_STYLE}>Allowed sites are only counted while Log Allowed Sites is on (Activity & Privacy).</p>
+                        )}
+                    </AnalyticsSection>
+
+                    <AnalyticsSection title="Most-Triggered Prompt Phrases">
+                        <PhraseBars phrases={analytics.phrases.top} />
+                        {analytics.phrases.unattributed > 0 && (
+                            <p style={NOTE_STYLE}>
+                                {plural(analytics.phrases.unattributed, 'block')} couldn't be matched to a single phrase of the prompt.
+                            </p>
+                        )}
+                    </AnalyticsSection>
+
+                    <AnalyticsSection
+                        title="Cached Decisions"
+                        subtitle={analytics.cache.rate === null ? null : `${percent(analytics.cache.rate)} hit rate`}
+                    >
+                        <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', margin: '0 0 8px 0' }}>
+                            {analytics.cache.cached} of {analytics.totals.entries} decisions came from the cache instead of a new AI check.
+                        </p>
+                        <LineChart
+                            days={analytics.days}
+                            series={[{ label: 'Hit rate', color: CACHE_COLOR, values: analytics.cache.perDay }]}
+                            maxValue={1}
+                            formatValue={percent}
+                            formatAxis={percent}
+                        />
+                        {!settings?.logCachedDecisions && (
+                            <p style={NOTE_STYLE}>Cached decisions are only logged while Log Cached Decisions is on (Activity & Privacy).</p>
+                        )}
+                    </AnalyticsSection>
+                </>
+            )}
+        </div>
+    );
+}
+
+function AnalyticsSection({ title, subtitle, children }) {
+    return (
+        <div style={{ marginTop: '1.5rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '8px' }}>
+                <h5 style={{ margin: 0, fontSize: '0.9rem' }}>{title}</h5>
+                {subtitle && <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{subtitle}</span>}
+            </div>
+            {children}
+        </div>
+    );
+}
+
+function ChartLegend({ items }) {
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginTop: '8px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+            {items.map(item => (
+                <span key={item.label} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: item.color }} />
+                    {item.label}
+                </span>
+            ))}
+        </div>
+    );
+}
+
+// --- Charts ---
+// Weekday x hour grid; darker cells had more blocks
+function BlockHeatmap({ heatmap }) {
+    const cell = 16;
+    const gap = 2;
+    const left = 30;
+    const top = 14;
+    const width = left + 24 * (cell + gap);
+    const height = top + 7 * (cell + gap);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img" aria-label="Blocks by weekday and hour">
+            {[0, 3, 6, 9, 12, 15, 18, 21].map(hour => (
+                <text key={hour} x={left + hour * (cell + gap)} y={top - 4} style={AXIS_TEXT}>{String(hour).padStart(2, '0')}</text>
+            ))}
+            {heatmap.cells.map((hours, day) => (
+                <g key={day}>
+                    <text x={0} y={top + day * (cell + gap) + cell - 4} style={AXIS_TEXT}>{WEEKDAY_LABELS[day]}</text>
+                    {hours.map((count, hour) => (
+                        <rect
+                            key={hour}
+                            x={left + hour * (cell + gap)}
+                            y={top + day * (cell + gap)}
+                            width={cell}
+                            height={cell}
+                            rx={3}
+                            fill={count === 0 ? 'var(--hover-bg)' : BLOCK_COLOR}
+                            fillOpacity={count === 0 ? 1 : 0.15 + 0.85 * (count / heatmap.max)}
+                        >
+                            <title>{`${WEEKDAY_LABELS[day]} ${String(hour).padStart(2, '0')}:00 · ${plural(count, 'block')}`}</title>
+                        </rect>
+                    ))}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+// One line per series over the period's days; null values leave a gap
+function LineChart({ days, series, maxValue, formatValue = String, formatAxis = String }) {
+    const width = 600;
+    const height = 160;
+    const padding = { left: 36, right: 8, top: 8, bottom: 20 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = maxValue ?? Math.max(1, ...series.flatMap(s => s.values.filter(value => value !== null)));
+
+    const x = (index) => padding.left + (days.length > 1 ? (index / (days.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (value) => padding.top + plotHeight - (value / max) * plotHeight;
+    const ticks = maxValue === undefined ? [...new Set([0, Math.round(max / 2), max])] : [0, max / 2, max];
+    const labelIndexes = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+
+    const pathFor = (values) => values
+        .map((value, index) => {
+            if (value === null) return null;
+            const command = index === 0 || values[index - 1] === null ? 'M' : 'L';
+            return `${command}${x(index).toFixed(1)},${y(value).toFixed(1)}`;
+        })
+        .filter(Boolean)
+        .join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img" aria-label={series.map(s => s.label).join(', ')}>
+            {ticks.map(value => (
+                <g key={value}>
+                    <line x1={padding.left} x2={width - padding.right} y1={y(value)} y2={y(value)} stroke="var(--border-color)" strokeWidth={1} />
+                    <text x={padding.left - 6} y={y(value) + 3} textAnchor="end" style={AXIS_TEXT}>
+                        {formatAxis(value)}
+                    </text>
+                </g>
+            ))}
+            {labelIndexes.map(index => (
+                <text key={index} x={x(index)} y={height - 4} textAnchor={index === 0 ? 'start' : index === days.length - 1 ? 'end' : 'middle'} style={AXIS_TEXT}>
+                    {formatDayLabel(days[index])}
+                </text>
+            ))}
+            {series.map(s => (
+                <g key={s.label}>
+                    <path d={pathFor(s.values)} fill="none" stroke={s.color} strokeWidth={2} strokeLinejoin="round" strokeLinecap="round" />
+                    {s.values.map((value, index) => value !== null && value > 0 && (
+                        <circle key={index} cx={x(index)} cy={y(value)} r={3} fill={s.color}>
+                            <title>{`${s.label} · ${formatDayLabel(days[index])} · ${formatValue(value)}`}</title>
+                        </circle>
+                    ))}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+// Share of allowed and blocked decisions per day (100% stacked); days without activity stay empty
+function RatioBars({ days, ratio }) {
+    const width = 600;
+    const height = 120;
+    const bottom = 20;
+    const plotHeight = height - bottom;
+    const slot = width / days.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const labelIndexes = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img" aria-label="Allowed and blocked decisions per day">
+            {ratio.map((entry, index) => {
+                const total = entry.allows + entry.blocks;
+                const x = index * slot + (slot - barWidth) / 2;
+                if (total === 0) {
+                    return <rect key={entry.day} x={x} y={plotHeight - 2} width={barWidth} height={2} fill="var(--border-color)" />;
+                }
+                const allowHeight = (entry.allows / total) * plotHeight;
+                return (
+                    <g key={entry.day}>
+                        <title>{`${formatDayLabel(entry.day)} · ${plural(entry.allows, 'allow')}, ${plural(entry.blocks, 'block')} (${percent(entry.blocks / total)} blocked)`}</title>
+                        <rect x={x} y={0} width={barWidth} height={plotHeight - allowHeight} fill={BLOCK_COLOR} fillOpacity={0.8} />
+                        <rect x={x} y={plotHeight - allowHeight} width={barWidth} height={allowHeight} fill={ALLOW_COLOR} fillOpacity={0.8} />
+                    </g>
+                );
+            })}
+            {labelIndexes.map(index => (
+                <text key={index} x={index * slot + slot / 2} y={height - 4} textAnchor={index === 0 ? 'start' : index === days.length - 1 ? 'end' : 'middle'} style={AXIS_TEXT}>
+                    {formatDayLabel(days[index])}
+                </text>
+            ))}
+        </svg>
+    );
+}
+
+function PhraseBars({ phrases }) {
+    if (phrases.length === 0) {
+        return <p style={NOTE_STYLE}>No blocks with an active prompt in this period.</p>;
+    }
+    const max = phrases[0].count;
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {phrases.map(({ phrase, count }) => (
+                <div key={phrase} style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 3fr) auto', alignItems: 'center', gap: '8px', fontSize: '0.85rem' }}>
+                    <span title={phrase} style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>"{phrase}"</span>
+                    <svg viewBox="0 0 100 8" preserveAspectRatio="none" style={{ width: '100%', height: '8px', display: 'block' }} aria-hidden="true">
+                        <rect x={0} y={0} width={100} height={8} rx={2} fill="var(--hover-bg)" />
+                        <rect x={0} y={0} width={(count / max) * 100} height={8} rx={2} fill="var(--primary-color, #2563eb)" />
+                    </svg>
+                    <span style={{ color: 'var(--text-secondary)', minWidth: '2ch', textAlign: 'right' }}>{count}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
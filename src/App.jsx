@@ -9,122 +9,91 @@ import FeatureRequestModal from './FeatureRequestModal.jsx'; // Import FeatureRe
 import UnloadPresetModal from './UnloadPresetModal';
 import DeleteAccountModal from './DeleteAccountModal';
 import config from './config.js'; // Environment config
-import { encryptPrompt, decryptPrompt } from './cryptoUtils.js'; // Prompt encryption for privacy
+import { encryptPrompt, decryptPrompt, initUserEncryption, exportUserKeys, refreshUserEncryption, unlockRetiredKeys, DecryptionError } from './cryptoUtils.js'; // Prompt encryption for privacy
+import { RULES_COLUMNS, sealRules, openRules, migrateEncryptedData } from './rulesPayload.js';
+import { collectBackup, encryptBackup, downloadBackup, restorePresets } from './accountBackup.js';
+import { SETTINGS_SECTIONS, applySettingsImport } from './settingsSchema.js';
+import { loadSyncedSettings, pushSettings, recordLocalChanges, mergeRemoteSettings } from './settingsSync.js';
 
 import ProfileDropdown from './ProfileDropdown';
 // SavePresetModal removed as part of workflow refactor
 import PresetsModal from './PresetsModal';
 import SettingsModal from './SettingsModal';
 import ReferralBanner from './ReferralBanner';
+import ScheduleModal from './ScheduleModal';
+import { parseListEntry, formatPattern, getPatternType, prunePatternTypes, getBaseDomain, PATTERN_TYPES } from './domainPatterns.js';
+import { getHostname, toAsciiHost, toUnicodeHost } from './publicSuffix.js';
+import ListPatternHelp from './ListPatternHelp';
+import BulkListModal from './BulkListModal';
+import RulesHistoryModal from './RulesHistoryModal';
+import PresetDiffModal from './PresetDiffModal';
+import SaveConflictModal from './SaveConflictModal';
+import EncryptionUnlockModal from './EncryptionUnlockModal';
+import DecryptionRecovery from './DecryptionRecovery';
+import AccountBackupModal from './AccountBackupModal';
+import DevicesModal from './DevicesModal';
+import { subscribeStrictModeChannel, updateStrictModeChannelSession } from './strictModeChannel.js';
+import { extensionBridge } from './extensionBridge.js';
+import { readExtensionInfo, mergeExtensionInfo, getExtensionSupport, getUnsupportedFeatures } from './extensionCompat.js';
+import { writeRulesRow, queueRulesSave, getPendingRulesSave, markRulesSaveAttempt, clearPendingRulesSave, isOwnRulesVersion } from './saveQueue.js';
+import { fetchDevices, readThisDeviceId } from './devices.js';
+import { isHistoryOpenInUrl } from './historyFilters.js';
+import { planPause, recordPauseStart, recordPauseEnd, formatPauseRemaining } from './pauseUtils.js';
+import { getActiveScheduleBlock, getBlockOccurrenceKey, getNextScheduleSwitch, formatSwitchTime } from './scheduleUtils.js';
 // CSS is imported in main.jsx
 
-// --- Helper: Get base domain ---
-function getBaseDomain(urlString) {
-    if (!urlString) return null;
-    try {
-        let fullUrl = urlString.trim();
-        if (!fullUrl.startsWith('http://') && !fullUrl.startsWith('https://')) {
-            fullUrl = 'http://' + fullUrl;
-        }
-        const url = new URL(fullUrl);
-        const parts = url.hostname.split('.');
-        if (parts.length >= 2) {
-            if (parts.length > 2 && parts[parts.length - 2].length <= 3 && parts[parts.length - 1].length <= 3) {
-                return parts.slice(-3).join('.').toLowerCase(); // e.g., bbc.co.uk
-            }
-            return parts.slice(-2).join('.').toLowerCase(); // e.g., google.com
-        }
-        return url.hostname.toLowerCase();
-    } catch (e) {
-        return null;
-    }
-}
-
 // --- Helper to get Favicon ---
 const getFaviconUrl = (domain) => {
-    return `https://www.google.com/s2/favicons?domain=${domain}&sz=64`;
+    return `https://www.google.com/s2/favicons?domain=${encodeURIComponent(toAsciiHost(domain))}&sz=64`;
 };
 
-// --- Extension Communication (for local block logs) ---
-// Uses CustomEvent bridge via content script
-
-// --- Direct Extension Messaging for Pause Sync ---
-// Uses externally_connectable for reliable dashboard->extension communication
-function syncPauseToExtension(paused) {
-    // Get extension ID from the marker element injected by content script
-    const marker = document.getElementById('beacon-extension-status');
-    const extensionId = marker?.getAttribute('data-extension-id');
-
-    console.log('[DASHBOARD] syncPauseToExtension called, paused:', paused, 'extensionId:', extensionId);
+// --- Extension Communication ---
+// All messages go through the shared bridge (see extensionBridge.js)
 
-    // Try direct messaging first (more reliable) - requires extension ID
-    if (extensionId && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
-        try {
-            chrome.runtime.sendMessage(
-                extensionId,
-                { type: 'SYNC_PAUSE', paused: paused },
-                (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.log('[DASHBOARD] Direct pause sync failed:', chrome.runtime.lastError.message);
-                        // Fallback to CustomEvent
-                        document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-                    } else {
-                        console.log('[DASHBOARD] Pause sync response:', response);
-                    }
-                }
-            );
-        } catch (e) {
-            console.log('[DASHBOARD] chrome.runtime error:', e);
-            // Fallback to CustomEvent
-            document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-        }
-    } else {
-        // Fallback to CustomEvent bridge (content script will forward to background)
-        console.log('[DASHBOARD] Using CustomEvent fallback for pause sync (no extension ID or chrome.runtime)');
-        document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-    }
+// Pause sync prefers direct messaging (externally_connectable), falling back to the event bridge.
+// `until` and the daily budget are honoured by extensions with timed pause support (see pauseUtils.js).
+function syncPauseToExtension(paused, until = null, dailyBudgetMinutes = 0) {
+    console.log('[DASHBOARD] syncPauseToExtension called, paused:', paused, 'until:', until);
+    extensionBridge.send('syncPause', { paused, until, dailyBudgetMinutes });
 }
 
 // --- Sync Activity Log Settings to Extension ---
 function syncActivityLogSettingsToExtension(autoDelete, retentionDays, logAllowDecisions, logCachedDecisions) {
-    // Use CustomEvent bridge (same pattern as pause sync)
-    document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-        detail: { autoDelete, retentionDays, logAllowDecisions, logCachedDecisions }
-    }));
+    extensionBridge.send('syncActivityLogSettings', { autoDelete, retentionDays, logAllowDecisions, logCachedDecisions });
 }
 
-async function fetchBlockLogsFromExtension() {
-    return new Promise((resolve) => {
-        let timeoutId = null;
-        let resolved = false;
-
-        // Set up one-time listener for response
-        const handleResponse = (event) => {
-            if (resolved) return; // Already resolved
-            resolved = true;
-            clearTimeout(timeoutId); // Cancel the timeout
-            window.removeEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
-            resolve(event.detail?.logs || []);
-        };
-
-        // Listen for response
-        window.addEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
+// --- Sync Encryption Keys to Extension ---
+// The extension needs the user's keys to read ENC2 prompts and full-payload rules (see rulesPayload.js).
+// Keys only go over runtime messaging, never page events. Resolves to whether the extension received
+// them, or null while the keys are locked (nothing to share until the passphrase is entered).
+async function syncEncryptionKeysToExtension(userId) {
+    const keys = await exportUserKeys(userId);
+    if (!keys) return null;
+    return extensionBridge.sendDirect('syncEncryptionKeys', keys);
+}
 
-        // Request block logs via CustomEvent (content script bridges to background)
-        document.dispatchEvent(new CustomEvent('BEACON_GET_BLOCK_LOG'));
+// Preset names fall back to a placeholder when they can't be decrypted
+function decryptPresetName(name, userId) {
+    return decryptPrompt(name, userId).catch(() => 'Encrypted preset');
+}
 
-        // Timeout after 2 seconds if no response
-        timeoutId = setTimeout(() => {
-            if (resolved) return; // Already resolved
-            resolved = true;
-            window.removeEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
-            resolve([]);
-        }, 2000);
-    });
+// Local block log from the extension; empty when the extension doesn't answer
+async function fetchBlockLogsFromExtension() {
+    try {
+        const reply = await extensionBridge.request('getBlockLog', {}, { retries: 0 });
+        return reply.logs || [];
+    } catch {
+        return [];
+    }
 }
 
 function clearBlockLog() {
-    document.dispatchEvent(new CustomEvent('BEACON_CLEAR_BLOCK_LOG'));
+    extensionBridge.send('clearBlockLog');
+}
+
+// Merge entries (in the extension's own log format) back into the local log, e.g. from a backup
+function importBlockLogToExtension(logs) {
+    extensionBridge.send('importBlockLog', { logs });
 }
 
 
@@ -145,32 +114,11 @@ const BLOCKED_CATEGORIES = [
     { id: 'mature', label: 'Mature Content', desc: 'Adult sites, Gambling' }
 ];
 
+const HISTORY_CATEGORY_LABELS = Object.fromEntries(BLOCKED_CATEGORIES.map(c => [c.id, c.label]));
+
 // --- Track last synced auth token to prevent loop ---
 let lastSyncedAuthToken = null;
 
-// === Map common names to domains ===
-const commonSiteMappings = {
-    'wikipedia': 'wikipedia.org', 'youtube': 'youtube.com', 'facebook': 'facebook.com',
-    'instagram': 'instagram.com', 'twitter': 'twitter.com', 'x': 'x.com',
-    'reddit': 'reddit.com', 'amazon': 'amazon.com', 'google': 'google.com',
-    'bbc': 'bbc.com', 'cnn': 'cnn.com', 'nytimes': 'nytimes.com', 'tiktok': 'tiktok.com',
-    'netflix': 'netflix.com', 'hulu': 'hulu.com', 'disney': 'disneyplus.com',
-    'twitch': 'twitch.tv', 'linkedin': 'linkedin.com', 'github': 'github.com',
-    'stackoverflow': 'stackoverflow.com', 'pinterest': 'pinterest.com', 'tumblr': 'tumblr.com',
-    'spotify': 'spotify.com', 'whatsapp': 'whatsapp.com', 'discord': 'discord.com',
-    'slack': 'slack.com', 'gmail': 'mail.google.com', 'outlook': 'outlook.com',
-    'bing': 'bing.com', 'duckduckgo': 'duckduckgo.com', 'quora': 'quora.com',
-    'medium': 'medium.com', 'imdb': 'imdb.com', 'ebay': 'ebay.com',
-    'craigslist': 'craigslist.org', 'etsy': 'etsy.com', 'walmart': 'walmart.com',
-    'target': 'target.com', 'bestbuy': 'bestbuy.com', 'fox': 'foxnews.com',
-    'msnbc': 'msnbc.com', 'wsj': 'wsj.com', 'washingtonpost': 'washingtonpost.com',
-    'guardian': 'theguardian.com', 'buzzfeed': 'buzzfeed.com', 'forbes': 'forbes.com',
-    'bloomberg': 'bloomberg.com', 'techcrunch': 'techcrunch.com', 'theverge': 'theverge.com',
-    'wired': 'wired.com', 'ign': 'ign.com', 'roblox': 'roblox.com',
-    'steam': 'steampowered.com', 'chatgpt': 'chatgpt.com', 'openai': 'openai.com',
-    'claude': 'anthropic.com', 'gemini': 'gemini.google.com', 'letterboxd': 'letterboxd.com'
-};
-
 // --- SUBSCRIPTION GUARD COMPONENT ---
 function SubscriptionGuard({ session, children, openSettingsToSubscription, onSignOut }) {
     const [status, setStatus] = useState(null);
@@ -293,7 +241,7 @@ function SubscriptionGuard({ session, children, openSettingsToSubscription, onSi
 }
 
 // === Dashboard Component ===
-function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearch, theme, onThemeChange, extensionStatus, onRestartTour, showSubscriptionModal, onSubscriptionModalShown }) {
+function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearch, theme, onThemeChange, extensionStatus, extensionInfo, onRestartTour, showSubscriptionModal, onSubscriptionModalShown }) {
     const [loading, setLoading] = useState(true);
     const [message, setMessage] = useState(null);
     const [apiKey, setApiKey] = useState(null);
@@ -307,6 +255,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
     const [blockedCategories, setBlockedCategories] = useState({});
     const [allowListArray, setAllowListArray] = useState([]);
     const [blockListArray, setBlockListArray] = useState([]);
+    const [listPatternTypes, setListPatternTypes] = useState({ allow: {}, block: {} }); // Pattern type per list entry
     const [currentAllowInput, setCurrentAllowInput] = useState('');
     const [currentBlockInput, setCurrentBlockInput] = useState('');
     const [logs, setLogs] = useState([]);
@@ -349,6 +298,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             // Blocking Behavior - Other
             optimisticBlocking: false,
             blockingPaused: false, // temporarily disable blocking without logging out
+            blockingPausedUntil: null, // timestamp when a timed pause ends (null = until resumed)
+            dailyPauseBudgetMinutes: 0, // total pause time allowed per day (0 = no limit)
             showEnvironment: false,
             // Activity Log Auto-Delete
             autoDeleteActivityLog: false, // OFF by default - user must opt-in
@@ -363,92 +314,186 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
 
     // Fetch storage usage from extension when settings modal opens
     useEffect(() => {
-        if (isSettingsModalOpen) {
-            console.log('[Storage] Requesting storage usage via CustomEvent...');
-
-            // Listen for response
-            const handleStorageResponse = (event) => {
-                console.log('[Storage] Response received:', event.detail);
-                setStorageUsage({ used: event.detail.used, max: event.detail.max });
-            };
-
-            window.addEventListener('BEACON_STORAGE_USAGE_RESPONSE', handleStorageResponse);
-
-            // Request storage usage
-            document.dispatchEvent(new CustomEvent('BEACON_GET_STORAGE_USAGE'));
-
-            // Cleanup listener
-        }
+        if (!isSettingsModalOpen) return;
+        let cancelled = false;
+        console.log('[Storage] Requesting storage usage from extension...');
+
+        extensionBridge.request('getStorageUsage')
+            .then(reply => {
+                console.log('[Storage] Response received:', reply);
+                if (!cancelled) setStorageUsage({ used: reply.used, max: reply.max });
+            })
+            .catch(err => console.log('[Storage] No response from extension:', err.message));
+
+        return () => { cancelled = true; };
     }, [isSettingsModalOpen]);
 
-    // --- Pause State: Read FROM extension on mount (extension is source of truth) ---
+    // --- Pause State ---
+    const applyPauseState = (paused, until = null) => {
+        setUserSettings(prev => ({ ...prev, blockingPaused: paused, blockingPausedUntil: paused ? until : null }));
+        localStorage.setItem('beacon_userSettings', JSON.stringify({
+            ...JSON.parse(localStorage.getItem('beacon_userSettings') || '{}'),
+            blockingPaused: paused,
+            blockingPausedUntil: paused ? until : null
+        }));
+    };
+
+    // Read FROM extension on mount (extension is source of truth)
     const pauseInitialized = useRef(false);
     useEffect(() => {
-        const handlePauseResponse = (event) => {
-            const paused = event.detail?.paused ?? false;
-            pauseInitialized.current = true;
-            setUserSettings(prev => ({ ...prev, blockingPaused: paused }));
-            localStorage.setItem('beacon_userSettings', JSON.stringify({
-                ...JSON.parse(localStorage.getItem('beacon_userSettings') || '{}'),
-                blockingPaused: paused
-            }));
-        };
-        window.addEventListener('BEACON_PAUSE_STATE_RESPONSE', handlePauseResponse);
-        document.dispatchEvent(new CustomEvent('BEACON_GET_PAUSE_STATE'));
-        return () => window.removeEventListener('BEACON_PAUSE_STATE_RESPONSE', handlePauseResponse);
+        let cancelled = false;
+        extensionBridge.request('getPauseState')
+            .then(reply => {
+                if (cancelled) return;
+                const until = reply.until ?? null;
+                // A timed pause that ended while an older extension had no one to resume it
+                const paused = (reply.paused ?? false) && !(until && until <= Date.now());
+                if (!paused) recordPauseEnd(until ?? Date.now());
+                pauseInitialized.current = true;
+                applyPauseState(paused, until);
+            })
+            .catch(() => { }); // No extension: keep the local pause state and don't push it
+        return () => { cancelled = true; };
     }, []); // mount only
 
     // After init: sync user-initiated pause changes TO extension
     useEffect(() => {
         if (pauseInitialized.current && typeof userSettings.blockingPaused === 'boolean') {
-            syncPauseToExtension(userSettings.blockingPaused);
+            syncPauseToExtension(userSettings.blockingPaused, userSettings.blockingPausedUntil ?? null, userSettings.dailyPauseBudgetMinutes ?? 0);
         }
-    }, [userSettings.blockingPaused]);
+    }, [userSettings.blockingPaused, userSettings.blockingPausedUntil, userSettings.dailyPauseBudgetMinutes]);
+
+    // --- Timed Pause ---
+    // option: see planPause (pauseUtils.js). Returns an error message, or null once paused.
+    const handlePause = (option) => {
+        if (userSettings.strictModeUntil && userSettings.strictModeUntil > Date.now()) {
+            return 'Cannot pause while Strict Mode is active.';
+        }
+        const now = Date.now();
+        const plan = planPause(option, userSettings.dailyPauseBudgetMinutes ?? 0, now);
+        if (plan.error) return plan.error;
+
+        recordPauseStart(now, plan.until);
+        applyPauseState(true, plan.until);
+        if (plan.clamped) {
+            showToast(`Paused until ${new Date(plan.until).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}, when today's pause budget runs out.`);
+        }
+        return null;
+    };
+
+    const handleResume = () => {
+        recordPauseEnd(Date.now());
+        applyPauseState(false);
+    };
+
+    // Resume at the end of a timed pause. The extension does the same on its own when it supports timed
+    // pauses; this covers older extensions while the dashboard is open.
+    useEffect(() => {
+        if (!userSettings.blockingPaused || !userSettings.blockingPausedUntil) return;
+        const until = userSettings.blockingPausedUntil;
+        const timer = setTimeout(() => {
+            recordPauseEnd(until);
+            applyPauseState(false);
+        }, Math.max(0, until - Date.now()));
+        return () => clearTimeout(timer);
+    }, [userSettings.blockingPaused, userSettings.blockingPausedUntil]);
 
     // Sync activity log settings to extension on mount and when changed
     useEffect(() => {
-        document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-            detail: {
-                autoDelete: userSettings.autoDeleteActivityLog,
-                retentionDays: userSettings.activityLogRetention ?? 7,
-                logAllowDecisions: userSettings.logAllowDecisions ?? false,
-                logCachedDecisions: userSettings.logCachedDecisions ?? false
-            }
-        }));
+        syncActivityLogSettingsToExtension(
+            userSettings.autoDeleteActivityLog,
+            userSettings.activityLogRetention ?? 7,
+            userSettings.logAllowDecisions ?? false,
+            userSettings.logCachedDecisions ?? false
+        );
     }, [userSettings.autoDeleteActivityLog, userSettings.activityLogRetention, userSettings.logAllowDecisions, userSettings.logCachedDecisions]);
 
+    // --- Settings Sync (user_settings table; localStorage is the offline cache) ---
+    const latestSettingsRef = useRef(userSettings);
+    latestSettingsRef.current = userSettings;
+    const syncedSettingsRef = useRef(null); // Settings as last reconciled with the server; null until loaded
+    const settingsPushTimer = useRef(null);
+
+    // Merge synced values from the server (or another device) into state without treating them as local edits
+    const applySyncedSettings = (merged) => {
+        if (!merged) return;
+        const next = { ...latestSettingsRef.current, ...merged };
+        syncedSettingsRef.current = next;
+        setUserSettings(next);
+    };
+
+    const flushSettingsPush = () => {
+        const userId = session?.user?.id;
+        if (!userId) return;
+        pushSettings(userId, latestSettingsRef.current)
+            .then(applySyncedSettings)
+            .catch(err => console.error('[SETTINGS SYNC] Push failed, will retry:', err));
+    };
+
+    useEffect(() => {
+        const userId = session?.user?.id;
+        if (!userId) return;
+        let cancelled = false;
+
+        syncedSettingsRef.current = null;
+        loadSyncedSettings(userId, latestSettingsRef.current).then(merged => {
+            if (cancelled) return;
+            if (merged) applySyncedSettings(merged);
+            else syncedSettingsRef.current = latestSettingsRef.current;
+        });
+
+        // Edits made offline are pushed once the connection is back
+        const handleOnline = () => flushSettingsPush();
+        window.addEventListener('online', handleOnline);
+
+        return () => {
+            cancelled = true;
+            window.removeEventListener('online', handleOnline);
+            clearTimeout(settingsPushTimer.current);
+        };
+    }, [session?.user?.id]);
+
+    // Local edits: stamp the changed keys and push shortly after
+    useEffect(() => {
+        if (!syncedSettingsRef.current) return;
+        const changed = recordLocalChanges(syncedSettingsRef.current, userSettings);
+        syncedSettingsRef.current = userSettings;
+        if (changed.length === 0) return;
+
+        clearTimeout(settingsPushTimer.current);
+        settingsPushTimer.current = setTimeout(flushSettingsPush, 1000);
+    }, [userSettings]);
+
     const isStrictModeActive = userSettings.strictModeUntil && userSettings.strictModeUntil > Date.now();
 
-    // --- Poll for external strict mode changes (e.g., unlock approved via webhook) ---
+    // --- Strict mode changes pushed from elsewhere (unlock approved, expired, changed on another device) ---
     useEffect(() => {
-        if (!isStrictModeActive || !session?.user) return;
+        if (!session?.user) return;
 
-        const checkStrictModeStatus = async () => {
-            try {
-                const { data } = await supabase
-                    .from('rules')
-                    .select('strict_mode_until')
-                    .eq('user_id', session.user.id)
-                    .single();
-
-                // If DB shows null but local shows active, an unlock was approved externally
-                if (!data?.strict_mode_until && userSettings.strictModeUntil) {
-                    console.log('[DASHBOARD] Strict mode cleared externally (unlock approved)');
-                    setUserSettings(prev => ({ ...prev, strictModeUntil: null, strictMode: false }));
-                    localStorage.setItem('beacon_userSettings', JSON.stringify({
-                        ...userSettings, strictModeUntil: null, strictMode: false
-                    }));
-                    showToast('Strict mode disabled - unlock request approved!');
-                }
-            } catch (err) {
-                console.error('[DASHBOARD] Error checking strict mode status:', err);
+        return subscribeStrictModeChannel(session, (event) => {
+            if (event.type !== 'strict_mode') return;
+
+            setUserSettings(prev => {
+                if ((prev.strictModeUntil || null) === event.strictModeUntil) return prev;
+                const next = event.strictModeUntil
+                    ? { ...prev, strictModeUntil: event.strictModeUntil, strictMode: true }
+                    : { ...prev, strictModeUntil: null, strictMode: false };
+                localStorage.setItem('beacon_userSettings', JSON.stringify(next));
+                return next;
+            });
+
+            if (!event.strictModeUntil && event.reason === 'approved') {
+                console.log('[DASHBOARD] Strict mode cleared externally (unlock approved)');
+                showToast('Strict mode disabled - unlock request approved!');
+            } else if (!event.strictModeUntil && event.reason === 'changed') {
+                showToast('Strict mode was turned off from another device.');
             }
-        };
+        });
+    }, [session?.user?.id]);
 
-        // Poll every 30 seconds while strict mode is active
-        const interval = setInterval(checkStrictModeStatus, 30000);
-        return () => clearInterval(interval);
-    }, [isStrictModeActive, session?.user?.id, userSettings.strictModeUntil]);
+    useEffect(() => {
+        updateStrictModeChannelSession(session);
+    }, [session]);
 
     // --- Toast Notification Helper ---
     const showToast = (msg, duration = 4000) => {
@@ -458,6 +503,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
 
     // --- Presets State ---
     const [presets, setPresets] = useState([]);
+    const [lockedPresets, setLockedPresets] = useState([]); // [{ id, created_at, error }] presets that could not be decrypted
+    const [presetsLoaded, setPresetsLoaded] = useState(false); // The schedule waits for this before switching
     const [isPresetsModalOpen, setIsPresetsModalOpen] = useState(false);
     // Inline Save State
     const [isSavingPreset, setIsSavingPreset] = useState(false);
@@ -499,7 +546,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                     prompt: original.prompt,
                     blocked_categories: original.blocked_categories,
                     allow_list: original.allow_list,
-                    block_list: original.block_list
+                    block_list: original.block_list,
+                    list_pattern_types: original.list_pattern_types
                 });
             }
         } else if (!activePreset) {
@@ -512,13 +560,38 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         prompt: mainPrompt,
         blocked_categories: blockedCategories,
         allow_list: allowListArray,
-        block_list: blockListArray
+        block_list: blockListArray,
+        list_pattern_types: listPatternTypes
     }, presetOriginalState);
 
     // --- Save Workflow State ---
     const [lastCheckpoint, setLastCheckpoint] = useState(null);
     const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
-    const [saveStatus, setSaveStatus] = useState('saved'); // 'saved', 'saving', 'error'
+    const [saveStatus, setSaveStatus] = useState('saved'); // 'saved', 'saving', 'queued', 'conflict', 'error'
+    const [saveConflict, setSaveConflict] = useState(null); // { mine, theirs, serverVersion } when another device saved first
+    const [remoteRulesChange, setRemoteRulesChange] = useState(null); // { theirs, serverVersion, activePresetId } arrived while local edits were unsaved
+    const [encryptionLocked, setEncryptionLocked] = useState(false); // Passphrase needed before rules can be decrypted
+    const [encryptionEpoch, setEncryptionEpoch] = useState(0); // Bumped after unlocking to reload decrypted data
+    const [rulesDecryptError, setRulesDecryptError] = useState(null); // DecryptionError while the saved rules can't be read
+    const [rulesDecryptSource, setRulesDecryptSource] = useState('server'); // 'server' rules row or 'outbox' (unsynced edits)
+    const [extensionKeysUndelivered, setExtensionKeysUndelivered] = useState(false); // Direct messaging to the extension failed
+    const rulesBaseVersion = useRef(null); // rules.last_updated our current edits are based on
+    const outboxRetryTimer = useRef(null);
+    const flushOutboxRef = useRef(null);
+
+    const shareEncryptionKeys = async (userId) => {
+        try {
+            const delivered = await syncEncryptionKeysToExtension(userId);
+            if (delivered !== null) setExtensionKeysUndelivered(!delivered);
+        } catch (err) {
+            console.error('Error sharing encryption keys with the extension:', err);
+        }
+    };
+
+    // Share again once the extension is detected (its ID is only known from then on)
+    useEffect(() => {
+        if (extensionStatus === 'active' && session?.user?.id) shareEncryptionKeys(session.user.id);
+    }, [extensionStatus, session?.user?.id]);
 
     // Removed local isHistoryModalOpen state
     const [initialSearchTerm, setInitialSearchTerm] = useState('');
@@ -622,19 +695,42 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             setLoading(true);
             const { data: { user } } = await supabase.auth.getUser();
 
-            let { data, error } = await supabase.from('rules').select('prompt, blocked_categories, allow_list, block_list, active_preset_id, strict_mode_until').eq('user_id', user.id).single();
+            // Load this user's key first (created on first use); passphrase-protected keys wait for the unlock prompt
+            try {
+                if (await initUserEncryption(user.id) === 'locked') {
+                    setEncryptionLocked(true);
+                    return;
+                }
+            } catch (err) {
+                console.error('Error loading encryption key:', err);
+            }
+
+            let { data, error } = await supabase.from('rules').select(`${RULES_COLUMNS}, active_preset_id, strict_mode_until, last_updated`).eq('user_id', user.id).single();
 
             if (error && error.code !== 'PGRST116') { console.error('Error loading data:', error); }
             const initialCategories = {}; BLOCKED_CATEGORIES.forEach(cat => initialCategories[cat.id] = false);
-            let loadedMainPrompt = '', loadedApiKey = null, loadedCategories = initialCategories, loadedAllowList = [], loadedBlockList = [], loadedActivePresetId = null;
+            let loadedMainPrompt = '', loadedApiKey = null, loadedCategories = initialCategories, loadedAllowList = [], loadedBlockList = [], loadedActivePresetId = null, loadedPatternTypes = { allow: {}, block: {} };
 
+            rulesBaseVersion.current = data?.last_updated || null;
             if (data) {
-                // Decrypt prompt if encrypted (for privacy)
-                loadedMainPrompt = await decryptPrompt(data.prompt, user.id) || '';
+                // Decrypt the prompt (or the whole payload) for privacy
+                let rules;
+                try {
+                    rules = await openRules(data, user.id);
+                } catch (err) {
+                    // Leave the editor loading (so nothing auto-saves over them) and offer recovery
+                    console.error('Error decrypting rules:', err);
+                    setRulesDecryptSource('server');
+                    setRulesDecryptError(err);
+                    return;
+                }
+                setRulesDecryptError(null);
+                loadedMainPrompt = rules.prompt;
                 loadedApiKey = data.api_key;
-                loadedCategories = data.blocked_categories || initialCategories;
-                loadedAllowList = Array.isArray(data.allow_list) ? data.allow_list : [];
-                loadedBlockList = Array.isArray(data.block_list) ? data.block_list : [];
+                loadedCategories = Object.keys(rules.blocked_categories).length > 0 ? { ...rules.blocked_categories } : initialCategories;
+                loadedAllowList = rules.allow_list;
+                loadedBlockList = rules.block_list;
+                loadedPatternTypes = rules.list_pattern_types;
                 loadedActivePresetId = data.active_preset_id;
                 BLOCKED_CATEGORIES.forEach(cat => { if (loadedCategories[cat.id] === undefined) { loadedCategories[cat.id] = false; } });
 
@@ -648,22 +744,53 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 }
             }
 
+            // Unsynced edits from a previous session (saved to the outbox) take precedence over the server copy
+            const pendingSave = await getPendingRulesSave(user.id);
+            if (pendingSave) {
+                console.log('[OUTBOX] Restoring unsynced edits from', pendingSave.queued_at);
+                let pendingRules;
+                try {
+                    pendingRules = await openRules(pendingSave.row, user.id);
+                } catch (err) {
+                    // Same recovery as the server copy; nothing is loaded or saved until the user decides
+                    console.error('Error decrypting unsynced edits:', err);
+                    setRulesDecryptSource('outbox');
+                    setRulesDecryptError(err);
+                    return;
+                }
+                loadedMainPrompt = pendingRules.prompt;
+                loadedCategories = { ...loadedCategories, ...pendingRules.blocked_categories };
+                loadedAllowList = pendingRules.allow_list;
+                loadedBlockList = pendingRules.block_list;
+                loadedPatternTypes = pendingRules.list_pattern_types;
+                rulesBaseVersion.current = pendingSave.base_version;
+            }
+
             setMainPrompt(loadedMainPrompt); setApiKey(loadedApiKey); setBlockedCategories(loadedCategories);
-            setAllowListArray(loadedAllowList); setBlockListArray(loadedBlockList); setLoading(false);
+            setAllowListArray(loadedAllowList); setBlockListArray(loadedBlockList); setListPatternTypes(loadedPatternTypes); setLoading(false);
+
+            if (pendingSave) {
+                setSaveStatus('queued');
+                scheduleOutboxRetry(Date.now());
+            }
+
+            // Re-encrypt anything still on the legacy (ENC:) format, an older key or the other storage form
+            shareEncryptionKeys(user.id);
+            migrateEncryptedData(user.id).catch(err => console.error('Error migrating encrypted data:', err));
 
             // Load active preset if ID exists
             if (loadedActivePresetId) {
                 const { data: presetData } = await supabase.from('settings_presets').select('*').eq('id', loadedActivePresetId).single();
                 if (presetData) {
                     // Decrypt preset name for display
-                    const decryptedName = await decryptPrompt(presetData.name, user.id);
+                    const decryptedName = await decryptPresetName(presetData.name, user.id);
                     setActivePreset({ id: presetData.id, name: decryptedName });
                 }
             }
         }
         loadUserData();
         loadUserData();
-    }, [session]);
+    }, [session, encryptionEpoch]);
 
     // --- Fetch Presets ---
     const fetchPresets = async () => {
@@ -678,19 +805,29 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         if (error) {
             console.error('Error fetching presets:', error);
         } else if (data) {
-            // Decrypt names and prompts for display and comparison
+            // Decrypt names and payloads for display and comparison
+            // Presets that can't be decrypted are kept apart so they're never loaded, compared or scheduled
+            const locked = [];
             const decryptedPresets = await Promise.all(data.map(async (preset) => {
-                const decryptedName = await decryptPrompt(preset.name, session.user.id);
-                const decryptedPrompt = await decryptPrompt(preset.prompt, session.user.id);
-                return {
-                    ...preset,
-                    name: decryptedName,
-                    prompt: decryptedPrompt
-                };
+                try {
+                    const rules = await openRules(preset, session.user.id);
+                    return {
+                        ...preset,
+                        ...rules,
+                        name: await decryptPresetName(preset.name, session.user.id)
+                    };
+                } catch (err) {
+                    console.error('Error decrypting preset:', preset.id, err);
+                    locked.push({ id: preset.id, created_at: preset.created_at, error: err });
+                    return null;
+                }
             }));
-            setPresets(decryptedPresets);
+            setPresets(decryptedPresets.filter(Boolean));
+            setLockedPresets(locked);
+            setPresetsLoaded(true);
         } else {
             setPresets([]);
+            setPresetsLoaded(true);
         }
     };
 
@@ -698,7 +835,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         if (session?.user) {
             fetchPresets();
         }
-    }, [session]);
+    }, [session, encryptionEpoch]);
 
     // --- Check for Unsaved Changes ---
     useEffect(() => {
@@ -722,37 +859,78 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
         }
-    }, [loading, session, mainPrompt, blockedCategories, allowListArray, blockListArray]); // Depend on data to capture initial state
+    }, [loading, session, mainPrompt, blockedCategories, allowListArray, blockListArray, listPatternTypes]); // Depend on data to capture initial state
 
     // --- Manual Save Handler ---
     // --- Manual Save Handler (Deprecated, but kept logic for reference if needed) ---
     // Auto-save handles this now, but we update checkpoint on successful auto-save.
 
     // --- Save to Supabase (Updated for Status) ---
-    const saveToSupabase = async (data, activePresetId = undefined) => {
-        if (!session?.user) return;
+    // --- Rules Revision History ---
+    // Every successful save that changes the rules is snapshotted to rules_revisions
+    const MAX_RULES_REVISIONS = 200;
+
+    // sealed: rules columns from sealRules (already encrypted)
+    const recordRulesRevision = async (sealed, source) => {
+        const { error } = await supabase.from('rules_revisions').insert([{
+            user_id: session.user.id,
+            prompt: sealed.prompt,
+            blocked_categories: sealed.blocked_categories,
+            allow_list: sealed.allow_list,
+            block_list: sealed.block_list,
+            list_pattern_types: sealed.list_pattern_types,
+            encrypted_payload: sealed.encrypted_payload,
+            source
+        }]);
+        if (error) {
+            console.error('Error recording rules revision:', error);
+            return;
+        }
+
+        // Trim the oldest revisions beyond the limit
+        const { data: stale } = await supabase
+            .from('rules_revisions')
+            .select('id')
+            .eq('user_id', session.user.id)
+            .order('created_at', { ascending: false })
+            .range(MAX_RULES_REVISIONS, MAX_RULES_REVISIONS + 49);
+        if (stale && stale.length > 0) {
+            await supabase.from('rules_revisions').delete().in('id', stale.map(r => r.id));
+        }
+    };
+
+    // Resolves to 'saved', 'queued' (kept in the outbox for a retry), 'conflict' (merge dialog opened) or 'error'
+    const saveToSupabase = async (data, activePresetId = undefined, revisionSource = 'edit') => {
+        if (!session?.user) return 'error';
         setSaveStatus('saving');
         const startTime = Date.now();
 
         const presetIdToSave = activePresetId !== undefined ? activePresetId : (activePreset ? activePreset.id : null);
 
-        // Encrypt prompt before saving for privacy
-        const encryptedPrompt = await encryptPrompt(data.prompt, session.user.id);
+        // Encrypt the prompt (or the whole payload) before saving for privacy
+        let sealed;
+        try {
+            sealed = await sealRules({ ...data, list_pattern_types: data.list_pattern_types || listPatternTypes }, session.user.id);
+        } catch (err) {
+            // Never fall back to saving plaintext
+            console.error('Error encrypting rules:', err);
+            setSaveStatus('error');
+            showToast('Your rules could not be encrypted, so they were not saved. Reload the page to try again.');
+            return 'error';
+        }
 
-        const { error } = await supabase.from('rules').upsert({
+        const row = {
             user_id: session.user.id,
-            prompt: encryptedPrompt,
-            blocked_categories: data.blocked_categories,
-            allow_list: data.allow_list,
-            block_list: data.block_list,
-            active_preset_id: presetIdToSave,
-            last_updated: new Date().toISOString() // <--- ADD THIS LINE
-        }, { onConflict: 'user_id' });
+            ...sealed,
+            active_preset_id: presetIdToSave
+        };
 
-        // ... rest of the function remains the same
+        // Only writes if the server is still at the version this edit was based on
+        const result = await writeRulesRow(row, rulesBaseVersion.current);
 
         // Calculate elapsed time and wait if needed (min 800ms for UX)
         const elapsed = Date.now() - startTime;
@@ -760,41 +938,365 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             await new Promise(resolve => setTimeout(resolve, 800 - elapsed));
         }
 
-        if (error) {
-            console.error('Error saving rules:', error);
-            setSaveStatus('error');
+        if (result.status === 'conflict') {
+            // An older queued edit is dropped only once this one is in the merge dialog
+            if (await openSaveConflict({ ...data, list_pattern_types: data.list_pattern_types || listPatternTypes })) {
+                await clearPendingRulesSave(session.user.id);
+                return 'conflict';
+            }
+            return 'error';
+        } else if (result.status === 'failed') {
+            console.error('Error saving rules:', result.error);
+            // Keep the edit in the outbox and retry with backoff
+            const entry = await queueRulesSave({
+                userId: session.user.id,
+                row,
+                baseVersion: rulesBaseVersion.current,
+                revisionSource
+            });
+            setSaveStatus('queued');
+            scheduleOutboxRetry(entry.next_attempt_at);
+            return 'queued';
         } else {
+            rulesBaseVersion.current = result.version;
+            clearTimeout(outboxRetryTimer.current);
+            await clearPendingRulesSave(session.user.id);
             setSaveStatus('saved');
+
+            // Record a revision unless only the active preset changed
+            if (!lastCheckpoint || !areSettingsEqual(data, lastCheckpoint)) {
+                recordRulesRevision(sealed, revisionSource).catch(err => console.error('Error recording rules revision:', err));
+            }
+
             // Update checkpoint on successful save
             setLastCheckpoint({
                 prompt: data.prompt,
                 blocked_categories: data.blocked_categories,
                 allow_list: data.allow_list,
-                block_list: data.block_list
+                block_list: data.block_list,
+                list_pattern_types: data.list_pattern_types || listPatternTypes
             });
             setHasUnsavedChanges(false);
 
-            // CRITICAL: Tell the extension to clear its cache so new rules take effect
-            window.dispatchEvent(new CustomEvent('BEACON_RULES_UPDATED'));
+            notifyRulesUpdated();
+            return 'saved';
+        }
+    };
 
-            // Signal the backend to increment cache version so extension invalidates its cache
-            try {
-                const authToken = (await supabase.auth.getSession()).data.session?.access_token;
-                if (authToken) {
-                    fetch(config.BACKEND_URL + '/update-rules-signal', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${authToken}`
-                        }
-                    }).catch(() => { }); // Fire and forget
+    // Tell the extension and backend that the rules changed
+    const notifyRulesUpdated = async () => {
+        // CRITICAL: Tell the extension to clear its cache so new rules take effect
+        extensionBridge.send('rulesUpdated');
+
+        // Signal the backend to increment cache version so extension invalidates its cache
+        try {
+            const authToken = (await supabase.auth.getSession()).data.session?.access_token;
+            if (authToken) {
+                fetch(config.BACKEND_URL + '/update-rules-signal', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${authToken}`
+                    }
+                }).catch(() => { }); // Fire and forget
+            }
+        } catch (e) {
+            // Ignore cache version errors
+        }
+    };
+
+    // --- Offline Outbox ---
+    const scheduleOutboxRetry = (at) => {
+        clearTimeout(outboxRetryTimer.current);
+        outboxRetryTimer.current = setTimeout(() => flushOutboxRef.current?.(), Math.max(0, at - Date.now()));
+    };
+
+    // Retry the queued save (if any) against the version it was based on
+    const flushRulesOutbox = async () => {
+        if (!session?.user) return;
+        const pending = await getPendingRulesSave(session.user.id);
+        if (!pending) return;
+
+        setSaveStatus('saving');
+        try {
+            const result = await writeRulesRow(pending.row, pending.base_version);
+
+            if (result.status === 'saved') {
+                console.log('[OUTBOX] Queued save delivered after', pending.attempts + 1, 'attempt(s)');
+                rulesBaseVersion.current = result.version;
+                await clearPendingRulesSave(session.user.id);
+                setSaveStatus('saved');
+                recordRulesRevision(pending.row, pending.revision_source).catch(err => console.error('Error recording rules revision:', err));
+                notifyRulesUpdated();
+            } else if (result.status === 'conflict') {
+                // The queued edit stays in the outbox until it's in front of the user in the merge dialog
+                if (await openSaveConflict(await openRules(pending.row, session.user.id))) {
+                    await clearPendingRulesSave(session.user.id);
                 }
-            } catch (e) {
-                // Ignore cache version errors
+            } else {
+                const entry = await markRulesSaveAttempt(session.user.id);
+                if (!entry) {
+                    console.warn('[OUTBOX] Queued save is no longer stored, not retrying');
+                    setSaveStatus('error');
+                    return;
+                }
+                console.warn('[OUTBOX] Retry failed, next attempt in', Math.round((entry.next_attempt_at - Date.now()) / 1000), 's');
+                setSaveStatus('queued');
+                scheduleOutboxRetry(entry.next_attempt_at);
             }
+        } catch (err) {
+            console.error('[OUTBOX] Error delivering queued save:', err);
+            setSaveStatus('error');
+        }
+    };
+    flushOutboxRef.current = flushRulesOutbox;
+
+    // Retry as soon as the browser reports it's back online
+    useEffect(() => {
+        const handleOnline = () => flushOutboxRef.current?.();
+        window.addEventListener('online', handleOnline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            clearTimeout(outboxRetryTimer.current);
+        };
+    }, []);
+
+    // --- Save Conflicts ---
+    // Load the server's copy so the user can merge it with their edit. Resolves to false if it couldn't be loaded.
+    const openSaveConflict = async (mine) => {
+        const { data: server, error } = await supabase
+            .from('rules')
+            .select(`${RULES_COLUMNS}, last_updated`)
+            .eq('user_id', session.user.id)
+            .single();
+
+        let theirs = null;
+        try {
+            if (server) theirs = await openRules(server, session.user.id);
+        } catch (err) {
+            console.error('Error decrypting conflicting rules:', err);
+        }
+
+        if (error || !theirs) {
+            console.error('Error loading conflicting rules:', error);
+            setSaveStatus('error');
+            return false;
+        }
+
+        setSaveConflict({
+            mine,
+            theirs,
+            serverVersion: server.last_updated
+        });
+        setSaveStatus('conflict');
+        return true;
+    };
+
+    const handleResolveConflict = async (merged) => {
+        setRemoteRulesChange(null);
+        // The merge is based on the server's current version
+        rulesBaseVersion.current = saveConflict.serverVersion;
+        setSaveConflict(null);
+
+        setMainPrompt(merged.prompt);
+        setBlockedCategories(merged.blocked_categories);
+        setAllowListArray(merged.allow_list);
+        setBlockListArray(merged.block_list);
+        setListPatternTypes(merged.list_pattern_types);
+
+        await saveToSupabase(merged);
+    };
+
+    // --- Decryption Recovery ---
+    // Shared by the rules recovery dialog and the undecryptable presets in PresetsModal
+    const reloadDecryptedData = () => {
+        setRulesDecryptError(null);
+        setEncryptionEpoch(prev => prev + 1); // Reloads rules and presets
+    };
+
+    const handleRetryDecrypt = async () => {
+        // Pick up key changes made on another device
+        if (await refreshUserEncryption(session.user.id) === 'locked') {
+            setRulesDecryptError(null);
+            setEncryptionLocked(true);
+            return;
+        }
+        reloadDecryptedData();
+    };
+
+    const handleRekeyDecrypt = async (passphrase) => {
+        const unlocked = await unlockRetiredKeys(session.user.id, passphrase);
+        if (unlocked === 0) return 'That passphrase did not unlock any earlier key.';
+        reloadDecryptedData();
+    };
+
+    const handleDiscardUndecryptableRules = async () => {
+        // Rules are locked during Strict Mode (UI already disables the button, this is a safeguard)
+        if (isStrictModeActive) return 'Rules are locked during Strict Mode.';
+
+        // Unreadable unsynced edits: drop them and fall back to the server copy
+        if (rulesDecryptSource === 'outbox') {
+            await clearPendingRulesSave(session.user.id);
+            reloadDecryptedData();
+            return;
+        }
+
+        // Replace the unreadable rules with an empty set (recorded in history like any other save)
+        await saveToSupabase({
+            prompt: '',
+            blocked_categories: {},
+            allow_list: [],
+            block_list: [],
+            list_pattern_types: { allow: {}, block: {} }
+        }, null);
+        reloadDecryptedData();
+    };
+
+    // --- Realtime Sync ---
+    // Saves from other tabs/devices stream in over Supabase Realtime
+    // (the rules and settings_presets tables must be in the supabase_realtime publication).
+    const liveRulesRef = useRef(null);
+    liveRulesRef.current = {
+        current: {
+            prompt: mainPrompt,
+            blocked_categories: blockedCategories,
+            allow_list: allowListArray,
+            block_list: blockListArray,
+            list_pattern_types: listPatternTypes
+        },
+        lastCheckpoint,
+        saveStatus,
+        saveConflict
+    };
+
+    const applyRemoteRules = async (theirs, serverVersion, activePresetId) => {
+        rulesBaseVersion.current = serverVersion;
+        setMainPrompt(theirs.prompt);
+        setBlockedCategories(theirs.blocked_categories);
+        setAllowListArray(theirs.allow_list);
+        setBlockListArray(theirs.block_list);
+        setListPatternTypes(theirs.list_pattern_types);
+        setLastCheckpoint(theirs);
+        setRemoteRulesChange(null);
+
+        const presetId = activePresetId !== undefined ? activePresetId : (activePreset?.id ?? null);
+        if (!presetId) {
+            if (activePreset) setActivePreset(null);
+            return;
+        }
+
+        // Compare the synced rules against the preset as saved on the server, so rules the other
+        // device loaded or saved to it don't show up here as unsaved preset changes
+        const { data: presetData } = await supabase.from('settings_presets').select('*').eq('id', presetId).single();
+        if (!presetData) return;
+        let presetRules;
+        try {
+            presetRules = await openRules(presetData, session.user.id);
+        } catch (err) {
+            console.error('Error decrypting preset:', presetData.id, err);
+            return;
         }
+        if (presetId !== activePreset?.id) {
+            const decryptedName = await decryptPresetName(presetData.name, session.user.id);
+            setActivePreset({ id: presetData.id, name: decryptedName });
+        }
+        setPresets(prev => prev.map(p => p.id === presetId ? { ...p, ...presetRules } : p));
+        setPresetOriginalState({
+            prompt: presetRules.prompt,
+            blocked_categories: presetRules.blocked_categories,
+            allow_list: presetRules.allow_list,
+            block_list: presetRules.block_list,
+            list_pattern_types: presetRules.list_pattern_types
+        });
     };
 
+    const handleRemoteRulesRow = async (row) => {
+        if (!row?.last_updated || isOwnRulesVersion(row.last_updated)) return;
+        // Ignore events older than what we already have
+        if (rulesBaseVersion.current && new Date(row.last_updated) <= new Date(rulesBaseVersion.current)) return;
+
+        let theirs;
+        try {
+            theirs = await openRules(row, session.user.id);
+        } catch (err) {
+            console.error('[REALTIME] Could not decrypt incoming rules:', err);
+            return;
+        }
+        const live = liveRulesRef.current;
+
+        // Already showing these rules (e.g. the same edit was made in both places)
+        if (areSettingsEqual(live.current, theirs)) {
+            rulesBaseVersion.current = row.last_updated;
+            setLastCheckpoint(theirs);
+            return;
+        }
+
+        // Merge view already open: show it the newest server copy
+        if (live.saveConflict) {
+            setSaveConflict(prev => prev && { ...prev, theirs, serverVersion: row.last_updated });
+            return;
+        }
+
+        // A save in flight (or queued) will hit the version check and open the merge view itself
+        if (live.saveStatus === 'saving' || live.saveStatus === 'queued') return;
+
+        const hasLocalEdits = live.lastCheckpoint && !areSettingsEqual(live.current, live.lastCheckpoint);
+        if (hasLocalEdits) {
+            setRemoteRulesChange({ theirs, serverVersion: row.last_updated, activePresetId: row.active_preset_id });
+            return;
+        }
+
+        await applyRemoteRules(theirs, row.last_updated, row.active_preset_id);
+        showToast('Rules updated from another tab or device');
+    };
+
+    const handleReviewRemoteChange = () => {
+        setSaveConflict({
+            mine: liveRulesRef.current.current,
+            theirs: remoteRulesChange.theirs,
+            serverVersion: remoteRulesChange.serverVersion
+        });
+        setRemoteRulesChange(null);
+    };
+
+    const handleDiscardLocalEdits = () => {
+        applyRemoteRules(remoteRulesChange.theirs, remoteRulesChange.serverVersion, remoteRulesChange.activePresetId);
+    };
+
+    const realtimeHandlersRef = useRef(null);
+    realtimeHandlersRef.current = {
+        rules: handleRemoteRulesRow,
+        presets: fetchPresets,
+        settings: (row) => applySyncedSettings(mergeRemoteSettings(row, latestSettingsRef.current)),
+        // Heartbeats update these rows often; only reload while the list is on screen
+        devices: () => { if (isDevicesModalOpen) loadDevices(); }
+    };
+
+    useEffect(() => {
+        const userId = session?.user?.id;
+        if (!userId) return;
+
+        const channel = supabase
+            .channel(`rules-sync-${userId}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'rules', filter: `user_id=eq.${userId}` },
+                (payload) => realtimeHandlersRef.current?.rules(payload.new))
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'settings_presets', filter: `user_id=eq.${userId}` },
+                () => realtimeHandlersRef.current?.presets())
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'user_settings', filter: `user_id=eq.${userId}` },
+                (payload) => realtimeHandlersRef.current?.settings(payload.new))
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'extension_devices', filter: `user_id=eq.${userId}` },
+                () => realtimeHandlersRef.current?.devices())
+            .subscribe((status) => {
+                if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    console.warn('[REALTIME] Rules sync unavailable:', status);
+                }
+            });
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [session?.user?.id]);
+
     // --- Inline Save Handlers ---
     const MAX_PRESETS = 10;
 
@@ -858,21 +1360,32 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
     const executeSave = async (name, overwriteId = null) => {
         if (!session?.user) return;
 
+        // Encrypt name and prompt (or the whole payload) before storing for privacy.
+        // Done before removing an overwritten preset so a failure leaves it intact.
+        let encryptedName, sealed;
+        try {
+            encryptedName = await encryptPrompt(name, session.user.id);
+            sealed = await sealRules({
+                prompt: mainPrompt,
+                blocked_categories: blockedCategories,
+                allow_list: allowListArray,
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
+            }, session.user.id);
+        } catch (err) {
+            console.error('Error encrypting preset:', err);
+            alert('Failed to save preset: it could not be encrypted.');
+            return;
+        }
+
         if (overwriteId) {
             await supabase.from('settings_presets').delete().eq('id', overwriteId);
         }
 
-        // Encrypt name and prompt before storing for privacy
-        const encryptedName = await encryptPrompt(name, session.user.id);
-        const encryptedPrompt = await encryptPrompt(mainPrompt, session.user.id);
-
         const newPreset = {
             user_id: session.user.id,
             name: encryptedName,
-            prompt: encryptedPrompt,
-            blocked_categories: blockedCategories,
-            allow_list: allowListArray,
-            block_list: blockListArray
+            ...sealed
         };
 
         const { data, error } = await supabase
@@ -896,7 +1409,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
             setHasUnsavedChanges(false);
 
@@ -908,7 +1422,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
 
             // Persist the new active preset ID to rules
@@ -942,7 +1457,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             prompt: mainPrompt,
             blocked_categories: blockedCategories,
             allow_list: allowListArray,
-            block_list: blockListArray
+            block_list: blockListArray,
+            list_pattern_types: listPatternTypes
         };
 
 
@@ -951,7 +1467,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: p.prompt,
                 blocked_categories: p.blocked_categories,
                 allow_list: p.allow_list,
-                block_list: p.block_list
+                block_list: p.block_list,
+                list_pattern_types: p.list_pattern_types
             }, currentSettings);
             return isMatch;
         });
@@ -976,21 +1493,34 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             if (!confirm(`A preset named "${name}" already exists. Overwrite it?`)) {
                 return;
             }
+        }
+
+        // Encrypt name and prompt (or the whole payload) before storing for privacy
+        let sealed, encryptedName;
+        try {
+            sealed = await sealRules({
+                prompt: mainPrompt,
+                blocked_categories: blockedCategories,
+                allow_list: allowListArray,
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
+            }, user.id);
+            encryptedName = await encryptPrompt(name, user.id);
+        } catch (err) {
+            console.error('Error encrypting preset:', err);
+            showToast('Error saving preset: it could not be encrypted.');
+            return;
+        }
+
+        if (duplicate) {
             // If overwriting, we'll delete the old one first (or update it, but delete+insert is simpler for now)
             await supabase.from('settings_presets').delete().eq('id', duplicate.id);
         }
 
-        // Encrypt name and prompt before storing for privacy
-        const encryptedPrompt = await encryptPrompt(mainPrompt, user.id);
-        const encryptedName = await encryptPrompt(name, user.id);
-
         const presetData = {
             user_id: user.id,
             name: encryptedName,
-            prompt: encryptedPrompt,
-            blocked_categories: blockedCategories,
-            allow_list: allowListArray,
-            block_list: blockListArray
+            ...sealed
         };
 
         const { error } = await supabase.from('settings_presets').insert([presetData]);
@@ -1004,7 +1534,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
             setHasUnsavedChanges(false);
 
@@ -1029,7 +1560,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             prompt: mainPrompt,
             blocked_categories: blockedCategories,
             allow_list: allowListArray,
-            block_list: blockListArray
+            block_list: blockListArray,
+            list_pattern_types: listPatternTypes
         };
 
         const duplicateContent = presets.find(p =>
@@ -1038,7 +1570,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: p.prompt,
                 blocked_categories: p.blocked_categories,
                 allow_list: p.allow_list,
-                block_list: p.block_list
+                block_list: p.block_list,
+                list_pattern_types: p.list_pattern_types
             }, currentSettings)
         );
 
@@ -1050,15 +1583,23 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         const { data: { user } } = await supabase.auth.getUser();
         if (!user) return;
 
-        // Encrypt prompt before updating for privacy
-        const encryptedPrompt = await encryptPrompt(mainPrompt, user.id);
+        // Encrypt prompt (or the whole payload) before updating for privacy
+        let sealed;
+        try {
+            sealed = await sealRules({
+                prompt: mainPrompt,
+                blocked_categories: blockedCategories,
+                allow_list: allowListArray,
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
+            }, user.id);
+        } catch (err) {
+            console.error('Error encrypting preset:', err);
+            alert('Failed to update preset: it could not be encrypted.');
+            return;
+        }
 
-        const { error } = await supabase.from('settings_presets').update({
-            prompt: encryptedPrompt,
-            blocked_categories: blockedCategories,
-            allow_list: allowListArray,
-            block_list: blockListArray
-        }).eq('id', activePreset.id);
+        const { error } = await supabase.from('settings_presets').update(sealed).eq('id', activePreset.id);
 
         if (error) {
             console.error('Error updating preset:', error);
@@ -1071,7 +1612,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
             setHasUnsavedChanges(false);
 
@@ -1080,7 +1622,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                 prompt: mainPrompt,
                 blocked_categories: blockedCategories,
                 allow_list: allowListArray,
-                block_list: blockListArray
+                block_list: blockListArray,
+                list_pattern_types: listPatternTypes
             });
         }
     };
@@ -1101,16 +1644,18 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         await executeLoadPreset(preset);
     };
 
-    // Actual preset loading logic (called after confirmation or directly if no unsaved changes)
-    const executeLoadPreset = async (preset) => {
+    // Actual preset loading logic (called after confirmation or directly if no unsaved changes).
+    // Resolves to the saveToSupabase status.
+    const executeLoadPreset = async (preset, revisionSource = 'preset') => {
 
-        // Decrypt prompt if encrypted (for privacy)
-        const decryptedPrompt = await decryptPrompt(preset.prompt, session?.user?.id) || '';
+        // Presets are decrypted when fetched
+        const decryptedPrompt = preset.prompt || '';
 
         setMainPrompt(decryptedPrompt);
         setBlockedCategories(preset.blocked_categories || {});
         setAllowListArray(preset.allow_list || []);
         setBlockListArray(preset.block_list || []);
+        setListPatternTypes(preset.list_pattern_types || { allow: {}, block: {} });
 
         setActivePreset({ id: preset.id, name: preset.name });
 
@@ -1119,7 +1664,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             prompt: decryptedPrompt,
             blocked_categories: preset.blocked_categories || {},
             allow_list: preset.allow_list || [],
-            block_list: preset.block_list || []
+            block_list: preset.block_list || [],
+            list_pattern_types: preset.list_pattern_types || { allow: {}, block: {} }
         });
 
         // Clear any rename mode
@@ -1129,20 +1675,23 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         setOverwriteCandidate(null);
 
         // Save the new state to the DB immediately
-        await saveToSupabase({
+        const saveResult = await saveToSupabase({
             prompt: decryptedPrompt,
             blocked_categories: preset.blocked_categories,
             allow_list: preset.allow_list,
-            block_list: preset.block_list
-        }, preset.id);
+            block_list: preset.block_list,
+            list_pattern_types: preset.list_pattern_types || { allow: {}, block: {} }
+        }, preset.id, revisionSource);
 
         setLastCheckpoint({
             prompt: decryptedPrompt,
             blocked_categories: preset.blocked_categories || {},
             allow_list: preset.allow_list || [],
-            block_list: preset.block_list || []
+            block_list: preset.block_list || [],
+            list_pattern_types: preset.list_pattern_types || { allow: {}, block: {} }
         });
         setHasUnsavedChanges(false);
+        return saveResult;
     };
 
     const handleUnloadPreset = async () => {
@@ -1179,15 +1728,24 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         // 4. FORCE CACHE RESET
         // This dispatches the event that content-script.js listens for, 
         // causing it to tell background.js to wipe the chrome.storage cache.
-        window.dispatchEvent(new CustomEvent('BEACON_RULES_UPDATED'));
+        extensionBridge.send('rulesUpdated');
 
         showToast('Dashboard cleared and cache reset.');
     };
 
     const handleRenamePreset = async (id, newName) => {
+        let encryptedName;
+        try {
+            encryptedName = await encryptPrompt(newName, session.user.id);
+        } catch (err) {
+            console.error('Error encrypting preset name:', err);
+            showToast('Failed to rename preset: the name could not be encrypted.');
+            return;
+        }
+
         const { error } = await supabase
             .from('settings_presets')
-            .update({ name: newName })
+            .update({ name: encryptedName })
             .eq('id', id);
 
         if (error) console.error('Error renaming preset:', error);
@@ -1230,9 +1788,190 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             alert('Failed to delete preset');
         } else {
             fetchPresets();
+            // Schedule rows for this preset are removed with it (FK cascade) - mirror that locally
+            setScheduleBlocks(prev => prev.filter(b => b.preset_id !== id));
+        }
+    };
+
+    // --- Preset Schedule ---
+    const [scheduleBlocks, setScheduleBlocks] = useState([]);
+    const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
+    const [isBulkListModalOpen, setIsBulkListModalOpen] = useState(false);
+    const [isRulesHistoryOpen, setIsRulesHistoryOpen] = useState(false);
+    const [isPresetDiffOpen, setIsPresetDiffOpen] = useState(false);
+    const [backupModalMode, setBackupModalMode] = useState(null); // null (closed) | 'backup' | 'restore'
+
+    // --- Devices ---
+    const [devices, setDevices] = useState([]);
+    const [isDevicesModalOpen, setIsDevicesModalOpen] = useState(false);
+
+    const loadDevices = async () => {
+        if (!session?.user?.id) return;
+        try {
+            setDevices(await fetchDevices(session.user.id));
+        } catch (err) {
+            console.error('Error fetching devices:', err);
+        }
+    };
+
+    // --- Extension Compatibility ---
+    // Keys that couldn't be delivered directly leave the extension as unable to read encrypted rules as an old version
+    const extensionSupport = extensionKeysUndelivered && extensionStatus === 'active'
+        ? { ...getExtensionSupport(extensionInfo), encryptionKeys: false }
+        : getExtensionSupport(extensionInfo);
+    const unsupportedExtensionFeatures = extensionStatus === 'active' ? getUnsupportedFeatures(extensionInfo) : [];
+    // Dismissal lasts until the extension version (or what it lacks) changes
+    const compatBannerKey = `${extensionInfo?.version || 'unknown'}:${unsupportedExtensionFeatures.join('|')}`;
+    const [dismissedCompatVersion, setDismissedCompatVersion] = useState(() => localStorage.getItem('beacon_compatBannerDismissed'));
+    const pendingRevisionSource = useRef(null); // Labels the next auto-save revision (e.g. 'import')
+    const [scheduleNow, setScheduleNow] = useState(() => new Date());
+    const failedScheduleOccurrence = useRef(null); // Occurrence whose switch couldn't be saved yet
+    const deferredScheduleOccurrence = useRef(null); // Occurrence the user was told is waiting for their edits
+
+    const fetchSchedule = async () => {
+        if (!session?.user?.id) return;
+
+        const { data, error } = await supabase
+            .from('preset_schedules')
+            .select('id, preset_id, days, start_minute, end_minute, enabled')
+            .eq('user_id', session.user.id)
+            .order('start_minute', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching schedule:', error);
+        } else {
+            setScheduleBlocks(data || []);
+        }
+    };
+
+    useEffect(() => {
+        if (session?.user) {
+            fetchSchedule();
         }
+    }, [session]);
+
+    // Tell the extension about the schedule so switches still happen with the dashboard closed
+    useEffect(() => {
+        extensionBridge.send('syncSchedule', {
+            blocks: scheduleBlocks,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+    }, [scheduleBlocks]);
+
+    const handleSaveSchedule = async (blocks) => {
+        if (!session?.user) return;
+        if (isStrictModeActive) throw new Error('Cannot change the schedule during Strict Mode.');
+
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        // Write the new blocks first and only then drop the removed ones, so a failed save never leaves
+        // the schedule empty
+        if (blocks.length > 0) {
+            const { error: upsertError } = await supabase
+                .from('preset_schedules')
+                .upsert(blocks.map(b => ({
+                    id: b.id,
+                    user_id: session.user.id,
+                    preset_id: b.preset_id,
+                    days: b.days,
+                    start_minute: b.start_minute,
+                    end_minute: b.end_minute,
+                    enabled: b.enabled !== false,
+                    timezone
+                })), { onConflict: 'id' });
+            if (upsertError) throw new Error(upsertError.message);
+        }
+
+        // Then remove this user's rows that are no longer part of the schedule
+        let removeQuery = supabase
+            .from('preset_schedules')
+            .delete()
+            .eq('user_id', session.user.id);
+        if (blocks.length > 0) {
+            removeQuery = removeQuery.not('id', 'in', `(${blocks.map(b => b.id).join(',')})`);
+        }
+        const { error: deleteError } = await removeQuery;
+        if (deleteError) throw new Error(deleteError.message);
+
+        setScheduleBlocks(blocks);
+        showToast('Schedule saved.');
     };
 
+    // Auto-switch: apply each block occurrence once, when it starts (or on load if we're inside it).
+    // The occurrence key is persisted so a manual switch during a block isn't undone on reload.
+    useEffect(() => {
+        // Until presets are loaded a scheduled preset can't be told apart from a deleted one
+        if (loading || !presetsLoaded || !session?.user || scheduleBlocks.length === 0) return;
+
+        const applySchedule = async () => {
+            const now = new Date();
+            setScheduleNow(now);
+
+            // Rules are locked during Strict Mode - scheduled switches wait until it ends
+            if (isStrictModeActive) return;
+
+            const block = getActiveScheduleBlock(scheduleBlocks, now);
+            if (!block) return;
+
+            const occurrenceKey = getBlockOccurrenceKey(block, now);
+            if (localStorage.getItem('beacon_lastScheduleOccurrence') === occurrenceKey) return;
+
+            // A switch whose save failed already shows the preset as active; keep retrying it
+            if (activePreset?.id === block.preset_id && failedScheduleOccurrence.current !== occurrenceKey) {
+                localStorage.setItem('beacon_lastScheduleOccurrence', occurrenceKey);
+                return;
+            }
+
+            const preset = presets.find(p => p.id === block.preset_id);
+            if (!preset) {
+                console.warn('[SCHEDULE] Scheduled preset no longer exists:', block.preset_id);
+                return;
+            }
+
+            // Don't throw away edits (or a merge in progress): the switch waits until they're saved
+            if (hasUnsavedChanges || saveConflict) {
+                if (deferredScheduleOccurrence.current !== occurrenceKey) {
+                    deferredScheduleOccurrence.current = occurrenceKey;
+                    showToast(`Schedule: switching to "${preset.name}" once your changes are saved.`);
+                }
+                return;
+            }
+
+            console.log('[SCHEDULE] Switching to scheduled preset:', preset.name);
+            setPendingLoadPreset(null);
+            let saveResult;
+            try {
+                saveResult = await executeLoadPreset(preset, 'schedule');
+            } catch (err) {
+                console.error('[SCHEDULE] Error switching to scheduled preset:', err);
+            }
+            // Only a switch that was saved counts as done; otherwise the next tick retries
+            if (saveResult !== 'saved') {
+                console.warn('[SCHEDULE] Switch not saved, retrying on the next check:', saveResult);
+                failedScheduleOccurrence.current = occurrenceKey;
+                return;
+            }
+            failedScheduleOccurrence.current = null;
+            localStorage.setItem('beacon_lastScheduleOccurrence', occurrenceKey);
+            showToast(`Schedule: switched to "${preset.name}"`);
+        };
+
+        applySchedule();
+
+        // Re-check every 30s, and exactly at the next switch
+        const interval = setInterval(applySchedule, 30000);
+        const next = getNextScheduleSwitch(scheduleBlocks, new Date());
+        const switchTimer = next ? setTimeout(applySchedule, Math.min(next.at - Date.now() + 500, 2147483647)) : null;
+
+        return () => {
+            clearInterval(interval);
+            if (switchTimer) clearTimeout(switchTimer);
+        };
+    }, [scheduleBlocks, presets, presetsLoaded, activePreset?.id, isStrictModeActive, loading, session, hasUnsavedChanges, saveConflict]);
+
+    const nextScheduleSwitch = getNextScheduleSwitch(scheduleBlocks, scheduleNow);
+    const nextSchedulePreset = nextScheduleSwitch ? presets.find(p => p.id === nextScheduleSwitch.block.preset_id) : null;
+
     // --- Auto-resize text area on load ---
     useEffect(() => {
         if (mainPromptRef.current) {
@@ -1252,7 +1991,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
             const formattedLogs = extensionLogs.map((log, index) => ({
                 id: `local-${log.timestamp}-${index}`,
                 url: log.url,
-                domain: log.domain,
+                domain: getHostname(log.domain || log.url) || log.domain, // ASCII host; display with toUnicodeHost
+                site: getBaseDomain(log.domain || log.url), // Registrable domain, e.g. bbc.co.uk
                 decision: log.decision || 'BLOCK', // Use actual decision from extension
                 reason: log.reason,
                 page_title: log.pageTitle,
@@ -1288,34 +2028,32 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         };
 
         // Sync theme if changed from popup or another tab
-        const handleThemeUpdate = (event) => {
-            if (event.detail?.theme && event.detail.theme !== theme) {
-                console.log('[BRIDGE] Theme update announced by extension:', event.detail.theme);
-                setTheme(event.detail.theme);
+        const handleThemeUpdate = (detail) => {
+            if (detail.theme && detail.theme !== theme) {
+                console.log('[BRIDGE] Theme update announced by extension:', detail.theme);
+                setTheme(detail.theme);
             }
         };
 
-        // Sync pause state if changed from popup or another tab
-        const handlePauseUpdate = (event) => {
-            const paused = event.detail?.paused;
+        // Sync pause state if changed from popup or another tab (or resumed by the extension's timer)
+        const handlePauseUpdate = (detail) => {
+            const paused = detail.paused;
             if (typeof paused === 'boolean') {
-                setUserSettings(prev => ({ ...prev, blockingPaused: paused }));
-                localStorage.setItem('beacon_userSettings', JSON.stringify({
-                    ...JSON.parse(localStorage.getItem('beacon_userSettings') || '{}'),
-                    blockingPaused: paused
-                }));
+                const until = detail.until ?? null;
+                const wasPaused = JSON.parse(localStorage.getItem('beacon_userSettings') || '{}').blockingPaused;
+                if (paused && !wasPaused) recordPauseStart(Date.now(), until);
+                if (!paused) recordPauseEnd(Date.now());
+                applyPauseState(paused, until);
             }
         };
 
-        window.addEventListener('BEACON_BLOCK_LOG_UPDATED', handleLogUpdate);
-        window.addEventListener('BEACON_THEME_UPDATED', handleThemeUpdate);
-        window.addEventListener('BEACON_PAUSE_UPDATED', handlePauseUpdate);
+        const unsubscribers = [
+            extensionBridge.subscribe('blockLogUpdated', handleLogUpdate),
+            extensionBridge.subscribe('themeUpdated', handleThemeUpdate),
+            extensionBridge.subscribe('pauseUpdated', handlePauseUpdate)
+        ];
 
-        return () => {
-            window.removeEventListener('BEACON_BLOCK_LOG_UPDATED', handleLogUpdate);
-            window.removeEventListener('BEACON_THEME_UPDATED', handleThemeUpdate);
-            window.removeEventListener('BEACON_PAUSE_UPDATED', handlePauseUpdate);
-        };
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
     }, [theme]); // Re-subscribe when theme changes to ensure handler has latest theme value
 
     const [inputError, setInputError] = useState({ type: null, msg: null }); // New error state
@@ -1332,9 +2070,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
     const handleDeleteFromRecent = (logId, timestamp) => {
         if (logDeleteConfirmId === logId) {
             // Second click - actually delete
-            document.dispatchEvent(new CustomEvent('BEACON_DELETE_SINGLE_LOG', {
-                detail: { timestamp }
-            }));
+            extensionBridge.send('deleteLog', { timestamp });
             setLogs(logs.filter(l => l.id !== logId));
             setLogDeleteConfirmId(null);
         } else {
@@ -1427,50 +2163,32 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
 
         if (!inputVal) return;
 
-        if (inputVal.includes(' ')) {
-            setInputError({ type: listType, msg: "URLs cannot contain spaces." });
+        const parsed = parseListEntry(inputVal);
+        if (parsed.error) {
+            setInputError({ type: listType, msg: parsed.error });
             return;
         }
 
-        let domain = null;
-        const lowerInput = inputVal.toLowerCase();
-
-        if (commonSiteMappings[lowerInput]) domain = commonSiteMappings[lowerInput];
-        else if (!lowerInput.includes('.')) domain = lowerInput + '.com';
-        else domain = getBaseDomain(inputVal);
+        const { value, type } = parsed;
+        const display = formatPattern(value, type);
+        const ownList = listType === 'allow' ? allowListArray : blockListArray;
+        const otherList = listType === 'allow' ? blockListArray : allowListArray;
+        const otherListType = listType === 'allow' ? 'block' : 'allow';
+        const setOwnList = listType === 'allow' ? setAllowListArray : setBlockListArray;
+        const setOwnInput = listType === 'allow' ? setCurrentAllowInput : setCurrentBlockInput;
 
-        if (domain) {
-            if (listType === 'allow') {
-                if (blockListArray.includes(domain)) {
-                    setInputError({ type: 'allow', msg: `${domain} is already in your Block list.` });
-                    return;
-                }
-                if (!allowListArray.includes(domain)) {
-                    const newList = [...allowListArray, domain].sort();
-                    setAllowListArray(newList);
-                    setCurrentAllowInput('');
-                    setSaveStatus('saving'); // Immediate "Listening" feedback
-                } else {
-                    setCurrentAllowInput('');
-                }
-            } else {
-                if (allowListArray.includes(domain)) {
-                    setInputError({ type: 'block', msg: `${domain} is already in your Allow list.` });
-                    return;
-                }
-                if (!blockListArray.includes(domain)) {
-                    const newList = [...blockListArray, domain].sort();
-                    setBlockListArray(newList);
-                    setCurrentBlockInput('');
-                    setSaveStatus('saving'); // Immediate "Listening" feedback
-                } else {
-                    setCurrentBlockInput('');
-                }
-            }
+        if (otherList.includes(value)) {
+            setInputError({ type: listType, msg: `${display} is already in your ${otherListType === 'allow' ? 'Allow' : 'Block'} list.` });
+            return;
         }
-        else {
-            setInputError({ type: listType, msg: `Invalid domain. Try 'example.com'.` });
+
+        const existingType = ownList.includes(value) ? getPatternType(value, listPatternTypes[listType][value]) : null;
+        if (!existingType || existingType !== type) {
+            setOwnList(existingType ? ownList : [...ownList, value].sort());
+            setListPatternTypes(prev => ({ ...prev, [listType]: { ...prev[listType], [value]: type } }));
+            setSaveStatus('saving'); // Immediate "Listening" feedback
         }
+        setOwnInput('');
     };
 
     // --- Remove Domain Handler (Auto-save) ---
@@ -1491,6 +2209,139 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
         }
     };
 
+    // --- Bulk Add Handler (Auto-save) ---
+    // Entries come pre-validated from BulkListModal's preview: [{ list, value, type }]
+    const handleBulkAddDomains = (entries) => {
+        if (isStrictModeActive || entries.length === 0) return;
+
+        const addTo = (list, current) => {
+            const additions = entries.filter(e => e.list === list && !current.includes(e.value)).map(e => e.value);
+            return additions.length > 0 ? [...current, ...additions].sort() : current;
+        };
+        setAllowListArray(prev => addTo('allow', prev));
+        setBlockListArray(prev => addTo('block', prev));
+        setListPatternTypes(prev => {
+            const next = { allow: { ...prev.allow }, block: { ...prev.block } };
+            entries.forEach(e => { next[e.list][e.value] = e.type; });
+            return next;
+        });
+        pendingRevisionSource.current = 'import';
+        setSaveStatus('saving'); // Immediate "Listening" feedback
+        showToast(`Added ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to your lists.`);
+    };
+
+    // --- Restore Revision Handler ---
+    const handleRestoreRevision = async (revision) => {
+        if (isStrictModeActive) {
+            throw new Error('Cannot restore during Strict Mode.');
+        }
+
+        const restored = {
+            prompt: revision.prompt || '',
+            blocked_categories: revision.blocked_categories || {},
+            allow_list: revision.allow_list || [],
+            block_list: revision.block_list || [],
+            list_pattern_types: revision.list_pattern_types || { allow: {}, block: {} }
+        };
+
+        setMainPrompt(restored.prompt);
+        setBlockedCategories(restored.blocked_categories);
+        setAllowListArray(restored.allow_list);
+        setBlockListArray(restored.block_list);
+        setListPatternTypes(restored.list_pattern_types);
+
+        await saveToSupabase(restored, undefined, 'restore');
+        showToast(`Restored rules from ${new Date(revision.created_at).toLocaleString()}`);
+    };
+
+    // --- Account Backup ---
+    const handleCreateBackup = async ({ password, includeActivityLog }) => {
+        const activityLog = includeActivityLog ? await fetchBlockLogsFromExtension() : null;
+        let backup;
+        try {
+            backup = await collectBackup(session.user.id, { settings: userSettings, activityLog });
+        } catch (err) {
+            if (err instanceof DecryptionError) {
+                throw new Error('Some of your rules or presets could not be decrypted, so no backup was made. Recover them first, then try again.', { cause: err });
+            }
+            throw err;
+        }
+        downloadBackup(await encryptBackup(backup, password));
+    };
+
+    // parts: which sections of the backup to write ('rules', 'presets', 'settings', 'activityLog').
+    // Returns a summary for the wizard's final step.
+    // Server writes (presets, then rules) go first; settings and the activity log are local and can't fail.
+    // A failure part-way throws with what was already restored.
+    const handleRestoreBackup = async (backup, parts) => {
+        if (isStrictModeActive && (parts.includes('rules') || parts.includes('presets'))) {
+            throw new Error('Rules and presets cannot be restored during Strict Mode.');
+        }
+        const userId = session.user.id;
+        const restored = [];
+        const partialError = (message) => new Error(restored.length ? `Restored ${restored.join(', ')}, but ${message}` : message);
+
+        let presetIds = new Map();
+        if (parts.includes('presets')) {
+            try {
+                presetIds = await restorePresets(backup.presets, userId, presets);
+            } finally {
+                fetchPresets();
+            }
+            restored.push(`${presetIds.size} preset${presetIds.size === 1 ? '' : 's'}`);
+        }
+
+        if (parts.includes('rules') && backup.rules) {
+            const activeName = backup.active_preset_name?.toLowerCase();
+            const activeId = activeName
+                ? presetIds.get(activeName) ?? presets.find(p => p.name.toLowerCase() === activeName)?.id ?? null
+                : null;
+
+            setMainPrompt(backup.rules.prompt);
+            setBlockedCategories(backup.rules.blocked_categories);
+            setAllowListArray(backup.rules.allow_list);
+            setBlockListArray(backup.rules.block_list);
+            setListPatternTypes(backup.rules.list_pattern_types);
+            setActivePreset(activeId ? { id: activeId, name: backup.active_preset_name } : null);
+
+            const saveResult = await saveToSupabase(backup.rules, activeId, 'restore');
+            if (saveResult === 'conflict') throw partialError('your rules changed on another device. Review them in the merge view.');
+            if (saveResult === 'error') throw partialError('your rules could not be saved. They are shown in the editor; try saving again.');
+            restored.push(saveResult === 'queued' ? 'your rules (saved once you are back online)' : 'your rules');
+        }
+
+        if (parts.includes('settings')) {
+            // Strict Mode and accountability settings stay as they are while strict mode is active
+            const sections = SETTINGS_SECTIONS
+                .filter(section => !(isStrictModeActive && section.strictModeLocked))
+                .map(section => section.id);
+            const newSettings = applySettingsImport(userSettings, backup.settings, sections, { strictModeActive: isStrictModeActive });
+            setUserSettings(newSettings);
+            localStorage.setItem('beacon_userSettings', JSON.stringify(newSettings));
+            restored.push('your settings');
+        }
+
+        if (parts.includes('activityLog') && backup.activity_log) {
+            importBlockLogToExtension(backup.activity_log);
+            restored.push(`${backup.activity_log.length} activity log entr${backup.activity_log.length === 1 ? 'y' : 'ies'}`);
+        }
+
+        return `Restored ${restored.join(', ')}.`;
+    };
+
+    // --- Apply Merged Settings Handler (Auto-save) ---
+    // `merged` comes from PresetDiffModal after picking "keep mine / take preset" per hunk
+    const handleApplyMergedRules = (merged) => {
+        if (isStrictModeActive) return;
+
+        setMainPrompt(merged.prompt);
+        setBlockedCategories(merged.blocked_categories);
+        setAllowListArray(merged.allow_list);
+        setBlockListArray(merged.block_list);
+        setListPatternTypes(merged.list_pattern_types);
+        setSaveStatus('saving'); // Immediate "Listening" feedback
+    };
+
     // --- Clear List Handler (Auto-save) ---
     const handleClearList = (listType) => {
         // Block clearing lists during strict mode (UI already disables buttons, this is a safeguard)
@@ -1521,12 +2372,14 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
     // --- Debounced Global Auto-Save ---
     useEffect(() => {
         const timer = setTimeout(() => {
-            if (!loading && session?.user) {
+            // Hold edits while a conflict or remote change is waiting to be merged
+            if (!loading && session?.user && !saveConflict && !remoteRulesChange) {
                 const currentConfig = {
                     prompt: mainPrompt,
                     blocked_categories: blockedCategories,
                     allow_list: allowListArray,
-                    block_list: blockListArray
+                    block_list: blockListArray,
+                    list_pattern_types: listPatternTypes
                 };
 
                 // Optimization: Don't save if matches checkpoint
@@ -1536,12 +2389,13 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                     return;
                 }
 
-                saveToSupabase(currentConfig);
+                saveToSupabase(currentConfig, undefined, pendingRevisionSource.current || 'edit');
+                pendingRevisionSource.current = null;
             }
         }, 1000); // 1 second debounce
 
         return () => clearTimeout(timer);
-    }, [mainPrompt, blockedCategories, allowListArray, blockListArray, loading, session, lastCheckpoint]);
+    }, [mainPrompt, blockedCategories, allowListArray, blockListArray, listPatternTypes, loading, session, lastCheckpoint, saveConflict, remoteRulesChange]);
 
     // --- Render Dashboard UI ---
     return (
@@ -1572,6 +2426,66 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                     </div>
                 </div>
             )}
+            {/* Extension Compatibility Banner */}
+            {unsupportedExtensionFeatures.length > 0 && dismissedCompatVersion !== compatBannerKey && (
+                <div style={{
+                    background: 'linear-gradient(135deg, #fef3c7 0%, #fde68a 100%)',
+                    border: '1px solid #f59e0b',
+                    borderRadius: '12px',
+                    padding: '16px 20px',
+                    marginBottom: '1.5rem',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    boxShadow: '0 2px 8px rgba(245, 158, 11, 0.2)'
+                }}>
+                    <span style={{ fontSize: '24px' }}>🧩</span>
+                    <div style={{ flex: 1 }}>
+                        <p style={{ margin: 0, fontWeight: '600', color: '#92400e' }}>
+                            Your Beacon Blocker extension{extensionInfo?.version ? ` (v${extensionInfo.version})` : ''} needs an update
+                        </p>
+                        <p style={{ margin: '4px 0 0', fontSize: '0.9rem', color: '#a16207' }}>
+                            These features won't work until it's updated: {unsupportedExtensionFeatures.join(', ')}.
+                        </p>
+                    </div>
+                    <button
+                        className="neutral-button"
+                        onClick={() => {
+                            localStorage.setItem('beacon_compatBannerDismissed', compatBannerKey);
+                            setDismissedCompatVersion(compatBannerKey);
+                        }}
+                    >
+                        Dismiss
+                    </button>
+                </div>
+            )}
+
+            {/* Remote Change Banner */}
+            {remoteRulesChange && (
+                <div style={{
+                    background: 'linear-gradient(135deg, #dbeafe 0%, #bfdbfe 100%)',
+                    border: '1px solid #3b82f6',
+                    borderRadius: '12px',
+                    padding: '16px 20px',
+                    marginBottom: '1.5rem',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    boxShadow: '0 2px 8px rgba(59, 130, 246, 0.2)'
+                }}>
+                    <span style={{ fontSize: '24px' }}>🔄</span>
+                    <div style={{ flex: 1 }}>
+                        <p style={{ margin: 0, fontWeight: '600', color: '#1e3a8a' }}>
+                            Your rules were changed in another tab or device
+                        </p>
+                        <p style={{ margin: '4px 0 0', fontSize: '0.9rem', color: '#1d4ed8' }}>
+                            You have unsaved edits here. Merge them with the new version or switch to it.
+                        </p>
+                    </div>
+                    <button className="primary-button" onClick={handleReviewRemoteChange}>Review & Merge</button>
+                    <button className="neutral-button" onClick={handleDiscardLocalEdits}>Use Their Version</button>
+                </div>
+            )}
             {userSettings.showEnvironment && (
                 <>
                     <div className="environmental-clouds">
@@ -1719,7 +2633,9 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                     ? (extensionStatus === 'logged_out' ? 'Extension Disconnected' : 'Extension Not Detected')
                                     : saveStatus === 'saving' ? 'Saving Changes...'
                                         : saveStatus === 'saved' ? 'Changes Saved'
-                                            : 'Extension Active'}
+                                            : saveStatus === 'queued' ? 'Saved Offline'
+                                                : saveStatus === 'conflict' ? 'Changes Need Review'
+                                                    : 'Extension Active'}
                             </div>
                             <div style={{ fontSize: '0.8rem', opacity: 0.9 }}>
                                 {extensionStatus !== 'active' && extensionStatus !== 'loading'
@@ -1728,7 +2644,9 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         : 'Please install or reload the extension.')
                                     : saveStatus === 'saving' ? 'Syncing your rules...'
                                         : saveStatus === 'saved' ? 'Your beacon is up to date.'
-                                            : 'Your beacon is on and guiding the way.'}
+                                            : saveStatus === 'queued' ? 'Your edits are stored on this device and will sync when the connection is back.'
+                                                : saveStatus === 'conflict' ? 'Your rules changed on another device. Merge them to continue.'
+                                                    : 'Your beacon is on and guiding the way.'}
                             </div>
                         </div>
 
@@ -1786,6 +2704,17 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                         />
                     )}
 
+                    {/* Pause countdown */}
+                    {userSettings.blockingPaused && (
+                        <PauseTimer
+                            endTime={userSettings.blockingPausedUntil}
+                            onClick={() => {
+                                setSettingsInitialTab('blocking');
+                                setIsSettingsModalOpen(true);
+                            }}
+                        />
+                    )}
+
                     {/* Referral Banner */}
                     <ReferralBanner
                         session={session}
@@ -1845,6 +2774,21 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                     onRestartTour={onRestartTour}
                     theme={theme}
                     onThemeChange={onThemeChange}
+                    extensionSupport={extensionSupport}
+                    extensionStatus={extensionStatus}
+                    extensionInfo={extensionInfo}
+                    onPause={handlePause}
+                    onResume={handleResume}
+                    onOpenBackup={(mode) => {
+                        setIsSettingsModalOpen(false);
+                        setBackupModalMode(mode);
+                    }}
+                    onEncryptionChanged={() => {
+                        // Keys or storage form changed: re-share keys and have the extension reload its rules
+                        shareEncryptionKeys(session.user.id);
+                        fetchPresets();
+                        extensionBridge.send('rulesUpdated');
+                    }}
                 />
 
                 <UnloadPresetModal
@@ -1874,15 +2818,11 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                             </h4>
                             <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
                                 Beacon Blocker is not currently blocking any content. All pages will load normally.
+                                {userSettings.blockingPausedUntil && ` Resumes automatically: ${formatSwitchTime(new Date(userSettings.blockingPausedUntil))}.`}
                             </p>
                         </div>
                         <button
-                            onClick={() => {
-                                // Sync to extension FIRST (before state update hides banner)
-                                syncPauseToExtension(false);
-                                setUserSettings(prev => ({ ...prev, blockingPaused: false }));
-                                localStorage.setItem('beacon_userSettings', JSON.stringify({ ...userSettings, blockingPaused: false }));
-                            }}
+                            onClick={handleResume}
                             style={{
                                 padding: '8px 16px',
                                 borderRadius: '6px',
@@ -1975,9 +2915,15 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                         <div style={{ display: 'flex', alignItems: 'center', gap: '15px', marginTop: '0.5rem' }}>
                             {(() => {
                                 const isDisconnected = extensionStatus !== 'active' && extensionStatus !== 'loading';
-                                const dotColor = isDisconnected ? '#ef4444' : saveStatus === 'saving' ? '#eab308' : '#22c55e';
-                                const textColor = isDisconnected ? '#ef4444' : saveStatus === 'saving' ? '#eab308' : 'var(--text-secondary)';
-                                const label = isDisconnected ? 'Extension disconnected' : saveStatus === 'saving' ? 'Syncing...' : 'Auto-synced';
+                                const isPendingSync = saveStatus === 'queued' || saveStatus === 'conflict' || saveStatus === 'error';
+                                const dotColor = isDisconnected || isPendingSync ? '#ef4444' : saveStatus === 'saving' ? '#eab308' : '#22c55e';
+                                const textColor = isDisconnected || isPendingSync ? '#ef4444' : saveStatus === 'saving' ? '#eab308' : 'var(--text-secondary)';
+                                const label = isDisconnected ? 'Extension disconnected'
+                                    : saveStatus === 'saving' ? 'Syncing...'
+                                        : saveStatus === 'queued' ? 'Offline, will retry'
+                                            : saveStatus === 'conflict' ? 'Sync conflict'
+                                                : saveStatus === 'error' ? 'Sync failed'
+                                                    : 'Auto-synced';
                                 return (
                                     <span style={{
                                         fontSize: '0.7rem',
@@ -2075,8 +3021,54 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                 >
                                     Load Preset
                                 </button>
+
+                                {/* --- SCHEDULE BUTTON --- */}
+                                <button
+                                    className="preset-button"
+                                    onClick={() => setIsScheduleModalOpen(true)}
+                                    title="Switch presets automatically by time of day"
+                                >
+                                    Schedule
+                                </button>
+
+                                {/* --- DEVICES BUTTON --- */}
+                                <button
+                                    className="preset-button"
+                                    onClick={() => setIsDevicesModalOpen(true)}
+                                    title="See and manage the browsers where the extension is signed in"
+                                >
+                                    Devices
+                                </button>
+
+                                {/* --- HISTORY BUTTON --- */}
+                                <button
+                                    className="preset-button"
+                                    onClick={() => setIsRulesHistoryOpen(true)}
+                                    title="See and restore earlier versions of your rules"
+                                >
+                                    History
+                                </button>
+
+                                {/* --- COMPARE BUTTON --- */}
+                                <button
+                                    className="preset-button"
+                                    onClick={() => setIsPresetDiffOpen(true)}
+                                    disabled={presets.length === 0}
+                                    title={activePreset && isPresetModified ? `See what changed since "${activePreset.name}"` : 'Compare your settings with a preset'}
+                                    style={presets.length === 0 ? { opacity: 0.5, cursor: 'not-allowed' } : {}}
+                                >
+                                    Compare
+                                </button>
                             </div>
                         </div>
+
+                        {/* Next scheduled switch indicator */}
+                        {nextScheduleSwitch && nextSchedulePreset && (
+                            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '0.4rem', opacity: 0.8 }}>
+                                Next switch: {formatSwitchTime(nextScheduleSwitch.at, scheduleNow)} → <strong>{nextSchedulePreset.name}</strong>
+                                {isStrictModeActive && ' (paused during Strict Mode)'}
+                            </div>
+                        )}
                         <style>{`
                         @keyframes pulse {
                             0% { box-shadow: 0 0 0 0 rgba(16, 185, 129, 0.7); }
@@ -2194,7 +3186,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         </div>
                                         <div className="tag-input-wrapper">
                                             <input type="text" id="allowInput" className="tag-input-field"
-                                                placeholder={isStrictModeActive ? "Locked during Strict Mode" : "example.com"}
+                                                placeholder={isStrictModeActive ? "Locked during Strict Mode" : "example.com, *.site.com, site.com/path/*"}
                                                 autoComplete="off"
                                                 value={currentAllowInput}
                                                 onChange={(e) => { setCurrentAllowInput(e.target.value); setInputError({ type: null, msg: null }); }}
@@ -2208,8 +3200,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         {inputError.type === 'allow' && <div className="input-error-msg">{inputError.msg}</div>}
                                         <div className="tag-list">
                                             {allowListArray.map((domain) => (
-                                                <span key={domain} className="tag-item allow-tag">
-                                                    {domain}
+                                                <span key={domain} className="tag-item allow-tag" title={PATTERN_TYPES[getPatternType(domain, listPatternTypes.allow[domain])].label}>
+                                                    {formatPattern(domain, listPatternTypes.allow[domain])}
                                                     <button type="button" className="tag-remove-button"
                                                         onClick={() => handleRemoveDomain('allow', domain)} aria-label={`Remove ${domain}`}
                                                         disabled={isStrictModeActive}
@@ -2238,7 +3230,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         </div>
                                         <div className="tag-input-wrapper">
                                             <input type="text" id="blockInput" className="tag-input-field"
-                                                placeholder={isStrictModeActive ? "Locked during Strict Mode" : "example.com"}
+                                                placeholder={isStrictModeActive ? "Locked during Strict Mode" : "example.com, *.site.com, site.com/path/*"}
                                                 autoComplete="off"
                                                 value={currentBlockInput}
                                                 onChange={(e) => { setCurrentBlockInput(e.target.value); setInputError({ type: null, msg: null }); }}
@@ -2252,8 +3244,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         {inputError.type === 'block' && <div className="input-error-msg">{inputError.msg}</div>}
                                         <div className="tag-list">
                                             {blockListArray.map((domain) => (
-                                                <span key={domain} className="tag-item block-tag">
-                                                    {domain}
+                                                <span key={domain} className="tag-item block-tag" title={PATTERN_TYPES[getPatternType(domain, listPatternTypes.block[domain])].label}>
+                                                    {formatPattern(domain, listPatternTypes.block[domain])}
                                                     <button type="button" className="tag-remove-button"
                                                         onClick={() => handleRemoveDomain('block', domain)} aria-label={`Remove ${domain}`}
                                                         disabled={isStrictModeActive}
@@ -2263,6 +3255,14 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                         </div>
                                     </div>
                                 </div>
+                                <button type="button" className="examples-toggle" style={{ marginTop: '1rem', marginRight: '1rem' }} onClick={() => setIsBulkListModalOpen(true)}>
+                                    Bulk import / export
+                                </button>
+                                <ListPatternHelp
+                                    allowList={allowListArray}
+                                    blockList={blockListArray}
+                                    patternTypes={listPatternTypes}
+                                />
                             </div>
                         )}
                     </div>
@@ -2332,7 +3332,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                             }
                                             // Helper to get brand style
                                             const getLogStyle = (domain) => {
-                                                const baseDomain = domain.split('.').slice(-2).join('.');
+                                                const baseDomain = getBaseDomain(domain);
                                                 return BRAND_COLORS[domain] || BRAND_COLORS[baseDomain];
                                             };
 
@@ -2409,7 +3409,7 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                                         </div>
                                                         <div className="log-details" style={{ minWidth: 0 }}>
                                                             <span className="log-url" title={log.url} style={{ display: 'block', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                                                                {log.page_title || log.domain || 'Unknown Page'}
+                                                                {log.page_title || toUnicodeHost(log.domain) || 'Unknown Page'}
                                                             </span>
                                                             <span className="log-meta" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                                                 <span>
@@ -2463,10 +3463,10 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                                                     className="history-link-button"
                                                                     onClick={(e) => {
                                                                         e.stopPropagation();
-                                                                        if (onOpenHistoryWithSearch) onOpenHistoryWithSearch(log.domain);
+                                                                        if (onOpenHistoryWithSearch) onOpenHistoryWithSearch(log.site || log.domain);
                                                                     }}
                                                                 >
-                                                                    View all from {log.domain}
+                                                                    View all from {toUnicodeHost(log.site || log.domain)}
                                                                 </button>
                                                                 {log.active_prompt && (
                                                                     <button
@@ -2487,6 +3487,8 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                                                                         const timestamp = parseInt(log.id.split('-')[1]);
                                                                         handleDeleteFromRecent(log.id, timestamp);
                                                                     }}
+                                                                    disabled={!extensionSupport.deleteLog}
+                                                                    title={extensionSupport.deleteLog ? undefined : 'Update the extension to delete single entries'}
                                                                     style={logDeleteConfirmId === log.id ? {
                                                                         color: '#fff',
                                                                         borderColor: '#dc2626',
@@ -2525,10 +3527,130 @@ function Dashboard({ session, onReportBug, onOpenHistory, onOpenHistoryWithSearc
                     isOpen={isPresetsModalOpen}
                     onClose={() => setIsPresetsModalOpen(false)}
                     presets={presets}
+                    lockedPresets={lockedPresets}
                     activePresetId={activePreset?.id}
                     onLoad={handleLoadPreset}
                     onRename={handleRenamePreset}
                     onDelete={handleDeletePreset}
+                    onRetryLocked={handleRetryDecrypt}
+                    onRekeyLocked={handleRekeyDecrypt}
+                    isStrictModeActive={isStrictModeActive}
+                />
+
+                <ScheduleModal
+                    isOpen={isScheduleModalOpen}
+                    onClose={() => setIsScheduleModalOpen(false)}
+                    presets={presets}
+                    blocks={scheduleBlocks}
+                    onSave={handleSaveSchedule}
+                    isStrictModeActive={isStrictModeActive}
+                />
+
+                <DevicesModal
+                    isOpen={isDevicesModalOpen}
+                    onClose={() => setIsDevicesModalOpen(false)}
+                    devices={devices}
+                    thisDeviceId={isDevicesModalOpen ? readThisDeviceId() : null}
+                    presets={presets}
+                    activePresetName={activePreset?.name}
+                    onDevicesChanged={loadDevices}
+                    onPresetOverrideChanged={notifyRulesUpdated}
+                    isStrictModeActive={isStrictModeActive}
+                    pauseBudgetMinutes={userSettings.dailyPauseBudgetMinutes ?? 0}
+                />
+
+                <RulesHistoryModal
+                    isOpen={isRulesHistoryOpen}
+                    onClose={() => setIsRulesHistoryOpen(false)}
+                    userId={session?.user?.id}
+                    categoryLabels={Object.fromEntries(BLOCKED_CATEGORIES.map(c => [c.id, c.label]))}
+                    onRestore={handleRestoreRevision}
+                    isStrictModeActive={isStrictModeActive}
+                />
+
+                <PresetDiffModal
+                    isOpen={isPresetDiffOpen}
+                    onClose={() => setIsPresetDiffOpen(false)}
+                    currentRules={{
+                        prompt: mainPrompt,
+                        blocked_categories: blockedCategories,
+                        allow_list: allowListArray,
+                        block_list: blockListArray,
+                        list_pattern_types: listPatternTypes
+                    }}
+                    presets={presets}
+                    activePresetId={activePreset?.id}
+                    categoryLabels={Object.fromEntries(BLOCKED_CATEGORIES.map(c => [c.id, c.label]))}
+                    onApply={handleApplyMergedRules}
+                    isStrictModeActive={isStrictModeActive}
+                />
+
+                <EncryptionUnlockModal
+                    isOpen={encryptionLocked}
+                    userId={session?.user?.id}
+                    onUnlocked={() => {
+                        setEncryptionLocked(false);
+                        setEncryptionEpoch(prev => prev + 1);
+                    }}
+                    onSignOut={() => handleSignOut(true)}
+                />
+
+                {rulesDecryptError && !encryptionLocked && (
+                    <div className="modal-overlay">
+                        <div className="modal-content" style={{ maxWidth: '480px', height: 'auto', minHeight: 'auto' }}>
+                            <div className="modal-header">
+                                <h2>Can't Decrypt Your Rules</h2>
+                            </div>
+                            <div style={{ padding: '1rem 0' }}>
+                                <DecryptionRecovery
+                                    error={rulesDecryptError}
+                                    itemLabel={rulesDecryptSource === 'outbox' ? 'Your unsynced edits' : 'Your saved rules'}
+                                    onRetry={handleRetryDecrypt}
+                                    onRekey={handleRekeyDecrypt}
+                                    onDiscard={handleDiscardUndecryptableRules}
+                                    discardLabel={rulesDecryptSource === 'outbox' ? 'Discard Unsynced Edits' : 'Start Over'}
+                                    discardDisabledReason={isStrictModeActive ? 'Rules are locked during Strict Mode' : null}
+                                />
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                <SaveConflictModal
+                    conflict={saveConflict}
+                    onResolve={handleResolveConflict}
+                    categoryLabels={Object.fromEntries(BLOCKED_CATEGORIES.map(c => [c.id, c.label]))}
+                />
+
+                <AccountBackupModal
+                    isOpen={!!backupModalMode}
+                    initialMode={backupModalMode || 'backup'}
+                    onClose={() => setBackupModalMode(null)}
+                    current={{
+                        rules: {
+                            prompt: mainPrompt,
+                            blocked_categories: blockedCategories,
+                            allow_list: allowListArray,
+                            block_list: blockListArray,
+                            list_pattern_types: listPatternTypes
+                        },
+                        presets,
+                        settings: userSettings
+                    }}
+                    onCreateBackup={handleCreateBackup}
+                    onRestore={handleRestoreBackup}
+                    canRestoreActivityLog={extensionSupport.importBlockLog}
+                    isStrictModeActive={isStrictModeActive}
+                    categoryLabels={Object.fromEntries(BLOCKED_CATEGORIES.map(c => [c.id, c.label]))}
+                />
+
+                <BulkListModal
+                    isOpen={isBulkListModalOpen}
+                    onClose={() => setIsBulkListModalOpen(false)}
+                    allowList={allowListArray}
+                    blockList={blockListArray}
+                    patternTypes={listPatternTypes}
+                    onApply={handleBulkAddDomains}
                     isStrictModeActive={isStrictModeActive}
                 />
 
@@ -2975,6 +4097,11 @@ const areSettingsEqual = (config1, config2) => {
     if (normalize(sortList(config1.allow_list)) !== normalize(sortList(config2.allow_list))) return false;
     if (normalize(sortList(config1.block_list)) !== normalize(sortList(config2.block_list))) return false;
 
+    // Compare pattern types of the entries still in the lists
+    const types1 = prunePatternTypes(config1.list_pattern_types, sortList(config1.allow_list), sortList(config1.block_list));
+    const types2 = prunePatternTypes(config2.list_pattern_types, sortList(config2.allow_list), sortList(config2.block_list));
+    if (normalize(types1) !== normalize(types2)) return false;
+
     return true;
 };
 
@@ -3047,6 +4174,38 @@ function StrictModeTimer({ endTime, isIndefinite, onExpire, onClick }) {
     );
 }
 
+// Header countdown for a timed pause (resuming is handled by the Dashboard)
+function PauseTimer({ endTime, onClick }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!endTime) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [endTime]);
+
+    return (
+        <div
+            onClick={onClick}
+            title="Blocking is paused. Click to manage."
+            style={{
+                cursor: 'pointer',
+                padding: '6px 14px',
+                borderRadius: '999px',
+                border: '2px solid #eab308',
+                background: 'rgba(234, 179, 8, 0.15)',
+                color: '#ca8a04',
+                fontWeight: '700',
+                fontSize: '0.9rem',
+                fontVariantNumeric: 'tabular-nums',
+                whiteSpace: 'nowrap'
+            }}
+        >
+            {endTime ? `Paused · ${formatPauseRemaining(endTime - now)}` : 'Paused'}
+        </div>
+    );
+}
+
 export default function App() {
     const [session, setSession] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -3054,7 +4213,7 @@ export default function App() {
     const [isBugReportModalOpen, setIsBugReportModalOpen] = useState(false);
     const [isFeatureModalOpen, setIsFeatureModalOpen] = useState(false);
 
-    const [isHistoryModalOpen, setIsHistoryModalOpen] = useState(false);
+    const [isHistoryModalOpen, setIsHistoryModalOpen] = useState(() => isHistoryOpenInUrl()); // Bookmarked activity view
     const [initialSearchTerm, setInitialSearchTerm] = useState('');
 
     const [dashboardKey, setDashboardKey] = useState(0); // Key to force Dashboard refresh
@@ -3084,6 +4243,8 @@ export default function App() {
     // --- Extension Status State ---
     const [extensionStatus, setExtensionStatus] = useState('loading'); // 'loading', 'active', 'not_installed', 'logged_out'
     const prevExtensionStatus = useRef('loading');
+    const [extensionInfo, setExtensionInfo] = useState(null); // { version, protocol, capabilities } (see extensionCompat.js)
+    const extensionSupport = getExtensionSupport(extensionInfo);
 
     // --- Track Extension Disable/Enable for Analytics ---
     const trackExtensionStatusChange = useCallback(async (newStatus, oldStatus) => {
@@ -3134,10 +4295,20 @@ export default function App() {
             // Track status changes for analytics
             if (newStatus !== prevExtensionStatus.current) {
                 trackExtensionStatusChange(newStatus, prevExtensionStatus.current);
+
+                // (Re)agree on a protocol version whenever the extension appears, e.g. after an update
+                if (newStatus !== 'not_installed' && (prevExtensionStatus.current === 'not_installed' || prevExtensionStatus.current === 'loading')) {
+                    extensionBridge.reset();
+                    extensionBridge.negotiate().then(checkExtension);
+                }
                 prevExtensionStatus.current = newStatus;
             }
 
             setExtensionStatus(newStatus);
+
+            // Version and capabilities for the compatibility matrix (only re-render when they change)
+            const info = mergeExtensionInfo(readExtensionInfo(), extensionBridge.getProtocol());
+            setExtensionInfo(prev => JSON.stringify(prev) === JSON.stringify(info) ? prev : info);
         };
 
         // Check immediately
@@ -3182,9 +4353,7 @@ export default function App() {
         if (theme === 'system') {
             resolvedTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
         }
-        document.dispatchEvent(new CustomEvent('BEACON_THEME_SYNC', {
-            detail: { theme: resolvedTheme }
-        }));
+        extensionBridge.send('syncTheme', { theme: resolvedTheme });
 
         // Listen for system changes if in system mode
         if (theme === 'system') {
@@ -3250,12 +4419,10 @@ export default function App() {
             }
             lastSyncedAuthToken = session.access_token;
 
-            document.dispatchEvent(new CustomEvent('BEACON_AUTH_SYNC', {
-                detail: {
-                    token: session.access_token,
-                    email: session.user.email
-                }
-            }));
+            extensionBridge.send('syncAuth', {
+                token: session.access_token,
+                email: session.user.email
+            });
         }
     };
 
@@ -3327,7 +4494,7 @@ export default function App() {
                 }
             } else {
                 // Dispatch Logout Event to Extension
-                document.dispatchEvent(new CustomEvent('BEACON_AUTH_LOGOUT'));
+                extensionBridge.send('logout');
             }
         });
 
@@ -3410,6 +4577,7 @@ export default function App() {
                         theme={theme}
                         onThemeChange={setTheme}
                         extensionStatus={extensionStatus}
+                        extensionInfo={extensionInfo}
                         onRestartTour={handleRestartTour}
                         showSubscriptionModal={showSubscriptionModal}
                         onSubscriptionModalShown={() => setShowSubscriptionModal(false)}
@@ -3425,7 +4593,7 @@ export default function App() {
                 </div>
             )}
             <FullHistoryModal
-                isOpen={isHistoryModalOpen}
+                isOpen={isHistoryModalOpen && !!session}
                 onClose={() => { setIsHistoryModalOpen(false); setInitialSearchTerm(''); }}
                 userId={session?.user?.id}
                 getFaviconUrl={getFaviconUrl}
@@ -3433,6 +4601,8 @@ export default function App() {
                 onReportBug={() => setIsBugReportModalOpen(true)}
                 onShareFeature={() => setIsFeatureModalOpen(true)}
                 onHistoryCleared={handleHistoryCleared}
+                extensionSupport={extensionSupport}
+                categoryLabels={HISTORY_CATEGORY_LABELS}
             />
             <BugReportModal
                 isOpen={isBugReportModalOpen}
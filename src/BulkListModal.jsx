@@ -0,0 +1,236 @@
+import { useState, useEffect, useRef } from 'react';
+import './Dashboard.css';
+import {
+    LIST_FORMATS,
+    detectListFormat,
+    parseListText,
+    buildImportPreview,
+    exportLists,
+    getExportFilename
+} from './listFormats.js';
+
+const STATUS_STYLES = {
+    new: { label: 'Add', color: '#16a34a' },
+    retype: { label: 'Update', color: '#2563eb' },
+    duplicate: { label: 'Duplicate', color: '#64748b' },
+    conflict: { label: 'Conflict', color: '#dc2626' },
+    invalid: { label: 'Invalid', color: '#dc2626' },
+    skipped: { label: 'Skipped', color: '#d97706' }
+};
+
+// Bulk editor for the Always Allow / Always Block lists: paste or upload, preview, then add
+export default function BulkListModal({ isOpen, onClose, allowList, blockList, patternTypes, onApply, isStrictModeActive, initialList = 'block' }) {
+    const [mode, setMode] = useState('import'); // 'import' | 'export'
+    const [targetList, setTargetList] = useState(initialList);
+    const [importFormat, setImportFormat] = useState('auto');
+    const [importText, setImportText] = useState('');
+    const [exportFormat, setExportFormat] = useState('text');
+    const [exportList, setExportList] = useState('both');
+    const [copied, setCopied] = useState(false);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setMode(isStrictModeActive ? 'export' : 'import');
+            setTargetList(initialList);
+            setImportText('');
+            setImportFormat('auto');
+            setCopied(false);
+        }
+    }, [isOpen, initialList, isStrictModeActive]);
+
+    if (!isOpen) return null;
+
+    const resolvedFormat = importFormat === 'auto' ? detectListFormat(importText) : importFormat;
+    const preview = importText.trim()
+        ? buildImportPreview(parseListText(importText, resolvedFormat), targetList, { allowList, blockList, patternTypes })
+        : [];
+    const applicable = preview.filter(item => item.status === 'new' || item.status === 'retype');
+    const counts = preview.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+
+    const exportText = exportLists(exportFormat, { allowList, blockList, patternTypes }, exportFormat === 'hosts' ? 'block' : exportList);
+
+    const handleFileUpload = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            setImportText(event.target.result);
+            if (file.name.toLowerCase().endsWith('.csv')) setImportFormat('csv');
+        };
+        reader.readAsText(file);
+        e.target.value = ''; // Allow re-uploading the same file
+    };
+
+    const handleApply = () => {
+        if (applicable.length === 0 || isStrictModeActive) return;
+        onApply(applicable.map(({ list, value, type }) => ({ list, value, type })));
+        onClose();
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(exportText);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy:', err);
+        }
+    };
+
+    const handleDownload = () => {
+        const dataBlob = new Blob([exportText], { type: LIST_FORMATS[exportFormat].mime });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getExportFilename(exportFormat, exportFormat === 'hosts' ? 'block' : exportList);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', minWidth: '640px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Bulk Edit Lists</h2>
+                    <button className="modal-close-button" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    <div style={{ display: 'flex', gap: '8px', marginBottom: '1rem' }}>
+                        <button
+                            className={`preset-btn ${mode === 'import' ? 'active' : ''}`}
+                            onClick={() => setMode('import')}
+                            disabled={isStrictModeActive}
+                            title={isStrictModeActive ? 'Locked during Strict Mode' : ''}
+                        >
+                            Import
+                        </button>
+                        <button className={`preset-btn ${mode === 'export' ? 'active' : ''}`} onClick={() => setMode('export')}>
+                            Export
+                        </button>
+                    </div>
+
+                    {mode === 'import' ? (
+                        <>
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>Add to</label>
+                                <select className="settings-input" value={targetList} onChange={(e) => setTargetList(e.target.value)} style={{ width: 'auto' }}>
+                                    <option value="allow">Always Allow</option>
+                                    <option value="block">Always Block</option>
+                                </select>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>Format</label>
+                                <select className="settings-input" value={importFormat} onChange={(e) => setImportFormat(e.target.value)} style={{ width: 'auto' }}>
+                                    <option value="auto">Auto-detect{importText.trim() && importFormat === 'auto' ? ` (${LIST_FORMATS[resolvedFormat].label})` : ''}</option>
+                                    {Object.entries(LIST_FORMATS).map(([id, format]) => (
+                                        <option key={id} value={id}>{format.label}</option>
+                                    ))}
+                                </select>
+                                <button className="neutral-button" onClick={() => fileInputRef.current?.click()} style={{ marginLeft: 'auto' }}>
+                                    Upload File
+                                </button>
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    accept=".txt,.csv,.hosts,.list,text/plain,text/csv"
+                                    onChange={handleFileUpload}
+                                    style={{ display: 'none' }}
+                                />
+                            </div>
+                            <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: '0 0 8px 0' }}>
+                                {LIST_FORMATS[resolvedFormat].desc} Entries that name their own list (CSV list column, AdBlock @@ rules, hosts files) go there instead.
+                            </p>
+                            <textarea
+                                className="settings-input"
+                                value={importText}
+                                onChange={(e) => setImportText(e.target.value)}
+                                placeholder={'reddit.com\n*.twitter.com\nyoutube.com/shorts/*'}
+                                rows={8}
+                                style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.85rem', resize: 'vertical', boxSizing: 'border-box' }}
+                            />
+
+                            {preview.length > 0 && (
+                                <>
+                                    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', margin: '12px 0 6px', fontSize: '0.85rem' }}>
+                                        {Object.entries(STATUS_STYLES).filter(([status]) => counts[status]).map(([status, style]) => (
+                                            <span key={status} style={{ color: style.color, fontWeight: 600 }}>
+                                                {counts[status]} {style.label.toLowerCase()}
+                                            </span>
+                                        ))}
+                                    </div>
+                                    <ul className="log-feed-list" style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                                        {preview.map((item, index) => (
+                                            <li key={`${item.line}-${index}`} className="log-item" style={{ padding: '6px 10px', gap: '10px', alignItems: 'center' }}>
+                                                <span style={{ minWidth: '72px', fontSize: '0.75rem', fontWeight: 600, color: STATUS_STYLES[item.status].color }}>
+                                                    {STATUS_STYLES[item.status].label}
+                                                </span>
+                                                <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontFamily: 'monospace', fontSize: '0.85rem' }} title={item.raw}>
+                                                    {item.display || item.raw}
+                                                </span>
+                                                <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                    {item.list === 'allow' ? 'Allow' : 'Block'} · line {item.line}
+                                                </span>
+                                                {item.message && (
+                                                    <span style={{ flexBasis: '100%', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{item.message}</span>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                <button className="neutral-button" onClick={onClose}>Cancel</button>
+                                <button
+                                    className="primary-button"
+                                    onClick={handleApply}
+                                    disabled={applicable.length === 0 || isStrictModeActive}
+                                    style={{ opacity: applicable.length === 0 ? 0.5 : 1 }}
+                                >
+                                    {applicable.length === 0 ? 'Nothing to Add' : `Add ${applicable.length} Entr${applicable.length === 1 ? 'y' : 'ies'}`}
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>Format</label>
+                                <select className="settings-input" value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} style={{ width: 'auto' }}>
+                                    {Object.entries(LIST_FORMATS).map(([id, format]) => (
+                                        <option key={id} value={id}>{format.label}</option>
+                                    ))}
+                                </select>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>Lists</label>
+                                <select
+                                    className="settings-input"
+                                    value={exportFormat === 'hosts' ? 'block' : exportList}
+                                    onChange={(e) => setExportList(e.target.value)}
+                                    disabled={exportFormat === 'hosts'}
+                                    style={{ width: 'auto' }}
+                                >
+                                    <option value="both">Both lists</option>
+                                    <option value="allow">Always Allow</option>
+                                    <option value="block">Always Block</option>
+                                </select>
+                            </div>
+                            <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: '0 0 8px 0' }}>
+                                {LIST_FORMATS[exportFormat].desc}
+                                {!LIST_FORMATS[exportFormat].keepsTypes && ' Pattern types are not kept, so re-importing may change them. Use CSV, plain text or AdBlock for a copy that keeps them.'}
+                            </p>
+                            <textarea
+                                className="settings-input"
+                                value={exportText}
+                                readOnly
+                                rows={12}
+                                style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.85rem', resize: 'vertical', boxSizing: 'border-box' }}
+                            />
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                <button className="neutral-button" onClick={handleCopy}>{copied ? 'Copied!' : 'Copy'}</button>
+                                <button className="primary-button" onClick={handleDownload}>Download</button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
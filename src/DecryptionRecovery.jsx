@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import './Dashboard.css';
+
+const REASON_TEXT = {
+    locked: 'Your encryption passphrase has not been entered in this session.',
+    missing_key: 'It was encrypted with a key this device doesn\'t have, for example one from before your passphrase was changed.',
+    unavailable: 'Your encryption key could not be loaded. Check your connection.',
+    corrupt: 'The stored data doesn\'t match your key. It may have been damaged.'
+};
+
+// Recovery choices for data that could not be decrypted: retry, unlock an older key
+// with the passphrase it was protected by ("re-key"), or discard the data.
+// Used by the dashboard (rules) and the presets list. `discardDisabledReason` disables discarding (e.g. Strict Mode).
+export default function DecryptionRecovery({ error, itemLabel, onRetry, onRekey, onDiscard, discardLabel = 'Discard', discardDisabledReason = null, compact = false }) {
+    const [mode, setMode] = useState(null); // null | 'rekey' | 'discard'
+    const [passphrase, setPassphrase] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const run = async (action) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await action();
+            if (typeof result === 'string') setMessage(result); // Actions return a string to report a problem
+        } catch (err) {
+            console.error('Decryption recovery failed:', err);
+            setMessage(err.message || 'Something went wrong.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const buttonStyle = compact ? { padding: '4px 10px', fontSize: '0.8rem' } : { padding: '8px 16px' };
+
+    return (
+        <div style={{ fontSize: compact ? '0.85rem' : '0.95rem' }}>
+            <p style={{ margin: '0 0 10px 0', color: 'var(--text-secondary)', lineHeight: 1.5 }}>
+                {itemLabel} could not be decrypted. {REASON_TEXT[error?.reason] || REASON_TEXT.corrupt}
+                {' '}Nothing will be saved over it until you choose what to do.
+            </p>
+
+            {mode === 'rekey' && (
+                <form
+                    onSubmit={(e) => { e.preventDefault(); run(() => onRekey(passphrase)); }}
+                    style={{ display: 'flex', gap: '8px', marginBottom: '10px' }}
+                >
+                    <input
+                        type="password"
+                        className="settings-input"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder="Earlier passphrase"
+                        autoFocus
+                        style={{ flex: 1 }}
+                    />
+                    <button type="submit" className="primary-button" disabled={busy || !passphrase} style={buttonStyle}>Unlock</button>
+                </form>
+            )}
+
+            {mode === 'discard' && !discardDisabledReason && (
+                <div className="validation-notification" style={{ marginBottom: '10px' }}>
+                    <span className="validation-text">This permanently removes the encrypted data. It cannot be undone.</span>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                <button className="neutral-button" onClick={() => run(onRetry)} disabled={busy} style={buttonStyle}>
+                    {busy && !mode ? 'Retrying...' : 'Retry'}
+                </button>
+                {onRekey && (
+                    <button className="neutral-button" onClick={() => setMode(mode === 'rekey' ? null : 'rekey')} disabled={busy} style={buttonStyle}>
+                        Use Earlier Passphrase
+                    </button>
+                )}
+                {mode === 'discard' && !discardDisabledReason ? (
+                    <button className="destructive-button confirming" onClick={() => run(onDiscard)} disabled={busy} style={buttonStyle}>
+                        Confirm {discardLabel}
+                    </button>
+                ) : (
+                    <button
+                        className="destructive-button"
+                        onClick={() => setMode('discard')}
+                        disabled={busy || !!discardDisabledReason}
+                        title={discardDisabledReason || undefined}
+                        style={{ ...buttonStyle, ...(discardDisabledReason && { opacity: 0.5, cursor: 'not-allowed' }) }}
+                    >
+                        {discardLabel}
+                    </button>
+                )}
+            </div>
+
+            {message && <div className="input-error-msg" style={{ marginTop: '8px' }}>{message}</div>}
+        </div>
+    );
+}
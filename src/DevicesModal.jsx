@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import './Dashboard.css';
+import {
+    MAX_DEVICE_NAME_LENGTH,
+    renameDevice,
+    setDevicePaused,
+    setDevicePresetOverride,
+    requestDeviceSignOut,
+    deviceLabel,
+    isDeviceOnline
+} from './devices.js';
+import { describeTime } from './extensionDiagnostics.js';
+
+// Browsers where the extension is signed in: rename, pause, sign out and per-device preset overrides
+export default function DevicesModal({ isOpen, onClose, devices, thisDeviceId, presets, activePresetName, onDevicesChanged, onPresetOverrideChanged, isStrictModeActive, pauseBudgetMinutes = 0 }) {
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [signOutConfirmId, setSignOutConfirmId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setEditingId(null);
+            setSignOutConfirmId(null);
+            setError(null);
+            onDevicesChanged();
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const safePresets = (Array.isArray(presets) ? presets : []).filter(p => p && p.id);
+    const now = Date.now();
+
+    // Run one device change, then reload the list (Realtime also delivers the extension's reaction)
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        setError(null);
+        try {
+            await action();
+            await onDevicesChanged();
+            return true;
+        } catch (err) {
+            console.error('Error updating device:', err);
+            setError(err.message || 'Failed to update the device.');
+            return false;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleSaveName = async (id) => {
+        if (await runAction(id, () => renameDevice(id, editName))) setEditingId(null);
+    };
+
+    const handlePresetChange = async (id, presetId) => {
+        if (await runAction(id, () => setDevicePresetOverride(id, presetId))) onPresetOverrideChanged?.();
+    };
+
+    const handleSignOutClick = (id) => {
+        if (signOutConfirmId === id) {
+            setSignOutConfirmId(null);
+            runAction(id, () => requestDeviceSignOut(id));
+        } else {
+            setSignOutConfirmId(id);
+            setTimeout(() => setSignOutConfirmId(null), 3000);
+        }
+    };
+
+    const strictModeTitle = 'Not available during Strict Mode';
+    // Remote pauses are open-ended and can't be counted against the daily pause budget, so a budget
+    // turns them off (resuming stays available)
+    const budgetPauseTitle = 'Remote pauses are off while a daily pause budget is set';
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '80vh', minWidth: '600px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Devices</h2>
+                    <button className="modal-close-button" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-body">
+                    <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: 0 }}>
+                        Every browser where Beacon Blocker is signed in to your account. Changes reach a device the next time it checks in.
+                    </p>
+
+                    {isStrictModeActive && (
+                        <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                            <span className="validation-text">Devices can't be paused, signed out or given a different preset during Strict Mode.</span>
+                        </div>
+                    )}
+                    {!isStrictModeActive && pauseBudgetMinutes > 0 && (
+                        <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: 0 }}>
+                            Devices can't be paused from here while you have a daily pause budget. Pause on the device itself instead.
+                        </p>
+                    )}
+                    {error && (
+                        <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                            <span className="validation-text">{error}</span>
+                        </div>
+                    )}
+
+                    {devices.length === 0 ? (
+                        <div style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-secondary)' }}>
+                            <p>No devices yet.</p>
+                            <p style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}>Sign in to the Beacon Blocker extension and it will appear here.</p>
+                        </div>
+                    ) : (
+                        <ul className="log-feed-list">
+                            {devices.map(device => {
+                                const isThisDevice = device.id === thisDeviceId;
+                                const isSigningOut = !!device.sign_out_requested_at;
+                                const online = isDeviceOnline(device, now);
+                                const locked = isStrictModeActive || isSigningOut || busyId === device.id;
+                                const pauseBlocked = !device.paused && pauseBudgetMinutes > 0;
+                                return (
+                                    <li key={device.id} className="log-item" style={{ display: 'flex', flexDirection: 'column', gap: '10px', padding: '12px', opacity: isSigningOut ? 0.6 : 1 }}>
+                                        {editingId === device.id ? (
+                                            <div style={{ display: 'flex', gap: '8px' }}>
+                                                <input
+                                                    type="text"
+                                                    className="tag-input-field"
+                                                    value={editName}
+                                                    maxLength={MAX_DEVICE_NAME_LENGTH}
+                                                    placeholder={deviceLabel({ ...device, name: null })}
+                                                    onChange={(e) => setEditName(e.target.value)}
+                                                    autoFocus
+                                                    style={{ padding: '6px 10px', fontSize: '0.9rem', flex: 1 }}
+                                                    onKeyDown={(e) => {
+                                                        if (e.key === 'Enter') handleSaveName(device.id);
+                                                        if (e.key === 'Escape') setEditingId(null);
+                                                    }}
+                                                />
+                                                <button className="success-button" onClick={() => handleSaveName(device.id)} disabled={busyId === device.id}>Save</button>
+                                                <button className="neutral-button" onClick={() => setEditingId(null)} style={{ padding: '6px 12px' }}>Cancel</button>
+                                            </div>
+                                        ) : (
+                                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+                                                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                                                        <span style={{ fontWeight: '600' }}>{deviceLabel(device)}</span>
+                                                        {isThisDevice && <span style={{ fontSize: '0.7rem', background: 'var(--primary-color, #2563eb)', color: 'white', padding: '2px 6px', borderRadius: '4px' }}>This browser</span>}
+                                                        {device.paused && <span style={{ fontSize: '0.7rem', background: '#eab308', color: 'white', padding: '2px 6px', borderRadius: '4px' }}>Paused</span>}
+                                                    </div>
+                                                    <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                                        {[device.browser, device.platform, device.extension_version && `v${device.extension_version}`].filter(Boolean).join(' · ')}
+                                                        {' · '}
+                                                        {isSigningOut
+                                                            ? 'Signing out...'
+                                                            : online ? <span style={{ color: '#22c55e' }}>Online</span> : `Last seen ${describeTime(new Date(device.last_seen_at).getTime(), now)}`}
+                                                    </span>
+                                                </div>
+                                                <div style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+                                                    <button
+                                                        className="neutral-button modal-action-btn"
+                                                        onClick={() => { setEditingId(device.id); setEditName(device.name || ''); }}
+                                                        disabled={isSigningOut}
+                                                    >
+                                                        Rename
+                                                    </button>
+                                                    <button
+                                                        className="neutral-button modal-action-btn"
+                                                        onClick={() => runAction(device.id, () => setDevicePaused(device.id, !device.paused))}
+                                                        disabled={locked || pauseBlocked}
+                                                        title={isStrictModeActive ? strictModeTitle : pauseBlocked ? budgetPauseTitle : undefined}
+                                                        style={{ minWidth: '80px' }}
+                                                    >
+                                                        {device.paused ? 'Resume' : 'Pause'}
+                                                    </button>
+                                                    <button
+                                                        className={`destructive-button modal-action-btn ${signOutConfirmId === device.id ? 'confirming' : ''}`}
+                                                        onClick={() => handleSignOutClick(device.id)}
+                                                        disabled={locked}
+                                                        title={isStrictModeActive ? strictModeTitle : 'Sign the extension out on this device'}
+                                                        style={{ minWidth: '80px' }}
+                                                    >
+                                                        {signOutConfirmId === device.id ? 'Confirm?' : 'Sign Out'}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                            Blocks with
+                                            <select
+                                                className="settings-input"
+                                                value={device.preset_override_id || ''}
+                                                onChange={(e) => handlePresetChange(device.id, e.target.value || null)}
+                                                disabled={locked}
+                                                title={isStrictModeActive ? strictModeTitle : undefined}
+                                                style={{ flex: 1, padding: '4px 8px' }}
+                                            >
+                                                <option value="">Account rules{activePresetName ? ` (${activePresetName})` : ''}</option>
+                                                {safePresets.map(preset => (
+                                                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                                                ))}
+                                                {device.preset_override_id && !safePresets.some(p => p.id === device.preset_override_id) && (
+                                                    <option value={device.preset_override_id}>Unavailable preset</option>
+                                                )}
+                                            </select>
+                                        </label>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
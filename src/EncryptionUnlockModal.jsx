@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { unlockWithPassphrase } from './cryptoUtils.js';
+import './Dashboard.css';
+
+// Asks for the encryption passphrase when the account's rules are passphrase-protected.
+// Nothing can be decrypted (or saved) until this succeeds, so it can't be dismissed.
+export default function EncryptionUnlockModal({ isOpen, userId, onUnlocked, onSignOut }) {
+    const [passphrase, setPassphrase] = useState('');
+    const [error, setError] = useState(null);
+    const [unlocking, setUnlocking] = useState(false);
+
+    if (!isOpen) return null;
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        if (!passphrase) return;
+        setUnlocking(true);
+        setError(null);
+        try {
+            const ok = await unlockWithPassphrase(userId, passphrase);
+            if (ok) {
+                setPassphrase('');
+                onUnlocked();
+            } else {
+                setError('That passphrase is not correct.');
+            }
+        } catch (err) {
+            console.error('Error unlocking encryption key:', err);
+            setError('Could not load your encryption key. Check your connection and try again.');
+        } finally {
+            setUnlocking(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content" style={{ maxWidth: '420px', height: 'auto', minHeight: 'auto' }}>
+                <div className="modal-header">
+                    <h2>Unlock Your Rules</h2>
+                </div>
+
+                <form onSubmit={handleUnlock} style={{ padding: '1rem 0' }}>
+                    <p style={{ marginBottom: '1rem', color: 'var(--text-secondary)', lineHeight: '1.5', fontSize: '0.95rem' }}>
+                        Your prompts and preset names are encrypted with a passphrase. Enter it to load them on this device.
+                    </p>
+
+                    <input
+                        type="password"
+                        className="settings-input"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder="Encryption passphrase"
+                        autoFocus
+                        style={{ width: '100%', boxSizing: 'border-box' }}
+                    />
+                    {error && <div className="input-error-msg" style={{ marginTop: '8px' }}>{error}</div>}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                        <button type="button" onClick={onSignOut} className="neutral-button" style={{ padding: '10px 20px' }}>
+                            Sign Out
+                        </button>
+                        <button type="submit" className="primary-button" disabled={unlocking || !passphrase} style={{ padding: '10px 20px' }}>
+                            {unlocking ? 'Unlocking...' : 'Unlock'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
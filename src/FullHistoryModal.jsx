@@ -1,8 +1,24 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { supabase } from './supabaseClient';
 import config from './config.js';
-
-const LOGS_PER_PAGE = 50; // Number of logs to fetch at a time
+import { getBaseDomain } from './domainPatterns.js';
+import { toUnicodeHost } from './publicSuffix.js';
+import { extensionBridge } from './extensionBridge.js';
+import { ALL_SUPPORTED } from './extensionCompat.js';
+import {
+    EMPTY_HISTORY_FILTERS,
+    hasActiveFilters,
+    isHistoryOpenInUrl,
+    readHistoryFiltersFromUrl,
+    writeHistoryFiltersToUrl
+} from './historyFilters.js';
+import { parseHistoryQuery, getQuerySuggestions, applyQuerySuggestion } from './historyQuery.js';
+import { EXPORT_FORMATS, exportHistory, downloadHistoryExport, listTimeZones, localTimeZone } from './historyExport.js';
+import { HISTORY_PAGE_SIZE, createHistorySource, fetchAllHistory } from './historyPaging.js';
+import VirtualList from './VirtualList.jsx';
+
+const GROUP_HEADER_HEIGHT = 36; // Date group headers, inline and sticky
+const ESTIMATED_LOG_HEIGHT = 84; // Collapsed log item, until measured
 const BACKEND_URL = config.BACKEND_URL;
 
 // Rotating tips for the history modal
@@ -40,14 +56,61 @@ const BRAND_COLORS = {
 const SYSTEM_RESET_STYLE = { bg: 'rgba(37, 99, 235, 0.1)', border: 'rgba(37, 99, 235, 0.25)' }; // Blue
 const CACHE_STYLE = { bg: 'rgba(245, 158, 11, 0.1)', border: 'rgba(245, 158, 11, 0.25)' }; // Amber
 
+// --- Helper: Group Logs by Date ---
+// Flattens the entries into list rows: a { type: 'group' } header for each non-empty date group,
+// followed by its { type: 'log' } entries
+function buildHistoryRows(logs) {
+    const groups = {
+        'Today': [],
+        'Yesterday': [],
+        'Last 7 Days': [],
+        'Older': []
+    };
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const lastWeek = new Date(today);
+    lastWeek.setDate(lastWeek.getDate() - 7);
+
+    logs.forEach(log => {
+        const date = new Date(log.created_at);
+        const logDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        if (logDate.getTime() === today.getTime()) {
+            groups['Today'].push(log);
+        } else if (logDate.getTime() === yesterday.getTime()) {
+            groups['Yesterday'].push(log);
+        } else if (logDate > lastWeek) {
+            groups['Last 7 Days'].push(log);
+        } else {
+            groups['Older'].push(log);
+        }
+    });
+
+    return Object.entries(groups)
+        .filter(([, list]) => list.length > 0)
+        .flatMap(([group, list]) => [
+            { key: `group-${group}`, type: 'group', group },
+            ...list.map(log => ({ key: log.id, type: 'log', group, log }))
+        ]);
+}
+
 // This component fetches and manages its own data
-export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUrl, initialSearchTerm = '', onHistoryCleared, onReportBug, onShareFeature }) {
-    const [logs, setLogs] = useState([]);
+export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUrl, initialSearchTerm = '', onHistoryCleared, onReportBug, onShareFeature, extensionSupport = ALL_SUPPORTED, categoryLabels = {} }) {
+    const [logs, setLogs] = useState([]); // Matching entries loaded so far
+    const [hasMore, setHasMore] = useState(false);
+    const [totals, setTotals] = useState({ total: 0, unfilteredTotal: 0 });
+    const [logDomains, setLogDomains] = useState([]); // Across the whole log, for the filter bar and search suggestions
     const [loading, setLoading] = useState(false);
-    const [currentPage, setCurrentPage] = useState(0);
-    const [totalLogs, setTotalLogs] = useState(0);
+    const [loadError, setLoadError] = useState(null);
+    const sourceRef = useRef(null); // Paged source for the current filters
+    const loadingSourceRef = useRef(null); // Source with a page request in flight
     const [searchTerm, setSearchTerm] = useState(initialSearchTerm); // Search state
     const [debouncedSearchTerm, setDebouncedSearchTerm] = useState(initialSearchTerm); // Debounced search state
+    const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS); // Filter bar (text comes from the search box)
+    const wasOpenRef = useRef(false);
     const [expandedLogId, setExpandedLogId] = useState(null); // Click to expand log details
     const [tipIndex, setTipIndex] = useState(0); // Rotating tip index
 
@@ -63,22 +126,33 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
         return false;
     })();
 
-    const modalContentRef = useRef(null);
+    const modalBodyRef = useRef(null);
 
-    // Scroll to top when page changes
+    // Update search term if prop changes (e.g. when opening from a specific log).
+    // A bookmarked view (filters in the URL) takes precedence.
     useEffect(() => {
-        if (modalContentRef.current) {
-            modalContentRef.current.scrollTop = 0;
+        if (!isOpen) return;
+        if (isHistoryOpenInUrl() && !initialSearchTerm) {
+            const { text, ...urlFilters } = readHistoryFiltersFromUrl();
+            setFilters({ ...EMPTY_HISTORY_FILTERS, ...urlFilters });
+            setSearchTerm(text);
+            setDebouncedSearchTerm(text);
+        } else {
+            setFilters(EMPTY_HISTORY_FILTERS);
+            setSearchTerm(initialSearchTerm);
+            setDebouncedSearchTerm(initialSearchTerm);
         }
-    }, [currentPage]);
+    }, [isOpen, initialSearchTerm]);
 
-    // Update search term if prop changes (e.g. when opening from a specific log)
+    // Keep the URL in sync so the filtered view can be bookmarked
     useEffect(() => {
         if (isOpen) {
-            setSearchTerm(initialSearchTerm);
-            setDebouncedSearchTerm(initialSearchTerm);
+            writeHistoryFiltersToUrl({ ...filters, text: debouncedSearchTerm });
+        } else if (wasOpenRef.current) {
+            writeHistoryFiltersToUrl(null);
         }
-    }, [isOpen, initialSearchTerm]);
+        wasOpenRef.current = isOpen;
+    }, [isOpen, filters, debouncedSearchTerm]);
 
     // Lock body scroll when modal is open
     useEffect(() => {
@@ -101,49 +175,7 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
         return isToday ? timeStr : `${date.toLocaleDateString()} • ${timeStr}`;
     };
 
-    // --- Helper: Group Logs by Date ---
-    const groupLogsByDate = (logs) => {
-        const groups = {
-            'Today': [],
-            'Yesterday': [],
-            'Last 7 Days': [],
-            'Older': []
-        };
-
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-        const lastWeek = new Date(today);
-        lastWeek.setDate(lastWeek.getDate() - 7);
-
-        logs.forEach(log => {
-            const date = new Date(log.created_at);
-            const logDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-
-            if (logDate.getTime() === today.getTime()) {
-                groups['Today'].push(log);
-            } else if (logDate.getTime() === yesterday.getTime()) {
-                groups['Yesterday'].push(log);
-            } else if (logDate > lastWeek) {
-                groups['Last 7 Days'].push(log);
-            } else {
-                groups['Older'].push(log);
-            }
-        });
-
-        // Remove empty groups
-        return Object.fromEntries(Object.entries(groups).filter(([_, list]) => list.length > 0));
-    };
-
     // --- Debounced Search ---
-    useEffect(() => {
-        const timer = setTimeout(() => {
-            setCurrentPage(0); // Reset page on search
-        }, 500);
-        return () => clearTimeout(timer);
-    }, [searchTerm]);
-
     useEffect(() => {
         const timer = setTimeout(() => {
             setDebouncedSearchTerm(searchTerm);
@@ -152,85 +184,61 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
     }, [searchTerm]);
 
     // --- Fetch Logs from Extension (Privacy-First) ---
-    useEffect(() => {
-        if (isOpen && userId) {
-            async function fetchLocalLogs() {
-                setLoading(true);
-
-                try {
-                    // Request logs via CustomEvent bridge
-                    const extensionLogs = await new Promise((resolve) => {
-                        const handleResponse = (event) => {
-                            window.removeEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
-                            resolve(event.detail?.logs || []);
-                        };
-                        window.addEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
-                        document.dispatchEvent(new CustomEvent('BEACON_GET_BLOCK_LOG'));
-                        // Timeout after 2 seconds
-                        setTimeout(() => {
-                            window.removeEventListener('BEACON_BLOCK_LOG_RESPONSE', handleResponse);
-                            resolve([]);
-                        }, 2000);
-                    });
-
-                    // Transform to expected format
-                    let formattedLogs = extensionLogs.map((log, index) => ({
-                        id: `local-${log.timestamp}-${index}`,
-                        url: log.url,
-                        domain: log.domain,
-                        decision: log.decision || 'BLOCK', // Support both BLOCK and ALLOW
-                        reason: log.reason,
-                        page_title: log.pageTitle,
-                        active_prompt: log.activePrompt || null,
-                        created_at: new Date(log.timestamp).toISOString()
-                    }));
-
-                    // Apply search filter locally
-                    if (debouncedSearchTerm) {
-                        const term = debouncedSearchTerm.toLowerCase();
-
-                        // Check for decision type filter (ALLOW or BLOCK keywords)
-                        if (term === 'allow' || term === 'allowed') {
-                            formattedLogs = formattedLogs.filter(log => log.decision === 'ALLOW');
-                        } else if (term === 'block' || term === 'blocked') {
-                            formattedLogs = formattedLogs.filter(log => log.decision === 'BLOCK');
-                        } else {
-                            // Regular keyword search
-                            formattedLogs = formattedLogs.filter(log =>
-                                log.url?.toLowerCase().includes(term) ||
-                                log.domain?.toLowerCase().includes(term) ||
-                                log.page_title?.toLowerCase().includes(term) ||
-                                log.active_prompt?.toLowerCase().includes(term)
-                            );
-                        }
-                    }
-
-                    setLogs(formattedLogs);
-                    setTotalLogs(formattedLogs.length);
-                } catch (error) {
-                    console.error("Error fetching logs from extension:", error);
-                    setLogs([]);
-                    setTotalLogs(0);
-                }
-
-                setLoading(false);
+    // The log is loaded a page at a time as the list scrolls; the filters are applied before paging
+    // (by the extension when it can), so totals always describe the filtered set.
+    const activeFilters = useMemo(() => ({ ...filters, text: debouncedSearchTerm }), [filters, debouncedSearchTerm]);
+    const usePaging = !!extensionSupport.blockLogPaging;
+
+    // Append the next page; ignored while the current source is already loading
+    const loadNextPage = async () => {
+        const source = sourceRef.current;
+        if (!source || loadingSourceRef.current === source) return;
+        loadingSourceRef.current = source;
+        setLoading(true);
+        try {
+            const page = await source.next(HISTORY_PAGE_SIZE);
+            if (sourceRef.current !== source) return; // The filters changed meanwhile
+            setLogs(prev => [...prev, ...page.logs]);
+            setHasMore(page.hasMore);
+            setTotals({ total: page.total, unfilteredTotal: page.unfilteredTotal });
+            if (page.domains) setLogDomains(page.domains);
+        } catch (error) {
+            console.error("Error fetching logs from extension:", error);
+            if (sourceRef.current === source) {
+                setHasMore(false);
+                setLoadError('Could not load more activity from the extension.');
             }
-            fetchLocalLogs();
+        } finally {
+            if (loadingSourceRef.current === source) loadingSourceRef.current = null;
+            if (sourceRef.current === source) setLoading(false);
         }
-    }, [isOpen, userId, debouncedSearchTerm]);
+    };
+
+    useEffect(() => {
+        if (!isOpen || !userId) return;
+        sourceRef.current = createHistorySource({ filters: activeFilters, categoryLabels, paging: usePaging });
+        setLogs([]);
+        setHasMore(false);
+        setLoadError(null);
+        if (modalBodyRef.current) modalBodyRef.current.scrollTop = 0;
+        loadNextPage();
+        return () => { sourceRef.current = null; };
+    }, [isOpen, userId, activeFilters, usePaging]);
+
+    // Date groups only change with the loaded entries, not on every render
+    const rows = useMemo(() => buildHistoryRows(logs), [logs]);
 
     const [showClearConfirm, setShowClearConfirm] = useState(false);
+    const [showExport, setShowExport] = useState(false);
     const [deleteConfirmId, setDeleteConfirmId] = useState(null);
 
     // --- Delete Single Log Entry ---
     const handleDeleteLog = (logId, timestamp) => {
         if (deleteConfirmId === logId) {
             // Second click - actually delete
-            document.dispatchEvent(new CustomEvent('BEACON_DELETE_SINGLE_LOG', {
-                detail: { timestamp }
-            }));
-            setLogs(logs.filter(l => l.id !== logId));
-            setTotalLogs(prev => prev - 1);
+            extensionBridge.send('deleteLog', { timestamp });
+            setLogs(prev => prev.filter(l => l.id !== logId));
+            setTotals(prev => ({ total: prev.total - 1, unfilteredTotal: prev.unfilteredTotal - 1 }));
             setDeleteConfirmId(null);
         } else {
             // First click - show confirmation
@@ -242,16 +250,17 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
     // --- Clear History (Local Extension Storage + Cache) ---
     const handleClearHistory = async () => {
         try {
-            // Clear local extension block log via CustomEvent bridge
-            document.dispatchEvent(new CustomEvent('BEACON_CLEAR_BLOCK_LOG'));
+            // Clear local extension block log
+            extensionBridge.send('clearBlockLog');
 
             // Also clear the decision cache so blocked sites are re-evaluated
-            window.dispatchEvent(new CustomEvent('BEACON_RULES_UPDATED'));
+            extensionBridge.send('rulesUpdated');
 
             // Clear local state
             setLogs([]);
-            setTotalLogs(0);
-            setCurrentPage(0);
+            setHasMore(false);
+            setTotals({ total: 0, unfilteredTotal: 0 });
+            setLogDomains([]);
             setShowClearConfirm(false);
 
             // Notify parent to refresh main feed
@@ -268,16 +277,227 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
         return null;
     }
 
-    const totalPages = Math.ceil(totalLogs / LOGS_PER_PAGE);
-    const canGoPrev = currentPage > 0;
-    const canGoNext = (currentPage + 1) * LOGS_PER_PAGE < totalLogs;
+    const isFiltered = hasActiveFilters(activeFilters);
+
+    const renderGroupHeader = (group) => (
+        <h3 style={{
+            fontSize: '0.95rem',
+            fontWeight: '600',
+            color: 'var(--text-secondary)',
+            margin: 0,
+            height: `${GROUP_HEADER_HEIGHT}px`,
+            boxSizing: 'border-box',
+            paddingTop: '0.5rem',
+            borderBottom: '1px solid var(--border-color)'
+        }}>
+            {group}
+        </h3>
+    );
+
+    // One log entry (the first row after the first date header carries the tour anchor)
+    const renderLogRow = (log, { index, measureRef }) => {
+        // Detect Log Types
+        const isCache = log.reason && log.reason.toLowerCase().includes('cached decision');
+        const isSystemReset = log.url && log.url.includes('system-reset');
+
+        let mainReason = log.reason || 'Blocked';
+        let expandedReason = log.reason || 'Blocked';
+
+        if (isSystemReset) {
+            mainReason = "System Action"; // Or keep the specific string
+        } else if (isCache) {
+            // Extract original reason from "Cached decision · Reason" format
+            const cachedParts = log.reason.split(' · ');
+            const originalReason = cachedParts.length > 1 ? cachedParts.slice(1).join(' · ') : null;
+            mainReason = originalReason ? `Cached · ${originalReason}` : "Cached decision";
+            expandedReason = originalReason || "Previously evaluated";
+        }
+
+        const isAllowDecision = log.decision === 'ALLOW';
+
+        // Helper to get brand style
+        const getLogStyle = (domain) => {
+            // Registrable domain: "m.youtube.com" groups with youtube.com, while "alice.github.io" stays its own site
+            const baseDomain = getBaseDomain(domain);
+            // Check exact or base match
+            return BRAND_COLORS[domain] || BRAND_COLORS[baseDomain];
+        };
+
+        let itemStyle = {};
+        // 1. System Reset (Highest Priority)
+        if (isSystemReset) {
+            itemStyle = {
+                backgroundColor: SYSTEM_RESET_STYLE.bg,
+                borderColor: SYSTEM_RESET_STYLE.border,
+            };
+        }
+        // 2. Cached decisions - yellow accent
+        else if (isCache) {
+            itemStyle = {
+                borderLeft: '3px solid #eab308',
+                backgroundColor: 'rgba(234, 179, 8, 0.06)',
+            };
+        }
+        // 3. Brand colors for known domains
+        else {
+            const brandStyle = getLogStyle(log.domain);
+            if (brandStyle) {
+                itemStyle = {
+                    backgroundColor: brandStyle.bg,
+                    borderColor: brandStyle.border,
+                };
+            }
+        }
+
+        return (
+            <li
+                key={log.id}
+                ref={measureRef}
+                id={index === 1 ? 'tour-history-item-0' : undefined}
+                className="log-item"
+                onClick={() => setExpandedLogId(expandedLogId === log.id ? null : log.id)}
+                style={{
+                    cursor: 'pointer',
+                    flexDirection: 'column',
+                    alignItems: 'stretch',
+                    // Dynamic Style Injection
+                    ...itemStyle
+                }}
+            >
+                <div style={{ display: 'flex', alignItems: 'center', width: '100%' }}>
+                    <div className="log-icon">
+                        {isSystemReset ? (
+                            <div style={{
+                                width: '24px', height: '24px', borderRadius: '4px',
+                                background: '#dbeafe', display: 'flex', alignItems: 'center', justifyContent: 'center',
+                                color: '#2563eb'
+                            }}>
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                                    <polyline points="23 4 23 10 17 10"></polyline>
+                                    <polyline points="1 20 1 14 7 14"></polyline>
+                                    <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
+                                </svg>
+                            </div>
+                        ) : isCache ? (
+                            <div style={{
+                                width: '24px', height: '24px', borderRadius: '4px',
+                                background: '#fef3c7', display: 'flex', alignItems: 'center', justifyContent: 'center',
+                                color: '#d97706'
+                            }}>
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                                    <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+                                    <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+                                    <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+                                </svg>
+                            </div>
+                        ) : (
+                            <img
+                                src={getFaviconUrl(log.domain)}
+                                alt=""
+                                style={{ width: '24px', height: '24px', borderRadius: '4px' }}
+                                onError={(e) => { e.target.onerror = null; e.target.src = 'https://www.google.com/s2/favicons?domain=example.com'; }}
+                            />
+                        )}
+                    </div>
+                    <div className="log-details" style={{ minWidth: 0 }}>
+                        <span className="log-url" title={log.url} style={{ display: 'block', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                            {log.page_title || toUnicodeHost(log.domain) || 'Unknown Page'}
+                        </span>
+                        <span className="log-meta" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <span>
+                                {formatLogDate(log.created_at)}
+                            </span>
+                        </span>
+                        <span className="log-reason" title={mainReason} style={{ display: 'block', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '2px' }}>
+                            {mainReason}
+                        </span>
+                    </div>
+                    {!isSystemReset && logAllowDecisions && (
+                        <div style={{
+                            marginLeft: 'auto',
+                            padding: '0.2rem 0.5rem',
+                            borderRadius: '4px',
+                            fontSize: '0.65rem',
+                            fontWeight: '600',
+                            textTransform: 'uppercase',
+                            letterSpacing: '0.5px',
+                            backgroundColor: isAllowDecision ? 'rgba(34, 197, 94, 0.15)' : 'rgba(239, 68, 68, 0.15)',
+                            color: isAllowDecision ? '#16a34a' : '#dc2626',
+                            whiteSpace: 'nowrap',
+                        }}>
+                            {isAllowDecision ? 'Allowed' : 'Blocked'}
+                        </div>
+                    )}
+                </div>
+
+                {expandedLogId === log.id && (
+                    <div style={{ marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid var(--border-color)', fontSize: '0.9rem', color: 'var(--text-primary)' }}>
+                        {!isSystemReset && (
+                            <p>
+                                <strong>URL:</strong>{' '}
+                                <a href={log.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--link-color)' }}>
+                                    {toUnicodeHost(log.domain)}{new URL(log.url).pathname.length > 30 ? new URL(log.url).pathname.substring(0, 30) + '...' : new URL(log.url).pathname}
+                                </a>
+                            </p>
+                        )}
+                        <p><strong>Reason:</strong> {expandedReason}</p>
+                        {log.active_prompt && (
+                            <p><strong>Instructions:</strong> "{log.active_prompt.trim()}"</p>
+                        )}
+                        <p><strong>Time:</strong> {new Date(log.created_at).toLocaleString()}</p>
+
+                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem', flexWrap: 'wrap' }}>
+                            <button
+                                className="history-link-button"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setFilters(prev => ({ ...prev, domains: [log.site || log.domain] }));
+                                }}
+                            >
+                                View all from {toUnicodeHost(log.site || log.domain)}
+                            </button>
+                            {log.active_prompt && (
+                                <button
+                                    className="history-link-button"
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        setFilters(prev => ({ ...prev, prompt: log.active_prompt }));
+                                    }}
+                                    title={`Filter by: "${log.active_prompt}"`}
+                                >
+                                    View all with this prompt
+                                </button>
+                            )}
+                            <button
+                                className="history-link-button"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    // Extract timestamp from log id (format: local-TIMESTAMP-INDEX)
+                                    const timestamp = parseInt(log.id.split('-')[1]);
+                                    handleDeleteLog(log.id, timestamp);
+                                }}
+                                disabled={!extensionSupport.deleteLog}
+                                title={extensionSupport.deleteLog ? undefined : 'Update the extension to delete single entries'}
+                                style={deleteConfirmId === log.id ? {
+                                    color: '#fff',
+                                    borderColor: '#dc2626',
+                                    backgroundColor: '#dc2626'
+                                } : {}}
+                            >
+                                {deleteConfirmId === log.id ? 'Confirm Delete?' : 'Delete Entry'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </li>
+        );
+    };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
             <div
                 id="tour-full-history-modal"
                 className="modal-content"
-                ref={modalContentRef}
                 onClick={e => e.stopPropagation()}
                 style={{
                     position: 'relative',
@@ -291,6 +511,14 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem' }}>
                         <h2 style={{ margin: 0 }}>Browsing Activity</h2>
                         <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                            <button
+                                className="neutral-button"
+                                onClick={() => setShowExport(prev => !prev)}
+                                disabled={totals.unfilteredTotal === 0}
+                                aria-expanded={showExport}
+                            >
+                                Export
+                            </button>
                             <button
                                 id="tour-clear-history-btn"
                                 className={`destructive-button ${showClearConfirm ? 'confirming' : ''}`}
@@ -314,286 +542,69 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
                             </button>
                         </div>
                     </div>
-                    <div style={{ position: 'relative', marginBottom: '1rem' }}>
-                        <input
-                            type="text"
-                            placeholder="Search by keyword, ALLOW, or BLOCK..."
-                            value={searchTerm}
-                            onChange={(e) => setSearchTerm(e.target.value)}
-                            style={{
-                                width: '100%',
-                                padding: '12px 16px',
-                                paddingRight: '40px',
-                                borderRadius: '8px',
-                                border: '1px solid var(--border-color)',
-                                fontSize: '1rem',
-                                boxSizing: 'border-box',
-                                background: 'var(--input-bg)',
-                                color: 'var(--text-primary)'
-                            }}
+                    {showExport && (
+                        <HistoryExportPanel
+                            total={totals.total}
+                            isFiltered={isFiltered}
+                            loadLogs={() => fetchAllHistory({ filters: activeFilters, categoryLabels, paging: usePaging })}
+                            onClose={() => setShowExport(false)}
                         />
-                        {searchTerm && (
-                            <button
-                                onClick={() => setSearchTerm('')}
-                                style={{
-                                    position: 'absolute',
-                                    right: '12px',
-                                    top: '50%',
-                                    transform: 'translateY(-50%)',
-                                    background: 'none',
-                                    border: 'none',
-                                    color: 'var(--text-secondary)',
-                                    cursor: 'pointer',
-                                    fontSize: '1.2rem'
-                                }}
-                            >
-                                &times;
-                            </button>
-                        )}
-                    </div>
-
-                    {/* Fixed Pagination Controls */}
-                    <div className="pagination-controls" style={{ marginTop: 0, marginBottom: 0, paddingTop: 0, borderTop: 'none', borderBottom: 'none', paddingBottom: '1rem', justifyContent: 'space-between' }}>
-                        <button onClick={() => setCurrentPage(p => p - 1)} disabled={!canGoPrev || loading} style={{ padding: '6px 12px' }}>
-                            &larr; Previous
-                        </button>
-                        <span style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
-                            Page {currentPage + 1} of {totalPages || 1}
-                        </span>
-                        <button onClick={() => setCurrentPage(p => p + 1)} disabled={!canGoNext || loading} style={{ padding: '6px 12px' }}>
-                            Next &rarr;
-                        </button>
+                    )}
+
+                    <HistorySearchBox
+                        value={searchTerm}
+                        onChange={setSearchTerm}
+                        domains={logDomains}
+                        categoryLabels={categoryLabels}
+                    />
+
+                    <HistoryFilterBar
+                        filters={filters}
+                        onChange={(changes) => setFilters(prev => ({ ...prev, ...changes }))}
+                        onClear={() => { setFilters(EMPTY_HISTORY_FILTERS); setSearchTerm(''); }}
+                        domains={logDomains}
+                        categoryLabels={categoryLabels}
+                        isFiltered={isFiltered}
+                    />
+
+                    <div style={{ paddingBottom: '1rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                        {isFiltered ? `${totals.total} of ${totals.unfilteredTotal} entries` : `${totals.total} entries`}
                     </div>
                 </div>
 
-                <div className="modal-body" style={{ opacity: loading ? 0.6 : 1, transition: 'opacity 0.2s', minHeight: '300px', display: 'flex', flexDirection: 'column', paddingTop: '0', overscrollBehavior: 'contain' }}>
-
-                    <ul id="tour-history-view" className="log-feed-list full-history-list" style={{ flexGrow: 1 }}>
-                        {logs.length === 0 && !loading ? (
-                            <p style={{ textAlign: 'center', color: 'var(--text-secondary)', marginTop: '2rem' }}>No history found.</p>
-                        ) : (
-                            Object.entries(groupLogsByDate(logs.slice(currentPage * LOGS_PER_PAGE, (currentPage + 1) * LOGS_PER_PAGE))).map(([groupName, groupLogs], groupIndex) => (
-                                <div key={groupName} style={{ marginBottom: '1.5rem' }}>
-                                    <h3 style={{
-                                        fontSize: '0.95rem',
-                                        fontWeight: '600',
-                                        color: 'var(--text-secondary)',
-                                        margin: '0 0 0.5rem 0',
-                                        paddingBottom: '0.25rem',
-                                        borderBottom: '1px solid var(--border-color)'
-                                    }}>
-                                        {groupName}
-                                    </h3>
-                                    {groupLogs.map((log, logIndex) => {
-                                        // Detect Log Types
-                                        const isCache = log.reason && log.reason.toLowerCase().includes('cached decision');
-                                        const isSystemReset = log.url && log.url.includes('system-reset');
-
-                                        let mainReason = log.reason || 'Blocked';
-                                        let expandedReason = log.reason || 'Blocked';
-
-                                        if (isSystemReset) {
-                                            mainReason = "System Action"; // Or keep the specific string
-                                        } else if (isCache) {
-                                            // Extract original reason from "Cached decision · Reason" format
-                                            const cachedParts = log.reason.split(' · ');
-                                            const originalReason = cachedParts.length > 1 ? cachedParts.slice(1).join(' · ') : null;
-                                            mainReason = originalReason ? `Cached · ${originalReason}` : "Cached decision";
-                                            expandedReason = originalReason || "Previously evaluated";
-                                        }
-
-                                        const isAllowDecision = log.decision === 'ALLOW';
-
-                                        // Helper to get brand style
-                                        const getLogStyle = (domain) => {
-                                            // Strip subdomains loosely for matching
-                                            const baseDomain = domain.split('.').slice(-2).join('.');
-                                            // Check exact or base match
-                                            return BRAND_COLORS[domain] || BRAND_COLORS[baseDomain];
-                                        };
-
-                                        let itemStyle = {};
-                                        // 1. System Reset (Highest Priority)
-                                        if (isSystemReset) {
-                                            itemStyle = {
-                                                backgroundColor: SYSTEM_RESET_STYLE.bg,
-                                                borderColor: SYSTEM_RESET_STYLE.border,
-                                            };
-                                        }
-                                        // 2. Cached decisions - yellow accent
-                                        else if (isCache) {
-                                            itemStyle = {
-                                                borderLeft: '3px solid #eab308',
-                                                backgroundColor: 'rgba(234, 179, 8, 0.06)',
-                                            };
-                                        }
-                                        // 3. Brand colors for known domains
-                                        else {
-                                            const brandStyle = getLogStyle(log.domain);
-                                            if (brandStyle) {
-                                                itemStyle = {
-                                                    backgroundColor: brandStyle.bg,
-                                                    borderColor: brandStyle.border,
-                                                };
-                                            }
-                                        }
-
-                                        return (
-                                            <li
-                                                key={log.id}
-                                                id={groupIndex === 0 && logIndex === 0 ? 'tour-history-item-0' : undefined}
-                                                className="log-item"
-                                                onClick={() => setExpandedLogId(expandedLogId === log.id ? null : log.id)}
-                                                style={{
-                                                    cursor: 'pointer',
-                                                    flexDirection: 'column',
-                                                    alignItems: 'stretch',
-                                                    // Dynamic Style Injection
-                                                    ...itemStyle
-                                                }}
-                                            >
-                                                <div style={{ display: 'flex', alignItems: 'center', width: '100%' }}>
-                                                    <div className="log-icon">
-                                                        {isSystemReset ? (
-                                                            <div style={{
-                                                                width: '24px', height: '24px', borderRadius: '4px',
-                                                                background: '#dbeafe', display: 'flex', alignItems: 'center', justifyContent: 'center',
-                                                                color: '#2563eb'
-                                                            }}>
-                                                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                                                                    <polyline points="23 4 23 10 17 10"></polyline>
-                                                                    <polyline points="1 20 1 14 7 14"></polyline>
-                                                                    <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
-                                                                </svg>
-                                                            </div>
-                                                        ) : isCache ? (
-                                                            <div style={{
-                                                                width: '24px', height: '24px', borderRadius: '4px',
-                                                                background: '#fef3c7', display: 'flex', alignItems: 'center', justifyContent: 'center',
-                                                                color: '#d97706'
-                                                            }}>
-                                                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                                                                    <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
-                                                                    <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
-                                                                    <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
-                                                                </svg>
-                                                            </div>
-                                                        ) : (
-                                                            <img
-                                                                src={getFaviconUrl(log.domain)}
-                                                                alt=""
-                                                                style={{ width: '24px', height: '24px', borderRadius: '4px' }}
-                                                                onError={(e) => { e.target.onerror = null; e.target.src = 'https://www.google.com/s2/favicons?domain=example.com'; }}
-                                                            />
-                                                        )}
-                                                    </div>
-                                                    <div className="log-details" style={{ minWidth: 0 }}>
-                                                        <span className="log-url" title={log.url} style={{ display: 'block', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                                                            {log.page_title || log.domain || 'Unknown Page'}
-                                                        </span>
-                                                        <span className="log-meta" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                                                            <span>
-                                                                {formatLogDate(log.created_at)}
-                                                            </span>
-                                                        </span>
-                                                        <span className="log-reason" title={mainReason} style={{ display: 'block', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '2px' }}>
-                                                            {mainReason}
-                                                        </span>
-                                                    </div>
-                                                    {!isSystemReset && logAllowDecisions && (
-                                                        <div style={{
-                                                            marginLeft: 'auto',
-                                                            padding: '0.2rem 0.5rem',
-                                                            borderRadius: '4px',
-                                                            fontSize: '0.65rem',
-                                                            fontWeight: '600',
-                                                            textTransform: 'uppercase',
-                                                            letterSpacing: '0.5px',
-                                                            backgroundColor: isAllowDecision ? 'rgba(34, 197, 94, 0.15)' : 'rgba(239, 68, 68, 0.15)',
-                                                            color: isAllowDecision ? '#16a34a' : '#dc2626',
-                                                            whiteSpace: 'nowrap',
-                                                        }}>
-                                                            {isAllowDecision ? 'Allowed' : 'Blocked'}
-                                                        </div>
-                                                    )}
-                                                </div>
-
-                                                {expandedLogId === log.id && (
-                                                    <div style={{ marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid var(--border-color)', fontSize: '0.9rem', color: 'var(--text-primary)' }}>
-                                                        {!isSystemReset && (
-                                                            <p>
-                                                                <strong>URL:</strong>{' '}
-                                                                <a href={log.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--link-color)' }}>
-                                                                    {log.domain}{new URL(log.url).pathname.length > 30 ? new URL(log.url).pathname.substring(0, 30) + '...' : new URL(log.url).pathname}
-                                                                </a>
-                                                            </p>
-                                                        )}
-                                                        <p><strong>Reason:</strong> {expandedReason}</p>
-                                                        {log.active_prompt && (
-                                                            <p><strong>Instructions:</strong> "{log.active_prompt.trim()}"</p>
-                                                        )}
-                                                        <p><strong>Time:</strong> {new Date(log.created_at).toLocaleString()}</p>
-
-                                                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem', flexWrap: 'wrap' }}>
-                                                            <button
-                                                                className="history-link-button"
-                                                                onClick={(e) => {
-                                                                    e.stopPropagation();
-                                                                    setSearchTerm(log.domain);
-                                                                }}
-                                                            >
-                                                                View all from {log.domain}
-                                                            </button>
-                                                            {log.active_prompt && (
-                                                                <button
-                                                                    className="history-link-button"
-                                                                    onClick={(e) => {
-                                                                        e.stopPropagation();
-                                                                        setSearchTerm(log.active_prompt);
-                                                                    }}
-                                                                    title={`Filter by: "${log.active_prompt}"`}
-                                                                >
-                                                                    View all with this prompt
-                                                                </button>
-                                                            )}
-                                                            <button
-                                                                className="history-link-button"
-                                                                onClick={(e) => {
-                                                                    e.stopPropagation();
-                                                                    // Extract timestamp from log id (format: local-TIMESTAMP-INDEX)
-                                                                    const timestamp = parseInt(log.id.split('-')[1]);
-                                                                    handleDeleteLog(log.id, timestamp);
-                                                                }}
-                                                                style={deleteConfirmId === log.id ? {
-                                                                    color: '#fff',
-                                                                    borderColor: '#dc2626',
-                                                                    backgroundColor: '#dc2626'
-                                                                } : {}}
-                                                            >
-                                                                {deleteConfirmId === log.id ? 'Confirm Delete?' : 'Delete Entry'}
-                                                            </button>
-                                                        </div>
-                                                    </div>
-                                                )}
-                                            </li>
-                                        );
-                                    })}
-                                </div>
-                            ))
-                        )}
-                    </ul>
-
-                    <div className="pagination-controls">
-                        <button onClick={() => setCurrentPage(p => p - 1)} disabled={!canGoPrev || loading}>
-                            &larr; Previous
-                        </button>
-                        <span>
-                            Page {currentPage + 1} of {totalPages || 1}
-                        </span>
-                        <button onClick={() => setCurrentPage(p => p + 1)} disabled={!canGoNext || loading}>
-                            Next &rarr;
-                        </button>
-                    </div>
+                <div className="modal-body" ref={modalBodyRef} style={{ minHeight: '300px', display: 'flex', flexDirection: 'column', paddingTop: '0', overscrollBehavior: 'contain' }}>
+
+                    {logs.length === 0 && !loading && !loadError ? (
+                        <p id="tour-history-view" style={{ textAlign: 'center', color: 'var(--text-secondary)', marginTop: '2rem', flexGrow: 1 }}>No history found.</p>
+                    ) : (
+                        <VirtualList
+                            id="tour-history-view"
+                            className="log-feed-list full-history-list"
+                            style={{ flexGrow: 1 }}
+                            rows={rows}
+                            estimateHeight={(row) => row.type === 'group' ? GROUP_HEADER_HEIGHT + 24 : ESTIMATED_LOG_HEIGHT}
+                            renderRow={(row, options) => row.type === 'group'
+                                ? <li key={row.key} ref={options.measureRef} style={{ paddingTop: options.index > 0 ? '1rem' : 0, paddingBottom: '0.5rem' }}>{renderGroupHeader(row.group)}</li>
+                                : renderLogRow(row.log, options)}
+                            renderSticky={(row) => (
+                                <li style={{ position: 'sticky', top: 0, zIndex: 1, height: `${GROUP_HEADER_HEIGHT}px`, marginBottom: `-${GROUP_HEADER_HEIGHT}px`, background: 'var(--card-bg)' }}>
+                                    {renderGroupHeader(row.group)}
+                                </li>
+                            )}
+                            onEndReached={hasMore ? loadNextPage : undefined}
+                        />
+                    )}
+
+                    {(loading || loadError) && (
+                        <p style={{ textAlign: 'center', fontSize: '0.85rem', color: 'var(--text-secondary)', margin: '1rem 0' }}>
+                            {loadError ? (
+                                <>
+                                    {loadError}{' '}
+                                    <button className="link-button" onClick={() => { setLoadError(null); loadNextPage(); }}>Try again</button>
+                                </>
+                            ) : 'Loading...'}
+                        </p>
+                    )}
 
                     <div style={{ marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid var(--border-color)', fontSize: '0.85rem', color: 'var(--text-secondary)', textAlign: 'center' }}>
                         <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr auto', alignItems: 'center', gap: '0.5rem', margin: 0, minHeight: '3em' }}>
@@ -622,4 +633,355 @@ export default function FullHistoryModal({ isOpen, onClose, userId, getFaviconUr
             </div>
         </div>
     );
-}
\ No newline at end of file
+}
+const FILTER_CONTROL_STYLE = {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid var(--border-color)',
+    fontSize: '0.85rem',
+    background: 'var(--input-bg)',
+    color: 'var(--text-primary)'
+};
+
+// Decision, date range, domains, cached/fresh, prompt text and category - all combined with AND
+function HistoryFilterBar({ filters, onChange, onClear, domains, categoryLabels, isFiltered }) {
+    const availableDomains = domains.filter(domain => !filters.domains.includes(domain));
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '1rem' }}>
+            <select
+                value={filters.decision || ''}
+                onChange={(e) => onChange({ decision: e.target.value || null })}
+                style={FILTER_CONTROL_STYLE}
+                aria-label="Decision"
+            >
+                <option value="">All decisions</option>
+                <option value="BLOCK">Blocked</option>
+                <option value="ALLOW">Allowed</option>
+            </select>
+            <select
+                value={filters.cache || ''}
+                onChange={(e) => onChange({ cache: e.target.value || null })}
+                style={FILTER_CONTROL_STYLE}
+                aria-label="Cached or fresh"
+            >
+                <option value="">Cached & fresh</option>
+                <option value="fresh">Fresh only</option>
+                <option value="cached">Cached only</option>
+            </select>
+            <select
+                value={filters.category || ''}
+                onChange={(e) => onChange({ category: e.target.value || null })}
+                style={FILTER_CONTROL_STYLE}
+                aria-label="Category"
+            >
+                <option value="">All categories</option>
+                {Object.entries(categoryLabels).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                ))}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                From
+                <input
+                    type="date"
+                    value={filters.from || ''}
+                    max={filters.to || undefined}
+                    onChange={(e) => onChange({ from: e.target.value || null })}
+                    style={FILTER_CONTROL_STYLE}
+                />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                To
+                <input
+                    type="date"
+                    value={filters.to || ''}
+                    min={filters.from || undefined}
+                    onChange={(e) => onChange({ to: e.target.value || null })}
+                    style={FILTER_CONTROL_STYLE}
+                />
+            </label>
+            <input
+                type="text"
+                placeholder="Prompt contains..."
+                value={filters.prompt}
+                onChange={(e) => onChange({ prompt: e.target.value })}
+                style={{ ...FILTER_CONTROL_STYLE, minWidth: '160px' }}
+            />
+            <select
+                value=""
+                onChange={(e) => e.target.value && onChange({ domains: [...filters.domains, e.target.value] })}
+                style={FILTER_CONTROL_STYLE}
+                aria-label="Add domain"
+                disabled={availableDomains.length === 0}
+            >
+                <option value="">{filters.domains.length > 0 ? 'Add domain...' : 'All domains'}</option>
+                {availableDomains.map(domain => (
+                    <option key={domain} value={domain}>{toUnicodeHost(domain)}</option>
+                ))}
+            </select>
+            {filters.domains.map(domain => (
+                <button
+                    key={domain}
+                    className="history-link-button"
+                    onClick={() => onChange({ domains: filters.domains.filter(d => d !== domain) })}
+                    title="Remove domain filter"
+                >
+                    {toUnicodeHost(domain)} &times;
+                </button>
+            ))}
+            {isFiltered && (
+                <button className="link-button" onClick={onClear} style={{ marginLeft: 'auto', fontSize: '0.85rem' }}>
+                    Clear filters
+                </button>
+            )}
+        </div>
+    );
+}
+
+// Search box for the query language in historyQuery.js: suggests field names and values under the cursor,
+// and underlines terms that can't be parsed (they are left out of the search) or look like a mistyped field
+function HistorySearchBox({ value, onChange, domains, categoryLabels }) {
+    const inputRef = useRef(null);
+    const pendingCursorRef = useRef(null);
+    const [cursor, setCursor] = useState(value.length);
+    const [showSuggestions, setShowSuggestions] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    // Move the caret after an accepted suggestion once the new value has rendered
+    useEffect(() => {
+        if (pendingCursorRef.current !== null && inputRef.current) {
+            inputRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+            pendingCursorRef.current = null;
+        }
+    }, [value]);
+
+    const { errors, warnings } = parseHistoryQuery(value);
+    const suggestions = showSuggestions ? getQuerySuggestions(value, cursor, { domains, categoryLabels }) : [];
+    const activeIndex = Math.min(highlighted, Math.max(0, suggestions.length - 1));
+
+    const acceptSuggestion = (suggestion) => {
+        const next = applyQuerySuggestion(value, cursor, suggestion);
+        pendingCursorRef.current = next.cursor;
+        setCursor(next.cursor);
+        setHighlighted(0);
+        onChange(next.value);
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlighted((activeIndex + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted((activeIndex - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            acceptSuggestion(suggestions[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            setShowSuggestions(false);
+        }
+    };
+
+    // The query split into plain, invalid and suspicious segments, for the underline
+    const marks = [
+        ...errors.map(error => ({ ...error, color: '#ef4444' })),
+        ...warnings.map(warning => ({ ...warning, color: '#d97706' }))
+    ].sort((a, b) => a.start - b.start);
+    const segments = [];
+    let position = 0;
+    marks.forEach(mark => {
+        if (mark.start > position) segments.push({ text: value.slice(position, mark.start), mark: null });
+        segments.push({ text: value.slice(mark.start, mark.end), mark });
+        position = mark.end;
+    });
+    if (position < value.length) segments.push({ text: value.slice(position), mark: null });
+
+    return (
+        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+            <input
+                ref={inputRef}
+                type="text"
+                placeholder='Search, or try domain:reddit.com -decision:allow "cached decision" after:2026-10-01'
+                value={value}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    setCursor(e.target.selectionStart ?? e.target.value.length);
+                    setHighlighted(0);
+                    setShowSuggestions(true);
+                }}
+                onSelect={(e) => setCursor(e.target.selectionStart ?? value.length)}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setShowSuggestions(false)}
+                aria-invalid={errors.length > 0}
+                aria-autocomplete="list"
+                spellCheck={false}
+                style={{
+                    width: '100%',
+                    padding: '12px 16px',
+                    paddingRight: '40px',
+                    borderRadius: '8px',
+                    border: `1px solid ${errors.length > 0 ? '#ef4444' : 'var(--border-color)'}`,
+                    fontSize: '1rem',
+                    boxSizing: 'border-box',
+                    background: 'var(--input-bg)',
+                    color: 'var(--text-primary)'
+                }}
+            />
+            {value && (
+                <button
+                    onClick={() => onChange('')}
+                    style={{
+                        position: 'absolute',
+                        right: '12px',
+                        top: '22px',
+                        transform: 'translateY(-50%)',
+                        background: 'none',
+                        border: 'none',
+                        color: 'var(--text-secondary)',
+                        cursor: 'pointer',
+                        fontSize: '1.2rem'
+                    }}
+                >
+                    &times;
+                </button>
+            )}
+
+            {suggestions.length > 0 && (
+                <ul
+                    role="listbox"
+                    style={{
+                        position: 'absolute',
+                        top: '46px',
+                        left: 0,
+                        zIndex: 10,
+                        minWidth: '260px',
+                        margin: 0,
+                        padding: '4px 0',
+                        listStyle: 'none',
+                        borderRadius: '8px',
+                        border: '1px solid var(--border-color)',
+                        background: 'var(--card-bg)',
+                        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
+                    }}
+                >
+                    {suggestions.map((suggestion, index) => (
+                        <li
+                            key={suggestion.insert}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            onMouseDown={(e) => { e.preventDefault(); acceptSuggestion(suggestion); }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                gap: '1rem',
+                                padding: '6px 12px',
+                                cursor: 'pointer',
+                                fontSize: '0.9rem',
+                                background: index === activeIndex ? 'var(--hover-bg)' : 'transparent'
+                            }}
+                        >
+                            <span style={{ fontFamily: 'monospace' }}>{suggestion.label}</span>
+                            {suggestion.detail && <span style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{suggestion.detail}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {marks.length > 0 && (
+                <div style={{ marginTop: '6px', fontSize: '0.85rem' }}>
+                    <div style={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap', wordBreak: 'break-all', color: 'var(--text-secondary)' }}>
+                        {segments.map((segment, index) => segment.mark ? (
+                            <span
+                                key={index}
+                                title={segment.mark.message}
+                                style={{ color: segment.mark.color, textDecoration: `underline wavy ${segment.mark.color}`, textUnderlineOffset: '3px' }}
+                            >
+                                {segment.text}
+                            </span>
+                        ) : (
+                            <span key={index}>{segment.text}</span>
+                        ))}
+                    </div>
+                    {errors.length > 0 && (
+                        <div className="input-error-msg" style={{ marginTop: '4px' }}>
+                            {errors.map(error => error.message).join(' · ')} - these terms are ignored.
+                        </div>
+                    )}
+                    {warnings.length > 0 && (
+                        <div style={{ marginTop: '4px', color: '#d97706' }}>
+                            {warnings.map(warning => warning.message).join(' · ')} - searched as plain text.
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Download the filtered log (every entry, not just the ones loaded into the list)
+function HistoryExportPanel({ total, isFiltered, loadLogs, onClose }) {
+    const [format, setFormat] = useState('csv');
+    const [timeZone, setTimeZone] = useState(localTimeZone);
+    const [redactUrls, setRedactUrls] = useState(false);
+    const [timeZones] = useState(listTimeZones);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleDownload = async () => {
+        setExporting(true);
+        setError(null);
+        try {
+            const logs = await loadLogs();
+            downloadHistoryExport(exportHistory(logs, format, { redactUrls, timeZone }), format);
+            onClose();
+        } catch (err) {
+            console.error('Error exporting activity:', err);
+            setError('Could not load the activity log from the extension.');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="settings-card" style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '1rem', padding: '12px 16px' }}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+                <select
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                    style={FILTER_CONTROL_STYLE}
+                    aria-label="Export format"
+                >
+                    {Object.entries(EXPORT_FORMATS).map(([id, { label }]) => (
+                        <option key={id} value={id}>{label}</option>
+                    ))}
+                </select>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                    Time zone
+                    <select
+                        value={timeZone}
+                        onChange={(e) => setTimeZone(e.target.value)}
+                        style={{ ...FILTER_CONTROL_STYLE, maxWidth: '220px' }}
+                    >
+                        {timeZones.map(zone => (
+                            <option key={zone} value={zone}>{zone}</option>
+                        ))}
+                    </select>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                    <input type="checkbox" checked={redactUrls} onChange={(e) => setRedactUrls(e.target.checked)} />
+                    Domains only (hide full URLs)
+                </label>
+                <button className="primary-button" onClick={handleDownload} disabled={total === 0 || exporting} style={{ marginLeft: 'auto' }}>
+                    {exporting ? 'Preparing...' : 'Download'}
+                </button>
+            </div>
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                {EXPORT_FORMATS[format].desc} Exports {total} {total === 1 ? 'entry' : 'entries'}{isFiltered ? ' matching the current filters' : ''}.
+            </span>
+            {error && <span className="input-error-msg">{error}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { PATTERN_TYPES, formatPattern, resolveListDecision } from './domainPatterns.js';
+
+// Pattern syntax + precedence explanation for the Allow/Block lists, with a URL tester
+export default function ListPatternHelp({ allowList, blockList, patternTypes }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [testUrl, setTestUrl] = useState('');
+
+    const result = testUrl.trim() ? resolveListDecision(testUrl.trim(), allowList, blockList, patternTypes) : undefined;
+
+    return (
+        <div style={{ marginTop: '1rem' }}>
+            <button type="button" className="examples-toggle" style={{ marginTop: 0 }} onClick={() => setIsOpen(!isOpen)}>
+                {isOpen ? 'Hide pattern help' : 'Patterns & precedence'}
+            </button>
+
+            {isOpen && (
+                <div className="examples-content">
+                    <p style={{ fontSize: '0.8rem', opacity: 0.7, marginBottom: '8px', lineHeight: 1.4 }}>
+                        List entries can be more than plain domains. Pasting a full URL adds its site; typing a host followed by a path adds a path prefix.
+                    </p>
+                    {Object.entries(PATTERN_TYPES).map(([type, info]) => (
+                        <div key={type} className="example-item">
+                            <span className="example-label">{info.label}:</span>
+                            <code>{info.example}</code> — {info.desc}
+                        </div>
+                    ))}
+
+                    <p style={{ fontSize: '0.8rem', opacity: 0.7, margin: '12px 0 4px', lineHeight: 1.4 }}>
+                        <strong>Precedence:</strong> when several entries match a page, the most specific one wins:
+                        regex, then path prefix, then exact host, then domain + subdomains. Within a type, the longer entry wins.
+                        If an Allow and a Block entry are equally specific, Block wins. For example, allowing <code>docs.google.com</code> while
+                        blocking <code>*.google.com</code> keeps Docs open and blocks the rest of Google.
+                    </p>
+
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '10px' }}>
+                        <input
+                            type="text"
+                            className="tag-input-field"
+                            placeholder="Test a URL, e.g. youtube.com/shorts/abc"
+                            value={testUrl}
+                            onChange={(e) => setTestUrl(e.target.value)}
+                            style={{ flex: 1 }}
+                        />
+                    </div>
+                    {result !== undefined && (
+                        <p style={{ fontSize: '0.85rem', margin: '6px 0 0' }}>
+                            {result
+                                ? <>
+                                    <strong style={{ color: result.decision === 'ALLOW' ? '#16a34a' : '#dc2626' }}>
+                                        {result.decision === 'ALLOW' ? 'Always Allow' : 'Always Block'}
+                                    </strong>{' '}
+                                    via <code>{formatPattern(result.entry, result.type)}</code> ({PATTERN_TYPES[result.type].label.toLowerCase()})
+                                </>
+                                : 'No list entry matches. Your prompt and categories decide.'}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { buildRulesHunks, mergeRules, countHunks } from './rulesDiff.js';
+import RulesMergeTable from './RulesMergeTable';
+import './Dashboard.css';
+
+const CURRENT = 'current'; // Side id for the live (unsaved-to-preset) settings
+
+// Side-by-side comparison of the current settings and a preset (or two presets),
+// with per-hunk "keep mine / take preset" choices when the left side is the current settings
+export default function PresetDiffModal({ isOpen, onClose, currentRules, presets, activePresetId, categoryLabels, onApply, isStrictModeActive }) {
+    const [leftId, setLeftId] = useState(CURRENT);
+    const [rightId, setRightId] = useState(null);
+    const [choices, setChoices] = useState({});
+
+    const safePresets = (Array.isArray(presets) ? presets : []).filter(p => p && p.id);
+
+    useEffect(() => {
+        if (isOpen) {
+            setLeftId(CURRENT);
+            setRightId(activePresetId || safePresets[0]?.id || null);
+            setChoices({});
+        }
+    }, [isOpen, activePresetId]);
+
+    if (!isOpen) return null;
+
+    const snapshotFor = (id) => {
+        if (id === CURRENT) return currentRules;
+        const preset = safePresets.find(p => p.id === id);
+        if (!preset) return null;
+        return {
+            prompt: preset.prompt || '',
+            blocked_categories: preset.blocked_categories || {},
+            allow_list: preset.allow_list || [],
+            block_list: preset.block_list || [],
+            list_pattern_types: preset.list_pattern_types || { allow: {}, block: {} }
+        };
+    };
+    const nameFor = (id) => id === CURRENT ? 'Current settings' : (safePresets.find(p => p.id === id)?.name || 'Preset');
+
+    const left = snapshotFor(leftId);
+    const right = snapshotFor(rightId);
+    const hunks = left && right ? buildRulesHunks(left, right) : null;
+    const hunkCount = countHunks(hunks);
+
+    // Merging is only offered when the left side is what's live right now
+    const canMerge = leftId === CURRENT && rightId !== CURRENT && hunkCount > 0;
+    const merged = canMerge ? mergeRules(left, right, hunks, choices) : null;
+    const overlap = merged ? merged.allow_list.filter(d => merged.block_list.includes(d)) : [];
+    const takenCount = Object.values(choices).filter(c => c === 'right').length;
+
+    const choose = (id, side) => setChoices(prev => ({ ...prev, [id]: side }));
+
+    const handleApply = () => {
+        if (!merged || isStrictModeActive || overlap.length > 0) return;
+        onApply(merged);
+        onClose();
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', minWidth: '760px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Compare Settings</h2>
+                    <button className="modal-close-button" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    {safePresets.length === 0 ? (
+                        <div style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-secondary)' }}>
+                            <p>Save a preset first to compare it with your current settings.</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '1rem' }}>
+                                <select className="settings-input" value={leftId} onChange={(e) => { setLeftId(e.target.value); setChoices({}); }} style={{ flex: 1 }}>
+                                    <option value={CURRENT}>Current settings</option>
+                                    {safePresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                                <span style={{ color: 'var(--text-secondary)' }}>vs</span>
+                                <select className="settings-input" value={rightId || ''} onChange={(e) => { setRightId(e.target.value); setChoices({}); }} style={{ flex: 1 }}>
+                                    {safePresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                            </div>
+
+                            {isStrictModeActive && canMerge && (
+                                <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                                    <span className="validation-text">Merging is locked during Strict Mode. You can still compare.</span>
+                                </div>
+                            )}
+
+                            {!hunks || hunkCount === 0 ? (
+                                <p style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '2rem' }}>
+                                    {leftId === rightId ? 'Pick two different settings to compare.' : `"${nameFor(leftId)}" and "${nameFor(rightId)}" are identical.`}
+                                </p>
+                            ) : (
+                                <>
+                                    <RulesMergeTable
+                                        hunks={hunks}
+                                        choices={choices}
+                                        onChoose={choose}
+                                        leftLabel={nameFor(leftId)}
+                                        rightLabel={nameFor(rightId)}
+                                        leftActionLabel="Keep mine"
+                                        rightActionLabel="Take preset"
+                                        categoryLabels={categoryLabels}
+                                        canMerge={canMerge}
+                                        disabled={isStrictModeActive}
+                                    />
+
+                                    {overlap.length > 0 && (
+                                        <div className="input-error-msg" style={{ marginTop: '1rem' }}>
+                                            These choices would put {overlap.join(', ')} in both lists. Pick the same side for both entries.
+                                        </div>
+                                    )}
+                                </>
+                            )}
+
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                                <button className="neutral-button" onClick={onClose}>{canMerge ? 'Cancel' : 'Close'}</button>
+                                {canMerge && (
+                                    <button
+                                        className="primary-button"
+                                        onClick={handleApply}
+                                        disabled={takenCount === 0 || isStrictModeActive || overlap.length > 0}
+                                        style={{ opacity: (takenCount === 0 || isStrictModeActive || overlap.length > 0) ? 0.5 : 1 }}
+                                    >
+                                        Apply {takenCount} Change{takenCount === 1 ? '' : 's'}
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
+import DecryptionRecovery from './DecryptionRecovery';
 import './Dashboard.css';
 
-function PresetsModal({ isOpen, onClose, presets, activePresetId, onLoad, onRename, onDelete, isStrictModeActive }) {
+function PresetsModal({ isOpen, onClose, presets, lockedPresets = [], activePresetId, onLoad, onRename, onDelete, onRetryLocked, onRekeyLocked, isStrictModeActive }) {
     const [editingId, setEditingId] = useState(null);
     const [editName, setEditName] = useState('');
     const [deleteConfirmId, setDeleteConfirmId] = useState(null);
@@ -57,14 +58,33 @@ function PresetsModal({ isOpen, onClose, presets, activePresetId, onLoad, onRena
                     <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
                         Manage Presets
                         <span style={{ fontSize: '0.85rem', fontWeight: '400', color: 'var(--text-secondary)' }}>
-                            {safePresets.length}/10
+                            {safePresets.length + lockedPresets.length}/10
                         </span>
                     </h2>
                     {/* Updated Close Button to match X style */}
                     <button className="modal-close-button" onClick={handleModalClose}>✕</button>
                 </div>
                 <div className="modal-body">
-                    {safePresets.length === 0 ? (
+                    {lockedPresets.length > 0 && (
+                        <div className="validation-notification" style={{ marginBottom: '1rem', display: 'block' }}>
+                            <DecryptionRecovery
+                                error={lockedPresets[0].error}
+                                itemLabel={lockedPresets.length === 1 ? '1 preset' : `${lockedPresets.length} presets`}
+                                onRetry={onRetryLocked}
+                                onRekey={onRekeyLocked}
+                                onDiscard={() => lockedPresets.forEach(p => onDelete(p.id))}
+                                discardLabel={lockedPresets.length === 1 ? 'Delete It' : 'Delete Them'}
+                                compact
+                            />
+                            <ul style={{ margin: '8px 0 0 0', paddingLeft: '1.25rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                {lockedPresets.map(p => (
+                                    <li key={p.id}>Encrypted preset from {new Date(p.created_at).toLocaleDateString()}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {safePresets.length === 0 && lockedPresets.length === 0 ? (
                         <div style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-secondary)' }}>
                             <p>No presets saved yet.</p>
                             <p style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}>Configure your settings and click "Save As" to create one.</p>
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react';
+import { supabase } from './supabaseClient';
+import { RULES_COLUMNS, openRules } from './rulesPayload.js';
+import { diffRules, summarizeRulesDiff, formatDiffEntry } from './rulesDiff.js';
+import './Dashboard.css';
+
+const REVISIONS_PER_PAGE = 30; // Revisions loaded at a time
+
+const SOURCE_LABELS = {
+    edit: 'Edit',
+    preset: 'Preset loaded',
+    schedule: 'Scheduled switch',
+    restore: 'Restored',
+    import: 'Bulk import'
+};
+
+// Revision history for the rules document, with per-revision diffs and one-click restore
+export default function RulesHistoryModal({ isOpen, onClose, userId, categoryLabels, onRestore, isStrictModeActive }) {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const [confirmRestoreId, setConfirmRestoreId] = useState(null);
+    const [restoringId, setRestoringId] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Load one page of revisions (plus one extra so the oldest shown revision can be diffed)
+    const fetchRevisions = async (offset = 0) => {
+        if (!userId) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const { data, error: fetchError } = await supabase
+                .from('rules_revisions')
+                .select(`id, created_at, source, ${RULES_COLUMNS}`)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .range(offset, offset + REVISIONS_PER_PAGE);
+
+            if (fetchError) throw fetchError;
+
+            const decrypted = await Promise.all((data || []).map(async (rev) => {
+                try {
+                    return { ...rev, ...await openRules(rev, userId) };
+                } catch (err) {
+                    // Shown as undecryptable rather than as empty rules
+                    console.error('Error decrypting revision:', rev.id, err);
+                    return { id: rev.id, created_at: rev.created_at, source: rev.source, decryptError: err };
+                }
+            }));
+
+            setHasMore(decrypted.length > REVISIONS_PER_PAGE);
+            setRevisions(prev => {
+                // The next page starts with the previous page's extra baseline revision, so de-duplicate
+                const kept = offset === 0 ? [] : prev.filter(r => !decrypted.some(d => d.id === r.id));
+                return [...kept, ...decrypted];
+            });
+        } catch (err) {
+            console.error('Error loading rules history:', err);
+            setError('Failed to load history.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen) {
+            setExpandedId(null);
+            setConfirmRestoreId(null);
+            fetchRevisions(0);
+        }
+    }, [isOpen, userId]);
+
+    if (!isOpen) return null;
+
+    // The last loaded revision is only used as the baseline for the one before it when more exist
+    const visible = hasMore ? revisions.slice(0, -1) : revisions;
+
+    const handleRestore = async (revision) => {
+        if (isStrictModeActive) return;
+        if (confirmRestoreId !== revision.id) {
+            setConfirmRestoreId(revision.id);
+            return;
+        }
+        setRestoringId(revision.id);
+        try {
+            await onRestore(revision);
+            onClose();
+        } catch (err) {
+            console.error('Error restoring revision:', err);
+            setError(err.message || 'Failed to restore this version.');
+        } finally {
+            setRestoringId(null);
+            setConfirmRestoreId(null);
+        }
+    };
+
+    const renderDomainChanges = (label, changes, revision, previous, list) => {
+        if (changes.added.length === 0 && changes.removed.length === 0 && changes.retyped.length === 0) return null;
+        return (
+            <div style={{ marginTop: '8px' }}>
+                <strong style={{ fontSize: '0.85rem' }}>{label}</strong>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '4px' }}>
+                    {changes.added.map(d => (
+                        <span key={`+${d}`} className={`tag-item ${list}-tag`} style={{ fontSize: '0.8rem' }}>+ {formatDiffEntry(d, revision, list)}</span>
+                    ))}
+                    {changes.removed.map(d => (
+                        <span key={`-${d}`} className={`tag-item ${list}-tag`} style={{ fontSize: '0.8rem', opacity: 0.6, textDecoration: 'line-through' }}>− {formatDiffEntry(d, previous, list)}</span>
+                    ))}
+                    {changes.retyped.map(d => (
+                        <span key={`~${d}`} className={`tag-item ${list}-tag`} style={{ fontSize: '0.8rem' }}>
+                            {formatDiffEntry(d, previous, list)} → {formatDiffEntry(d, revision, list)}
+                        </span>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', minWidth: '640px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Rules History</h2>
+                    <button className="modal-close-button" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    <p style={{ marginTop: 0, fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                        Every saved change to your prompt, categories and lists is kept here. Restoring a version saves it as your current rules.
+                    </p>
+
+                    {isStrictModeActive && (
+                        <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                            <span className="validation-text">Restoring is locked during Strict Mode.</span>
+                        </div>
+                    )}
+
+                    {error && <div className="input-error-msg" style={{ marginBottom: '1rem' }}>{error}</div>}
+
+                    {loading && revisions.length === 0 ? (
+                        <p style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '2rem' }}>Loading history...</p>
+                    ) : visible.length === 0 ? (
+                        <p style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '2rem' }}>No saved versions yet. Changes you make from now on will appear here.</p>
+                    ) : (
+                        <ul className="log-feed-list">
+                            {visible.map((revision, index) => {
+                                const previous = revisions[index + 1] || null;
+                                const unreadable = !!(revision.decryptError || previous?.decryptError);
+                                const diff = unreadable ? null : diffRules(previous, revision);
+                                const isCurrent = index === 0;
+                                const isExpanded = expandedId === revision.id;
+
+                                return (
+                                    <li
+                                        key={revision.id}
+                                        className="log-item"
+                                        onClick={() => setExpandedId(isExpanded ? null : revision.id)}
+                                        style={{ flexDirection: 'column', alignItems: 'stretch', cursor: 'pointer', padding: '10px 12px' }}
+                                    >
+                                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                                            <div style={{ flex: 1, minWidth: 0 }}>
+                                                <div style={{ fontSize: '0.9rem', fontWeight: 600 }}>
+                                                    {new Date(revision.created_at).toLocaleString()}
+                                                    <span style={{ marginLeft: '8px', fontSize: '0.75rem', fontWeight: 500, color: 'var(--text-secondary)' }}>
+                                                        {SOURCE_LABELS[revision.source] || SOURCE_LABELS.edit}
+                                                        {isCurrent && ' · Current'}
+                                                    </span>
+                                                </div>
+                                                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                                    {revision.decryptError ? 'This version could not be decrypted'
+                                                        : unreadable ? 'Changes unavailable (the version before it could not be decrypted)'
+                                                            : previous ? summarizeRulesDiff(diff, categoryLabels) : 'Oldest saved version'}
+                                                </div>
+                                            </div>
+                                            {!isCurrent && !revision.decryptError && (
+                                                <button
+                                                    className={confirmRestoreId === revision.id ? 'destructive-button' : 'neutral-button'}
+                                                    onClick={(e) => { e.stopPropagation(); handleRestore(revision); }}
+                                                    disabled={isStrictModeActive || restoringId !== null}
+                                                    title={isStrictModeActive ? 'Locked during Strict Mode' : 'Make this version your current rules'}
+                                                    style={{ minWidth: '90px', opacity: isStrictModeActive ? 0.5 : 1 }}
+                                                >
+                                                    {restoringId === revision.id ? 'Restoring...' : confirmRestoreId === revision.id ? 'Confirm?' : 'Restore'}
+                                                </button>
+                                            )}
+                                        </div>
+
+                                        {isExpanded && unreadable && (
+                                            <p style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid var(--border-color)', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                                It was encrypted with a key this session doesn't have, for example one from before your passphrase was changed.
+                                            </p>
+                                        )}
+                                        {isExpanded && !unreadable && (
+                                            <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid var(--border-color)', cursor: 'default' }} onClick={(e) => e.stopPropagation()}>
+                                                {!previous && (
+                                                    <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                                        {revision.prompt ? `Prompt: "${revision.prompt}"` : 'Empty prompt'} · {(revision.allow_list || []).length} allowed · {(revision.block_list || []).length} blocked
+                                                    </p>
+                                                )}
+                                                {previous && diff.isEmpty && (
+                                                    <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-secondary)' }}>Same rules as the previous version.</p>
+                                                )}
+                                                {previous && diff.prompt.changed && (
+                                                    <div>
+                                                        <strong style={{ fontSize: '0.85rem' }}>Prompt</strong>
+                                                        <pre style={{ margin: '4px 0 0 0', padding: '8px', borderRadius: '6px', background: 'var(--bg-secondary, rgba(0,0,0,0.03))', fontSize: '0.8rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                                            {diff.prompt.lines.map((line, i) => (
+                                                                <div key={i} style={{
+                                                                    color: line.type === 'added' ? '#16a34a' : line.type === 'removed' ? '#dc2626' : 'inherit',
+                                                                    textDecoration: line.type === 'removed' ? 'line-through' : 'none'
+                                                                }}>
+                                                                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '− ' : '  '}{line.text || ' '}
+                                                                </div>
+                                                            ))}
+                                                        </pre>
+                                                    </div>
+                                                )}
+                                                {previous && (diff.categories.enabled.length > 0 || diff.categories.disabled.length > 0) && (
+                                                    <div style={{ marginTop: '8px', fontSize: '0.85rem' }}>
+                                                        <strong>Categories</strong>
+                                                        <div style={{ marginTop: '4px', color: 'var(--text-secondary)' }}>
+                                                            {diff.categories.enabled.map(id => <div key={id}>Blocked {categoryLabels?.[id] || id}</div>)}
+                                                            {diff.categories.disabled.map(id => <div key={id}>Unblocked {categoryLabels?.[id] || id}</div>)}
+                                                        </div>
+                                                    </div>
+                                                )}
+                                                {previous && renderDomainChanges('Always Allow', diff.allow, revision, previous, 'allow')}
+                                                {previous && renderDomainChanges('Always Block', diff.block, revision, previous, 'block')}
+                                            </div>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+
+                    {hasMore && (
+                        <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+                            <button className="neutral-button" onClick={() => fetchRevisions(revisions.length - 1)} disabled={loading}>
+                                {loading ? 'Loading...' : 'Load Older Versions'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
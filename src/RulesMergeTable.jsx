@@ -0,0 +1,121 @@
+import { formatPattern } from './domainPatterns.js';
+
+const SIDE_STYLES = {
+    left: { bg: 'rgba(239, 68, 68, 0.08)', color: '#dc2626' },
+    right: { bg: 'rgba(34, 197, 94, 0.08)', color: '#16a34a' }
+};
+
+// Side-by-side hunks from buildRulesHunks, with optional per-hunk left/right choices.
+// Shared by the preset comparison and the save-conflict merge views.
+export default function RulesMergeTable({
+    hunks,
+    choices,
+    onChoose,
+    leftLabel,
+    rightLabel,
+    leftActionLabel = 'Keep mine',
+    rightActionLabel = 'Take theirs',
+    categoryLabels,
+    canMerge = true,
+    disabled = false
+}) {
+    const allHunks = [...hunks.prompt.filter(b => b.type === 'change'), ...hunks.categories, ...hunks.allow, ...hunks.block];
+
+    const chooseAll = (side) => {
+        allHunks.forEach(h => onChoose(h.id, side));
+    };
+
+    const renderChoice = (id) => {
+        if (!canMerge) return null;
+        const side = choices[id] === 'right' ? 'right' : 'left';
+        return (
+            <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                <button type="button" className={`preset-btn ${side === 'left' ? 'active' : ''}`} onClick={() => onChoose(id, 'left')} disabled={disabled} style={{ padding: '2px 8px', fontSize: '0.75rem' }}>
+                    {leftActionLabel}
+                </button>
+                <button type="button" className={`preset-btn ${side === 'right' ? 'active' : ''}`} onClick={() => onChoose(id, 'right')} disabled={disabled} style={{ padding: '2px 8px', fontSize: '0.75rem' }}>
+                    {rightActionLabel}
+                </button>
+            </div>
+        );
+    };
+
+    const cellStyle = (side, hasContent) => ({
+        flex: 1,
+        minWidth: 0,
+        padding: '6px 8px',
+        borderRadius: '6px',
+        background: hasContent ? SIDE_STYLES[side].bg : 'transparent',
+        fontFamily: 'monospace',
+        fontSize: '0.8rem',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word'
+    });
+
+    const renderListSection = (label, list) => hunks[list].length > 0 && (
+        <div style={{ marginTop: '1.25rem' }}>
+            <h4 style={{ margin: '0 0 8px 0' }}>{label}</h4>
+            {hunks[list].map(h => (
+                <div key={h.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '6px' }}>
+                    <div style={cellStyle('left', h.inLeft)}>
+                        {h.inLeft ? formatPattern(h.entry, h.leftType) : <span style={{ opacity: 0.4 }}>not listed</span>}
+                    </div>
+                    <div style={cellStyle('right', h.inRight)}>
+                        {h.inRight ? formatPattern(h.entry, h.rightType) : <span style={{ opacity: 0.4 }}>not listed</span>}
+                    </div>
+                    {renderChoice(h.id)}
+                </div>
+            ))}
+        </div>
+    );
+
+    return (
+        <>
+            <div style={{ display: 'flex', gap: '10px', fontSize: '0.8rem', fontWeight: 600, marginBottom: '8px' }}>
+                <span style={{ flex: 1, color: SIDE_STYLES.left.color }}>{leftLabel}</span>
+                <span style={{ flex: 1, color: SIDE_STYLES.right.color }}>{rightLabel}</span>
+                {canMerge && (
+                    <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                        <button type="button" className="history-link-button" onClick={() => chooseAll('left')} disabled={disabled}>{leftActionLabel} (all)</button>
+                        <button type="button" className="history-link-button" onClick={() => chooseAll('right')} disabled={disabled}>{rightActionLabel} (all)</button>
+                    </div>
+                )}
+            </div>
+
+            {hunks.prompt.some(b => b.type === 'change') && (
+                <div>
+                    <h4 style={{ margin: '0 0 8px 0' }}>Prompt</h4>
+                    {hunks.prompt.map((block, i) => block.type === 'same' ? (
+                        <div key={`same-${i}`} style={{ display: 'flex', gap: '10px', marginBottom: '6px', opacity: 0.6 }}>
+                            <div style={cellStyle('left', false)}>{block.lines.join('\n')}</div>
+                            <div style={cellStyle('right', false)}>{block.lines.join('\n')}</div>
+                            {canMerge && <div style={{ width: '168px', flexShrink: 0 }} />}
+                        </div>
+                    ) : (
+                        <div key={block.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '6px' }}>
+                            <div style={cellStyle('left', block.left.length > 0)}>{block.left.join('\n')}</div>
+                            <div style={cellStyle('right', block.right.length > 0)}>{block.right.join('\n')}</div>
+                            {renderChoice(block.id)}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {hunks.categories.length > 0 && (
+                <div style={{ marginTop: '1.25rem' }}>
+                    <h4 style={{ margin: '0 0 8px 0' }}>Categories</h4>
+                    {hunks.categories.map(h => (
+                        <div key={h.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '6px' }}>
+                            <div style={cellStyle('left', true)}>{categoryLabels?.[h.category] || h.category}: {h.left ? 'Blocked' : 'Off'}</div>
+                            <div style={cellStyle('right', true)}>{categoryLabels?.[h.category] || h.category}: {h.right ? 'Blocked' : 'Off'}</div>
+                            {renderChoice(h.id)}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {renderListSection('Always Allow', 'allow')}
+            {renderListSection('Always Block', 'block')}
+        </>
+    );
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { buildRulesHunks, mergeRules, countHunks } from './rulesDiff.js';
+import RulesMergeTable from './RulesMergeTable';
+import './Dashboard.css';
+
+// Shown when a save was rejected because the rules changed on another device since our edit began.
+// conflict: { mine, theirs, serverVersion } (both snapshots decrypted)
+export default function SaveConflictModal({ conflict, onResolve, categoryLabels }) {
+    const [choices, setChoices] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        setChoices({});
+    }, [conflict]);
+
+    if (!conflict) return null;
+
+    const hunks = buildRulesHunks(conflict.mine, conflict.theirs);
+    const merged = mergeRules(conflict.mine, conflict.theirs, hunks, choices);
+    const overlap = merged.allow_list.filter(d => merged.block_list.includes(d));
+
+    const choose = (id, side) => setChoices(prev => ({ ...prev, [id]: side }));
+
+    const handleResolve = async () => {
+        if (overlap.length > 0) return;
+        setSaving(true);
+        try {
+            await onResolve(merged);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', minWidth: '760px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Your Rules Changed Elsewhere</h2>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    <p style={{ marginTop: 0, fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                        Your rules were updated on another device{conflict.serverVersion ? ` (${new Date(conflict.serverVersion).toLocaleString()})` : ''} after you started editing here.
+                        Choose which version to keep for each change. Nothing is saved until you confirm.
+                    </p>
+
+                    {countHunks(hunks) === 0 ? (
+                        <p style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '1rem' }}>Both versions are identical.</p>
+                    ) : (
+                        <RulesMergeTable
+                            hunks={hunks}
+                            choices={choices}
+                            onChoose={choose}
+                            leftLabel="This device"
+                            rightLabel="Other device"
+                            leftActionLabel="Keep mine"
+                            rightActionLabel="Take theirs"
+                            categoryLabels={categoryLabels}
+                        />
+                    )}
+
+                    {overlap.length > 0 && (
+                        <div className="input-error-msg" style={{ marginTop: '1rem' }}>
+                            These choices would put {overlap.join(', ')} in both lists. Pick the same side for both entries.
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                        <button
+                            className="primary-button"
+                            onClick={handleResolve}
+                            disabled={saving || overlap.length > 0}
+                            style={{ opacity: overlap.length > 0 ? 0.5 : 1 }}
+                        >
+                            {saving ? 'Saving...' : 'Save Merged Rules'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import './Dashboard.css';
+import {
+    SCHEDULE_DAYS,
+    parseTimeToMinutes,
+    minutesToTimeValue,
+    formatMinutes,
+    formatDays,
+    validateScheduleBlock,
+    findScheduleConflicts
+} from './scheduleUtils.js';
+
+// Weekly schedule editor: each time block is bound to a saved preset
+export default function ScheduleModal({ isOpen, onClose, presets, blocks, onSave, isStrictModeActive }) {
+    const [draftBlocks, setDraftBlocks] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+
+    // Start from a fresh copy of the saved schedule every time the modal opens
+    useEffect(() => {
+        if (isOpen) {
+            setDraftBlocks((blocks || []).map(b => ({ ...b, days: [...b.days] })));
+            setSaveError(null);
+        }
+    }, [isOpen, blocks]);
+
+    if (!isOpen) return null;
+
+    const safePresets = (Array.isArray(presets) ? presets : []).filter(p => p && p.id);
+    const conflicts = findScheduleConflicts(draftBlocks);
+    const conflictIds = new Set(conflicts.flatMap(c => [c.a, c.b]));
+    const blockErrors = Object.fromEntries(draftBlocks.map(b => [b.id, validateScheduleBlock(b)]));
+    const hasErrors = Object.values(blockErrors).some(Boolean) || conflicts.length > 0;
+
+    const updateBlock = (id, changes) => {
+        setDraftBlocks(prev => prev.map(b => (b.id === id ? { ...b, ...changes } : b)));
+        setSaveError(null);
+    };
+
+    const toggleDay = (block, day) => {
+        const days = block.days.includes(day)
+            ? block.days.filter(d => d !== day)
+            : [...block.days, day].sort((a, b) => a - b);
+        updateBlock(block.id, { days });
+    };
+
+    const handleAddBlock = () => {
+        setDraftBlocks(prev => [...prev, {
+            id: crypto.randomUUID(),
+            preset_id: safePresets[0]?.id || null,
+            days: [1, 2, 3, 4, 5],
+            start_minute: 9 * 60,
+            end_minute: 17 * 60,
+            enabled: true
+        }]);
+    };
+
+    const handleRemoveBlock = (id) => {
+        setDraftBlocks(prev => prev.filter(b => b.id !== id));
+    };
+
+    const handleSave = async () => {
+        if (hasErrors || isStrictModeActive) return;
+        setSaving(true);
+        setSaveError(null);
+        try {
+            await onSave(draftBlocks);
+            onClose();
+        } catch (err) {
+            console.error('Error saving schedule:', err);
+            setSaveError(err.message || 'Failed to save schedule.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const presetName = (id) => safePresets.find(p => p.id === id)?.name || 'Unknown preset';
+    const describeConflict = (conflict) => {
+        const a = draftBlocks.find(b => b.id === conflict.a);
+        const b = draftBlocks.find(b => b.id === conflict.b);
+        return `"${presetName(a.preset_id)}" (${formatMinutes(a.start_minute)}–${formatMinutes(a.end_minute)}) overlaps "${presetName(b.preset_id)}" (${formatMinutes(b.start_minute)}–${formatMinutes(b.end_minute)}) on ${SCHEDULE_DAYS[conflict.day].label}.`;
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxHeight: '85vh', minWidth: '680px', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h2>Preset Schedule</h2>
+                    <button className="modal-close-button" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-body" style={{ overflowY: 'auto' }}>
+                    <p style={{ marginTop: 0, fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                        Your active preset switches automatically when a time block starts. When a block ends, the last preset stays loaded until the next block.
+                    </p>
+
+                    {isStrictModeActive && (
+                        <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                            <span className="validation-text">The schedule is locked during Strict Mode. Scheduled switches are paused until it ends.</span>
+                        </div>
+                    )}
+
+                    {safePresets.length === 0 ? (
+                        <div style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-secondary)' }}>
+                            <p>Save a preset first, then schedule when it should load.</p>
+                        </div>
+                    ) : (
+                        <>
+                            {draftBlocks.length === 0 && (
+                                <p style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '1rem' }}>No time blocks yet.</p>
+                            )}
+                            <ul className="log-feed-list">
+                                {draftBlocks.map(block => (
+                                    <li key={block.id} className="log-item" style={{
+                                        flexDirection: 'column',
+                                        alignItems: 'stretch',
+                                        gap: '10px',
+                                        padding: '12px',
+                                        opacity: block.enabled === false ? 0.6 : 1,
+                                        borderLeft: conflictIds.has(block.id) ? '3px solid #ef4444' : '3px solid transparent'
+                                    }}>
+                                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                                            <select
+                                                className="settings-input"
+                                                value={block.preset_id || ''}
+                                                onChange={(e) => updateBlock(block.id, { preset_id: e.target.value })}
+                                                disabled={isStrictModeActive}
+                                                style={{ flex: 1, minWidth: '180px' }}
+                                            >
+                                                <option value="" disabled>Choose preset…</option>
+                                                {safePresets.map(p => (
+                                                    <option key={p.id} value={p.id}>{p.name}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="time"
+                                                className="settings-input"
+                                                value={minutesToTimeValue(block.start_minute)}
+                                                onChange={(e) => updateBlock(block.id, { start_minute: parseTimeToMinutes(e.target.value) })}
+                                                disabled={isStrictModeActive}
+                                                style={{ width: '120px' }}
+                                            />
+                                            <span style={{ color: 'var(--text-secondary)' }}>to</span>
+                                            <input
+                                                type="time"
+                                                className="settings-input"
+                                                value={minutesToTimeValue(block.end_minute)}
+                                                onChange={(e) => updateBlock(block.id, { end_minute: parseTimeToMinutes(e.target.value) })}
+                                                disabled={isStrictModeActive}
+                                                style={{ width: '120px' }}
+                                            />
+                                            <label className="toggle-switch" title={block.enabled === false ? 'Enable block' : 'Disable block'}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={block.enabled !== false}
+                                                    onChange={(e) => updateBlock(block.id, { enabled: e.target.checked })}
+                                                    disabled={isStrictModeActive}
+                                                />
+                                                <span className="toggle-slider"></span>
+                                            </label>
+                                            <button
+                                                className="destructive-button modal-action-btn"
+                                                onClick={() => handleRemoveBlock(block.id)}
+                                                disabled={isStrictModeActive}
+                                                style={{ minWidth: '70px' }}
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                        <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+                                            {SCHEDULE_DAYS.map(day => (
+                                                <button
+                                                    key={day.id}
+                                                    type="button"
+                                                    className={`preset-btn ${block.days.includes(day.id) ? 'active' : ''}`}
+                                                    onClick={() => toggleDay(block, day.id)}
+                                                    disabled={isStrictModeActive}
+                                                    title={day.label}
+                                                    style={{ padding: '4px 10px' }}
+                                                >
+                                                    {day.short}
+                                                </button>
+                                            ))}
+                                            <span style={{ marginLeft: 'auto', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                                {formatDays(block.days)}
+                                            </span>
+                                        </div>
+                                        {blockErrors[block.id] && (
+                                            <div className="input-error-msg">{blockErrors[block.id]}</div>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+
+                            {conflicts.length > 0 && (
+                                <div style={{ marginTop: '1rem', padding: '12px', borderRadius: '8px', background: 'rgba(239, 68, 68, 0.08)', border: '1px solid rgba(239, 68, 68, 0.3)' }}>
+                                    <strong style={{ color: '#dc2626', fontSize: '0.9rem' }}>Overlapping time blocks</strong>
+                                    <ul style={{ margin: '6px 0 0 0', paddingLeft: '1.2rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                        {conflicts.map((c, i) => <li key={i}>{describeConflict(c)}</li>)}
+                                    </ul>
+                                </div>
+                            )}
+
+                            <button
+                                className="neutral-button"
+                                onClick={handleAddBlock}
+                                disabled={isStrictModeActive}
+                                style={{ marginTop: '1rem' }}
+                            >
+                                + Add Time Block
+                            </button>
+                        </>
+                    )}
+
+                    {saveError && <div className="input-error-msg" style={{ marginTop: '1rem' }}>{saveError}</div>}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '1.5rem' }}>
+                        <button className="neutral-button" onClick={onClose}>Cancel</button>
+                        <button
+                            className="primary-button"
+                            onClick={handleSave}
+                            disabled={saving || hasErrors || isStrictModeActive}
+                            style={{ opacity: (hasErrors || isStrictModeActive) ? 0.5 : 1 }}
+                        >
+                            {saving ? 'Saving...' : 'Save Schedule'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -7,45 +7,37 @@ import {
     inviteAccountabilityContact,
     removeAccountabilityContact,
     requestUnlock,
-    getUnlockStatus,
     resendInvitation,
     requestEmergencyRecovery,
 } from './api/accountability';
 import { activateStrictMode } from './api/strictMode';
+import { subscribeStrictModeChannel, refreshUnlockStatus } from './strictModeChannel.js';
+import { isPassphraseProtected, setEncryptionPassphrase, isFullPayloadEncryption, setFullPayloadEncryption } from './cryptoUtils.js';
+import { migrateEncryptedData } from './rulesPayload.js';
+import {
+    SETTINGS_SECTIONS,
+    buildSettingsFile,
+    parseSettingsFile,
+    previewSettingsChanges,
+    applySettingsImport,
+    formatSettingValue
+} from './settingsSchema.js';
 import { getReferralCode, getReferralStats, getReferralLink } from './api/referral';
-
-// --- Direct Extension Messaging for Pause Sync ---
-function syncPauseToExtension(paused) {
-    const marker = document.getElementById('beacon-extension-status');
-    const extensionId = marker?.getAttribute('data-extension-id');
-
-    console.log('[SETTINGS] syncPauseToExtension called, paused:', paused, 'extensionId:', extensionId);
-
-    if (extensionId && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
-        try {
-            chrome.runtime.sendMessage(
-                extensionId,
-                { type: 'SYNC_PAUSE', paused: paused },
-                (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.log('[SETTINGS] Direct pause sync failed:', chrome.runtime.lastError.message);
-                        document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-                    } else {
-                        console.log('[SETTINGS] Pause sync response:', response);
-                    }
-                }
-            );
-        } catch (e) {
-            console.log('[SETTINGS] chrome.runtime error:', e);
-            document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-        }
-    } else {
-        console.log('[SETTINGS] Using CustomEvent fallback for pause sync');
-        document.dispatchEvent(new CustomEvent('BEACON_PAUSE_SYNC', { detail: { paused } }));
-    }
-}
-
-function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEmail, session, onDeleteAccount, initialTab, onRestartTour, theme, onThemeChange }) {
+import { extensionBridge } from './extensionBridge.js';
+import { ALL_SUPPORTED } from './extensionCompat.js';
+import { PAUSE_DURATIONS, PAUSE_BUDGET_OPTIONS, pauseUsedToday, pauseBudgetRemaining, formatBudget } from './pauseUtils.js';
+import { formatSwitchTime } from './scheduleUtils.js';
+import ActivityAnalytics from './ActivityAnalytics.jsx';
+import {
+    collectDiagnostics,
+    runSelfTest,
+    formatDiagnosticsReport,
+    tokenFreshness,
+    describeTime,
+    formatBytes
+} from './extensionDiagnostics.js';
+
+function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEmail, session, onDeleteAccount, initialTab, onRestartTour, theme, onThemeChange, onEncryptionChanged, onOpenBackup, extensionSupport = ALL_SUPPORTED, extensionStatus, extensionInfo, onPause, onResume }) {
     const [activeTab, setActiveTab] = useState('analytics');
     const [localSettings, setLocalSettings] = useState(settings);
     const [strictModeClickedOnce, setStrictModeClickedOnce] = useState(false);
@@ -157,7 +149,8 @@ function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEm
         { id: 'account', label: 'Account' },
         { id: 'appearance', label: 'Appearance' },
         { id: 'subscription', label: 'Subscription & Billing' },
-        { id: 'advanced', label: 'Advanced' }
+        { id: 'advanced', label: 'Advanced' },
+        { id: 'diagnostics', label: 'Diagnostics' }
     ];
 
     return (
@@ -228,13 +221,13 @@ function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEm
                         paddingRight: '1rem'
                     }}>
                         {activeTab === 'analytics' && (
-                            <AnalyticsTab settings={localSettings} updateSetting={updateSetting} session={session} />
+                            <AnalyticsTab settings={localSettings} updateSetting={updateSetting} session={session} extensionSupport={extensionSupport} />
                         )}
                         {activeTab === 'subscription' && (
                             <SubscriptionTab session={session} />
                         )}
                         {activeTab === 'activity' && (
-                            <ActivityTab settings={localSettings} updateSetting={updateSetting} storageUsage={storageUsage} />
+                            <ActivityTab settings={localSettings} updateSetting={updateSetting} storageUsage={storageUsage} extensionSupport={extensionSupport} />
                         )}
                         {activeTab === 'blocking' && (
                             <BlockingTab
@@ -243,6 +236,9 @@ function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEm
                                 onActivateStrictMode={handleActivateStrictMode}
                                 strictModeClickedOnce={strictModeClickedOnce}
                                 session={session}
+                                onPause={onPause}
+                                onResume={onResume}
+                                extensionSupport={extensionSupport}
                             />
                         )}
                         {activeTab === 'account' && (
@@ -266,7 +262,8 @@ function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEm
                                         accountabilityContactVerified: false,
                                         lastEmergencyExit: null,
                                         optimisticBlocking: false,
-                                        blockingPaused: false
+                                        blockingPaused: false,
+                                        blockingPausedUntil: null
                                     };
                                     setLocalSettings(prev => ({ ...prev, ...defaultSettings }));
                                 }}
@@ -286,6 +283,18 @@ function SettingsModal({ isOpen, onClose, settings, onSave, storageUsage, userEm
                             <AdvancedTab
                                 settings={localSettings}
                                 updateSetting={updateSetting}
+                                session={session}
+                                onEncryptionChanged={onEncryptionChanged}
+                                onOpenBackup={onOpenBackup}
+                                extensionSupport={extensionSupport}
+                            />
+                        )}
+                        {activeTab === 'diagnostics' && (
+                            <DiagnosticsTab
+                                extensionStatus={extensionStatus}
+                                extensionInfo={extensionInfo}
+                                session={session}
+                                pauseBudgetMinutes={settings.dailyPauseBudgetMinutes ?? 0}
                             />
                         )}
                     </div>
@@ -925,7 +934,7 @@ function SubscriptionTab({ session }) {
 }
 
 // Analytics & Insights Tab
-function AnalyticsTab({ settings, updateSetting, session }) {
+function AnalyticsTab({ settings, updateSetting, session, extensionSupport }) {
     const [weeklyReportEnabled, setWeeklyReportEnabled] = useState(false);
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
@@ -1011,7 +1020,7 @@ function AnalyticsTab({ settings, updateSetting, session }) {
         <div className="settings-tab-content">
             <h3 style={{ marginTop: 0 }}>Analytics & Insights</h3>
             <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '2rem' }}>
-                Track your productivity and get personalized weekly reports.
+                Track your productivity, see where your blocks come from and get personalized weekly reports.
             </p>
 
             {/* Weekly Report Opt-in */}
@@ -1121,12 +1130,16 @@ function AnalyticsTab({ settings, updateSetting, session }) {
                     </div>
                 )}
             </div>
+
+            <ActivityAnalytics settings={settings} extensionSupport={extensionSupport} />
         </div>
     );
 }
 
 // Activity & Privacy Tab
-function ActivityTab({ settings, updateSetting, storageUsage }) {
+function ActivityTab({ settings, updateSetting, storageUsage: initialStorageUsage, extensionSupport }) {
+    const [freshStorageUsage, setFreshStorageUsage] = useState(null); // Re-read after clearing the log
+    const storageUsage = freshStorageUsage || initialStorageUsage;
     // Our block history limit is ~750KB (1000 entries × 750 bytes average)
     const ourMaxBytes = 768000; // 750 KB
     const storagePercent = storageUsage ? (storageUsage.used / ourMaxBytes) * 100 : 0;
@@ -1183,12 +1196,14 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
                     onClick={() => {
                         if (showClearConfirm) {
                             // Second click - actually clear
-                            document.dispatchEvent(new CustomEvent('BEACON_CLEAR_BLOCK_LOG'));
-                            window.dispatchEvent(new CustomEvent('BEACON_RULES_UPDATED'));
+                            extensionBridge.send('clearBlockLog');
+                            extensionBridge.send('rulesUpdated');
                             setShowClearConfirm(false);
                             // Request updated storage usage after a short delay
                             setTimeout(() => {
-                                document.dispatchEvent(new CustomEvent('BEACON_GET_STORAGE_USAGE'));
+                                extensionBridge.request('getStorageUsage')
+                                    .then(reply => setFreshStorageUsage({ used: reply.used, max: reply.max }))
+                                    .catch(err => console.log('[Storage] No response from extension:', err.message));
                             }, 500);
                         } else {
                             // First click - show confirmation
@@ -1204,6 +1219,13 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
 
             {/* Auto-Delete Activity Log Section */}
             <div style={{ marginTop: '2rem', paddingTop: '1.5rem', borderTop: '1px solid var(--border-color)' }}>
+                {!extensionSupport.activityLogSettings && (
+                    <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                        <span className="validation-text">
+                            Your installed extension can't apply these logging options. Update Beacon Blocker to change them.
+                        </span>
+                    </div>
+                )}
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
                     <div>
                         <h4 style={{ margin: 0 }}>Auto-Delete Activity Log</h4>
@@ -1215,12 +1237,11 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
                         <input
                             type="checkbox"
                             checked={settings.autoDeleteActivityLog ?? false}
+                            disabled={!extensionSupport.activityLogSettings}
                             onChange={(e) => {
                                 updateSetting('autoDeleteActivityLog', e.target.checked);
                                 // Sync to extension
-                                document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-                                    detail: { autoDelete: e.target.checked, retentionDays: settings.activityLogRetention ?? 7, logAllowDecisions: settings.logAllowDecisions, logCachedDecisions: settings.logCachedDecisions ?? false }
-                                }));
+                                extensionBridge.send('syncActivityLogSettings', { autoDelete: e.target.checked, retentionDays: settings.activityLogRetention ?? 7, logAllowDecisions: settings.logAllowDecisions, logCachedDecisions: settings.logCachedDecisions ?? false });
                             }}
                         />
                         <span className="toggle-slider"></span>
@@ -1243,10 +1264,9 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
                                     onClick={() => {
                                         updateSetting('activityLogRetention', option.value);
                                         // Sync to extension
-                                        document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-                                            detail: { autoDelete: settings.autoDeleteActivityLog, retentionDays: option.value, logAllowDecisions: settings.logAllowDecisions, logCachedDecisions: settings.logCachedDecisions ?? false }
-                                        }));
+                                        extensionBridge.send('syncActivityLogSettings', { autoDelete: settings.autoDeleteActivityLog, retentionDays: option.value, logAllowDecisions: settings.logAllowDecisions, logCachedDecisions: settings.logCachedDecisions ?? false });
                                     }}
+                                    disabled={!extensionSupport.activityLogSettings}
                                 >
                                     {option.label}
                                 </button>
@@ -1272,17 +1292,16 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
                         <input
                             type="checkbox"
                             checked={settings.logAllowDecisions ?? false}
+                            disabled={!extensionSupport.activityLogSettings}
                             onChange={(e) => {
                                 updateSetting('logAllowDecisions', e.target.checked);
                                 // Sync to extension
-                                document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-                                    detail: {
-                                        autoDelete: settings.autoDeleteActivityLog,
-                                        retentionDays: settings.activityLogRetention ?? 7,
-                                        logAllowDecisions: e.target.checked,
-                                        logCachedDecisions: settings.logCachedDecisions ?? false
-                                    }
-                                }));
+                                extensionBridge.send('syncActivityLogSettings', {
+                                    autoDelete: settings.autoDeleteActivityLog,
+                                    retentionDays: settings.activityLogRetention ?? 7,
+                                    logAllowDecisions: e.target.checked,
+                                    logCachedDecisions: settings.logCachedDecisions ?? false
+                                });
                             }}
                         />
                         <span className="toggle-slider"></span>
@@ -1303,17 +1322,16 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
                         <input
                             type="checkbox"
                             checked={settings.logCachedDecisions ?? false}
+                            disabled={!extensionSupport.activityLogSettings}
                             onChange={(e) => {
                                 updateSetting('logCachedDecisions', e.target.checked);
                                 // Sync to extension
-                                document.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_LOG_SETTINGS_SYNC', {
-                                    detail: {
-                                        autoDelete: settings.autoDeleteActivityLog,
-                                        retentionDays: settings.activityLogRetention ?? 7,
-                                        logAllowDecisions: settings.logAllowDecisions ?? false,
-                                        logCachedDecisions: e.target.checked
-                                    }
-                                }));
+                                extensionBridge.send('syncActivityLogSettings', {
+                                    autoDelete: settings.autoDeleteActivityLog,
+                                    retentionDays: settings.activityLogRetention ?? 7,
+                                    logAllowDecisions: settings.logAllowDecisions ?? false,
+                                    logCachedDecisions: e.target.checked
+                                });
                             }}
                         />
                         <span className="toggle-slider"></span>
@@ -1338,10 +1356,22 @@ function ActivityTab({ settings, updateSetting, storageUsage }) {
 }
 
 // Blocking Behavior Tab
-function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictModeClickedOnce, session }) {
+function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictModeClickedOnce, session, onPause, onResume, extensionSupport }) {
     const isStrictModeActive = settings.strictModeUntil && settings.strictModeUntil > Date.now();
     const isIndefinite = settings.strictModeIndefinite || false;
 
+    // Timed pause
+    const [pauseUntilTime, setPauseUntilTime] = useState('');
+    const [pauseError, setPauseError] = useState(null);
+    const pauseBudget = settings.dailyPauseBudgetMinutes ?? 0;
+    const pauseUsedMinutes = Math.round(pauseUsedToday() / 60000);
+    const pauseBudgetLeft = pauseBudgetRemaining(pauseBudget);
+
+    const handlePause = (option) => {
+        if (isStrictModeActive) return;
+        setPauseError(onPause?.(option) || null);
+    };
+
     // Backend contact state
     const [backendContact, setBackendContact] = useState(null);
     const [contactLoading, setContactLoading] = useState(false);
@@ -1362,6 +1392,17 @@ function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictMode
     const [emergencyBypassInfo, setEmergencyBypassInfo] = useState({ available: true, cooldown: null });
     const [toast, setToast] = useState(null); // { type: 'success' | 'error', message: string }
 
+    // Unlock request updates are pushed over the shared strict mode channel
+    useEffect(() => {
+        return subscribeStrictModeChannel(session, (event) => {
+            if (event.type !== 'unlock') return;
+            setUnlockRequest(event.request);
+            if (event.emergencyBypass) {
+                setEmergencyBypassInfo(event.emergencyBypass);
+            }
+        });
+    }, [session?.user?.id]);
+
     // Fetch backend contact and unlock status on mount
     useEffect(() => {
         if (session) {
@@ -1374,7 +1415,7 @@ function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictMode
     const strictModeActivatedAt = React.useRef(null);
     const previousUnlockStatus = React.useRef(null);
 
-    // Poll for unlock status when strict mode active and request pending
+    // Reset unlock state when strict mode starts or ends (approvals/denials arrive via the channel)
     useEffect(() => {
         // When strict mode becomes active, record the activation time and clear old state
         if (isStrictModeActive && !strictModeActivatedAt.current) {
@@ -1391,12 +1432,7 @@ function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictMode
         if (isStrictModeActive) {
             setTimeout(() => fetchUnlockStatus(), 100);
         }
-        // Then poll only if there's a pending request
-        if (isStrictModeActive && unlockRequest?.status === 'pending') {
-            const interval = setInterval(fetchUnlockStatus, 10000);
-            return () => clearInterval(interval);
-        }
-    }, [isStrictModeActive, unlockRequest?.status]);
+    }, [isStrictModeActive]);
 
     // AUTO-DEACTIVATE: When unlock request changes from pending to approved, deactivate strict mode
     // We use a ref to track the previous status so we only trigger on NEW approvals
@@ -1435,17 +1471,8 @@ function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictMode
         }
     };
 
-    const fetchUnlockStatus = async () => {
-        try {
-            const data = await getUnlockStatus(session);
-            setUnlockRequest(data.request);
-            if (data.emergencyBypass) {
-                setEmergencyBypassInfo(data.emergencyBypass);
-            }
-        } catch (err) {
-            console.error('Error fetching unlock status:', err);
-        }
-    };
+    // Results are broadcast to every channel subscriber, including this tab
+    const fetchUnlockStatus = () => refreshUnlockStatus();
 
     const handleInviteContact = async () => {
         if (!settings.accountabilityContactName || !settings.accountabilityContactValue) {
@@ -1663,24 +1690,81 @@ function BlockingTab({ settings, updateSetting, onActivateStrictMode, strictMode
                             {isStrictModeActive
                                 ? 'Cannot pause while Strict Mode is active'
                                 : settings.blockingPaused
-                                    ? 'All pages will load normally without blocking'
+                                    ? (settings.blockingPausedUntil
+                                        ? `All pages load normally until blocking resumes: ${formatSwitchTime(new Date(settings.blockingPausedUntil))}`
+                                        : 'All pages will load normally without blocking')
                                     : 'Beacon Blocker is actively filtering content'
                             }
                         </p>
                     </div>
-                    <button
-                        className={settings.blockingPaused ? 'success-button fixed-action-btn' : 'neutral-button fixed-action-btn'}
-                        onClick={() => {
-                            if (isStrictModeActive) return;
-                            const newPaused = !settings.blockingPaused;
-                            updateSetting('blockingPaused', newPaused);
-                            syncPauseToExtension(newPaused);
-                        }}
+                    {settings.blockingPaused && (
+                        <button className="success-button fixed-action-btn" onClick={() => onResume?.()}>
+                            Resume
+                        </button>
+                    )}
+                </div>
+
+                {!settings.blockingPaused && !isStrictModeActive && (
+                    <div style={{ marginTop: '1rem' }}>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+                            {PAUSE_DURATIONS.map(minutes => (
+                                <button key={minutes} className="neutral-button" onClick={() => handlePause({ minutes })}>
+                                    {minutes} min
+                                </button>
+                            ))}
+                            <button className="neutral-button" onClick={() => handlePause({ tomorrow: true })}>
+                                Until tomorrow
+                            </button>
+                            {!pauseBudget && (
+                                <button className="neutral-button" onClick={() => handlePause({})}>
+                                    Until I resume
+                                </button>
+                            )}
+                        </div>
+                        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px' }}>
+                            <input
+                                type="time"
+                                className="settings-input"
+                                value={pauseUntilTime}
+                                onChange={(e) => { setPauseUntilTime(e.target.value); setPauseError(null); }}
+                                style={{ width: 'auto' }}
+                            />
+                            <button className="neutral-button" onClick={() => handlePause({ time: pauseUntilTime })} disabled={!pauseUntilTime}>
+                                Pause until then
+                            </button>
+                        </div>
+                        {pauseError && <p className="input-error-msg" style={{ marginTop: '8px' }}>{pauseError}</p>}
+                    </div>
+                )}
+
+                {/* Daily budget */}
+                <div className="setting-row" style={{ marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid var(--border-color)' }}>
+                    <div>
+                        <label style={{ fontWeight: '600', display: 'block', marginBottom: '4px' }}>Daily Pause Budget</label>
+                        <p className="settings-card-desc" style={{ maxWidth: '400px' }}>
+                            {pauseBudget
+                                ? `${pauseUsedMinutes} of ${pauseBudget} min used today${pauseBudgetLeft < 60000 ? ' - resets at midnight' : ''}. Pauses stop when the budget runs out.`
+                                : 'Limit how long blocking can be paused each day.'}
+                        </p>
+                    </div>
+                    <select
+                        className="settings-input"
+                        value={pauseBudget}
+                        onChange={(e) => updateSetting('dailyPauseBudgetMinutes', Number(e.target.value))}
                         disabled={isStrictModeActive}
+                        style={{ width: 'auto' }}
                     >
-                        {settings.blockingPaused ? 'Resume' : 'Pause'}
-                    </button>
+                        {PAUSE_BUDGET_OPTIONS.map(minutes => (
+                            <option key={minutes} value={minutes}>{formatBudget(minutes)}</option>
+                        ))}
+                    </select>
                 </div>
+
+                {extensionSupport && !extensionSupport.timedPause && (
+                    <p className="settings-card-desc" style={{ marginTop: '8px' }}>
+                        Your extension version only resumes timed pauses while this dashboard is open. Update Beacon Blocker to have them resume on their own.
+                    </p>
+                )}
             </div>
 
             {/* --- STRICT MODE CARD --- */}
@@ -2316,9 +2400,99 @@ function AppearanceTab({ settings, updateSetting, theme, onThemeChange }) {
 
 
 // Advanced Tab
-function AdvancedTab({ settings, updateSetting }) {
+function AdvancedTab({ settings, updateSetting, session, onEncryptionChanged, onOpenBackup, extensionSupport }) {
+    const userId = session?.user?.id;
+    const [hasPassphrase, setHasPassphrase] = useState(() => isPassphraseProtected(userId));
+    const [fullPayload, setFullPayload] = useState(() => isFullPayloadEncryption(userId));
+    const [fullPayloadStatus, setFullPayloadStatus] = useState(null); // null | 'saving' | { type: 'success' | 'error', message }
+    const [newPassphrase, setNewPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [passphraseStatus, setPassphraseStatus] = useState(null); // null | 'saving' | { type: 'success' | 'error', message }
+    const [settingsImport, setSettingsImport] = useState(null); // { settings, errors, ignored, changes, sections: { [id]: bool } }
+    const [importStatus, setImportStatus] = useState(null); // null | { type: 'success' | 'error', message }
+    const isStrictModeActive = settings.strictModeUntil && settings.strictModeUntil > Date.now();
+
+    const handleChangePassphrase = async (passphrase) => {
+        if (passphrase !== null) {
+            if (passphrase.length < 8) {
+                setPassphraseStatus({ type: 'error', message: 'Use at least 8 characters.' });
+                return;
+            }
+            if (passphrase !== confirmPassphrase) {
+                setPassphraseStatus({ type: 'error', message: 'Passphrases do not match.' });
+                return;
+            }
+        }
+        setPassphraseStatus('saving');
+        try {
+            await setEncryptionPassphrase(userId, passphrase);
+            const migrated = await migrateEncryptedData(userId);
+            onEncryptionChanged?.();
+            setHasPassphrase(passphrase !== null);
+            setNewPassphrase('');
+            setConfirmPassphrase('');
+            setPassphraseStatus({
+                type: 'success',
+                message: `${passphrase !== null ? 'Passphrase saved' : 'Passphrase removed'}. ${migrated} saved item${migrated === 1 ? '' : 's'} re-encrypted.`
+            });
+        } catch (err) {
+            console.error('Error changing encryption passphrase:', err);
+            setPassphraseStatus({ type: 'error', message: err.message || 'Failed to change passphrase.' });
+        }
+    };
+
+    const handleToggleFullPayload = async (enabled) => {
+        setFullPayloadStatus('saving');
+        try {
+            await setFullPayloadEncryption(userId, enabled);
+            setFullPayload(enabled);
+            const migrated = await migrateEncryptedData(userId);
+            onEncryptionChanged?.();
+            setFullPayloadStatus({ type: 'success', message: `${migrated} saved item${migrated === 1 ? '' : 's'} updated.` });
+        } catch (err) {
+            console.error('Error changing payload encryption:', err);
+            setFullPayloadStatus({ type: 'error', message: err.message || 'Failed to change encryption setting.' });
+        }
+    };
+
+    const handleImportFile = (text) => {
+        setImportStatus(null);
+        try {
+            const parsed = parseSettingsFile(text);
+            const changes = previewSettingsChanges(parsed.settings, settings);
+            setSettingsImport({
+                ...parsed,
+                changes,
+                sections: Object.fromEntries(SETTINGS_SECTIONS.map(section => [section.id, !(isStrictModeActive && section.strictModeLocked)]))
+            });
+        } catch (err) {
+            setSettingsImport(null);
+            setImportStatus({ type: 'error', message: `Failed to import settings: ${err.message}` });
+        }
+    };
+
+    // Sections that have changes and are checked (strict-mode sections are never offered during Strict Mode)
+    const selectedImportSections = settingsImport
+        ? SETTINGS_SECTIONS
+            .filter(section => settingsImport.sections[section.id] && !(isStrictModeActive && section.strictModeLocked))
+            .filter(section => settingsImport.changes.some(change => change.section === section.id))
+            .map(section => section.id)
+        : [];
+
+    const handleApplyImport = () => {
+        try {
+            const next = applySettingsImport(settings, settingsImport.settings, selectedImportSections, { strictModeActive: isStrictModeActive });
+            const applied = settingsImport.changes.filter(change => selectedImportSections.includes(change.section));
+            applied.forEach(change => updateSetting(change.key, next[change.key]));
+            setSettingsImport(null);
+            setImportStatus({ type: 'success', message: `Imported ${applied.length} setting${applied.length === 1 ? '' : 's'}. Save to keep them.` });
+        } catch (err) {
+            setImportStatus({ type: 'error', message: err.message });
+        }
+    };
+
     const handleExportSettings = () => {
-        const dataStr = JSON.stringify(settings, null, 2);
+        const dataStr = buildSettingsFile(settings);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(dataBlob);
         const link = document.createElement('a');
@@ -2331,6 +2505,115 @@ function AdvancedTab({ settings, updateSetting }) {
         <div className="settings-tab-content">
             <h3 style={{ marginTop: 0 }}>Advanced</h3>
 
+            {!extensionSupport.encryptionKeys && (
+                <div className="validation-notification" style={{ marginBottom: '1.5rem' }}>
+                    <span className="validation-text">
+                        Your installed extension can't read passphrase-protected or fully encrypted rules.
+                        Update Beacon Blocker before turning these on, or blocking will stop following your rules.
+                    </span>
+                </div>
+            )}
+
+            {/* Full Payload Encryption */}
+            <div style={{ marginBottom: '2rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                    <div>
+                        <h4 style={{ margin: 0 }}>Encrypt All Rules</h4>
+                        <p style={{ color: 'var(--text-secondary)', fontSize: '0.875rem', marginTop: '4px' }}>
+                            Also encrypt your allow/block lists and category choices, in your rules, presets and history.
+                            The extension receives your key from this dashboard so blocking keeps working.
+                        </p>
+                    </div>
+                    <label className="toggle-switch">
+                        <input
+                            type="checkbox"
+                            checked={fullPayload}
+                            disabled={fullPayloadStatus === 'saving'}
+                            onChange={(e) => handleToggleFullPayload(e.target.checked)}
+                        />
+                        <span className="toggle-slider"></span>
+                    </label>
+                </div>
+                {fullPayloadStatus === 'saving' && (
+                    <p style={{ fontSize: '0.85rem', marginTop: '8px', color: 'var(--text-secondary)' }}>Re-encrypting your saved rules...</p>
+                )}
+                {fullPayloadStatus?.type && (
+                    <p style={{ fontSize: '0.85rem', marginTop: '8px', color: fullPayloadStatus.type === 'error' ? '#ef4444' : '#22c55e' }}>
+                        {fullPayloadStatus.message}
+                    </p>
+                )}
+            </div>
+
+            {/* Encryption Passphrase */}
+            <div style={{ marginBottom: '2rem' }}>
+                <h4>Encryption Passphrase</h4>
+                <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+                    Your prompts and preset names are always encrypted before they leave this browser.
+                    {hasPassphrase
+                        ? ' They are currently protected by your passphrase, which you will be asked for on each new session.'
+                        : ' Add a passphrase so that only someone who knows it can decrypt them.'}
+                    {' '}<strong>If you forget the passphrase, your encrypted rules cannot be recovered.</strong>
+                </p>
+                <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                    <input
+                        type="password"
+                        className="settings-input"
+                        placeholder={hasPassphrase ? 'New passphrase' : 'Passphrase'}
+                        value={newPassphrase}
+                        onChange={(e) => setNewPassphrase(e.target.value)}
+                        style={{ flex: 1, minWidth: '160px' }}
+                    />
+                    <input
+                        type="password"
+                        className="settings-input"
+                        placeholder="Confirm passphrase"
+                        value={confirmPassphrase}
+                        onChange={(e) => setConfirmPassphrase(e.target.value)}
+                        style={{ flex: 1, minWidth: '160px' }}
+                    />
+                </div>
+                <div style={{ display: 'flex', gap: '12px', marginTop: '12px' }}>
+                    <button
+                        className="primary-button"
+                        onClick={() => handleChangePassphrase(newPassphrase)}
+                        disabled={passphraseStatus === 'saving' || !newPassphrase}
+                    >
+                        {passphraseStatus === 'saving' ? 'Re-encrypting...' : hasPassphrase ? 'Change Passphrase' : 'Set Passphrase'}
+                    </button>
+                    {hasPassphrase && (
+                        <button
+                            className="neutral-button"
+                            onClick={() => handleChangePassphrase(null)}
+                            disabled={passphraseStatus === 'saving'}
+                        >
+                            Remove Passphrase
+                        </button>
+                    )}
+                </div>
+                {passphraseStatus?.type && (
+                    <p style={{ fontSize: '0.85rem', marginTop: '8px', color: passphraseStatus.type === 'error' ? '#ef4444' : '#22c55e' }}>
+                        {passphraseStatus.message}
+                    </p>
+                )}
+            </div>
+
+            {/* Full Account Backup */}
+            <div style={{ marginBottom: '2rem' }}>
+                <h4>Full Account Backup</h4>
+                <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+                    Download a password-protected file with your rules, every preset, your settings and optionally your activity log.
+                    Restoring shows exactly what will be overwritten before anything is saved.
+                </p>
+                <div style={{ display: 'flex', gap: '12px' }}>
+                    <button className="neutral-button" onClick={() => onOpenBackup?.('backup')}>
+                        Create Backup
+                    </button>
+                    <button className="neutral-button" onClick={() => onOpenBackup?.('restore')}>
+                        Restore Backup
+                    </button>
+                </div>
+            </div>
+
             {/* Export & Import */}
             <div style={{ marginBottom: '2rem' }}>
                 <h4>Export & Import</h4>
@@ -2350,18 +2633,7 @@ function AdvancedTab({ settings, updateSetting }) {
                             const file = e.target.files[0];
                             if (file) {
                                 const reader = new FileReader();
-                                reader.onload = (event) => {
-                                    try {
-                                        const imported = JSON.parse(event.target.result);
-                                        // Apply each setting
-                                        Object.keys(imported).forEach(key => {
-                                            updateSetting(key, imported[key]);
-                                        });
-                                        alert('Settings imported successfully!');
-                                    } catch (err) {
-                                        alert('Failed to import settings: Invalid file format');
-                                    }
-                                };
+                                reader.onload = (event) => handleImportFile(event.target.result);
                                 reader.readAsText(file);
                             }
                         };
@@ -2370,7 +2642,204 @@ function AdvancedTab({ settings, updateSetting }) {
                         Import Settings
                     </button>
                 </div>
+
+                {importStatus && (
+                    <p style={{ fontSize: '0.85rem', marginTop: '8px', color: importStatus.type === 'error' ? '#ef4444' : '#22c55e' }}>
+                        {importStatus.message}
+                    </p>
+                )}
+
+                {settingsImport && (
+                    <div style={{ marginTop: '1rem', padding: '12px', border: '1px solid var(--border-color)', borderRadius: '8px' }}>
+                        {settingsImport.errors.length > 0 && (
+                            <div className="validation-notification" style={{ marginBottom: '10px' }}>
+                                <span className="validation-text">
+                                    {settingsImport.errors.length} value{settingsImport.errors.length === 1 ? ' was' : 's were'} rejected and will not be imported:
+                                    {settingsImport.errors.map(error => <span key={error.key || error.message} style={{ display: 'block' }}>{error.message}</span>)}
+                                </span>
+                            </div>
+                        )}
+                        {settingsImport.ignored.length > 0 && (
+                            <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: '0 0 10px 0' }}>
+                                Ignored: {settingsImport.ignored.join(', ')}
+                            </p>
+                        )}
+
+                        {settingsImport.changes.length === 0 ? (
+                            <p style={{ fontSize: '0.85rem', margin: 0 }}>This file matches your current settings. Nothing to import.</p>
+                        ) : (
+                            SETTINGS_SECTIONS.map(section => {
+                                const changes = settingsImport.changes.filter(change => change.section === section.id);
+                                if (changes.length === 0) return null;
+                                const locked = isStrictModeActive && section.strictModeLocked;
+                                return (
+                                    <div key={section.id} style={{ marginBottom: '10px' }}>
+                                        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: 600, fontSize: '0.9rem', cursor: locked ? 'not-allowed' : 'pointer' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={!locked && !!settingsImport.sections[section.id]}
+                                                disabled={locked}
+                                                onChange={(e) => setSettingsImport({
+                                                    ...settingsImport,
+                                                    sections: { ...settingsImport.sections, [section.id]: e.target.checked }
+                                                })}
+                                            />
+                                            {section.label}
+                                            {locked && <span style={{ fontWeight: 400, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>Locked during Strict Mode</span>}
+                                        </label>
+                                        <ul style={{ margin: '4px 0 0 0', paddingLeft: '28px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                            {changes.map(change => (
+                                                <li key={change.key}>
+                                                    {change.label}: {formatSettingValue(change.from)} → <strong>{formatSettingValue(change.to)}</strong>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                );
+                            })
+                        )}
+
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '10px' }}>
+                            <button className="neutral-button" onClick={() => setSettingsImport(null)}>Cancel</button>
+                            {settingsImport.changes.length > 0 && (
+                                <button className="primary-button" onClick={handleApplyImport} disabled={selectedImportSections.length === 0}>
+                                    Import Selected
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Diagnostics Tab
+const FRESHNESS_COLORS = { valid: '#22c55e', expiring: '#f59e0b', expired: '#ef4444', unknown: 'var(--text-secondary)' };
+const SELF_TEST_COLORS = { passed: '#22c55e', sent: '#22c55e', failed: '#ef4444', unsupported: '#f59e0b', skipped: 'var(--text-secondary)' };
+
+function DiagnosticsTab({ extensionStatus, extensionInfo, session, pauseBudgetMinutes }) {
+    const [diagnostics, setDiagnostics] = useState(null);
+    const [selfTest, setSelfTest] = useState(null); // null | [results]
+    const [isTesting, setIsTesting] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const refresh = () => {
+        collectDiagnostics({ extensionStatus, extensionInfo, session })
+            .then(setDiagnostics)
+            .catch(err => console.error('[DIAGNOSTICS] Failed to collect diagnostics:', err));
+    };
+
+    useEffect(() => {
+        refresh();
+    }, [extensionStatus, extensionInfo]);
+
+    const handleRunSelfTest = async () => {
+        setIsTesting(true);
+        setSelfTest([]);
+        try {
+            await runSelfTest({ extensionStatus, extensionInfo, session, pauseBudgetMinutes, onProgress: setSelfTest });
+        } finally {
+            setIsTesting(false);
+            refresh(); // pick up the latencies and errors the test produced
+        }
+    };
+
+    const handleCopyReport = async () => {
+        try {
+            await navigator.clipboard.writeText(formatDiagnosticsReport(diagnostics, selfTest));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy:', err);
+        }
+    };
+
+    if (!diagnostics) return <div className="settings-tab-content">Checking the extension...</div>;
+
+    const { extension, report, storage, bridge } = diagnostics;
+    const reportUnavailable = !report || report.error;
+    const freshness = reportUnavailable ? 'unknown' : tokenFreshness(report.authTokenExpiresAt, diagnostics.collectedAt);
+    const rows = [
+        ['Extension', { active: 'Connected', logged_out: 'Installed, signed out', not_installed: 'Not detected', loading: 'Checking...' }[extension.status] || extension.status],
+        ['Extension version', extension.version || 'Unknown'],
+        ['Bridge protocol', extension.protocol ? `v${extension.protocol}` : 'Unknown'],
+        ['Extension sign-in', reportUnavailable
+            ? 'Unknown'
+            : <span style={{ color: FRESHNESS_COLORS[freshness] }}>{freshness === 'unknown' ? 'No token' : `${freshness[0].toUpperCase()}${freshness.slice(1)}, expires ${describeTime(report.authTokenExpiresAt, diagnostics.collectedAt)}`}</span>],
+        ['Dashboard session', `Expires ${describeTime(diagnostics.dashboardTokenExpiresAt, diagnostics.collectedAt)}`],
+        ['Last rules sync', reportUnavailable ? 'Unknown' : describeTime(report.lastRulesSyncAt, diagnostics.collectedAt)],
+        ['Cache version', reportUnavailable ? 'Unknown' : (report.cacheVersion ?? 'Unknown')],
+        ['Storage used', !storage || storage.error ? 'Unknown' : formatBytes(storage.used)],
+        ['Bridge round-trip', bridge.lastLatencyMs === null ? 'No replies yet' : `${bridge.lastLatencyMs} ms (average ${bridge.averageLatencyMs} ms over recent requests)`],
+        ['Bridge requests', `${bridge.requests} sent, ${bridge.replies} answered`]
+    ];
+
+    return (
+        <div className="settings-tab-content">
+            <h3 style={{ marginTop: 0 }}>Diagnostics</h3>
+            <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '1rem' }}>
+                Check how the dashboard and the Beacon Blocker extension are talking to each other.
+                If something isn't working, run the self-test and include the copied report in your bug report.
+            </p>
+
+            {report?.error && (
+                <div className="validation-notification" style={{ marginBottom: '1rem' }}>
+                    <span className="validation-text">The extension didn't send its status: {report.error}</span>
+                </div>
+            )}
+
+            <div style={{ marginBottom: '1.5rem', border: '1px solid var(--border-color)', borderRadius: '8px' }}>
+                {rows.map(([label, value]) => (
+                    <div key={label} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '8px 12px', borderBottom: '1px solid var(--border-color)', fontSize: '0.875rem' }}>
+                        <span style={{ color: 'var(--text-secondary)' }}>{label}</span>
+                        <span style={{ fontWeight: 500, textAlign: 'right' }}>{value}</span>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ marginBottom: '1.5rem' }}>
+                <h4>Recent Bridge Errors</h4>
+                {bridge.recentErrors.length === 0 ? (
+                    <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', margin: 0 }}>No errors since the dashboard was opened.</p>
+                ) : (
+                    <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                        {bridge.recentErrors.map(entry => (
+                            <li key={`${entry.at}-${entry.message}`}>
+                                {new Date(entry.at).toLocaleTimeString()} <strong>{entry.message}</strong>: {entry.error}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '1rem' }}>
+                <button className="primary-button" onClick={handleRunSelfTest} disabled={isTesting}>
+                    {isTesting ? 'Testing...' : 'Run Self-Test'}
+                </button>
+                <button className="neutral-button" onClick={refresh} disabled={isTesting}>
+                    Refresh
+                </button>
+                <button className="neutral-button" onClick={handleCopyReport} disabled={isTesting}>
+                    {copied ? 'Copied!' : 'Copy Report'}
+                </button>
             </div>
+
+            {selfTest && selfTest.length > 0 && (
+                <ul style={{ margin: 0, padding: 0, listStyle: 'none', fontSize: '0.85rem' }}>
+                    {selfTest.map(result => (
+                        <li key={result.name} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '6px 0', borderBottom: '1px solid var(--border-color)' }}>
+                            <span>
+                                <code>{result.event}</code>
+                                {result.detail && <span style={{ color: 'var(--text-secondary)', marginLeft: '8px' }}>{result.detail}</span>}
+                            </span>
+                            <span style={{ color: SELF_TEST_COLORS[result.status], fontWeight: 600, whiteSpace: 'nowrap' }}>
+                                {result.status}{result.latencyMs !== null ? ` · ${result.latencyMs} ms` : ''}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
     );
 }
@@ -0,0 +1,115 @@
+import { useState, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+
+// Find the nearest scrolling ancestor (the modal body for lists inside a modal)
+function getScrollParent(element) {
+    for (let parent = element?.parentElement; parent; parent = parent.parentElement) {
+        const { overflowY } = getComputedStyle(parent);
+        if (overflowY === 'auto' || overflowY === 'scroll') return parent;
+    }
+    return document.scrollingElement || document.documentElement;
+}
+
+// Index of the row containing `y` (offsets are the rows' top edges plus the total height)
+function rowAt(offsets, y) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (offsets[mid] <= y) low = mid;
+        else high = mid - 1;
+    }
+    return Math.max(0, low);
+}
+
+// Windowed list: only rows near the visible part of the scrolling ancestor are rendered, with spacers
+// standing in for the rest. Rows are { key, ... }; heights start at estimateHeight(row) and are replaced by
+// the measured height once a row has rendered (and again when it resizes, e.g. when expanded), so
+// renderRow(row, { index, measureRef }) must attach measureRef to its <li>.
+// renderSticky(row) renders an <li> pinned to the top while scrolled, for the first visible row (e.g. its
+// date group header). onEndReached is called whenever the last `endThreshold` rows are rendered.
+export default function VirtualList({ rows, renderRow, estimateHeight, renderSticky, onEndReached, overscan = 800, endThreshold = 10, ...listProps }) {
+    const listRef = useRef(null);
+    const heightsRef = useRef(new Map()); // row key -> measured height
+    const measureRefsRef = useRef(new Map()); // row key -> stable ref callback
+    const observerRef = useRef(null);
+    const [measureVersion, setMeasureVersion] = useState(0);
+    const [view, setView] = useState({ top: 0, height: window.innerHeight });
+
+    const getObserver = () => {
+        if (!observerRef.current) {
+            observerRef.current = new ResizeObserver(entries => {
+                let changed = false;
+                entries.forEach(({ target }) => {
+                    const key = target.dataset.rowKey;
+                    if (key && heightsRef.current.get(key) !== target.offsetHeight) {
+                        heightsRef.current.set(key, target.offsetHeight);
+                        changed = true;
+                    }
+                });
+                if (changed) setMeasureVersion(version => version + 1);
+            });
+        }
+        return observerRef.current;
+    };
+
+    useEffect(() => () => observerRef.current?.disconnect(), []);
+
+    const measureRef = (key) => {
+        if (!measureRefsRef.current.has(key)) {
+            measureRefsRef.current.set(key, (element) => {
+                if (!element) return;
+                element.dataset.rowKey = key;
+                const observer = getObserver();
+                observer.observe(element);
+                return () => observer.unobserve(element);
+            });
+        }
+        return measureRefsRef.current.get(key);
+    };
+
+    // Track the visible range, in list coordinates
+    useLayoutEffect(() => {
+        const list = listRef.current;
+        const scroller = getScrollParent(list);
+        const isPage = scroller === document.scrollingElement || scroller === document.documentElement;
+        const update = () => {
+            const scrollerTop = isPage ? 0 : scroller.getBoundingClientRect().top;
+            const top = scrollerTop - list.getBoundingClientRect().top;
+            const height = isPage ? window.innerHeight : scroller.clientHeight;
+            setView(prev => prev.top === top && prev.height === height ? prev : { top, height });
+        };
+        update();
+        const target = isPage ? window : scroller;
+        target.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        return () => {
+            target.removeEventListener('scroll', update);
+            window.removeEventListener('resize', update);
+        };
+    }, []);
+
+    const offsets = useMemo(() => {
+        const result = [0];
+        rows.forEach((row, index) => {
+            result.push(result[index] + (heightsRef.current.get(row.key) ?? estimateHeight(row)));
+        });
+        return result;
+    }, [rows, measureVersion]);
+
+    const start = rows.length > 0 ? rowAt(offsets, Math.max(0, view.top - overscan)) : 0;
+    const end = rows.length > 0 ? rowAt(offsets, Math.max(0, view.top + view.height + overscan)) + 1 : 0;
+    const firstVisible = rows.length > 0 ? rowAt(offsets, Math.max(0, view.top)) : -1;
+
+    useEffect(() => {
+        if (onEndReached && rows.length - end < endThreshold) onEndReached();
+    });
+
+    return (
+        <ul ref={listRef} {...listProps}>
+            {renderSticky && view.top > 0 && firstVisible >= 0 && renderSticky(rows[firstVisible])}
+            <li aria-hidden="true" style={{ height: `${offsets[start]}px` }} />
+            {rows.slice(start, end).map((row, i) => renderRow(row, { index: start + i, measureRef: measureRef(row.key) }))}
+            <li aria-hidden="true" style={{ height: `${offsets[rows.length] - offsets[end]}px` }} />
+        </ul>
+    );
+}
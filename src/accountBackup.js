@@ -0,0 +1,194 @@
+// Account Backup
+// One password-protected file holding everything needed to rebuild an account's setup:
+// the rules document, every preset, dashboard settings and (optionally) the local activity log.
+//
+// File layout (JSON):
+//   { format: 'beacon-backup', version, created_at, kdf: { name, hash, iterations, salt }, data }
+// `data` is the backup document, encrypted with a key derived from the backup password:
+//   { rules, active_preset_name, presets: [{ name, created_at, rules }], settings, activity_log? }
+// On restore the contents are re-sealed with the account's own key, so the backup password is
+// independent of the encryption passphrase and the file can be restored into any account.
+
+import { supabase } from './supabaseClient';
+import { encryptWithPassword, decryptWithPassword, encryptPrompt, decryptPrompt } from './cryptoUtils.js';
+import { RULES_COLUMNS, sealRules, openRules } from './rulesPayload.js';
+import { diffRules } from './rulesDiff.js';
+import { exportableSettings, validateSettings } from './settingsSchema.js';
+
+const BACKUP_FORMAT = 'beacon-backup';
+export const BACKUP_VERSION = 1;
+
+// reason: 'invalid' (not a backup file), 'unsupported_version' (made by a newer dashboard),
+// 'wrong_password' (wrong password or damaged contents) or 'partial' (a restore stopped part-way)
+export class BackupError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'BackupError';
+        this.reason = options.reason || 'invalid';
+    }
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function isRulesDocument(rules) {
+    return isPlainObject(rules)
+        && typeof (rules.prompt ?? '') === 'string'
+        && Array.isArray(rules.allow_list ?? [])
+        && Array.isArray(rules.block_list ?? []);
+}
+
+// --- Creating ---
+// Reads the rules row and every preset and decrypts them. Throws (e.g. DecryptionError) rather than
+// writing a backup that silently leaves something out.
+export async function collectBackup(userId, { settings, activityLog = null }) {
+    const [rulesResult, presetsResult] = await Promise.all([
+        supabase.from('rules').select(`${RULES_COLUMNS}, active_preset_id`).eq('user_id', userId).maybeSingle(),
+        supabase.from('settings_presets').select(`id, name, created_at, ${RULES_COLUMNS}`).eq('user_id', userId).order('created_at', { ascending: true })
+    ]);
+    if (rulesResult.error) throw rulesResult.error;
+    if (presetsResult.error) throw presetsResult.error;
+
+    const presets = [];
+    let activePresetName = null;
+    for (const row of presetsResult.data || []) {
+        const name = await decryptPrompt(row.name, userId);
+        presets.push({ name, created_at: row.created_at, rules: await openRules(row, userId) });
+        if (row.id === rulesResult.data?.active_preset_id) activePresetName = name;
+    }
+
+    return {
+        rules: rulesResult.data ? await openRules(rulesResult.data, userId) : null,
+        active_preset_name: activePresetName,
+        presets,
+        settings: exportableSettings(settings),
+        ...(activityLog ? { activity_log: activityLog } : {})
+    };
+}
+
+// File contents for a backup
+export async function encryptBackup(backup, password) {
+    const sealed = await encryptWithPassword(JSON.stringify(backup), password);
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        created_at: new Date().toISOString(),
+        ...sealed
+    }, null, 2);
+}
+
+export function downloadBackup(fileText) {
+    const url = URL.createObjectURL(new Blob([fileText], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `beacon-blocker-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// --- Reading ---
+// Validates the outer file (format and version) without needing the password
+export function parseBackupFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new BackupError('This file is not a Beacon Blocker backup.', { cause: error });
+    }
+
+    if (!isPlainObject(file) || file.format !== BACKUP_FORMAT) {
+        throw new BackupError('This file is not a Beacon Blocker backup.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new BackupError('This backup file has no valid version.');
+    }
+    if (file.version > BACKUP_VERSION) {
+        throw new BackupError('This backup was made by a newer version of Beacon Blocker. Update the dashboard and try again.', { reason: 'unsupported_version' });
+    }
+    if (!isPlainObject(file.kdf) || typeof file.kdf.salt !== 'string' || !Number.isInteger(file.kdf.iterations) || typeof file.data !== 'string') {
+        throw new BackupError('This backup file is incomplete or damaged.');
+    }
+    return file;
+}
+
+export async function decryptBackup(file, password) {
+    let backup;
+    try {
+        backup = JSON.parse(await decryptWithPassword(file, password));
+    } catch (error) {
+        throw new BackupError('That password is not correct, or the file is damaged.', { reason: 'wrong_password', cause: error });
+    }
+
+    const valid = isPlainObject(backup)
+        && (backup.rules === null || isRulesDocument(backup.rules))
+        && Array.isArray(backup.presets)
+        && backup.presets.every(p => isPlainObject(p) && typeof p.name === 'string' && isRulesDocument(p.rules))
+        && isPlainObject(backup.settings)
+        && (backup.activity_log === undefined || Array.isArray(backup.activity_log));
+    if (!valid) throw new BackupError('This backup file is incomplete or damaged.');
+
+    // Only schema-valid settings are ever restored; runtime state like strictModeUntil is dropped
+    backup.settings = validateSettings(backup.settings).settings;
+    return backup;
+}
+
+// --- Restoring ---
+// What a restore would change, for the preview step.
+// current: { rules, presets: [{ name }], settings }
+export function planRestore(backup, current) {
+    const existingNames = new Set((current.presets || []).map(p => p.name.toLowerCase()));
+    const settingsChanged = Object.keys(backup.settings)
+        .filter(key => JSON.stringify(backup.settings[key]) !== JSON.stringify(current.settings?.[key]));
+
+    return {
+        rules: backup.rules ? diffRules(current.rules, backup.rules) : null,
+        presets: {
+            added: backup.presets.filter(p => !existingNames.has(p.name.toLowerCase())).map(p => p.name),
+            overwritten: backup.presets.filter(p => existingNames.has(p.name.toLowerCase())).map(p => p.name)
+        },
+        settings: settingsChanged,
+        activityLog: backup.activity_log ? backup.activity_log.length : null
+    };
+}
+
+// Writes the backup's presets. A preset whose name matches an existing one (case-insensitive) is
+// updated in place, so its id, and any schedule pointing at it, is kept.
+// Everything is encrypted before the first write, so a key problem changes nothing. A failed write
+// throws a BackupError naming the presets already written.
+// Returns a Map of lower-cased preset name -> id for everything written.
+export async function restorePresets(presets, userId, existingPresets) {
+    const ids = new Map((existingPresets || []).map(p => [p.name.toLowerCase(), p.id]));
+    const written = new Map();
+    const writtenNames = [];
+
+    const prepared = await Promise.all(presets.map(async preset => ({
+        key: preset.name.toLowerCase(),
+        name: preset.name,
+        sealed: await sealRules(preset.rules, userId),
+        encryptedName: await encryptPrompt(preset.name, userId)
+    })));
+
+    for (const { key, name, sealed, encryptedName } of prepared) {
+        try {
+            if (ids.has(key)) {
+                const { error } = await supabase.from('settings_presets').update(sealed).eq('id', ids.get(key));
+                if (error) throw error;
+            } else {
+                const { data, error } = await supabase
+                    .from('settings_presets')
+                    .insert([{ user_id: userId, name: encryptedName, ...sealed }])
+                    .select('id')
+                    .single();
+                if (error) throw error;
+                ids.set(key, data.id);
+            }
+        } catch (error) {
+            const done = writtenNames.length === 0
+                ? 'No presets were restored'
+                : `Only ${writtenNames.length} of ${prepared.length} presets were restored (${writtenNames.map(n => `"${n}"`).join(', ')})`;
+            throw new BackupError(`${done}: saving "${name}" failed.`, { reason: 'partial', cause: error });
+        }
+        written.set(key, ids.get(key));
+        writtenNames.push(name);
+    }
+    return written;
+}
@@ -0,0 +1,159 @@
+// Activity Analytics
+// Statistics for the Analytics tab, computed in the browser from the extension's local activity log, so
+// no browsing data leaves the device. Entries are the modal's formatted entries (see historyPaging.js):
+//   { url, domain, site, decision, reason, page_title, active_prompt, created_at }
+//
+// computeActivityAnalytics(logs, { days }) covers the last `days` local days, today included:
+//   days        ['YYYY-MM-DD', ...] oldest first; every per-day series below follows this order
+//   totals      { entries, blocks, allows }
+//   heatmap     { cells: [weekday 0 = Monday][hour 0-23] blocks, max }
+//   topDomains  [{ site, total, perDay }] most blocked registrable domains
+//   ratio       [{ day, allows, blocks }]
+//   phrases     { top: [{ phrase, count }], unattributed } blocks per prompt phrase (see attributeBlock)
+//   cache       { cached, fresh, rate, perDay: [rate | null] } share of decisions served from the cache
+// Dashboard reset markers (system-reset URLs) are not browsing activity and are left out.
+
+import { isCachedLog } from './historyQuery.js';
+
+export const ANALYTICS_PERIODS = [7, 14, 30]; // days
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const TOP_DOMAIN_COUNT = 5;
+const TOP_PHRASE_COUNT = 8;
+
+// Words that say nothing about what a phrase is about
+const STOP_WORDS = new Set([
+    'the', 'and', 'but', 'for', 'from', 'with', 'without', 'about', 'any', 'all', 'anything', 'that', 'this', 'these',
+    'those', 'not', 'don', 'dont', 'only', 'just', 'sites', 'site', 'stuff', 'things', 'content', 'block', 'blocked',
+    'allow', 'allowed', 'let', 'keep', 'avoid', 'stop', 'until', 'during', 'while', 'when', 'after', 'before', 'more',
+    'less', 'like', 'unless', 'except', 'are', 'was', 'can', 'should', 'would', 'want', 'need', 'please'
+]);
+
+function dayKey(at) {
+    const date = new Date(at);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// The last `days` local days, oldest first
+function periodDays(days, now) {
+    const today = new Date(now);
+    return Array.from({ length: days }, (_, i) => dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i))));
+}
+
+function significantWords(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+// --- Prompt phrases ---
+// "No social media. Block youtube, reddit; allow docs" -> ['No social media', 'Block youtube', 'reddit', 'allow docs']
+export function splitPromptPhrases(prompt) {
+    if (!prompt) return [];
+    const phrases = prompt
+        .split(/[\n.;!?]+|,\s*/)
+        .map(phrase => phrase.trim().replace(/\s+/g, ' '))
+        .filter(phrase => significantWords(phrase).length > 0);
+    return [...new Set(phrases)];
+}
+
+// The phrase of the active prompt most likely behind a block: a single-phrase prompt is its own answer;
+// otherwise the phrase sharing the most words with the block reason, page title and domain. null when
+// nothing matches.
+export function attributeBlock(log) {
+    const phrases = splitPromptPhrases(log.active_prompt);
+    if (phrases.length <= 1) return phrases[0] || null;
+
+    const context = new Set(significantWords(`${log.reason || ''} ${log.page_title || ''} ${(log.domain || '').replace(/\./g, ' ')}`));
+    let best = null;
+    let bestScore = 0;
+    phrases.forEach(phrase => {
+        const score = significantWords(phrase).filter(word => context.has(word)).length;
+        if (score > bestScore) {
+            best = phrase;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// --- Analytics ---
+export function computeActivityAnalytics(logs, { days = 14, now = Date.now() } = {}) {
+    const dayList = periodDays(days, now);
+    const dayIndex = new Map(dayList.map((day, index) => [day, index]));
+    const zeros = () => dayList.map(() => 0);
+
+    const totals = { entries: 0, blocks: 0, allows: 0 };
+    const cells = WEEKDAY_LABELS.map(() => Array(24).fill(0));
+    const domains = new Map(); // site -> perDay block counts
+    const ratio = dayList.map(day => ({ day, allows: 0, blocks: 0 }));
+    const phraseCounts = new Map(); // lowercased phrase -> { phrase, count }
+    let unattributed = 0;
+    const cachedPerDay = zeros();
+    const decisionsPerDay = zeros();
+
+    logs.forEach(log => {
+        if (log.url?.includes('system-reset')) return;
+        const at = new Date(log.created_at);
+        const index = dayIndex.get(dayKey(at));
+        if (index === undefined) return;
+
+        totals.entries++;
+        decisionsPerDay[index]++;
+        if (isCachedLog(log)) cachedPerDay[index]++;
+
+        if (log.decision === 'ALLOW') {
+            totals.allows++;
+            ratio[index].allows++;
+            return;
+        }
+
+        totals.blocks++;
+        ratio[index].blocks++;
+        cells[(at.getDay() + 6) % 7][at.getHours()]++;
+
+        const site = log.site || log.domain;
+        if (site) {
+            if (!domains.has(site)) domains.set(site, zeros());
+            domains.get(site)[index]++;
+        }
+
+        if (log.active_prompt) {
+            const phrase = attributeBlock(log);
+            if (phrase) {
+                const key = phrase.toLowerCase();
+                const entry = phraseCounts.get(key) || { phrase, count: 0 };
+                entry.count++;
+                phraseCounts.set(key, entry);
+            } else {
+                unattributed++;
+            }
+        }
+    });
+
+    const cached = cachedPerDay.reduce((sum, count) => sum + count, 0);
+    return {
+        days: dayList,
+        totals,
+        heatmap: { cells, max: Math.max(0, ...cells.flat()) },
+        topDomains: [...domains.entries()]
+            .map(([site, perDay]) => ({ site, perDay, total: perDay.reduce((sum, count) => sum + count, 0) }))
+            .sort((a, b) => b.total - a.total || a.site.localeCompare(b.site))
+            .slice(0, TOP_DOMAIN_COUNT),
+        ratio,
+        phrases: {
+            top: [...phraseCounts.values()].sort((a, b) => b.count - a.count || a.phrase.localeCompare(b.phrase)).slice(0, TOP_PHRASE_COUNT),
+            unattributed
+        },
+        cache: {
+            cached,
+            fresh: totals.entries - cached,
+            rate: totals.entries > 0 ? cached / totals.entries : null,
+            perDay: cachedPerDay.map((count, i) => decisionsPerDay[i] > 0 ? count / decisionsPerDay[i] : null)
+        }
+    };
+}
+
+// 'YYYY-MM-DD' -> "Oct 5"
+export function formatDayLabel(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
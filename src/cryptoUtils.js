@@ -1,63 +1,288 @@
 // Prompt Encryption Utility
 // Uses Web Crypto API to encrypt prompts client-side before storing in Supabase
 // This prevents server-side access to sensitive prompt content
+//
+// Envelope formats:
+//   ENC:<base64(iv | ciphertext)>          Legacy. Key = PBKDF2(userId, fixed global salt). Read-only.
+//   ENC2:<keyId>:<base64(iv | ciphertext)> Key = PBKDF2(userId or passphrase, per-user random salt).
+//
+// Key parameters live in the `user_encryption_keys` table (one row per user):
+//   { user_id, key_id, salt, iterations, passphrase_protected, key_check, retired_keys, full_payload }
+// key_check is a known constant encrypted with the key, used to verify passphrases.
+// retired_keys holds the parameters of earlier keys, so values written by a device that hasn't
+// picked up a key change yet stay readable (and get re-encrypted by the next migration).
+// full_payload turns on encryption of the whole rules document (see rulesPayload.js).
+//
+// Failures are never papered over: encryptPrompt throws EncryptionError instead of returning
+// plaintext, and decryptPrompt throws DecryptionError instead of returning the envelope.
 
-// Generate a user-specific encryption key derived from their user ID
-async function deriveKeyFromUserId(userId) {
-    const encoder = new TextEncoder();
+import { supabase } from './supabaseClient';
+
+const ENVELOPE_V1 = 'ENC:';
+const ENVELOPE_V2 = 'ENC2:';
+const KEY_ITERATIONS = 310000;
+const KEY_CHECK_PLAINTEXT = 'beacon-key-check';
+
+// --- Errors ---
+export class EncryptionError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'EncryptionError';
+    }
+}
+
+// reason: 'locked' (passphrase not entered), 'missing_key' (value uses a key this session doesn't have),
+// 'unavailable' (key parameters couldn't be loaded) or 'corrupt' (wrong key or damaged data)
+export class DecryptionError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'DecryptionError';
+        this.reason = options.reason || 'corrupt';
+        this.keyId = options.keyId || null;
+    }
+}
+
+// --- Encoding helpers ---
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function randomId() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(9))).replace(/[+/=]/g, '').slice(0, 12);
+}
+
+// --- Key derivation ---
+async function pbkdf2Key(secret, salt, iterations, extractable = false) {
     const keyMaterial = await crypto.subtle.importKey(
         'raw',
-        encoder.encode(userId),
+        new TextEncoder().encode(secret),
         { name: 'PBKDF2' },
         false,
         ['deriveKey']
     );
 
-    // Use a fixed salt (could be stored per-user for extra security)
-    const salt = encoder.encode('BeaconBlockerPresetSalt_v1');
-
     return crypto.subtle.deriveKey(
         {
             name: 'PBKDF2',
             salt: salt,
-            iterations: 100000,
+            iterations: iterations,
             hash: 'SHA-256'
         },
         keyMaterial,
         { name: 'AES-GCM', length: 256 },
-        false,
+        extractable,
         ['encrypt', 'decrypt']
     );
 }
 
+// Legacy (ENC:) key: derived from the user ID with a fixed global salt
+async function deriveKeyFromUserId(userId) {
+    return pbkdf2Key(userId, new TextEncoder().encode('BeaconBlockerPresetSalt_v1'), 100000);
+}
+
+// ENC2 key from its stored parameters; passphrase-protected keys need the passphrase.
+// Extractable so it can be handed to the extension (see exportUserKeys).
+function deriveKeyFromParams(userId, params, passphrase) {
+    return pbkdf2Key(params.passphrase_protected ? passphrase : userId, fromBase64(params.salt), params.iterations, true);
+}
+
+async function encryptWithKey(key, plaintext) {
+    // Generate random IV for each encryption
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(plaintext));
+
+    // Combine IV + encrypted data
+    const combined = new Uint8Array(iv.length + encrypted.byteLength);
+    combined.set(iv);
+    combined.set(new Uint8Array(encrypted), iv.length);
+    return toBase64(combined);
+}
+
+async function decryptWithKey(key, payload) {
+    const combined = fromBase64(payload);
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: combined.slice(0, 12) }, key, combined.slice(12));
+    return new TextDecoder().decode(decrypted);
+}
+
+// --- Keyring ---
+// Per user: { params (current key row), keys: Map<keyId, CryptoKey>, locked }
+const keyrings = new Map();
+const initPromises = new Map();
+
+async function createKeyParams(userId, passphrase = null) {
+    const params = {
+        key_id: randomId(),
+        salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+        iterations: KEY_ITERATIONS,
+        passphrase_protected: !!passphrase
+    };
+    const key = await deriveKeyFromParams(userId, params, passphrase);
+    params.key_check = await encryptWithKey(key, KEY_CHECK_PLAINTEXT);
+    return { params, key };
+}
+
+async function isKeyValid(key, params) {
+    try {
+        return await decryptWithKey(key, params.key_check) === KEY_CHECK_PLAINTEXT;
+    } catch {
+        return false;
+    }
+}
+
+// Load (or create on first use) the user's key. Resolves to 'ready' or 'locked' (passphrase needed).
+export function initUserEncryption(userId) {
+    if (!userId) return Promise.resolve('ready');
+    if (!initPromises.has(userId)) {
+        const promise = loadKeyring(userId).catch(err => {
+            initPromises.delete(userId); // Allow a later retry
+            throw err;
+        });
+        initPromises.set(userId, promise);
+    }
+    return initPromises.get(userId);
+}
+
+// Re-read the key parameters (e.g. after a key change on another device), keeping keys already unlocked
+export function refreshUserEncryption(userId) {
+    const promise = loadKeyring(userId, keyrings.get(userId)?.keys).catch(err => {
+        initPromises.delete(userId);
+        throw err;
+    });
+    initPromises.set(userId, promise);
+    return promise;
+}
+
+async function loadKeyring(userId, knownKeys = null) {
+    const { data, error } = await supabase
+        .from('user_encryption_keys')
+        .select('key_id, salt, iterations, passphrase_protected, key_check, retired_keys, full_payload')
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw error;
+
+    let params = data;
+    const keys = new Map(knownKeys || []);
+
+    if (!params) {
+        // First use: generate this user's random salt
+        const created = await createKeyParams(userId);
+        const { error: insertError } = await supabase
+            .from('user_encryption_keys')
+            .insert([{ user_id: userId, ...created.params, retired_keys: [], full_payload: false }]);
+
+        if (insertError) {
+            // Another tab or device may have created it first
+            const { data: existing } = await supabase
+                .from('user_encryption_keys')
+                .select('key_id, salt, iterations, passphrase_protected, key_check, retired_keys, full_payload')
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (!existing) throw insertError;
+            params = existing;
+        } else {
+            params = { ...created.params, retired_keys: [], full_payload: false };
+            keys.set(params.key_id, created.key);
+        }
+    }
+
+    // Keys that don't need a passphrase can be derived right away
+    for (const keyParams of [params, ...(params.retired_keys || [])]) {
+        if (!keyParams.passphrase_protected && !keys.has(keyParams.key_id)) {
+            keys.set(keyParams.key_id, await deriveKeyFromParams(userId, keyParams));
+        }
+    }
+
+    const locked = !keys.has(params.key_id);
+    keyrings.set(userId, { params, keys, locked });
+    return locked ? 'locked' : 'ready';
+}
+
+export function isEncryptionLocked(userId) {
+    return !!keyrings.get(userId)?.locked;
+}
+
+export function isPassphraseProtected(userId) {
+    return !!keyrings.get(userId)?.params.passphrase_protected;
+}
+
+export function isFullPayloadEncryption(userId) {
+    return !!keyrings.get(userId)?.params.full_payload;
+}
+
+// Raw key material for every key unlocked in this session, for the extension:
+// { userId, currentKeyId, keys: [{ keyId, key (base64 raw AES-256) }] }
+export async function exportUserKeys(userId) {
+    if (await initUserEncryption(userId) === 'locked') return null;
+    const keyring = keyrings.get(userId);
+    const keys = await Promise.all([...keyring.keys.entries()].map(async ([keyId, key]) => ({
+        keyId,
+        key: toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)))
+    })));
+    return { userId, currentKeyId: keyring.params.key_id, keys };
+}
+
+// Unlock a passphrase-protected key for this session. Returns false if the passphrase is wrong.
+export async function unlockWithPassphrase(userId, passphrase) {
+    await initUserEncryption(userId);
+    const keyring = keyrings.get(userId);
+    if (!keyring.locked) return true;
+
+    const key = await deriveKeyFromParams(userId, keyring.params, passphrase);
+    if (!await isKeyValid(key, keyring.params)) return false;
+    keyring.keys.set(keyring.params.key_id, key);
+    keyring.locked = false;
+
+    // Retired keys protected by the same passphrase can be unlocked too
+    await unlockRetiredKeys(userId, passphrase);
+    return true;
+}
+
+// Unlock retired keys that were protected by `passphrase` (an earlier passphrase, for recovering
+// values written before it was changed). Returns how many keys were unlocked.
+export async function unlockRetiredKeys(userId, passphrase) {
+    await initUserEncryption(userId);
+    const keyring = keyrings.get(userId);
+    let unlocked = 0;
+    for (const retired of keyring.params.retired_keys || []) {
+        if (!retired.passphrase_protected || keyring.keys.has(retired.key_id)) continue;
+        const retiredKey = await deriveKeyFromParams(userId, retired, passphrase);
+        if (await isKeyValid(retiredKey, retired)) {
+            keyring.keys.set(retired.key_id, retiredKey);
+            unlocked++;
+        }
+    }
+    return unlocked;
+}
+
 // Encrypt a prompt string
 export async function encryptPrompt(prompt, userId) {
     if (!prompt || !userId) return prompt; // Return as-is if no prompt or userId
 
+    let keyring;
     try {
-        const key = await deriveKeyFromUserId(userId);
-        const encoder = new TextEncoder();
-        const data = encoder.encode(prompt);
-
-        // Generate random IV for each encryption
-        const iv = crypto.getRandomValues(new Uint8Array(12));
-
-        const encrypted = await crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            key,
-            data
-        );
-
-        // Combine IV + encrypted data and encode as base64
-        const combined = new Uint8Array(iv.length + encrypted.byteLength);
-        combined.set(iv);
-        combined.set(new Uint8Array(encrypted), iv.length);
-
-        // Return as base64 with prefix to identify encrypted prompts
-        return 'ENC:' + btoa(String.fromCharCode(...combined));
+        await initUserEncryption(userId);
+        keyring = keyrings.get(userId);
+    } catch (error) {
+        throw new EncryptionError('Could not load your encryption key', { cause: error });
+    }
+    if (keyring.locked) {
+        throw new EncryptionError('Encryption key is locked');
+    }
+
+    try {
+        const payload = await encryptWithKey(keyring.keys.get(keyring.params.key_id), prompt);
+        return `${ENVELOPE_V2}${keyring.params.key_id}:${payload}`;
     } catch (error) {
         console.error('Encryption error:', error);
-        return prompt; // Return unencrypted on error
+        throw new EncryptionError('Encryption failed', { cause: error });
     }
 }
 
@@ -66,35 +291,121 @@ export async function decryptPrompt(encryptedPrompt, userId) {
     if (!encryptedPrompt || !userId) return encryptedPrompt;
 
     // Check if this is an encrypted prompt
-    if (!encryptedPrompt.startsWith('ENC:')) {
+    if (!isEncrypted(encryptedPrompt)) {
         return encryptedPrompt; // Not encrypted, return as-is
     }
 
+    let key;
+    let payload;
+    let keyId = null;
+    if (encryptedPrompt.startsWith(ENVELOPE_V1)) {
+        key = await deriveKeyFromUserId(userId);
+        payload = encryptedPrompt.slice(ENVELOPE_V1.length);
+    } else {
+        try {
+            await initUserEncryption(userId);
+        } catch (error) {
+            throw new DecryptionError('Could not load your encryption key', { reason: 'unavailable', cause: error });
+        }
+        [keyId, payload] = encryptedPrompt.slice(ENVELOPE_V2.length).split(':');
+        const keyring = keyrings.get(userId);
+        key = keyring.keys.get(keyId);
+        if (!key) {
+            throw new DecryptionError(`Key ${keyId} is not available`, {
+                reason: keyring.locked && keyId === keyring.params.key_id ? 'locked' : 'missing_key',
+                keyId
+            });
+        }
+    }
+
     try {
-        const key = await deriveKeyFromUserId(userId);
+        return await decryptWithKey(key, payload);
+    } catch (error) {
+        console.error('Decryption error:', error);
+        throw new DecryptionError('Decryption failed', { reason: 'corrupt', keyId, cause: error });
+    }
+}
+
+// Check if a prompt is encrypted
+export function isEncrypted(prompt) {
+    return !!prompt && (prompt.startsWith(ENVELOPE_V1) || prompt.startsWith(ENVELOPE_V2));
+}
 
-        // Decode from base64
-        const combined = Uint8Array.from(atob(encryptedPrompt.slice(4)), c => c.charCodeAt(0));
+// Whether a value is encrypted with something other than the user's current key
+export function needsReencryption(value, userId) {
+    if (!isEncrypted(value)) return false;
+    if (value.startsWith(ENVELOPE_V1)) return true;
+    const keyring = keyrings.get(userId);
+    return value.slice(ENVELOPE_V2.length).split(':')[0] !== keyring?.params.key_id;
+}
+
+// --- Passphrase ---
+// Switch to a new key derived from `passphrase` (or back to an account-derived key when null).
+// The old key is kept as retired; run migrateEncryptedData afterwards to re-encrypt existing data.
+export async function setEncryptionPassphrase(userId, passphrase) {
+    if (await initUserEncryption(userId) === 'locked') throw new Error('Unlock your data before changing the passphrase');
+    const keyring = keyrings.get(userId);
 
-        // Extract IV and encrypted data
-        const iv = combined.slice(0, 12);
-        const data = combined.slice(12);
+    const { params, key } = await createKeyParams(userId, passphrase || null);
+    const retiredKeys = [
+        ...(keyring.params.retired_keys || []),
+        {
+            key_id: keyring.params.key_id,
+            salt: keyring.params.salt,
+            iterations: keyring.params.iterations,
+            passphrase_protected: keyring.params.passphrase_protected,
+            key_check: keyring.params.key_check
+        }
+    ];
 
-        const decrypted = await crypto.subtle.decrypt(
-            { name: 'AES-GCM', iv: iv },
-            key,
-            data
-        );
+    const { data, error } = await supabase
+        .from('user_encryption_keys')
+        .update({ ...params, retired_keys: retiredKeys })
+        .eq('user_id', userId)
+        .eq('key_id', keyring.params.key_id)
+        .select('key_id');
+    if (error) throw error;
+    if (!data || data.length === 0) throw new Error('Your encryption key was changed on another device. Reload and try again.');
 
-        const decoder = new TextDecoder();
-        return decoder.decode(decrypted);
+    keyring.keys.set(params.key_id, key);
+    keyring.params = { ...keyring.params, ...params, retired_keys: retiredKeys };
+}
+
+// --- Full payload encryption ---
+// Account-wide switch; run migrateEncryptedData afterwards to convert existing rows.
+export async function setFullPayloadEncryption(userId, enabled) {
+    if (await initUserEncryption(userId) === 'locked') throw new Error('Unlock your data before changing encryption settings');
+    const { error } = await supabase
+        .from('user_encryption_keys')
+        .update({ full_payload: !!enabled })
+        .eq('user_id', userId);
+    if (error) throw error;
+    keyrings.get(userId).params.full_payload = !!enabled;
+}
+
+// --- Password-protected files ---
+// For data that leaves the account (backup files): the key comes from a password chosen for the file,
+// not from the account's keyring, so the file can be opened on any account or device.
+// Returns { kdf: { name, hash, iterations, salt }, data: base64(iv | ciphertext) }.
+export async function encryptWithPassword(plaintext, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    try {
+        const key = await pbkdf2Key(password, salt, KEY_ITERATIONS);
+        return {
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KEY_ITERATIONS, salt: toBase64(salt) },
+            data: await encryptWithKey(key, plaintext)
+        };
     } catch (error) {
-        console.error('Decryption error:', error);
-        return encryptedPrompt; // Return encrypted string on error
+        throw new EncryptionError('Could not encrypt with this password', { cause: error });
     }
 }
 
-// Check if a prompt is encrypted
-export function isEncrypted(prompt) {
-    return prompt && prompt.startsWith('ENC:');
+// Throws DecryptionError ('corrupt') for a wrong password or damaged data; the two can't be told apart.
+export async function decryptWithPassword(sealed, password) {
+    try {
+        const key = await pbkdf2Key(password, fromBase64(sealed.kdf.salt), sealed.kdf.iterations);
+        return await decryptWithKey(key, sealed.data);
+    } catch (error) {
+        throw new DecryptionError('Wrong password or damaged data', { reason: 'corrupt', cause: error });
+    }
 }
@@ -0,0 +1,71 @@
+// Extension Devices
+// Every browser where the extension is signed in to the account has a row in `extension_devices`:
+//   { id, user_id, name, browser, platform, extension_version, last_seen_at, paused,
+//     preset_override_id, sign_out_requested_at, created_at }
+// The extension creates its row on sign-in and refreshes last_seen_at, extension_version and paused on
+// each heartbeat. It follows dashboard writes to its own row (Realtime, or at the latest on the next heartbeat):
+//   paused                 pause or resume blocking on that device only
+//   preset_override_id     block with this preset instead of the account's active preset (null = follow the account)
+//   sign_out_requested_at  sign out; the extension deletes its row once it has
+// The status marker carries the extension's own row id in data-device-id, which is how the dashboard
+// recognises "this browser".
+
+import { supabase } from './supabaseClient';
+
+export const MAX_DEVICE_NAME_LENGTH = 40;
+const ONLINE_WINDOW_MS = 10 * 60 * 1000; // a few missed heartbeats
+
+export function readThisDeviceId() {
+    return document.getElementById('beacon-extension-status')?.getAttribute('data-device-id') || null;
+}
+
+// Most recently seen first
+export async function fetchDevices(userId) {
+    const { data, error } = await supabase
+        .from('extension_devices')
+        .select('id, name, browser, platform, extension_version, last_seen_at, paused, preset_override_id, sign_out_requested_at, created_at')
+        .eq('user_id', userId)
+        .order('last_seen_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+async function updateDevice(id, changes) {
+    const { error } = await supabase
+        .from('extension_devices')
+        .update(changes)
+        .eq('id', id);
+    if (error) throw new Error(error.message);
+}
+
+// An empty name clears it, so the device falls back to its browser and platform
+export function renameDevice(id, name) {
+    const trimmed = name.trim();
+    if (trimmed.length > MAX_DEVICE_NAME_LENGTH) {
+        throw new Error(`Device names can be at most ${MAX_DEVICE_NAME_LENGTH} characters.`);
+    }
+    return updateDevice(id, { name: trimmed || null });
+}
+
+export function setDevicePaused(id, paused) {
+    return updateDevice(id, { paused });
+}
+
+export function setDevicePresetOverride(id, presetId) {
+    return updateDevice(id, { preset_override_id: presetId || null });
+}
+
+export function requestDeviceSignOut(id) {
+    return updateDevice(id, { sign_out_requested_at: new Date().toISOString() });
+}
+
+// --- Display ---
+export function deviceLabel(device) {
+    if (device.name) return device.name;
+    const parts = [device.browser, device.platform].filter(Boolean);
+    return parts.length > 0 ? parts.join(' on ') : 'Unknown browser';
+}
+
+export function isDeviceOnline(device, now = Date.now()) {
+    return !!device.last_seen_at && now - new Date(device.last_seen_at).getTime() < ONLINE_WINDOW_MS;
+}
@@ -0,0 +1,251 @@
+// Allow/Block List Pattern Utility
+// Parses, validates and matches the structured entries used by the Always Allow / Always Block lists.
+//
+// Entries are stored as plain strings in rules.allow_list / rules.block_list (so older extension
+// builds keep working) and their pattern type is stored alongside in rules.list_pattern_types:
+//   { allow: { 'docs.google.com': 'exact' }, block: { 'youtube.com/shorts/': 'path' } }
+// Entries without a stored type are legacy entries and behave like subdomain wildcards.
+
+import { getHostname, getRegistrableDomain, isIpAddress, toUnicodeHost } from './publicSuffix.js';
+
+export const PATTERN_TYPES = {
+    exact: { label: 'Exact host', example: 'docs.google.com', desc: 'Only this host (a leading www. is ignored).' },
+    subdomain: { label: 'Domain + subdomains', example: '*.google.com', desc: 'The domain itself and every subdomain.' },
+    path: { label: 'Path prefix', example: 'youtube.com/shorts/*', desc: 'Pages on this host whose path starts with the prefix.' },
+    regex: { label: 'Regular expression', example: '/reddit\\.com\\/r\\/(funny|memes)/', desc: 'Tested against host + path + query (no protocol).' }
+};
+
+// Higher rank wins when several entries match the same URL
+const PATTERN_RANK = { subdomain: 1, exact: 2, path: 3, regex: 4 };
+
+const MAX_REGEX_LENGTH = 200;
+
+// === Map common names to domains ===
+export const commonSiteMappings = {
+    'wikipedia': 'wikipedia.org', 'youtube': 'youtube.com', 'facebook': 'facebook.com',
+    'instagram': 'instagram.com', 'twitter': 'twitter.com', 'x': 'x.com',
+    'reddit': 'reddit.com', 'amazon': 'amazon.com', 'google': 'google.com',
+    'bbc': 'bbc.com', 'cnn': 'cnn.com', 'nytimes': 'nytimes.com', 'tiktok': 'tiktok.com',
+    'netflix': 'netflix.com', 'hulu': 'hulu.com', 'disney': 'disneyplus.com',
+    'twitch': 'twitch.tv', 'linkedin': 'linkedin.com', 'github': 'github.com',
+    'stackoverflow': 'stackoverflow.com', 'pinterest': 'pinterest.com', 'tumblr': 'tumblr.com',
+    'spotify': 'spotify.com', 'whatsapp': 'whatsapp.com', 'discord': 'discord.com',
+    'slack': 'slack.com', 'gmail': 'mail.google.com', 'outlook': 'outlook.com',
+    'bing': 'bing.com', 'duckduckgo': 'duckduckgo.com', 'quora': 'quora.com',
+    'medium': 'medium.com', 'imdb': 'imdb.com', 'ebay': 'ebay.com',
+    'craigslist': 'craigslist.org', 'etsy': 'etsy.com', 'walmart': 'walmart.com',
+    'target': 'target.com', 'bestbuy': 'bestbuy.com', 'fox': 'foxnews.com',
+    'msnbc': 'msnbc.com', 'wsj': 'wsj.com', 'washingtonpost': 'washingtonpost.com',
+    'guardian': 'theguardian.com', 'buzzfeed': 'buzzfeed.com', 'forbes': 'forbes.com',
+    'bloomberg': 'bloomberg.com', 'techcrunch': 'techcrunch.com', 'theverge': 'theverge.com',
+    'wired': 'wired.com', 'ign': 'ign.com', 'roblox': 'roblox.com',
+    'steam': 'steampowered.com', 'chatgpt': 'chatgpt.com', 'openai': 'openai.com',
+    'claude': 'anthropic.com', 'gemini': 'gemini.google.com', 'letterboxd': 'letterboxd.com'
+};
+
+// --- Helper: Get base domain ---
+// Registrable domain per the Public Suffix List ("news.bbc.co.uk" -> "bbc.co.uk",
+// "alice.github.io" stays as-is). Hosts that are themselves a public suffix are returned unchanged.
+export function getBaseDomain(urlString) {
+    const host = getHostname(urlString);
+    if (!host) return null;
+    return getRegistrableDomain(host) || host;
+}
+
+// Normalize a hostname: lowercase, no trailing dot, no leading www.
+function normalizeHost(host) {
+    let h = (host || '').toLowerCase().replace(/\.$/, '');
+    if (h.startsWith('www.')) h = h.slice(4);
+    return h;
+}
+
+// Hostnames as understood by URL (handles IDN -> punycode). Returns null if invalid.
+function parseHost(host) {
+    try {
+        const hostname = new URL('http://' + host).hostname;
+        if (!hostname.includes('.') && hostname !== 'localhost' && !hostname.startsWith('[')) return null;
+        return normalizeHost(hostname);
+    } catch {
+        return null;
+    }
+}
+
+// Registrable domains cover their subdomains; a specific subdomain or an IP address is an exact host
+function defaultHostType(host) {
+    return !isIpAddress(host) && getBaseDomain(host) === host ? 'subdomain' : 'exact';
+}
+
+function isRegexEntry(entry) {
+    return /^\/.+\/[i]?$/.test(entry);
+}
+
+function compileRegex(entry) {
+    const lastSlash = entry.lastIndexOf('/');
+    return new RegExp(entry.slice(1, lastSlash), entry.slice(lastSlash + 1));
+}
+
+// Type of an entry, using the stored type when present.
+// Legacy (untyped) bare domains behave like subdomain wildcards, as they always have.
+export function getPatternType(entry, storedType) {
+    if (storedType && PATTERN_TYPES[storedType]) return storedType;
+    if (isRegexEntry(entry)) return 'regex';
+    if (entry.includes('/')) return 'path';
+    return 'subdomain';
+}
+
+// Display form of an entry: *.google.com, youtube.com/shorts/*, docs.google.com, /regex/
+// Internationalized hosts are stored in punycode and shown in Unicode.
+export function formatPattern(entry, type) {
+    switch (getPatternType(entry, type)) {
+        case 'subdomain': return `*.${toUnicodeHost(entry)}`;
+        case 'path': {
+            const display = toUnicodeHost(entry.slice(0, entry.indexOf('/'))) + entry.slice(entry.indexOf('/'));
+            return display.endsWith('/') ? `${display}*` : display;
+        }
+        case 'exact': return toUnicodeHost(entry);
+        default: return entry;
+    }
+}
+
+// Parse raw user input into a list entry.
+// Returns { value, type } or { error }.
+export function parseListEntry(rawInput) {
+    const input = (rawInput || '').trim();
+    if (!input) return { error: 'Enter a domain or pattern.' };
+
+    // 1. Regular expression: /pattern/ or /pattern/i
+    if (input.startsWith('/')) {
+        if (!isRegexEntry(input)) return { error: "Regex patterns look like /pattern/ (optionally /pattern/i)." };
+        if (input.length > MAX_REGEX_LENGTH) return { error: `Regex patterns are limited to ${MAX_REGEX_LENGTH} characters.` };
+        let regex;
+        try {
+            regex = compileRegex(input);
+        } catch (e) {
+            return { error: `Invalid regex: ${e.message}` };
+        }
+        // Refuse patterns that match everything (e.g. /.*/)
+        if (regex.test('') || (regex.test('example.com/') && regex.test('zz-unrelated.org/x?y=1'))) {
+            return { error: 'This regex matches every site. Make it more specific.' };
+        }
+        return { value: input, type: 'regex' };
+    }
+
+    if (/\s/.test(input)) return { error: 'URLs cannot contain spaces.' };
+
+    let lower = input.toLowerCase();
+
+    // 2. Common site names ("youtube") and bare words ("example" -> example.com)
+    if (commonSiteMappings[lower]) {
+        const mapped = commonSiteMappings[lower];
+        return { value: mapped, type: defaultHostType(mapped) };
+    }
+    if (!lower.includes('.') && !lower.includes('/')) {
+        const host = /^[\p{L}\p{N}-]+$/u.test(lower) ? parseHost(lower + '.com') : null;
+        if (!host) return { error: "Invalid domain. Try 'example.com'." };
+        return { value: host, type: 'subdomain' };
+    }
+
+    // 3. Explicit subdomain wildcard: *.example.com
+    if (lower.startsWith('*.')) {
+        const host = parseHost(lower.slice(2));
+        if (!host || host.includes('*')) return { error: "Invalid wildcard. Try '*.example.com'." };
+        return { value: host, type: 'subdomain' };
+    }
+    if (lower.includes('*') && !lower.endsWith('*')) {
+        return { error: "Wildcards are only supported as '*.domain' or at the end of a path." };
+    }
+
+    // 4. Host with optional path. A full URL (with protocol) adds the site;
+    //    typing host/path (or ending with *) adds a path prefix.
+    const hadProtocol = /^https?:\/\//.test(lower);
+    lower = lower.replace(/^https?:\/\//, '');
+    const slashIndex = lower.indexOf('/');
+    const hostPart = slashIndex === -1 ? lower : lower.slice(0, slashIndex);
+    const pathPart = slashIndex === -1 ? '' : lower.slice(slashIndex).split(/[?#]/)[0];
+
+    const host = parseHost(hostPart);
+    if (!host) return { error: "Invalid domain. Try 'example.com'." };
+
+    const wantsPath = input.endsWith('*') || (!hadProtocol && pathPart.replace(/\/\*?$/, '') !== '');
+    if (wantsPath) {
+        const prefix = pathPart.replace(/\*$/, '');
+        if (!prefix || prefix === '/') return { value: host, type: defaultHostType(host) };
+        return { value: host + prefix, type: 'path' };
+    }
+
+    return { value: host, type: defaultHostType(host) };
+}
+
+// Does a URL match a single entry?
+export function matchesPattern(entry, type, urlString) {
+    let url;
+    try {
+        url = new URL(/^[a-z]+:\/\//i.test(urlString) ? urlString : 'http://' + urlString);
+    } catch {
+        return false;
+    }
+    const host = normalizeHost(url.hostname);
+
+    switch (getPatternType(entry, type)) {
+        case 'exact':
+            return host === entry;
+        case 'subdomain':
+            return host === entry || host.endsWith('.' + entry);
+        case 'path': {
+            const slashIndex = entry.indexOf('/');
+            const entryHost = entry.slice(0, slashIndex);
+            const entryPath = entry.slice(slashIndex);
+            return host === entryHost && url.pathname.toLowerCase().startsWith(entryPath);
+        }
+        case 'regex':
+            try {
+                return compileRegex(entry).test(host + url.pathname + url.search);
+            } catch {
+                return false;
+            }
+        default:
+            return false;
+    }
+}
+
+// How specific a matching entry is. Longer hosts/paths beat shorter ones of the same type.
+function specificity(entry, type) {
+    return PATTERN_RANK[getPatternType(entry, type)] * 10000 + entry.length;
+}
+
+// Resolve which list entry wins for a URL.
+// Precedence: most specific match wins (regex > path > exact host > domain + subdomains,
+// longer beats shorter within a type); an exact tie between lists goes to Block.
+// Returns { decision: 'ALLOW' | 'BLOCK', entry, type } or null when nothing matches.
+export function resolveListDecision(urlString, allowList, blockList, patternTypes = {}) {
+    let best = null;
+
+    const consider = (list, listType, decision) => {
+        (list || []).forEach(entry => {
+            const type = getPatternType(entry, patternTypes[listType]?.[entry]);
+            if (!matchesPattern(entry, type, urlString)) return;
+            const score = specificity(entry, type);
+            if (!best || score > best.score || (score === best.score && decision === 'BLOCK')) {
+                best = { decision, entry, type, score };
+            }
+        });
+    };
+
+    consider(allowList, 'allow', 'ALLOW');
+    consider(blockList, 'block', 'BLOCK');
+
+    if (!best) return null;
+    const { decision, entry, type } = best;
+    return { decision, entry, type };
+}
+
+// Keep only the types for entries still present in the lists
+export function prunePatternTypes(patternTypes, allowList, blockList) {
+    const pick = (list, types) => Object.fromEntries(
+        (list || []).filter(entry => types?.[entry]).map(entry => [entry, types[entry]])
+    );
+    return {
+        allow: pick(allowList, patternTypes?.allow),
+        block: pick(blockList, patternTypes?.block)
+    };
+}
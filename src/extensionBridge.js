@@ -0,0 +1,266 @@
+// Extension Bridge
+// The single channel between the dashboard and the Beacon Blocker extension.
+//
+// Transport: requests are CustomEvents dispatched on `document` (the content script listens there and
+// forwards to the background worker); replies and announcements come back as events on `window`.
+// Messages with a `direct` type are first sent with chrome.runtime.sendMessage when the extension ID is
+// known (marker element injected by the content script), falling back to the event on failure.
+// Messages without an `event` (secrets such as encryption keys) are only ever sent directly: any script on
+// the page can read document events, so they are dropped rather than sent that way.
+//
+// Protocol:
+//   v2: every event detail carries { requestId, protocol }, and replies echo the requestId so
+//       concurrent requests of the same kind can't be confused.
+//   v1: older extensions reply without a requestId; a reply then settles the oldest pending request
+//       waiting on that reply event.
+// negotiate() sends BEACON_BRIDGE_HELLO; extensions that answer report their protocol version,
+// extension version and capabilities. No answer means v1.
+//
+// Each bridge keeps round-trip latencies and the most recent errors (timeouts, failed direct messages)
+// for the diagnostics panel; see getStats().
+//
+// createExtensionBridge takes the event targets and runtime as options so it can be driven by a fake
+// extension (e.g. in jsdom); the app uses the shared `extensionBridge` instance.
+
+export const PROTOCOL_VERSION = 2;
+
+// name -> { event?, response?, direct?, target? }
+//   event:    request event dispatched on the request target; omitted for direct-only messages
+//   response: reply event (request() waits for it)
+//   direct:   runtime message type tried first when the extension ID is known
+//   target:   'window' for page-level events the content script watches on window
+export const MESSAGES = {
+    hello: { event: 'BEACON_BRIDGE_HELLO', response: 'BEACON_BRIDGE_HELLO_RESPONSE' },
+    getBlockLog: { event: 'BEACON_GET_BLOCK_LOG', response: 'BEACON_BLOCK_LOG_RESPONSE' },
+    getBlockLogPage: { event: 'BEACON_GET_BLOCK_LOG_PAGE', response: 'BEACON_BLOCK_LOG_PAGE_RESPONSE' },
+    getStorageUsage: { event: 'BEACON_GET_STORAGE_USAGE', response: 'BEACON_STORAGE_USAGE_RESPONSE' },
+    getPauseState: { event: 'BEACON_GET_PAUSE_STATE', response: 'BEACON_PAUSE_STATE_RESPONSE' },
+    getDiagnostics: { event: 'BEACON_GET_DIAGNOSTICS', response: 'BEACON_DIAGNOSTICS_RESPONSE' },
+    clearBlockLog: { event: 'BEACON_CLEAR_BLOCK_LOG' },
+    deleteLog: { event: 'BEACON_DELETE_SINGLE_LOG' },
+    importBlockLog: { event: 'BEACON_IMPORT_BLOCK_LOG' },
+    syncPause: { event: 'BEACON_PAUSE_SYNC', direct: 'SYNC_PAUSE' },
+    syncActivityLogSettings: { event: 'BEACON_ACTIVITY_LOG_SETTINGS_SYNC' },
+    syncEncryptionKeys: { direct: 'SYNC_ENCRYPTION_KEYS' },
+    syncSchedule: { event: 'BEACON_SCHEDULE_SYNC' },
+    syncTheme: { event: 'BEACON_THEME_SYNC' },
+    syncAuth: { event: 'BEACON_AUTH_SYNC' },
+    logout: { event: 'BEACON_AUTH_LOGOUT' },
+    rulesUpdated: { event: 'BEACON_RULES_UPDATED', target: 'window' }
+};
+
+// Announcements the extension sends without being asked
+export const ANNOUNCEMENTS = {
+    blockLogUpdated: 'BEACON_BLOCK_LOG_UPDATED',
+    themeUpdated: 'BEACON_THEME_UPDATED',
+    pauseUpdated: 'BEACON_PAUSE_UPDATED'
+};
+
+const MAX_LATENCY_SAMPLES = 20;
+const MAX_RECENT_ERRORS = 10;
+
+export class BridgeTimeoutError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'BridgeTimeoutError';
+        this.messageName = options.messageName || null;
+    }
+}
+
+function readExtensionId() {
+    return document.getElementById('beacon-extension-status')?.getAttribute('data-extension-id') || null;
+}
+
+export function createExtensionBridge({
+    requestTarget = document,
+    eventTarget = window,
+    getRuntime = () => window.chrome?.runtime,
+    getExtensionId = readExtensionId,
+    timeoutMs = 2000,
+    retries = 1
+} = {}) {
+    let nextId = 1;
+    const pending = new Map(); // requestId -> { response, resolve, reject, timer, sentAt }
+    const responseListeners = new Set(); // reply event names with a listener attached
+    let protocol = null; // { version, extensionVersion, capabilities } once negotiated
+    let negotiation = null;
+    const stats = { requests: 0, replies: 0, latencies: [], errors: [] };
+
+    const recordError = (messageName, text) => {
+        stats.errors.unshift({ message: messageName, error: text, at: Date.now() });
+        stats.errors.length = Math.min(stats.errors.length, MAX_RECENT_ERRORS);
+    };
+
+    const handleResponse = (responseEvent) => (event) => {
+        const requestId = event.detail?.requestId;
+        let id = requestId && pending.has(requestId) ? requestId : null;
+        if (!id && !requestId) {
+            // v1 reply: settle the oldest request waiting on this event
+            id = [...pending.keys()].find(key => pending.get(key).response === responseEvent) || null;
+        }
+        if (!id) return;
+
+        const entry = pending.get(id);
+        pending.delete(id);
+        clearTimeout(entry.timer);
+        stats.replies++;
+        stats.latencies.push(Date.now() - entry.sentAt);
+        if (stats.latencies.length > MAX_LATENCY_SAMPLES) stats.latencies.shift();
+        entry.resolve(event.detail || {});
+    };
+
+    const listenFor = (responseEvent) => {
+        if (responseListeners.has(responseEvent)) return;
+        responseListeners.add(responseEvent);
+        eventTarget.addEventListener(responseEvent, handleResponse(responseEvent));
+    };
+
+    const dispatch = (message, detail) => {
+        const target = message.target === 'window' ? eventTarget : requestTarget;
+        target.dispatchEvent(new CustomEvent(message.event, { detail }));
+    };
+
+    const getMessage = (name) => {
+        const message = MESSAGES[name];
+        if (!message) throw new Error(`Unknown extension message: ${name}`);
+        return message;
+    };
+
+    // chrome.runtime.sendMessage only. Resolves to whether the extension received the message.
+    const sendDirect = (name, payload = {}) => new Promise(resolve => {
+        const message = getMessage(name);
+        const runtime = getRuntime();
+        const extensionId = getExtensionId();
+        if (!message.direct || !extensionId || !runtime?.sendMessage) {
+            recordError(name, 'Direct messaging is not available');
+            resolve(false);
+            return;
+        }
+        try {
+            runtime.sendMessage(extensionId, { type: message.direct, ...payload }, () => {
+                if (runtime.lastError) {
+                    recordError(name, `Direct message failed: ${runtime.lastError.message}`);
+                    resolve(false);
+                } else {
+                    resolve(true);
+                }
+            });
+        } catch (e) {
+            recordError(name, `Direct message failed: ${e.message}`);
+            resolve(false);
+        }
+    });
+
+    // Fire-and-forget
+    const send = (name, payload = {}) => {
+        const message = getMessage(name);
+        if (!message.event) {
+            sendDirect(name, payload);
+            return;
+        }
+        const detail = { ...payload, requestId: `req-${nextId++}`, protocol: PROTOCOL_VERSION };
+
+        const runtime = getRuntime();
+        const extensionId = getExtensionId();
+        if (message.direct && extensionId && runtime?.sendMessage) {
+            try {
+                runtime.sendMessage(extensionId, { type: message.direct, ...payload }, () => {
+                    if (runtime.lastError) {
+                        recordError(name, `Direct message failed: ${runtime.lastError.message}`);
+                        console.log(`[BRIDGE] Direct ${message.direct} failed, using event:`, runtime.lastError.message);
+                        dispatch(message, detail);
+                    }
+                });
+                return;
+            } catch (e) {
+                console.log('[BRIDGE] chrome.runtime error:', e);
+                recordError(name, `Direct message failed: ${e.message}`);
+            }
+        }
+        dispatch(message, detail);
+    };
+
+    // Request with a reply. Retries on timeout, then rejects with BridgeTimeoutError.
+    const request = (name, payload = {}, options = {}) => {
+        const message = getMessage(name);
+        if (!message.response) throw new Error(`Extension message ${name} has no reply`);
+        listenFor(message.response);
+
+        const attempts = (options.retries ?? retries) + 1;
+        const wait = options.timeoutMs ?? timeoutMs;
+
+        const attempt = (remaining) => new Promise((resolve, reject) => {
+            const requestId = `req-${nextId++}`;
+            const timer = setTimeout(() => {
+                pending.delete(requestId);
+                recordError(name, `No reply within ${wait} ms`);
+                reject(new BridgeTimeoutError(`The extension did not answer ${name}`, { messageName: name }));
+            }, wait);
+            stats.requests++;
+            pending.set(requestId, { response: message.response, resolve, reject, timer, sentAt: Date.now() });
+            dispatch(message, { ...payload, requestId, protocol: PROTOCOL_VERSION });
+        }).catch(err => {
+            if (err instanceof BridgeTimeoutError && remaining > 1) return attempt(remaining - 1);
+            throw err;
+        });
+
+        return attempt(attempts);
+    };
+
+    // Listen for an announcement (see ANNOUNCEMENTS). Returns an unsubscribe function.
+    const subscribe = (name, handler) => {
+        const eventName = ANNOUNCEMENTS[name];
+        if (!eventName) throw new Error(`Unknown extension announcement: ${name}`);
+        const listener = (event) => handler(event.detail || {});
+        eventTarget.addEventListener(eventName, listener);
+        return () => eventTarget.removeEventListener(eventName, listener);
+    };
+
+    // Agree on a protocol version. Cached; call reset() when the extension changes (e.g. reinstalled).
+    const negotiate = () => {
+        if (!negotiation) {
+            negotiation = request('hello', { protocol: PROTOCOL_VERSION }, { retries: 0 })
+                .then(reply => ({
+                    version: Math.min(Number(reply.protocol) || 1, PROTOCOL_VERSION),
+                    extensionVersion: reply.version || null,
+                    capabilities: Array.isArray(reply.capabilities) ? reply.capabilities : null
+                }))
+                .catch(() => ({ version: 1, extensionVersion: null, capabilities: null }))
+                .then(result => {
+                    protocol = result;
+                    return result;
+                });
+        }
+        return negotiation;
+    };
+
+    const reset = () => {
+        negotiation = null;
+        protocol = null;
+    };
+
+    // { requests, replies, lastLatencyMs, averageLatencyMs, recentErrors: [{ message, error, at }] }, newest error first.
+    // Counts are per attempt, so a request that was retried once counts twice.
+    const getStats = () => ({
+        requests: stats.requests,
+        replies: stats.replies,
+        lastLatencyMs: stats.latencies.length > 0 ? stats.latencies[stats.latencies.length - 1] : null,
+        averageLatencyMs: stats.latencies.length > 0
+            ? Math.round(stats.latencies.reduce((sum, ms) => sum + ms, 0) / stats.latencies.length)
+            : null,
+        recentErrors: [...stats.errors]
+    });
+
+    return {
+        send,
+        sendDirect,
+        request,
+        subscribe,
+        negotiate,
+        reset,
+        getProtocol: () => protocol,
+        getStats
+    };
+}
+
+export const extensionBridge = createExtensionBridge();
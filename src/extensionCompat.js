@@ -0,0 +1,77 @@
+// Extension Compatibility
+// Which dashboard features the installed extension supports, so the UI can disable or explain
+// features instead of sending events an older extension silently ignores.
+//
+// Handshake: the content script's `#beacon-extension-status` marker carries
+//   data-extension-version  e.g. "1.6.0"
+//   data-protocol           bridge protocol version (see extensionBridge.js)
+//   data-capabilities       comma-separated capability names, e.g. "block_log,delete_log,schedule_sync"
+// and the bridge hello reply can report the same fields. Extensions from before the handshake report
+// none of them; they are assumed to support only the `legacy` features.
+
+// Compatibility matrix: dashboard feature -> capability the extension must report
+export const EXTENSION_FEATURES = {
+    blockLog: { capability: 'block_log', label: 'Activity log', legacy: true },
+    storageUsage: { capability: 'storage_usage', label: 'Storage usage', legacy: true },
+    pauseSync: { capability: 'pause_sync', label: 'Pause blocking', legacy: true },
+    themeSync: { capability: 'theme_sync', label: 'Theme sync', legacy: true },
+    deleteLog: { capability: 'delete_log', label: 'Deleting single activity entries' },
+    activityLogSettings: { capability: 'activity_log_settings', label: 'Activity log retention and logging options' },
+    importBlockLog: { capability: 'import_block_log', label: 'Restoring the activity log from a backup' },
+    scheduleSync: { capability: 'schedule_sync', label: 'Scheduled preset switches while the dashboard is closed' },
+    encryptionKeys: { capability: 'encryption_keys', label: 'Reading passphrase-protected or fully encrypted rules' },
+    timedPause: { capability: 'timed_pause', label: 'Timed pauses that resume while the dashboard is closed' },
+    diagnostics: { capability: 'diagnostics', label: 'Sign-in and rules sync details in Diagnostics' },
+    blockLogPaging: { capability: 'block_log_paging', label: 'Loading and filtering the activity log page by page' }
+};
+
+const LEGACY_CAPABILITIES = Object.values(EXTENSION_FEATURES)
+    .filter(feature => feature.legacy)
+    .map(feature => feature.capability);
+
+// { version, protocol, capabilities } from the marker; null when the extension isn't installed
+export function readExtensionInfo() {
+    const marker = document.getElementById('beacon-extension-status');
+    if (!marker) return null;
+
+    const capabilities = marker.getAttribute('data-capabilities');
+    return {
+        version: marker.getAttribute('data-extension-version') || null,
+        protocol: Number(marker.getAttribute('data-protocol')) || 1,
+        capabilities: capabilities === null
+            ? null
+            : capabilities.split(',').map(name => name.trim()).filter(Boolean)
+    };
+}
+
+// Fill gaps in the marker info with what the bridge negotiated
+export function mergeExtensionInfo(info, negotiated) {
+    if (!info) return null;
+    if (!negotiated) return info;
+    return {
+        version: info.version || negotiated.extensionVersion || null,
+        protocol: Math.max(info.protocol, negotiated.version || 1),
+        capabilities: info.capabilities || negotiated.capabilities || null
+    };
+}
+
+// { [featureId]: boolean }. With no extension info every feature is reported as supported, so the
+// UI doesn't disable anything before the extension has been detected (missing extensions have their own banner).
+export function getExtensionSupport(info) {
+    const capabilities = info ? (info.capabilities || LEGACY_CAPABILITIES) : null;
+    return Object.fromEntries(Object.entries(EXTENSION_FEATURES).map(([id, feature]) => [
+        id,
+        !capabilities || capabilities.includes(feature.capability)
+    ]));
+}
+
+// Labels of the features the installed extension lacks
+export function getUnsupportedFeatures(info) {
+    const support = getExtensionSupport(info);
+    return Object.entries(EXTENSION_FEATURES)
+        .filter(([id]) => !support[id])
+        .map(([, feature]) => feature.label);
+}
+
+// Same object shape as getExtensionSupport, used before detection and for unchanged info
+export const ALL_SUPPORTED = getExtensionSupport(null);
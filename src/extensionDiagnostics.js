@@ -0,0 +1,211 @@
+// Extension Diagnostics
+// Health report behind Settings > Diagnostics: what the dashboard knows about the installed extension,
+// what the extension reports about itself, and how the bridge has been performing.
+//
+// Extensions with the `diagnostics` capability answer BEACON_GET_DIAGNOSTICS with
+//   { authTokenExpiresAt: ms | null, lastRulesSyncAt: ms | null, cacheVersion: number | null }
+// The self-test sends every bridge message that is safe to repeat. Messages that would change the user's
+// data or the extension's state (clearing the log, signing out, replacing keys...) are reported as skipped.
+// Reports never include tokens or keys, so they can be pasted into a support request as-is.
+
+import { extensionBridge, MESSAGES } from './extensionBridge.js';
+import { getExtensionSupport } from './extensionCompat.js';
+
+const TOKEN_EXPIRING_MS = 5 * 60 * 1000;
+const SELF_TEST_TIMEOUT_MS = 3000;
+
+// Messages the self-test sends, in order. `payload` builds the detail from the replies so far and the
+// context; returning null skips the step.
+const SELF_TEST_STEPS = {
+    hello: { payload: () => ({}) },
+    getStorageUsage: { feature: 'storageUsage', payload: () => ({}) },
+    getPauseState: { feature: 'pauseSync', payload: () => ({}) },
+    getBlockLog: { feature: 'blockLog', payload: () => ({}) },
+    getBlockLogPage: { feature: 'blockLogPaging', payload: () => ({ cursor: null, limit: 1, filter: null, includeDomains: false }) },
+    getDiagnostics: { feature: 'diagnostics', payload: () => ({}) },
+    // Echoes the pause the extension just reported, end time and budget included, so nothing changes.
+    // Extensions that don't report a budget get the dashboard's, as the dashboard itself would send.
+    syncPause: {
+        feature: 'pauseSync',
+        payload: (replies, context) => replies.getPauseState ? {
+            paused: !!replies.getPauseState.paused,
+            until: replies.getPauseState.until ?? null,
+            dailyBudgetMinutes: replies.getPauseState.dailyBudgetMinutes ?? context.pauseBudgetMinutes ?? 0
+        } : null
+    },
+    // Re-sends the dashboard's current sign-in, which also refreshes a stale extension token
+    syncAuth: {
+        payload: (replies, context) => context.session?.access_token
+            ? { token: context.session.access_token, email: context.session.user?.email }
+            : null
+    },
+    // Only makes the extension refetch rules and drop cached decisions
+    rulesUpdated: { payload: () => ({}) }
+};
+
+const SKIP_REASONS = {
+    clearBlockLog: 'Would delete the activity log',
+    deleteLog: 'Would delete an activity entry',
+    importBlockLog: 'Would add entries to the activity log',
+    syncActivityLogSettings: 'Would overwrite logging options',
+    syncEncryptionKeys: 'Would replace the extension\'s keys',
+    syncSchedule: 'Would replace the extension\'s schedule',
+    syncTheme: 'Would change the extension\'s theme',
+    logout: 'Would sign the extension out'
+};
+
+// 'valid' | 'expiring' | 'expired' | 'unknown'
+export function tokenFreshness(expiresAt, now = Date.now()) {
+    if (!expiresAt) return 'unknown';
+    if (expiresAt <= now) return 'expired';
+    if (expiresAt - now < TOKEN_EXPIRING_MS) return 'expiring';
+    return 'valid';
+}
+
+// "in 42 min", "3 h ago", "just now"
+export function describeTime(at, now = Date.now()) {
+    if (!at) return 'unknown';
+    const diff = at - now;
+    const minutes = Math.round(Math.abs(diff) / 60000);
+    if (minutes < 1) return 'just now';
+    const span = minutes < 60 ? `${minutes} min`
+        : minutes < 48 * 60 ? `${Math.round(minutes / 60)} h`
+            : `${Math.round(minutes / (24 * 60))} days`;
+    return diff > 0 ? `in ${span}` : `${span} ago`;
+}
+
+export function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+const isReachable = (extensionStatus) => extensionStatus === 'active' || extensionStatus === 'logged_out';
+
+// --- Snapshot ---
+// {
+//   collectedAt, extension: { status, version, protocol, capabilities },
+//   dashboardTokenExpiresAt, report: getDiagnostics reply | { error } | null,
+//   storage: getStorageUsage reply | { error } | null, bridge: bridge.getStats()
+// }
+export async function collectDiagnostics({ extensionStatus, extensionInfo, session, bridge = extensionBridge }) {
+    const support = getExtensionSupport(extensionInfo);
+    const ask = (name) => bridge.request(name, {}, { retries: 0 }).catch(err => ({ error: err.message }));
+    const reachable = isReachable(extensionStatus);
+
+    const [storage, report] = await Promise.all([
+        reachable && support.storageUsage ? ask('getStorageUsage') : null,
+        reachable && support.diagnostics ? ask('getDiagnostics') : null
+    ]);
+
+    return {
+        collectedAt: Date.now(),
+        extension: {
+            status: extensionStatus,
+            version: extensionInfo?.version || null,
+            protocol: extensionInfo?.protocol || null,
+            capabilities: extensionInfo?.capabilities || null
+        },
+        dashboardTokenExpiresAt: session?.expires_at ? session.expires_at * 1000 : null,
+        report,
+        storage,
+        bridge: bridge.getStats()
+    };
+}
+
+// --- Self-test ---
+// One result per bridge message, in catalog order:
+//   { name, event, status: 'passed' | 'failed' | 'sent' | 'skipped' | 'unsupported', latencyMs, detail }
+// `sent` means a fire-and-forget message went out; the protocol has no acknowledgement for those.
+export async function runSelfTest({ extensionStatus, extensionInfo, session, pauseBudgetMinutes = 0, bridge = extensionBridge, onProgress }) {
+    const support = getExtensionSupport(extensionInfo);
+    const replies = {};
+    const results = [];
+
+    for (const [name, message] of Object.entries(MESSAGES)) {
+        const step = SELF_TEST_STEPS[name];
+        const result = { name, event: message.event || message.direct, status: 'skipped', latencyMs: null, detail: null };
+        results.push(result);
+
+        if (!step) {
+            result.detail = SKIP_REASONS[name] || 'Not covered by the self-test';
+        } else if (step.feature && !support[step.feature]) {
+            result.status = 'unsupported';
+            result.detail = 'The installed extension does not support this';
+        } else if (!isReachable(extensionStatus)) {
+            result.detail = 'Extension not detected';
+        } else {
+            const payload = step.payload(replies, { session, pauseBudgetMinutes });
+            if (payload === null) {
+                result.detail = 'Nothing to send';
+            } else if (message.response) {
+                const startedAt = Date.now();
+                try {
+                    replies[name] = await bridge.request(name, payload, { retries: 0, timeoutMs: SELF_TEST_TIMEOUT_MS });
+                    result.status = 'passed';
+                    result.latencyMs = Date.now() - startedAt;
+                } catch (err) {
+                    result.status = 'failed';
+                    result.detail = err.message;
+                }
+            } else {
+                try {
+                    bridge.send(name, payload);
+                    result.status = 'sent';
+                    result.detail = 'No reply expected';
+                } catch (err) {
+                    result.status = 'failed';
+                    result.detail = err.message;
+                }
+            }
+        }
+        onProgress?.([...results]);
+    }
+    return results;
+}
+
+// --- Report ---
+// Plain-text report for support requests
+export function formatDiagnosticsReport(diagnostics, selfTest = null) {
+    const { extension, report, storage, bridge } = diagnostics;
+    const at = (ms) => ms ? new Date(ms).toISOString() : 'unknown';
+    const lines = [
+        `Beacon Blocker diagnostics (${at(diagnostics.collectedAt)})`,
+        `Browser: ${navigator.userAgent}`,
+        '',
+        `Extension: ${extension.status}, version ${extension.version || 'unknown'}, protocol ${extension.protocol || 'unknown'}`,
+        `Capabilities: ${extension.capabilities ? extension.capabilities.join(', ') || 'none' : 'not reported'}`,
+        `Dashboard session expires: ${at(diagnostics.dashboardTokenExpiresAt)}`
+    ];
+
+    if (!report) {
+        lines.push('Extension report: not available');
+    } else if (report.error) {
+        lines.push(`Extension report: ${report.error}`);
+    } else {
+        lines.push(
+            `Extension sign-in: ${tokenFreshness(report.authTokenExpiresAt, diagnostics.collectedAt)}, expires ${at(report.authTokenExpiresAt)}`,
+            `Last rules sync: ${at(report.lastRulesSyncAt)}`,
+            `Cache version: ${report.cacheVersion ?? 'unknown'}`
+        );
+    }
+    lines.push(`Storage: ${!storage ? 'not available' : storage.error || formatBytes(storage.used)}`);
+
+    lines.push(
+        '',
+        `Bridge: ${bridge.requests} requests, ${bridge.replies} replies, last ${bridge.lastLatencyMs ?? '-'} ms, average ${bridge.averageLatencyMs ?? '-'} ms`
+    );
+    if (bridge.recentErrors.length > 0) {
+        lines.push('Recent bridge errors:');
+        bridge.recentErrors.forEach(entry => lines.push(`  ${at(entry.at)} ${entry.message}: ${entry.error}`));
+    }
+
+    if (selfTest) {
+        lines.push('', 'Self-test:');
+        selfTest.forEach(result => {
+            const latency = result.latencyMs !== null ? ` ${result.latencyMs} ms` : '';
+            lines.push(`  ${result.name}: ${result.status}${latency}${result.detail ? ` (${result.detail})` : ''}`);
+        });
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,98 @@
+// Activity Export
+// Downloads the Browsing Activity log (the currently filtered entries of FullHistoryModal) as CSV, JSON or NDJSON.
+//
+// Every format carries the same fields, in this order:
+//   { url, domain, decision, reason, page_title, active_prompt, timestamp }
+// `domain` is the Unicode host. `timestamp` is ISO 8601 in the chosen time zone with its offset, e.g.
+// 2026-10-05T14:03:22+02:00 (UTC ends in Z). With redaction on, `url` is cut to the domain, so no paths or
+// query strings leave the browser.
+
+import { csvCell } from './listFormats.js';
+import { toUnicodeHost } from './publicSuffix.js';
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', desc: 'One row per entry with a header row. Opens in spreadsheets.' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json', desc: 'One array of entries.' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', mime: 'application/x-ndjson', desc: 'One JSON entry per line, for log tools and scripts.' }
+};
+
+export const EXPORT_FIELDS = ['url', 'domain', 'decision', 'reason', 'page_title', 'active_prompt', 'timestamp'];
+
+export function localTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// IANA zones the browser knows, local zone and UTC first
+export function listTimeZones() {
+    const local = localTimeZone();
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [...new Set([local, 'UTC', ...zones])];
+}
+
+// --- Timestamps ---
+// ISO 8601 wall-clock time in `timeZone`, with that zone's offset at the moment
+export function formatTimestamp(value, timeZone = 'UTC') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    if (timeZone === 'UTC') return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offsetMinutes = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = offsetMinutes === 0
+        ? 'Z'
+        : `${sign}${String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0')}:${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+// --- Export ---
+function toExportRecord(log, { redactUrls, timeZone }) {
+    const domain = toUnicodeHost(log.domain) || '';
+    return {
+        url: redactUrls ? domain : log.url || '',
+        domain,
+        decision: log.decision || '',
+        reason: log.reason || '',
+        page_title: log.page_title || '',
+        active_prompt: log.active_prompt || '',
+        timestamp: formatTimestamp(log.created_at, timeZone)
+    };
+}
+
+// Page titles and URLs come from arbitrary sites; keep spreadsheets from running them as formulas
+function safeCsvCell(value) {
+    return csvCell(/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+}
+
+// Serialize log entries. Options: { redactUrls, timeZone }
+export function exportHistory(logs, format, { redactUrls = false, timeZone = localTimeZone() } = {}) {
+    const records = logs.map(log => toExportRecord(log, { redactUrls, timeZone }));
+    switch (format) {
+        case 'json':
+            return JSON.stringify(records, null, 2) + '\n';
+        case 'ndjson':
+            return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+        default:
+            return [EXPORT_FIELDS.join(','), ...records.map(record => EXPORT_FIELDS.map(field => safeCsvCell(record[field])).join(','))].join('\n') + '\n';
+    }
+}
+
+export function getHistoryExportFilename(format, now = new Date()) {
+    return `beacon-activity-${now.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+export function downloadHistoryExport(text, format) {
+    const url = URL.createObjectURL(new Blob([text], { type: EXPORT_FORMATS[format].mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getHistoryExportFilename(format);
+    link.click();
+    URL.revokeObjectURL(url);
+}
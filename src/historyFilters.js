@@ -0,0 +1,122 @@
+// History Filters
+// Filters for the Browsing Activity view (FullHistoryModal), combined with AND, and their URL form so a
+// filtered view can be bookmarked.
+//
+// Filters:
+//   { text: search box query (see historyQuery.js), decision: 'ALLOW' | 'BLOCK' | null, from: 'YYYY-MM-DD' | null, to: 'YYYY-MM-DD' | null (inclusive, local),
+//     domains: [registrable domains], cache: 'cached' | 'fresh' | null, prompt, category: category id | null }
+// URL: ?history=1&q=...&decision=block&from=2026-10-01&to=2026-10-07&domain=reddit.com&domain=x.com
+//      &cache=cached&prompt=...&category=games
+// `history` opens the modal on load; the other parameters are only written while they are set.
+//
+// Log entries are the modal's formatted entries:
+//   { url, domain, site, decision, reason, page_title, active_prompt, category, created_at }
+
+import { toAsciiHost } from './publicSuffix.js';
+import { isCachedLog, matchesCategory, localDayStart, parseHistoryQuery, createQueryMatcher } from './historyQuery.js';
+
+export const EMPTY_HISTORY_FILTERS = {
+    text: '',
+    decision: null,
+    from: null,
+    to: null,
+    domains: [],
+    cache: null,
+    prompt: '',
+    category: null
+};
+
+const OPEN_PARAM = 'history';
+const FILTER_PARAMS = ['q', 'decision', 'from', 'to', 'domain', 'cache', 'prompt', 'category'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function hasActiveFilters(filters) {
+    return !!(filters.text || filters.decision || filters.from || filters.to || filters.domains.length > 0
+        || filters.cache || filters.prompt || filters.category);
+}
+
+// --- Filtering ---
+// A predicate for all active filters
+export function createHistoryFilter(filters, categoryLabels = {}) {
+    const fromMs = filters.from ? localDayStart(filters.from) : null;
+    const toMs = filters.to ? localDayStart(filters.to) + 24 * 60 * 60 * 1000 : null;
+    const domains = new Set(filters.domains);
+    const prompt = filters.prompt.trim().toLowerCase();
+    const matchesQuery = createQueryMatcher(parseHistoryQuery(filters.text), categoryLabels);
+
+    return (log) => {
+        if (filters.decision && log.decision !== filters.decision) return false;
+        if (fromMs !== null || toMs !== null) {
+            const at = new Date(log.created_at).getTime();
+            if (fromMs !== null && at < fromMs) return false;
+            if (toMs !== null && at >= toMs) return false;
+        }
+        if (domains.size > 0 && !domains.has(log.site) && !domains.has(log.domain)) return false;
+        if (filters.cache && (filters.cache === 'cached') !== isCachedLog(log)) return false;
+        if (prompt && !log.active_prompt?.toLowerCase().includes(prompt)) return false;
+        if (filters.category && !matchesCategory(log, filters.category, categoryLabels)) return false;
+        return matchesQuery(log);
+    };
+}
+
+export function applyHistoryFilters(logs, filters, categoryLabels = {}) {
+    return logs.filter(createHistoryFilter(filters, categoryLabels));
+}
+
+// Registrable domains in the log, most frequent first (options for the domain filter)
+export function collectLogDomains(logs) {
+    const counts = new Map();
+    logs.forEach(log => {
+        if (log.site) counts.set(log.site, (counts.get(log.site) || 0) + 1);
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([site]) => site);
+}
+
+// --- URL state ---
+export function filtersFromSearchParams(params) {
+    const decision = params.get('decision')?.toUpperCase();
+    const cache = params.get('cache');
+    const from = params.get('from');
+    const to = params.get('to');
+    return {
+        text: params.get('q') || '',
+        decision: decision === 'ALLOW' || decision === 'BLOCK' ? decision : null,
+        from: from && DATE_PATTERN.test(from) ? from : null,
+        to: to && DATE_PATTERN.test(to) ? to : null,
+        domains: params.getAll('domain').map(domain => toAsciiHost(domain.trim().toLowerCase())).filter(Boolean),
+        cache: cache === 'cached' || cache === 'fresh' ? cache : null,
+        prompt: params.get('prompt') || '',
+        category: params.get('category') || null
+    };
+}
+
+// Whether the page was opened on the activity view (a bookmarked filtered view)
+export function isHistoryOpenInUrl() {
+    return new URLSearchParams(window.location.search).has(OPEN_PARAM);
+}
+
+export function readHistoryFiltersFromUrl() {
+    return filtersFromSearchParams(new URLSearchParams(window.location.search));
+}
+
+// Replaces (not pushes) the current entry so filtering doesn't flood the back button.
+// Pass null to remove the activity view from the URL.
+export function writeHistoryFiltersToUrl(filters) {
+    const params = new URLSearchParams(window.location.search);
+    [OPEN_PARAM, ...FILTER_PARAMS].forEach(name => params.delete(name));
+
+    if (filters) {
+        params.set(OPEN_PARAM, '1');
+        if (filters.text) params.set('q', filters.text);
+        if (filters.decision) params.set('decision', filters.decision.toLowerCase());
+        if (filters.from) params.set('from', filters.from);
+        if (filters.to) params.set('to', filters.to);
+        filters.domains.forEach(domain => params.append('domain', domain));
+        if (filters.cache) params.set('cache', filters.cache);
+        if (filters.prompt) params.set('prompt', filters.prompt);
+        if (filters.category) params.set('category', filters.category);
+    }
+
+    const query = params.toString();
+    window.history.replaceState(window.history.state, document.title, `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
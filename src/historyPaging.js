@@ -0,0 +1,147 @@
+// History Paging
+// Loads the Browsing Activity log (FullHistoryModal) a page at a time instead of all at once.
+//
+// Extensions with the `block_log_paging` capability page and filter the log themselves:
+//   request  BEACON_GET_BLOCK_LOG_PAGE { cursor, limit, filter, includeDomains }
+//   reply    { logs, nextCursor, total, unfilteredTotal, domains? }
+// `cursor` is opaque (null for the first page) and `nextCursor` is null after the last page. `total` counts
+// the entries matching `filter`, `unfilteredTotal` every entry. `domains` (registrable domains across the
+// whole log, most frequent first) is only sent when `includeDomains` is set.
+// `filter` is the filter bar plus the parsed search query as plain data (see toExtensionFilter; null = none). The
+// dashboard re-applies the same filter to every page it receives, so an extension that doesn't know a query
+// field yet sends more entries than needed, never wrong ones (its `total` is then too high).
+//
+// Older extensions only answer BEACON_GET_BLOCK_LOG with the whole log; for them the source fetches it once
+// and pages through it in memory, so the modal works the same either way.
+//
+// Entries are formatted for the modal:
+//   { id, url, domain, site, decision, reason, page_title, active_prompt, category, created_at }
+
+import { extensionBridge, BridgeTimeoutError } from './extensionBridge.js';
+import { getBaseDomain } from './domainPatterns.js';
+import { getHostname } from './publicSuffix.js';
+import { createHistoryFilter, collectLogDomains } from './historyFilters.js';
+import { parseHistoryQuery, localDayStart } from './historyQuery.js';
+
+export const HISTORY_PAGE_SIZE = 50;
+const EXPORT_PAGE_SIZE = 250;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Extension log entry -> modal entry. `index` keeps ids unique when entries share a timestamp.
+export function formatLogEntry(log, index) {
+    return {
+        id: `local-${log.timestamp}-${index}`,
+        url: log.url,
+        domain: getHostname(log.domain || log.url) || log.domain, // ASCII host; display with toUnicodeHost
+        site: getBaseDomain(log.domain || log.url), // Registrable domain, e.g. bbc.co.uk
+        decision: log.decision || 'BLOCK', // Support both BLOCK and ALLOW
+        reason: log.reason,
+        page_title: log.pageTitle,
+        active_prompt: log.activePrompt || null,
+        category: log.category || null,
+        created_at: new Date(log.timestamp).toISOString()
+    };
+}
+
+// Filters (historyFilters.js) as plain data for the extension. Dates become local-midnight bounds in ms
+// ([from, to) with `to` already moved past the last day), and the search box becomes parsed clauses.
+export function toExtensionFilter(filters, categoryLabels = {}) {
+    const query = parseHistoryQuery(filters.text);
+    return {
+        decision: filters.decision,
+        from: filters.from ? localDayStart(filters.from) : null,
+        to: filters.to ? localDayStart(filters.to) + DAY_MS : null,
+        domains: filters.domains,
+        cache: filters.cache,
+        prompt: filters.prompt.trim() || null,
+        category: filters.category,
+        categoryLabels,
+        query: {
+            legacy: query.legacy,
+            clauses: query.clauses.map(({ field, value, negated }) => ({ field, value, negated }))
+        }
+    };
+}
+
+// A paged view of the log for one set of filters. next(limit) resolves to
+//   { logs, hasMore, total, unfilteredTotal, domains }
+// where `domains` is only set on the first page. Calls must not overlap.
+// If the first paged request times out (e.g. the extension wasn't detected yet, so its capabilities are
+// unknown), the source falls back to the whole log.
+export function createHistorySource({ filters, categoryLabels = {}, paging = false, bridge = extensionBridge }) {
+    const matches = createHistoryFilter(filters, categoryLabels);
+    let received = 0;
+    let cursor = null;
+    let fullLog = null; // Fallback: the whole log and the matching entries, fetched once
+    let usePaging = paging;
+
+    const nextFromExtension = async (limit) => {
+        const isFirstPage = received === 0 && cursor === null;
+        const reply = await bridge.request('getBlockLogPage', {
+            cursor,
+            limit,
+            filter: toExtensionFilter(filters, categoryLabels),
+            includeDomains: isFirstPage
+        }, { retries: 0 });
+
+        const pageLogs = (reply.logs || []).map((log, i) => formatLogEntry(log, received + i));
+        received += pageLogs.length;
+        // A cursor that doesn't move would page forever
+        const nextCursor = reply.nextCursor && reply.nextCursor !== cursor && pageLogs.length > 0 ? reply.nextCursor : null;
+        cursor = nextCursor;
+
+        return {
+            logs: pageLogs.filter(matches),
+            hasMore: nextCursor !== null,
+            total: reply.total ?? received,
+            unfilteredTotal: reply.unfilteredTotal ?? reply.total ?? received,
+            domains: isFirstPage ? reply.domains || [] : undefined
+        };
+    };
+
+    const nextFromFullLog = async (limit) => {
+        const isFirstPage = fullLog === null;
+        if (isFirstPage) {
+            const extensionLogs = await bridge.request('getBlockLog', {}, { retries: 0 })
+                .then(reply => reply.logs || [])
+                .catch(() => []); // Empty if the extension doesn't answer
+            const all = extensionLogs.map(formatLogEntry);
+            fullLog = { all, matching: all.filter(matches) };
+        }
+
+        const pageLogs = fullLog.matching.slice(received, received + limit);
+        received += pageLogs.length;
+        return {
+            logs: pageLogs,
+            hasMore: received < fullLog.matching.length,
+            total: fullLog.matching.length,
+            unfilteredTotal: fullLog.all.length,
+            domains: isFirstPage ? collectLogDomains(fullLog.all) : undefined
+        };
+    };
+
+    const next = async (limit) => {
+        if (!usePaging) return nextFromFullLog(limit);
+        try {
+            return await nextFromExtension(limit);
+        } catch (error) {
+            if (!(error instanceof BridgeTimeoutError) || received > 0) throw error;
+            usePaging = false;
+            return nextFromFullLog(limit);
+        }
+    };
+
+    return { next };
+}
+
+// Every entry matching the filters, e.g. for an export
+export async function fetchAllHistory(options) {
+    const source = createHistorySource(options);
+    const logs = [];
+    let page;
+    do {
+        page = await source.next(EXPORT_PAGE_SIZE);
+        logs.push(...page.logs);
+    } while (page.hasMore);
+    return logs;
+}
@@ -0,0 +1,327 @@
+// History Query
+// The search language of the Browsing Activity search box, plus the log-matching primitives behind it.
+//
+//   domain:reddit.com -decision:allow "cached decision" after:2026-10-01
+//
+// Grammar: whitespace-separated terms, all combined with AND.
+//   term    := ['-'] (field ':' value | value)     '-' negates the term
+//   value   := word | '"' phrase '"'
+//   fields  := domain, decision (allow|block), after / before (YYYY-MM-DD, local; after is inclusive,
+//              before is exclusive), prompt, category (id or label), cache (cached|fresh), title, url, reason
+// Bare words and phrases match URL, domain, page title, prompt and reason.
+//
+// Plain searches keep their old meaning: a query with no fields, quotes or negation is one keyword
+// matched as before (see matchesText), including the magic words "allow" and "block". Only the names
+// below are fields, so "localhost:3000" is still a plain keyword.
+//
+// parseHistoryQuery never throws; invalid terms are returned as errors with their position in the input
+// so the UI can highlight them, and are left out of the filter. Words that look like a mistyped field
+// ("domian:x") are searched as plain text and returned as warnings.
+
+import { toAsciiHost, toUnicodeHost } from './publicSuffix.js';
+
+export const QUERY_FIELDS = {
+    domain: 'Site or subdomain, e.g. domain:reddit.com',
+    decision: 'allow or block',
+    after: 'On or after a date, e.g. after:2026-10-01',
+    before: 'Before a date, e.g. before:2026-10-08',
+    prompt: 'Active prompt contains',
+    category: 'Blocked category, e.g. category:games',
+    cache: 'cached or fresh',
+    title: 'Page title contains',
+    url: 'URL contains',
+    reason: 'Reason contains'
+};
+
+const FIELD_VALUES = {
+    decision: ['allow', 'block'],
+    cache: ['cached', 'fresh']
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_NAMES = Object.keys(QUERY_FIELDS).join('|');
+const FIELD_PREFIX = new RegExp(`^(${FIELD_NAMES}):(?!//)`, 'i'); // "field://" is a URL scheme, not a field
+const ADVANCED_SYNTAX = new RegExp(`(^|\\s)-\\S|"|(^|\\s)-?(${FIELD_NAMES}):(?!//)`, 'i');
+const WORD_PREFIX = /^([a-z]+):(?!\/\/)/i;
+
+// --- Log matching primitives ---
+export function isCachedLog(log) {
+    return !!log.reason && log.reason.toLowerCase().includes('cached decision');
+}
+
+// Plain keyword search, as the search box has always worked: "allow"/"block" pick a decision,
+// anything else matches URL, domain (ASCII or Unicode), page title or prompt
+export function matchesText(log, text) {
+    const term = text.trim().toLowerCase();
+    if (!term) return true;
+    if (term === 'allow' || term === 'allowed') return log.decision === 'ALLOW';
+    if (term === 'block' || term === 'blocked') return log.decision === 'BLOCK';
+
+    const asciiTerm = toAsciiHost(term); // Match Unicode searches against punycode hosts
+    return !!(
+        log.url?.toLowerCase().includes(term) ||
+        log.domain?.toLowerCase().includes(term) ||
+        log.domain?.includes(asciiTerm) ||
+        toUnicodeHost(log.domain)?.toLowerCase().includes(term) ||
+        log.page_title?.toLowerCase().includes(term) ||
+        log.active_prompt?.toLowerCase().includes(term)
+    );
+}
+
+// Category blocks are recognised by the extension's `category` field, or by the category label in the reason
+export function matchesCategory(log, categoryId, categoryLabels = {}) {
+    if (log.category) return log.category === categoryId;
+    const label = categoryLabels[categoryId];
+    return !!label && !!log.reason && log.reason.toLowerCase().includes(label.toLowerCase());
+}
+
+// 'YYYY-MM-DD' -> local midnight (ms)
+export function localDayStart(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+// Rejects dates Date() would silently roll over, e.g. 2026-02-30
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(localDayStart(value));
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+function matchesDomain(log, value) {
+    const host = toAsciiHost(value);
+    return log.site === host || log.domain === host || !!log.domain?.endsWith(`.${host}`);
+}
+
+const includes = (text, value) => !!text && text.toLowerCase().includes(value);
+
+// --- Parsing ---
+// Splits the input into raw terms: { negated, field, value, quoted, start, end, unterminated }
+function tokenize(input) {
+    const terms = [];
+    let i = 0;
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+        const term = { negated: false, field: null, value: '', quoted: false, start, end: start, unterminated: false };
+        if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            term.negated = true;
+            i++;
+        }
+
+        const fieldMatch = FIELD_PREFIX.exec(input.slice(i));
+        if (fieldMatch) {
+            term.field = fieldMatch[1].toLowerCase();
+            i += fieldMatch[0].length;
+        }
+
+        if (input[i] === '"') {
+            const close = input.indexOf('"', i + 1);
+            term.quoted = true;
+            if (close === -1) {
+                term.unterminated = true;
+                term.value = input.slice(i + 1);
+                i = input.length;
+            } else {
+                term.value = input.slice(i + 1, close);
+                i = close + 1;
+            }
+        } else {
+            const valueStart = i;
+            while (i < input.length && !/\s/.test(input[i])) i++;
+            term.value = input.slice(valueStart, i);
+        }
+        term.end = i;
+        terms.push(term);
+    }
+    return terms;
+}
+
+// Validates a value for a field. Returns an error message or null.
+function checkValue(field, value) {
+    if (!value) return `${field}: needs a value`;
+    if (FIELD_VALUES[field] && !FIELD_VALUES[field].includes(normaliseValue(field, value))) {
+        return `${field}: must be ${FIELD_VALUES[field].join(' or ')}`;
+    }
+    if ((field === 'after' || field === 'before') && !isValidDate(value)) {
+        return `${field}: needs a date like 2026-10-01`;
+    }
+    return null;
+}
+
+function normaliseValue(field, value) {
+    const lower = value.toLowerCase();
+    if (field === 'decision') return lower.replace(/ed$/, '');
+    return lower;
+}
+
+// Levenshtein distance, for spotting mistyped field names
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// The field a "word:" prefix was probably meant to be, or null. Hosts like "localhost:3000" are far
+// from every field name and stay quiet.
+function closestField(word) {
+    const lower = word.toLowerCase();
+    return Object.keys(QUERY_FIELDS).find(field => (lower.length >= 3 && field.startsWith(lower))
+        || editDistance(lower, field) <= (field.length > 4 ? 2 : 1)) || null;
+}
+
+// Warnings for bare words that start with a near-miss field name: [{ message, start, end }]
+function fieldWarnings(input) {
+    const warnings = [];
+    tokenize(input).forEach(term => {
+        if (term.field || term.quoted) return;
+        const match = WORD_PREFIX.exec(term.value);
+        const field = match && closestField(match[1]);
+        if (field) {
+            warnings.push({ message: `Unknown field "${match[1]}:" (did you mean ${field}:?)`, start: term.start, end: term.end });
+        }
+    });
+    return warnings;
+}
+
+// { clauses: [{ field, value, negated, start, end }], errors: [{ message, start, end }], warnings, legacy }
+// `field` is null for bare words and phrases. Warnings don't change the search.
+export function parseHistoryQuery(input) {
+    const text = (input || '').trim();
+    if (!text) return { clauses: [], errors: [], warnings: [], legacy: false };
+    const warnings = fieldWarnings(input);
+    if (!ADVANCED_SYNTAX.test(text)) {
+        return { clauses: [{ field: null, value: text, negated: false, start: 0, end: input.length }], errors: [], warnings, legacy: true };
+    }
+
+    const clauses = [];
+    const errors = [];
+    tokenize(input).forEach(term => {
+        const position = { start: term.start, end: term.end };
+        if (term.unterminated) {
+            errors.push({ message: 'Missing closing quote', ...position });
+            return;
+        }
+        if (term.field) {
+            const problem = checkValue(term.field, term.value);
+            if (problem) {
+                errors.push({ message: problem, ...position });
+                return;
+            }
+        } else if (!term.value) {
+            return; // Empty quotes
+        }
+        clauses.push({ field: term.field, value: term.field ? normaliseValue(term.field, term.value) : term.value.toLowerCase(), negated: term.negated, ...position });
+    });
+    return { clauses, errors, warnings, legacy: false };
+}
+
+// --- Matching ---
+function matchesClause(log, clause, categoryLabels) {
+    const { field, value } = clause;
+    switch (field) {
+        case null:
+            return includes(log.url, value) || includes(log.domain, value) || includes(toUnicodeHost(log.domain), value)
+                || includes(log.page_title, value) || includes(log.active_prompt, value) || includes(log.reason, value);
+        case 'domain':
+            return matchesDomain(log, value);
+        case 'decision':
+            return log.decision === value.toUpperCase();
+        case 'after':
+            return new Date(log.created_at).getTime() >= localDayStart(value);
+        case 'before':
+            return new Date(log.created_at).getTime() < localDayStart(value);
+        case 'prompt':
+            return includes(log.active_prompt, value);
+        case 'category': {
+            const id = Object.keys(categoryLabels).find(key => key === value || categoryLabels[key].toLowerCase() === value) || value;
+            return matchesCategory(log, id, categoryLabels);
+        }
+        case 'cache':
+            return (value === 'cached') === isCachedLog(log);
+        case 'title':
+            return includes(log.page_title, value);
+        case 'url':
+            return includes(log.url, value);
+        case 'reason':
+            return includes(log.reason, value);
+        default:
+            return true;
+    }
+}
+
+// Predicate for a parsed query; invalid terms were already dropped
+export function createQueryMatcher(parsed, categoryLabels = {}) {
+    if (parsed.legacy) return (log) => matchesText(log, parsed.clauses[0].value);
+    return (log) => parsed.clauses.every(clause => matchesClause(log, clause, categoryLabels) !== clause.negated);
+}
+
+// --- Autocomplete ---
+// The term under the cursor: { start, end, negated, field, value }
+function termAt(input, cursor) {
+    let start = cursor;
+    while (start > 0 && !/\s/.test(input[start - 1])) start--;
+    let end = cursor;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+
+    const raw = input.slice(start, cursor);
+    const negated = raw.startsWith('-');
+    const body = negated ? raw.slice(1) : raw;
+    const colon = body.indexOf(':');
+    return {
+        start: start + (negated ? 1 : 0),
+        end,
+        field: colon === -1 ? null : body.slice(0, colon).toLowerCase(),
+        value: colon === -1 ? body : body.slice(colon + 1).replace(/^"/, '')
+    };
+}
+
+// Suggestions for the term under the cursor: [{ label, detail, insert }]. `insert` replaces the term
+// (without its "-" prefix). Field names are offered while typing a bare word; values after "field:".
+export function getQuerySuggestions(input, cursor, { domains = [], categoryLabels = {} } = {}, limit = 8) {
+    const term = termAt(input, cursor);
+    const prefix = term.value.toLowerCase();
+
+    if (term.field === null) {
+        if (!prefix) return [];
+        return Object.entries(QUERY_FIELDS)
+            .filter(([field]) => field.startsWith(prefix) && field !== prefix)
+            .map(([field, detail]) => ({ label: `${field}:`, detail, insert: `${field}:` }))
+            .slice(0, limit);
+    }
+
+    let values = [];
+    if (term.field === 'domain') {
+        values = domains.map(domain => ({ label: toUnicodeHost(domain), value: domain }));
+    } else if (term.field === 'category') {
+        values = Object.entries(categoryLabels).map(([id, label]) => ({ label: id, detail: label, value: id }));
+    } else if (FIELD_VALUES[term.field]) {
+        values = FIELD_VALUES[term.field].map(value => ({ label: value, value }));
+    }
+    return values
+        .filter(option => option.value.startsWith(prefix) || option.label.toLowerCase().startsWith(prefix))
+        .filter(option => option.value !== prefix)
+        .slice(0, limit)
+        .map(option => ({ label: option.label, detail: option.detail, insert: `${term.field}:${option.value}` }));
+}
+
+// Replace the term under the cursor with a suggestion. Returns { value, cursor }.
+export function applyQuerySuggestion(input, cursor, suggestion) {
+    const term = termAt(input, cursor);
+    // Completed values get a space so typing can continue with the next term; field names don't
+    const isField = suggestion.insert.endsWith(':');
+    const rest = input.slice(term.end);
+    const separator = isField || rest.startsWith(' ') ? '' : ' ';
+    const value = `${input.slice(0, term.start)}${suggestion.insert}${separator}${rest}`;
+    return { value, cursor: term.start + suggestion.insert.length + (isField ? 0 : 1) };
+}
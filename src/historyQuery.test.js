@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHistoryQuery } from './historyQuery.js';
+
+test('host:port stays a plain keyword', () => {
+    const parsed = parseHistoryQuery('localhost:3000');
+    assert.equal(parsed.legacy, true);
+    assert.deepEqual(parsed.clauses.map(c => [c.field, c.value]), [[null, 'localhost:3000']]);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.warnings, []);
+});
+
+test('URLs stay plain keywords', () => {
+    const parsed = parseHistoryQuery('http://x -decision:allow');
+    assert.deepEqual(parsed.clauses.map(c => [c.field, c.value, c.negated]), [[null, 'http://x', false], ['decision', 'allow', true]]);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.warnings, []);
+});
+
+test('a mistyped field is searched as text with a warning', () => {
+    const parsed = parseHistoryQuery('domian:x');
+    assert.deepEqual(parsed.clauses.map(c => [c.field, c.value]), [[null, 'domian:x']]);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.warnings, [{ message: 'Unknown field "domian:" (did you mean domain:?)', start: 0, end: 8 }]);
+
+    const mixed = parseHistoryQuery('decision:block titel:news');
+    assert.deepEqual(mixed.clauses.map(c => [c.field, c.value]), [['decision', 'block'], [null, 'titel:news']]);
+    assert.deepEqual(mixed.warnings.map(w => w.start), [15]);
+});
+
+test('known fields are parsed and checked', () => {
+    const parsed = parseHistoryQuery('domain:reddit.com after:2026-02-30');
+    assert.deepEqual(parsed.clauses.map(c => [c.field, c.value]), [['domain', 'reddit.com']]);
+    assert.deepEqual(parsed.errors.map(e => e.message), ['after: needs a date like 2026-10-01']);
+});
@@ -0,0 +1,302 @@
+// Allow/Block List Formats
+// Bulk import and export of the Always Allow / Always Block lists as plain text, CSV,
+// hosts files and AdBlock-style filter lists. Entries are validated with parseListEntry,
+// so a bulk import accepts exactly what the single-entry input accepts.
+
+import { parseListEntry, formatPattern, getPatternType, PATTERN_TYPES } from './domainPatterns.js';
+
+export const LIST_FORMATS = {
+    text: { label: 'Plain text', extension: 'txt', mime: 'text/plain', keepsTypes: true, desc: 'One domain or pattern per line (exact:example.com for an exact host). Lines starting with # are ignored.' },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', keepsTypes: true, desc: 'Columns: pattern, list (allow/block), type. Only the pattern column is required.' },
+    hosts: { label: 'Hosts file', extension: 'txt', mime: 'text/plain', keepsTypes: false, desc: 'Lines like "0.0.0.0 example.com". Hosts files can only express blocked sites.' },
+    adblock: { label: 'AdBlock filter list', extension: 'txt', mime: 'text/plain', keepsTypes: true, desc: 'Rules like ||example.com^ (block, with subdomains), @@||example.com^ (allow) and ||example.com^$exact (this host only).' }
+};
+
+// Hosts-file entries that point at the local machine, not at a site to block
+const HOSTS_IGNORED = new Set(['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback', '0.0.0.0']);
+
+// A /regex/ (optionally /regex/i) that makes up a whole line
+const REGEX_LINE = /^\/.+\/i?$/;
+
+// AdBlock regex rule: /pattern/ with optional $options. AdBlock regexes ignore case unless $match-case is set.
+const ADBLOCK_REGEX_RULE = /^(\/.+\/)(?:\$([\w,~=.-]*))?$/;
+
+// Plain-text entry with its type spelled out, for types the bare form would not come back as (exact:google.com)
+const TYPED_TEXT_ENTRY = /^(exact|subdomain):(?!\/\/)(.+)$/i;
+
+// --- Format Detection ---
+export function detectListFormat(text) {
+    const lines = (text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length === 0) return 'text';
+
+    const sample = lines.slice(0, 50);
+    if (sample[0].startsWith('[Adblock') || sample.some(l => /^(@@)?\|\|/.test(l) || l.startsWith('!'))) return 'adblock';
+    if (sample.filter(l => /^(0\.0\.0\.0|127\.0\.0\.1|::1?)\s+\S/.test(l)).length >= sample.length / 2) return 'hosts';
+    if (/^"?pattern"?\s*,/i.test(sample[0]) || sample.every(l => l.includes(',') && !REGEX_LINE.test(l))) return 'csv';
+    return 'text';
+}
+
+// --- CSV helpers ---
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+export function csvCell(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// --- Parsing ---
+// Split raw text into candidate entries: [{ raw, line, list?, type? }]
+// `list` is set when the format itself says which list an entry belongs to (CSV column, AdBlock @@).
+// Lines the format can't express as a list entry come back with a `skipped` reason.
+export function parseListText(text, format) {
+    const lines = (text || '').split(/\r?\n/);
+    const entries = [];
+    let csvColumns = null;
+    let textSection; // "# Always Allow" / "# Always Block" headers written by exportLists
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (!line) return;
+
+        switch (format) {
+            case 'csv': {
+                if (line.startsWith('#')) return;
+                const cells = parseCsvLine(line);
+                if (!csvColumns) {
+                    const header = cells.map(c => c.toLowerCase());
+                    if (header.includes('pattern') || header.includes('domain')) {
+                        csvColumns = {
+                            pattern: Math.max(header.indexOf('pattern'), header.indexOf('domain')),
+                            list: header.indexOf('list'),
+                            type: header.indexOf('type')
+                        };
+                        return;
+                    }
+                    csvColumns = { pattern: 0, list: 1, type: 2 };
+                }
+                const raw = cells[csvColumns.pattern];
+                if (!raw) return;
+                const list = (cells[csvColumns.list] || '').toLowerCase();
+                const type = (cells[csvColumns.type] || '').toLowerCase();
+                entries.push({
+                    raw,
+                    line: lineNumber,
+                    list: list === 'allow' || list === 'block' ? list : undefined,
+                    type: type || undefined
+                });
+                return;
+            }
+            case 'hosts': {
+                const content = line.split('#')[0].trim();
+                if (!content) return;
+                const [address, ...hosts] = content.split(/\s+/);
+                if (hosts.length === 0) {
+                    entries.push({ raw: address, line: lineNumber, skipped: 'Missing IP address' });
+                    return;
+                }
+                hosts
+                    .filter(host => !HOSTS_IGNORED.has(host.toLowerCase()))
+                    .forEach(host => entries.push({ raw: host, line: lineNumber, list: 'block' }));
+                return;
+            }
+            case 'adblock': {
+                if (line.startsWith('!') || line.startsWith('[')) return;
+                const isException = line.startsWith('@@');
+                const rule = isException ? line.slice(2) : line;
+                const list = isException ? 'allow' : 'block';
+
+                if (rule.includes('##') || rule.includes('#@#') || rule.includes('#?#')) {
+                    entries.push({ raw: line, line: lineNumber, skipped: 'Element hiding rules are not supported' });
+                    return;
+                }
+                const regexRule = ADBLOCK_REGEX_RULE.exec(rule);
+                if (regexRule) {
+                    const matchCase = (regexRule[2] || '').split(',').includes('match-case');
+                    entries.push({ raw: matchCase ? regexRule[1] : `${regexRule[1]}i`, line: lineNumber, list });
+                    return;
+                }
+                // ||example.com^ (host and subdomains), ||example.com^$exact (this host only) or ||example.com/path.
+                // Other options ($third-party) and separators are dropped.
+                const match = /^\|\|([^$^|]+)\^?\|?(?:\$(.*))?$/.exec(rule);
+                if (!match) {
+                    entries.push({ raw: line, line: lineNumber, skipped: 'Only domain (||) and regex rules are supported' });
+                    return;
+                }
+                const target = match[1];
+                if (target.includes('/')) {
+                    entries.push({ raw: target.endsWith('*') ? target : `${target}*`, line: lineNumber, list });
+                    return;
+                }
+                const exact = (match[2] || '').split(',').includes('exact');
+                entries.push({ raw: target, line: lineNumber, list, type: exact ? 'exact' : 'subdomain' });
+                return;
+            }
+            default: {
+                if (line.startsWith('#')) {
+                    const section = /^#\s*always (allow|block)\b/i.exec(line);
+                    if (section) textSection = section[1].toLowerCase();
+                    return;
+                }
+                // Also accept comma/space separated values pasted on one line
+                splitTextLine(line).forEach(value => {
+                    const typed = TYPED_TEXT_ENTRY.exec(value);
+                    entries.push(typed
+                        ? { raw: typed[2], line: lineNumber, list: textSection, type: typed[1].toLowerCase() }
+                        : { raw: value, line: lineNumber, list: textSection });
+                });
+            }
+        }
+    });
+
+    return entries;
+}
+
+// Values on one plain-text line. A /regex/ runs to its closing slash (and flag), so commas and spaces
+// inside it, e.g. /a{2,3}/, don't split it.
+function splitTextLine(line) {
+    if (REGEX_LINE.test(line)) return [line];
+    return line.match(/\/.+?\/i?(?=[\s,]|$)|[^\s,]+/g) || [];
+}
+
+// --- Preview ---
+// Classify parsed entries against the current lists, mirroring handleAddDomain:
+//   new       -> will be added
+//   retype    -> already listed, pattern type will change
+//   duplicate -> already listed (or repeated in this import)
+//   conflict  -> already in the other list
+//   invalid   -> rejected by parseListEntry
+//   skipped   -> the format line can't be expressed as a list entry
+export function buildImportPreview(entries, targetList, { allowList, blockList, patternTypes }) {
+    const lists = { allow: allowList || [], block: blockList || [] };
+    const seen = { allow: new Set(), block: new Set() };
+
+    return entries.map(entry => {
+        const list = entry.list || targetList;
+        const otherList = list === 'allow' ? 'block' : 'allow';
+        const base = { raw: entry.raw, line: entry.line, list };
+
+        if (entry.skipped) return { ...base, status: 'skipped', message: entry.skipped };
+
+        const parsed = parseListEntry(entry.raw);
+        if (parsed.error) return { ...base, status: 'invalid', message: parsed.error };
+
+        const { value } = parsed;
+        // A type given explicitly (CSV column) wins when it's valid for the value
+        const type = PATTERN_TYPES[entry.type] && isTypeCompatible(value, entry.type)
+            ? entry.type
+            : parsed.type;
+        const display = formatPattern(value, type);
+        const item = { ...base, value, type, display };
+
+        if (lists[otherList].includes(value) || seen[otherList].has(value)) {
+            return { ...item, status: 'conflict', message: `${display} is already in your ${otherList === 'allow' ? 'Allow' : 'Block'} list.` };
+        }
+        if (seen[list].has(value)) {
+            return { ...item, status: 'duplicate', message: 'Repeated in this import.' };
+        }
+        seen[list].add(value);
+
+        if (lists[list].includes(value)) {
+            const existingType = getPatternType(value, patternTypes?.[list]?.[value]);
+            if (existingType === type) return { ...item, status: 'duplicate', message: 'Already in this list.' };
+            return { ...item, status: 'retype', message: `Changes ${formatPattern(value, existingType)} to ${display}.` };
+        }
+        return { ...item, status: 'new' };
+    });
+}
+
+// Host values can be exact or subdomain; paths and regexes keep their own type
+function isTypeCompatible(value, type) {
+    const natural = getPatternType(value);
+    if (natural === 'regex' || natural === 'path') return natural === type;
+    return type === 'exact' || type === 'subdomain';
+}
+
+// --- Export ---
+// Serialize lists. `list` picks 'allow', 'block' or 'both' for formats that can carry it.
+export function exportLists(format, { allowList, blockList, patternTypes }, list = 'both') {
+    const date = new Date().toISOString().slice(0, 10);
+    const rows = [];
+    if (list !== 'block') (allowList || []).forEach(value => rows.push({ list: 'allow', value, type: getPatternType(value, patternTypes?.allow?.[value]) }));
+    if (list !== 'allow') (blockList || []).forEach(value => rows.push({ list: 'block', value, type: getPatternType(value, patternTypes?.block?.[value]) }));
+
+    switch (format) {
+        case 'csv':
+            return ['pattern,list,type', ...rows.map(r => [formatPattern(r.value, r.type), r.list, r.type].map(csvCell).join(','))].join('\n') + '\n';
+
+        case 'hosts': {
+            // Hosts files block whole hosts only: allow entries, paths and regexes can't be expressed
+            const blocked = rows.filter(r => r.list === 'block' && (r.type === 'exact' || r.type === 'subdomain'));
+            const lines = [`# Beacon Blocker block list (${date})`, '# Subdomains must be listed separately in a hosts file.'];
+            blocked.forEach(r => {
+                lines.push(`0.0.0.0 ${r.value}`);
+                if (r.type === 'subdomain') lines.push(`0.0.0.0 www.${r.value}`);
+            });
+            const omitted = rows.length - blocked.length;
+            if (omitted > 0) lines.push(`# ${omitted} entr${omitted === 1 ? 'y' : 'ies'} omitted (allow entries, paths and regexes)`);
+            return lines.join('\n') + '\n';
+        }
+
+        case 'adblock': {
+            const lines = ['[Adblock Plus 2.0]', `! Title: Beacon Blocker lists (${date})`];
+            rows.forEach(r => {
+                const prefix = r.list === 'allow' ? '@@' : '';
+                if (r.type === 'regex') {
+                    // /pattern/i is AdBlock's default; a case-sensitive regex needs $match-case
+                    const caseInsensitive = r.value.endsWith('/i');
+                    lines.push(`${prefix}${caseInsensitive ? r.value.slice(0, -1) : `${r.value}$match-case`}`);
+                }
+                else if (r.type === 'path') lines.push(`${prefix}||${r.value}`);
+                else if (r.type === 'exact') lines.push(`${prefix}||${r.value}^$exact`);
+                else lines.push(`${prefix}||${r.value}^`);
+            });
+            return lines.join('\n') + '\n';
+        }
+
+        default: {
+            // Plain text has no list column, so sections are separated by comments
+            const lines = [];
+            ['allow', 'block'].forEach(section => {
+                const sectionRows = rows.filter(r => r.list === section);
+                if (sectionRows.length === 0) return;
+                if (list === 'both') lines.push(`# ${section === 'allow' ? 'Always Allow' : 'Always Block'}`);
+                sectionRows.forEach(r => lines.push(formatTextEntry(r.value, r.type)));
+                if (list === 'both') lines.push('');
+            });
+            return lines.join('\n').trim() + '\n';
+        }
+    }
+}
+
+// Display form, prefixed with the type when typing it back in would give another type
+// (an exact registrable domain: google.com alone means google.com and its subdomains)
+function formatTextEntry(value, type) {
+    const display = formatPattern(value, type);
+    return parseListEntry(display).type === type ? display : `${type}:${display}`;
+}
+
+export function getExportFilename(format, list) {
+    const suffix = list === 'both' ? 'lists' : `${list}-list`;
+    return `beacon-${suffix}.${LIST_FORMATS[format].extension}`;
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIST_FORMATS, csvCell, detectListFormat, parseListText, buildImportPreview, exportLists } from './listFormats.js';
+
+const lists = {
+    allowList: ['google.com', 'docs.google.com', 'wikipedia.org'],
+    blockList: ['facebook.com', 'mail.google.com', 'youtube.com/shorts/', '/reddit\\.com\\/r\\/(funny|memes),x{1,3}/i', '/Case\\.Sensitive/'],
+    patternTypes: {
+        allow: { 'google.com': 'exact', 'docs.google.com': 'subdomain', 'wikipedia.org': 'subdomain' },
+        block: { 'facebook.com': 'subdomain', 'mail.google.com': 'exact', 'youtube.com/shorts/': 'path', '/reddit\\.com\\/r\\/(funny|memes),x{1,3}/i': 'regex', '/Case\\.Sensitive/': 'regex' }
+    }
+};
+
+const empty = { allowList: [], blockList: [], patternTypes: { allow: {}, block: {} } };
+
+// Export, detect, re-import into empty lists: { 'allow google.com': 'exact', ... }
+function roundTrip(format, list = 'both') {
+    const text = exportLists(format, lists, list);
+    assert.equal(detectListFormat(text), format);
+    const preview = buildImportPreview(parseListText(text, format), 'block', empty);
+    // Hosts files list www. separately, which comes back as a repeat of the bare host
+    assert.deepEqual(preview.filter(item => item.status !== 'new' && !(format === 'hosts' && item.status === 'duplicate')), []);
+    return Object.fromEntries(preview.filter(item => item.status === 'new').map(item => [`${item.list} ${item.value}`, item.type]));
+}
+
+function expected(filter = () => true) {
+    const result = {};
+    ['allow', 'block'].forEach(list => {
+        lists[`${list}List`].forEach(value => {
+            const type = lists.patternTypes[list][value];
+            if (filter(list, type)) result[`${list} ${value}`] = type;
+        });
+    });
+    return result;
+}
+
+for (const format of ['text', 'csv', 'adblock']) {
+    test(`${format} export keeps values and pattern types`, () => {
+        assert.ok(LIST_FORMATS[format].keepsTypes);
+        assert.deepEqual(roundTrip(format), expected());
+    });
+}
+
+test('hosts export keeps blocked hosts', () => {
+    assert.equal(LIST_FORMATS.hosts.keepsTypes, false);
+    const imported = roundTrip('hosts', 'block');
+    const hosts = Object.keys(expected((list, type) => list === 'block' && (type === 'exact' || type === 'subdomain')));
+    hosts.forEach(key => assert.ok(key in imported, key));
+});
+
+test('text export marks exact registrable domains', () => {
+    const text = exportLists('text', lists, 'allow');
+    assert.match(text, /^exact:google\.com$/m);
+    assert.match(text, /^\*\.docs\.google\.com$/m);
+});
+
+test('adblock rules map to subdomain and exact types', () => {
+    const entries = parseListText('||docs.google.com^\n@@||google.com^$exact\n||example.com^$third-party,exact', 'adblock');
+    assert.deepEqual(entries.map(({ raw, list, type }) => ({ raw, list, type })), [
+        { raw: 'docs.google.com', list: 'block', type: 'subdomain' },
+        { raw: 'google.com', list: 'allow', type: 'exact' },
+        { raw: 'example.com', list: 'block', type: 'exact' }
+    ]);
+});
+
+test('csv cells with quotes, commas or line breaks are quoted', () => {
+    assert.equal(csvCell('plain'), 'plain');
+    assert.equal(csvCell('a,b'), '"a,b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('line\r'), '"line\r"');
+    assert.equal(csvCell('line\n'), '"line\n"');
+});
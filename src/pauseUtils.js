@@ -0,0 +1,116 @@
+// Timed Pause Utility
+// Pause durations and the daily pause budget.
+//
+// A pause is { blockingPaused: true, blockingPausedUntil: ms | null } in the dashboard settings and is sent to
+// the extension as { paused, until, dailyBudgetMinutes }. Extensions with the `timed_pause` capability resume
+// at `until` by themselves and refuse popup pauses past the budget; older ones only resume when the dashboard
+// tells them to, so the dashboard also resumes on its own timer while it is open.
+//
+// The budget counts pause time per local day. Pauses are logged in localStorage['beacon_pauseLog'] as
+// [{ start, end, until }] (end is null while the pause is running); entries from before yesterday are dropped.
+
+import { parseTimeToMinutes } from './scheduleUtils.js';
+
+const PAUSE_LOG_KEY = 'beacon_pauseLog';
+const MINUTE_MS = 60 * 1000;
+
+export const PAUSE_DURATIONS = [5, 15, 30, 60]; // minutes
+export const PAUSE_BUDGET_OPTIONS = [0, 15, 30, 60, 120]; // minutes per day; 0 = no limit
+
+function startOfDay(at) {
+    const date = new Date(at);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function startOfTomorrow(at) {
+    const date = new Date(at);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+// --- Pause log ---
+function readPauseLog() {
+    try {
+        const log = JSON.parse(localStorage.getItem(PAUSE_LOG_KEY) || '[]');
+        return Array.isArray(log) ? log : [];
+    } catch {
+        return [];
+    }
+}
+
+function writePauseLog(log, now) {
+    const keepFrom = startOfDay(now) - 24 * 60 * MINUTE_MS;
+    localStorage.setItem(PAUSE_LOG_KEY, JSON.stringify(log.filter(entry => (entry.end ?? now) >= keepFrom)));
+}
+
+// Closes any pause still marked as running, so a missed resume can't count forever
+export function recordPauseStart(at, until) {
+    const log = readPauseLog().map(entry => entry.end === null ? { ...entry, end: Math.min(at, entry.until ?? at) } : entry);
+    log.push({ start: at, end: null, until: until ?? null });
+    writePauseLog(log, at);
+}
+
+export function recordPauseEnd(at) {
+    const log = readPauseLog();
+    if (!log.some(entry => entry.end === null)) return;
+    writePauseLog(log.map(entry => entry.end === null ? { ...entry, end: Math.min(at, entry.until ?? at) } : entry), at);
+}
+
+// Milliseconds paused since local midnight, including a running pause
+export function pauseUsedToday(now = Date.now()) {
+    const dayStart = startOfDay(now);
+    return readPauseLog().reduce((total, entry) => {
+        const end = Math.min(entry.end ?? Math.min(now, entry.until ?? now), now);
+        const start = Math.max(entry.start, dayStart);
+        return total + Math.max(0, end - start);
+    }, 0);
+}
+
+// Milliseconds of budget left today; Infinity without a budget
+export function pauseBudgetRemaining(budgetMinutes, now = Date.now()) {
+    if (!budgetMinutes) return Infinity;
+    return Math.max(0, budgetMinutes * MINUTE_MS - pauseUsedToday(now));
+}
+
+// --- Planning a pause ---
+// option: { minutes } | { time: 'HH:MM' } (next occurrence) | { tomorrow: true } (until midnight) | {} (until resumed)
+// Returns { until, clamped, error }: `until` is cut to the remaining budget (clamped = true), and an
+// open-ended pause becomes a pause for the rest of the budget. `error` is set when no pause is possible.
+export function planPause(option, budgetMinutes, now = Date.now()) {
+    let until = null;
+    if (option.minutes) {
+        until = now + option.minutes * MINUTE_MS;
+    } else if (option.time !== undefined) {
+        const minutes = parseTimeToMinutes(option.time);
+        if (minutes === null) return { until: null, clamped: false, error: 'Enter a valid time.' };
+        until = startOfDay(now) + minutes * MINUTE_MS;
+        if (until <= now) until = startOfTomorrow(now) + minutes * MINUTE_MS;
+    } else if (option.tomorrow) {
+        until = startOfTomorrow(now);
+    }
+
+    const remaining = pauseBudgetRemaining(budgetMinutes, now);
+    if (remaining < MINUTE_MS) {
+        return { until: null, clamped: false, error: 'You have used today\'s pause budget. It resets at midnight.' };
+    }
+    if (remaining !== Infinity && (until === null || until - now > remaining)) {
+        return { until: now + remaining, clamped: true, error: null };
+    }
+    return { until, clamped: false, error: null };
+}
+
+// --- Display ---
+// 754000 -> "12:34", 4000000 -> "1:06:40"
+export function formatPauseRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(hours > 0 ? 2 : 1, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+// "No limit", "30 min", "2 h"
+export function formatBudget(minutes) {
+    if (!minutes) return 'No limit';
+    return minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+}
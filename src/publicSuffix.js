@@ -0,0 +1,154 @@
+// Public Suffix Utility
+// Registrable-domain parsing backed by the Public Suffix List (see publicSuffixList.js),
+// plus IDN handling: hosts are compared in their ASCII (punycode) form and shown in Unicode.
+//
+//   getRegistrableDomain('alice.github.io')   -> 'alice.github.io'
+//   getRegistrableDomain('news.bbc.co.uk')    -> 'bbc.co.uk'
+//   getRegistrableDomain('192.168.0.1')       -> '192.168.0.1'
+//   toUnicodeHost('xn--bcher-kva.de')         -> 'bücher.de'
+
+import { PUBLIC_SUFFIX_RULES } from './publicSuffixList.js';
+
+// --- Rule Table ---
+// Built lazily on first use: { exact: Set, wildcard: Set, exception: Set }, all in ASCII form
+let ruleTable = null;
+
+function buildRuleTable(rulesText) {
+    const table = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+    rulesText.split('\n').forEach(line => {
+        const rule = line.trim().split(/\s/)[0];
+        if (!rule || rule.startsWith('//')) return;
+
+        if (rule.startsWith('!')) {
+            table.exception.add(toAsciiHost(rule.slice(1)));
+        } else if (rule.startsWith('*.')) {
+            table.wildcard.add(toAsciiHost(rule.slice(2)));
+        } else {
+            table.exact.add(toAsciiHost(rule));
+        }
+    });
+    return table;
+}
+
+function getRuleTable() {
+    if (!ruleTable) ruleTable = buildRuleTable(PUBLIC_SUFFIX_RULES);
+    return ruleTable;
+}
+
+// --- IDN / Punycode ---
+
+// 'bücher.de' -> 'xn--bcher-kva.de' (lowercased). Returns the input lowercased if it can't be converted.
+export function toAsciiHost(host) {
+    const lower = (host || '').trim().toLowerCase().replace(/\.$/, '');
+    if (/^[\x20-\x7e]*$/.test(lower)) return lower;
+    try {
+        return new URL('http://' + lower).hostname;
+    } catch {
+        return lower;
+    }
+}
+
+// RFC 3492 decoder for a single label (without the xn-- prefix)
+function decodePunycodeLabel(input) {
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    const output = [];
+    let i = 0, n = 128, bias = 72;
+
+    const basic = input.lastIndexOf('-');
+    for (let j = 0; j < Math.max(basic, 0); j++) output.push(input.charCodeAt(j));
+
+    const adapt = (delta, numPoints, firstTime) => {
+        let k = 0;
+        delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+            delta = Math.floor(delta / (base - tMin));
+        }
+        return Math.floor(k + ((base - tMin + 1) * delta) / (delta + skew));
+    };
+
+    for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+        const oldi = i;
+        for (let w = 1, k = base; ; k += base) {
+            if (index >= input.length) throw new Error('Invalid punycode');
+            const code = input.charCodeAt(index++);
+            const digit = code - 48 < 10 ? code - 22 : code - 65 < 26 ? code - 65 : code - 97 < 26 ? code - 97 : base;
+            if (digit >= base) throw new Error('Invalid punycode');
+            i += digit * w;
+            const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+            if (digit < t) break;
+            w *= base - t;
+        }
+        bias = adapt(i - oldi, output.length + 1, oldi === 0);
+        n += Math.floor(i / (output.length + 1));
+        i %= output.length + 1;
+        output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+}
+
+// 'xn--bcher-kva.de' -> 'bücher.de'. Labels that fail to decode are left as-is.
+export function toUnicodeHost(host) {
+    if (!host || !host.includes('xn--')) return host;
+    return host.split('.').map(label => {
+        if (!label.startsWith('xn--')) return label;
+        try {
+            return decodePunycodeLabel(label.slice(4));
+        } catch {
+            return label;
+        }
+    }).join('.');
+}
+
+// --- Host Parsing ---
+
+export function isIpAddress(host) {
+    if (!host) return false;
+    if (host.startsWith('[') || host.includes(':')) return true; // IPv6
+    return /^(\d{1,3})(\.\d{1,3}){3}$/.test(host);
+}
+
+// Hostname of a URL or bare host ("https://Docs.Google.com/x" -> "docs.google.com"), in ASCII form.
+// Returns null for input that isn't a valid host.
+export function getHostname(urlString) {
+    if (!urlString) return null;
+    try {
+        let fullUrl = urlString.trim();
+        if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(fullUrl)) fullUrl = 'http://' + fullUrl;
+        const hostname = new URL(fullUrl).hostname.replace(/\.$/, '');
+        return hostname || null;
+    } catch {
+        return null;
+    }
+}
+
+// Public suffix of an ASCII host, following the PSL algorithm:
+// exception rules win, then the longest matching rule, then the implicit "*" rule.
+export function getPublicSuffix(host) {
+    if (!host || isIpAddress(host)) return null;
+    const { exact, wildcard, exception } = getRuleTable();
+    const labels = host.toLowerCase().split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (exception.has(candidate)) return labels.slice(i + 1).join('.');
+        if (exact.has(candidate)) return candidate;
+        // "*.ck" matches "anything.ck"
+        if (i + 1 < labels.length && wildcard.has(labels.slice(i + 1).join('.'))) return candidate;
+    }
+    return labels[labels.length - 1];
+}
+
+// Registrable domain (public suffix + one label). IP addresses and single-label hosts are returned as-is.
+// Returns null when the host is itself a public suffix (e.g. "co.uk", "github.io").
+export function getRegistrableDomain(host) {
+    if (!host) return null;
+    const ascii = toAsciiHost(host);
+    if (isIpAddress(ascii) || !ascii.includes('.')) return ascii;
+
+    const suffix = getPublicSuffix(ascii);
+    if (!suffix || suffix === ascii) return null;
+
+    const remaining = ascii.slice(0, ascii.length - suffix.length - 1).split('.');
+    return `${remaining[remaining.length - 1]}.${suffix}`;
+}
@@ -0,0 +1,195 @@
+// Rules Diff Utility
+// Compares two snapshots of the rules document (prompt, blocked_categories, allow_list,
+// block_list, list_pattern_types) for the revision history and preset comparison views.
+
+import { formatPattern, getPatternType } from './domainPatterns.js';
+
+// --- Prompt diff ---
+// Line-based LCS diff. Returns [{ type: 'same' | 'added' | 'removed', text }]
+export function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    if (oldText === newText) return a.map(text => ({ type: 'same', text }));
+
+    // LCS table, sized (a.length + 1) x (b.length + 1)
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'removed', text: a[i++] });
+        } else {
+            result.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+    return result;
+}
+
+// --- List diff ---
+function diffList(oldList, newList, oldTypes, newTypes) {
+    const before = new Set(oldList || []);
+    const after = new Set(newList || []);
+    const added = [...after].filter(d => !before.has(d)).sort();
+    const removed = [...before].filter(d => !after.has(d)).sort();
+    const retyped = [...after]
+        .filter(d => before.has(d) && getPatternType(d, oldTypes?.[d]) !== getPatternType(d, newTypes?.[d]))
+        .sort();
+    return { added, removed, retyped };
+}
+
+// --- Full diff ---
+// Returns {
+//   prompt: { changed, lines },
+//   categories: { enabled: [id], disabled: [id] },
+//   allow: { added, removed, retyped }, block: { added, removed, retyped },
+//   isEmpty
+// }
+export function diffRules(oldRules, newRules) {
+    const prev = oldRules || {};
+    const next = newRules || {};
+
+    const promptChanged = (prev.prompt || '') !== (next.prompt || '');
+    const prompt = { changed: promptChanged, lines: promptChanged ? diffLines(prev.prompt, next.prompt) : [] };
+
+    const categoryIds = new Set([...Object.keys(prev.blocked_categories || {}), ...Object.keys(next.blocked_categories || {})]);
+    const categories = { enabled: [], disabled: [] };
+    categoryIds.forEach(id => {
+        const was = !!prev.blocked_categories?.[id];
+        const is = !!next.blocked_categories?.[id];
+        if (!was && is) categories.enabled.push(id);
+        if (was && !is) categories.disabled.push(id);
+    });
+
+    const allow = diffList(prev.allow_list, next.allow_list, prev.list_pattern_types?.allow, next.list_pattern_types?.allow);
+    const block = diffList(prev.block_list, next.block_list, prev.list_pattern_types?.block, next.list_pattern_types?.block);
+
+    const isEmpty = !promptChanged &&
+        categories.enabled.length === 0 && categories.disabled.length === 0 &&
+        [allow, block].every(l => l.added.length === 0 && l.removed.length === 0 && l.retyped.length === 0);
+
+    return { prompt, categories, allow, block, isEmpty };
+}
+
+// One-line summary: "Prompt edited · +2 blocked · −1 allowed · Gaming on"
+export function summarizeRulesDiff(diff, categoryLabels = {}) {
+    if (!diff || diff.isEmpty) return 'No changes';
+    const parts = [];
+    if (diff.prompt.changed) parts.push('Prompt edited');
+    if (diff.block.added.length) parts.push(`+${diff.block.added.length} blocked`);
+    if (diff.block.removed.length) parts.push(`−${diff.block.removed.length} blocked`);
+    if (diff.allow.added.length) parts.push(`+${diff.allow.added.length} allowed`);
+    if (diff.allow.removed.length) parts.push(`−${diff.allow.removed.length} allowed`);
+    const retyped = diff.allow.retyped.length + diff.block.retyped.length;
+    if (retyped) parts.push(`${retyped} pattern${retyped === 1 ? '' : 's'} changed`);
+    diff.categories.enabled.forEach(id => parts.push(`${categoryLabels[id] || id} on`));
+    diff.categories.disabled.forEach(id => parts.push(`${categoryLabels[id] || id} off`));
+    return parts.join(' · ');
+}
+
+// Display form of a list entry in a diff, using the snapshot's own pattern types
+export function formatDiffEntry(entry, snapshot, list) {
+    return formatPattern(entry, snapshot?.list_pattern_types?.[list]?.[entry]);
+}
+
+// --- Hunks & merging ---
+// Splits the differences between two snapshots into independently choosable hunks:
+//   prompt:     [{ type: 'same', lines } | { type: 'change', id, left: [lines], right: [lines] }]
+//   categories: [{ id, category, left: bool, right: bool }]
+//   allow/block: [{ id, entry, inLeft, inRight, leftType, rightType }]
+export function buildRulesHunks(left, right) {
+    const prompt = [];
+    diffLines(left?.prompt, right?.prompt).forEach(line => {
+        const last = prompt[prompt.length - 1];
+        if (line.type === 'same') {
+            if (last?.type === 'same') last.lines.push(line.text);
+            else prompt.push({ type: 'same', lines: [line.text] });
+            return;
+        }
+        const hunk = last?.type === 'change' ? last : { type: 'change', id: `prompt:${prompt.length}`, left: [], right: [] };
+        if (hunk !== last) prompt.push(hunk);
+        (line.type === 'removed' ? hunk.left : hunk.right).push(line.text);
+    });
+
+    const diff = diffRules(left, right);
+    const categories = [...diff.categories.disabled, ...diff.categories.enabled].map(category => ({
+        id: `category:${category}`,
+        category,
+        left: !!left?.blocked_categories?.[category],
+        right: !!right?.blocked_categories?.[category]
+    }));
+
+    const listHunks = (list) => {
+        const changes = diff[list];
+        const types = (snapshot, entry) => getPatternType(entry, snapshot?.list_pattern_types?.[list]?.[entry]);
+        return [...changes.removed, ...changes.added, ...changes.retyped].sort().map(entry => ({
+            id: `${list}:${entry}`,
+            entry,
+            inLeft: (left?.[`${list}_list`] || []).includes(entry),
+            inRight: (right?.[`${list}_list`] || []).includes(entry),
+            leftType: types(left, entry),
+            rightType: types(right, entry)
+        }));
+    };
+
+    return { prompt, categories, allow: listHunks('allow'), block: listHunks('block') };
+}
+
+// Apply per-hunk choices ({ [hunkId]: 'left' | 'right' }, default 'left') and return the merged snapshot
+export function mergeRules(left, right, hunks, choices = {}) {
+    const pick = (id) => choices[id] === 'right' ? 'right' : 'left';
+
+    const prompt = hunks.prompt
+        .flatMap(block => block.type === 'same' ? block.lines : block[pick(block.id)])
+        .join('\n');
+
+    const blockedCategories = { ...(left?.blocked_categories || {}) };
+    hunks.categories.forEach(h => { blockedCategories[h.category] = h[pick(h.id)]; });
+
+    const mergeList = (list) => {
+        const entries = new Set(left?.[`${list}_list`] || []);
+        const types = { ...(left?.list_pattern_types?.[list] || {}) };
+        hunks[list].forEach(h => {
+            const side = pick(h.id);
+            const present = side === 'right' ? h.inRight : h.inLeft;
+            if (present) {
+                // Keep the chosen side's stored type (legacy entries have none)
+                const storedType = (side === 'right' ? right : left)?.list_pattern_types?.[list]?.[h.entry];
+                entries.add(h.entry);
+                if (storedType) types[h.entry] = storedType;
+                else delete types[h.entry];
+            } else {
+                entries.delete(h.entry);
+                delete types[h.entry];
+            }
+        });
+        // Sets keep insertion order: the left list's order, then accepted additions at the end
+        return { entries: [...entries], types };
+    };
+    const allow = mergeList('allow');
+    const block = mergeList('block');
+
+    return {
+        prompt,
+        blocked_categories: blockedCategories,
+        allow_list: allow.entries,
+        block_list: block.entries,
+        list_pattern_types: { allow: allow.types, block: block.types }
+    };
+}
+
+// Number of independently choosable hunks in a buildRulesHunks result
+export function countHunks(hunks) {
+    if (!hunks) return 0;
+    return hunks.prompt.filter(b => b.type === 'change').length + hunks.categories.length + hunks.allow.length + hunks.block.length;
+}
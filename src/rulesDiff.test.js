@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRulesHunks, mergeRules } from './rulesDiff.js';
+
+test('mergeRules keeps the current list order and appends accepted additions', () => {
+    const left = { prompt: '', block_list: ['zeta.com', 'alpha.com', 'mid.com'], list_pattern_types: { block: {} } };
+    const right = { prompt: '', block_list: ['zeta.com', 'beta.com', 'aaa.com'], list_pattern_types: { block: {} } };
+    const hunks = buildRulesHunks(left, right);
+
+    assert.deepEqual(hunks.block.map(h => h.entry), ['aaa.com', 'alpha.com', 'beta.com', 'mid.com']);
+    const merged = mergeRules(left, right, hunks, { 'block:beta.com': 'right', 'block:aaa.com': 'right' });
+    assert.deepEqual(merged.block_list, ['zeta.com', 'alpha.com', 'mid.com', 'aaa.com', 'beta.com']);
+});
@@ -0,0 +1,145 @@
+// Rules Payload Encryption
+// Seals and opens the rules document ({ prompt, blocked_categories, allow_list, block_list,
+// list_pattern_types }) stored in `rules`, `settings_presets` and `rules_revisions` rows.
+//
+// Two storage forms, chosen account-wide by the `full_payload` flag (cryptoUtils):
+//   Prompt only (default): prompt is an ENC2 envelope, the other columns are plaintext.
+//   Full payload:          encrypted_payload is an ENC2 envelope of the JSON document, and the plaintext
+//                          columns hold empty placeholders so nothing about the rules is readable server-side.
+// Rows in either form can always be opened; the extension receives the keys over the bridge and
+// applies the same rule (encrypted_payload wins when present).
+
+import { supabase } from './supabaseClient';
+import {
+    encryptPrompt,
+    decryptPrompt,
+    initUserEncryption,
+    isFullPayloadEncryption,
+    needsReencryption,
+    DecryptionError
+} from './cryptoUtils.js';
+import { prunePatternTypes } from './domainPatterns.js';
+
+// Columns to select wherever a rules document is read
+export const RULES_COLUMNS = 'prompt, blocked_categories, allow_list, block_list, list_pattern_types, encrypted_payload';
+
+const PLACEHOLDER_COLUMNS = {
+    prompt: '',
+    blocked_categories: {},
+    allow_list: [],
+    block_list: [],
+    list_pattern_types: { allow: {}, block: {} }
+};
+
+function normalizeRules(rules) {
+    const allowList = Array.isArray(rules?.allow_list) ? rules.allow_list : [];
+    const blockList = Array.isArray(rules?.block_list) ? rules.block_list : [];
+    return {
+        prompt: rules?.prompt || '',
+        blocked_categories: rules?.blocked_categories || {},
+        allow_list: allowList,
+        block_list: blockList,
+        list_pattern_types: prunePatternTypes(rules?.list_pattern_types || { allow: {}, block: {} }, allowList, blockList)
+    };
+}
+
+// Row columns for a rules document, in the account's current storage form
+export async function sealRules(rules, userId) {
+    const document = normalizeRules(rules);
+
+    if (isFullPayloadEncryption(userId)) {
+        return {
+            ...PLACEHOLDER_COLUMNS,
+            encrypted_payload: await encryptPrompt(JSON.stringify(document), userId)
+        };
+    }
+
+    return {
+        ...document,
+        prompt: await encryptPrompt(document.prompt, userId),
+        encrypted_payload: null
+    };
+}
+
+// Decrypted rules document from a row in either form.
+// Throws DecryptionError rather than returning partial or empty rules.
+export async function openRules(row, userId) {
+    if (row?.encrypted_payload) {
+        const json = await decryptPrompt(row.encrypted_payload, userId);
+        try {
+            return normalizeRules(JSON.parse(json));
+        } catch (error) {
+            throw new DecryptionError('The rules payload is damaged', { reason: 'corrupt', cause: error });
+        }
+    }
+
+    return normalizeRules({ ...row, prompt: await decryptPrompt(row?.prompt, userId) });
+}
+
+// Whether a row is stored in a different form (or with a different key) than the account uses now
+function needsReseal(row, userId) {
+    if (isFullPayloadEncryption(userId)) {
+        return !row.encrypted_payload || needsReencryption(row.encrypted_payload, userId);
+    }
+    return !!row.encrypted_payload || needsReencryption(row.prompt, userId);
+}
+
+// --- Migration ---
+// Re-seals stored rows that use the legacy ENC: format, an older key, or the other storage form.
+// Each row is only updated if it is unchanged since it was read, so concurrent edits are never overwritten.
+// Returns the number of rows updated.
+export async function migrateEncryptedData(userId) {
+    if (await initUserEncryption(userId) === 'locked') return 0;
+    let migrated = 0;
+
+    // casColumns: columns whose read values must still match for the update to apply
+    const migrateTable = async (table, idColumn, extraColumns, casColumns) => {
+        const { data, error } = await supabase
+            .from(table)
+            .select([idColumn, RULES_COLUMNS, ...extraColumns].join(', '))
+            .eq('user_id', userId);
+        if (error) {
+            console.error(`[CRYPTO] Failed to read ${table} for migration:`, error);
+            return;
+        }
+
+        for (const row of data || []) {
+            const updates = {};
+
+            if (needsReseal(row, userId)) {
+                try {
+                    Object.assign(updates, await sealRules(await openRules(row, userId), userId));
+                } catch (err) {
+                    console.warn(`[CRYPTO] Skipping ${table} row that can't be opened in this session:`, err.message);
+                    continue;
+                }
+            }
+            if (extraColumns.includes('name') && needsReencryption(row.name, userId)) {
+                try {
+                    updates.name = await encryptPrompt(await decryptPrompt(row.name, userId), userId);
+                } catch (err) {
+                    console.warn(`[CRYPTO] Skipping ${table} name that can't be decrypted in this session:`, err.message);
+                }
+            }
+            if (Object.keys(updates).length === 0) continue;
+
+            let query = supabase.from(table).update(updates).eq(idColumn, row[idColumn]);
+            casColumns.forEach(column => {
+                query = row[column] === null ? query.is(column, null) : query.eq(column, row[column]);
+            });
+            const { error: updateError } = await query;
+            if (updateError) {
+                console.error(`[CRYPTO] Failed to migrate ${table} row:`, updateError);
+            } else {
+                migrated++;
+            }
+        }
+    };
+
+    await migrateTable('rules', 'user_id', ['last_updated'], ['last_updated']);
+    await migrateTable('settings_presets', 'id', ['name'], ['name', 'prompt', 'encrypted_payload']);
+    await migrateTable('rules_revisions', 'id', [], []); // Revisions are never edited
+
+    if (migrated > 0) console.log(`[CRYPTO] Re-sealed ${migrated} row(s) with the current key and storage form`);
+    return migrated;
+}
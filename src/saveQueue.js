@@ -0,0 +1,157 @@
+// Rules Save Queue
+// Offline-first outbox for writes to the `rules` row.
+// A failed save is persisted to IndexedDB (one pending entry per user: newer edits replace older ones)
+// and retried with exponential backoff, including after a reload.
+//
+// Writes use optimistic concurrency on rules.last_updated: the row is only updated if the server
+// version still matches the version our edit was based on. Otherwise the caller gets a conflict
+// and should let the user merge instead of overwriting changes made on another device.
+
+import { supabase } from './supabaseClient';
+
+const DB_NAME = 'beacon_outbox';
+const DB_VERSION = 1;
+const STORE = 'pending_rules';
+
+const BASE_RETRY_DELAY = 2000;          // 2s
+const MAX_RETRY_DELAY = 5 * 60 * 1000;  // 5 minutes
+
+// --- IndexedDB helpers ---
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'user_id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(err => {
+            dbPromise = null; // Allow a later retry
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// --- Outbox ---
+// Entry shape: { user_id, row, base_version, revision_source, attempts, next_attempt_at, queued_at }
+// `row` is the rules row exactly as it would be upserted (prompt already encrypted).
+
+export async function getPendingRulesSave(userId) {
+    try {
+        return (await withStore('readonly', store => store.get(userId))) || null;
+    } catch (err) {
+        console.error('[OUTBOX] Failed to read pending save:', err);
+        return null;
+    }
+}
+
+export async function queueRulesSave({ userId, row, baseVersion, revisionSource }) {
+    const existing = await getPendingRulesSave(userId);
+    const entry = {
+        user_id: userId,
+        row,
+        // Keep the oldest base: the queued edit builds on every edit queued before it
+        base_version: existing ? existing.base_version : baseVersion,
+        revision_source: revisionSource,
+        attempts: existing ? existing.attempts : 0,
+        next_attempt_at: Date.now() + getRetryDelay(existing ? existing.attempts : 0),
+        queued_at: existing ? existing.queued_at : new Date().toISOString()
+    };
+    try {
+        await withStore('readwrite', store => store.put(entry));
+    } catch (err) {
+        console.error('[OUTBOX] Failed to persist pending save:', err);
+    }
+    return entry;
+}
+
+export async function markRulesSaveAttempt(userId) {
+    const existing = await getPendingRulesSave(userId);
+    if (!existing) return null;
+    const attempts = existing.attempts + 1;
+    const entry = { ...existing, attempts, next_attempt_at: Date.now() + getRetryDelay(attempts) };
+    try {
+        await withStore('readwrite', store => store.put(entry));
+    } catch (err) {
+        console.error('[OUTBOX] Failed to update pending save:', err);
+    }
+    return entry;
+}
+
+export async function clearPendingRulesSave(userId) {
+    try {
+        await withStore('readwrite', store => store.delete(userId));
+    } catch (err) {
+        console.error('[OUTBOX] Failed to clear pending save:', err);
+    }
+}
+
+// Exponential backoff with jitter: ~2s, 4s, 8s ... capped at 5 minutes
+export function getRetryDelay(attempts) {
+    const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempts);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// --- Own writes ---
+// Versions written from this tab, so Realtime echoes of our own saves can be told apart from remote edits
+const ownVersions = new Set();
+const MAX_OWN_VERSIONS = 20;
+
+export function isOwnRulesVersion(version) {
+    return !!version && ownVersions.has(new Date(version).toISOString());
+}
+
+// --- Conditional write ---
+// Returns { status: 'saved', version } | { status: 'conflict', serverVersion } | { status: 'failed', error }
+export async function writeRulesRow(row, baseVersion) {
+    const version = new Date().toISOString();
+    const fullRow = { ...row, last_updated: version };
+
+    ownVersions.add(version);
+    if (ownVersions.size > MAX_OWN_VERSIONS) ownVersions.delete(ownVersions.values().next().value);
+
+    if (baseVersion) {
+        const { data, error } = await supabase
+            .from('rules')
+            .update(fullRow)
+            .eq('user_id', row.user_id)
+            .eq('last_updated', baseVersion)
+            .select('last_updated');
+
+        if (error) return { status: 'failed', error };
+        if (data && data.length > 0) return { status: 'saved', version };
+
+        // Nothing matched: the row changed since our base version, or it no longer exists
+        const { data: server, error: fetchError } = await supabase
+            .from('rules')
+            .select('last_updated')
+            .eq('user_id', row.user_id)
+            .maybeSingle();
+
+        if (fetchError) return { status: 'failed', error: fetchError };
+        if (server) return { status: 'conflict', serverVersion: server.last_updated };
+    }
+
+    const { error } = await supabase.from('rules').upsert(fullRow, { onConflict: 'user_id' });
+    if (error) return { status: 'failed', error };
+    return { status: 'saved', version };
+}
@@ -0,0 +1,159 @@
+// Preset Schedule Utility
+// Pure helpers for the weekly preset schedule (no React, no Supabase)
+// A schedule block binds a saved preset to a time window on one or more weekdays:
+//   { id, preset_id, days: [1, 2, 3, 4, 5], start_minute: 540, end_minute: 1020, enabled: true }
+// Days follow Date.getDay() (0 = Sunday). Minutes are local minutes since midnight.
+
+export const SCHEDULE_DAYS = [
+    { id: 0, short: 'Sun', label: 'Sunday' },
+    { id: 1, short: 'Mon', label: 'Monday' },
+    { id: 2, short: 'Tue', label: 'Tuesday' },
+    { id: 3, short: 'Wed', label: 'Wednesday' },
+    { id: 4, short: 'Thu', label: 'Thursday' },
+    { id: 5, short: 'Fri', label: 'Friday' },
+    { id: 6, short: 'Sat', label: 'Saturday' }
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "09:30" -> 570. Returns null for anything that isn't a valid HH:MM time.
+export function parseTimeToMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (minutes > 59) return null;
+    // Allow "24:00" as an end-of-day marker
+    if (hours > 24 || (hours === 24 && minutes !== 0)) return null;
+    return hours * 60 + minutes;
+}
+
+// 570 -> "09:30" (value for <input type="time">)
+export function minutesToTimeValue(minutes) {
+    const clamped = Math.max(0, Math.min(MINUTES_PER_DAY, minutes));
+    if (clamped === MINUTES_PER_DAY) return '23:59';
+    return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+// 570 -> "9:30 AM" (for display)
+export function formatMinutes(minutes) {
+    const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+// "Mon–Fri", "Sat, Sun", "Every day"
+export function formatDays(days) {
+    const sorted = [...new Set(days)].sort((a, b) => a - b);
+    if (sorted.length === 7) return 'Every day';
+    if (sorted.length === 0) return 'No days';
+
+    // Collapse consecutive runs (Mon, Tue, Wed -> Mon–Wed)
+    const runs = [];
+    sorted.forEach(day => {
+        const last = runs[runs.length - 1];
+        if (last && last[1] === day - 1) last[1] = day;
+        else runs.push([day, day]);
+    });
+    return runs.map(([from, to]) => {
+        if (from === to) return SCHEDULE_DAYS[from].short;
+        if (to === from + 1) return `${SCHEDULE_DAYS[from].short}, ${SCHEDULE_DAYS[to].short}`;
+        return `${SCHEDULE_DAYS[from].short}–${SCHEDULE_DAYS[to].short}`;
+    }).join(', ');
+}
+
+// Validate a single block. Returns an error message or null.
+export function validateScheduleBlock(block) {
+    if (!block.preset_id) return 'Choose a preset for this time block.';
+    if (!Array.isArray(block.days) || block.days.length === 0) return 'Pick at least one day.';
+    if (typeof block.start_minute !== 'number' || typeof block.end_minute !== 'number') return 'Enter a start and end time.';
+    if (block.end_minute <= block.start_minute) return 'End time must be after start time. Split overnight blocks in two.';
+    return null;
+}
+
+// Find every pair of enabled blocks that overlap on a shared day.
+// Returns [{ a: blockId, b: blockId, day }]
+export function findScheduleConflicts(blocks) {
+    const active = (blocks || []).filter(b => b.enabled !== false);
+    const conflicts = [];
+
+    for (let i = 0; i < active.length; i++) {
+        for (let j = i + 1; j < active.length; j++) {
+            const a = active[i];
+            const b = active[j];
+            const sharedDay = a.days.find(day => b.days.includes(day));
+            if (sharedDay === undefined) continue;
+            if (a.start_minute < b.end_minute && b.start_minute < a.end_minute) {
+                conflicts.push({ a: a.id, b: b.id, day: sharedDay });
+            }
+        }
+    }
+    return conflicts;
+}
+
+// The block covering a given moment (or null)
+export function getActiveScheduleBlock(blocks, date = new Date()) {
+    const day = date.getDay();
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return (blocks || []).find(b =>
+        b.enabled !== false &&
+        b.days.includes(day) &&
+        minute >= b.start_minute &&
+        minute < b.end_minute
+    ) || null;
+}
+
+// Key identifying one occurrence of a block (block + calendar day), so an
+// occurrence is only auto-applied once even if the user switches away manually.
+export function getBlockOccurrenceKey(block, date = new Date()) {
+    return `${block.id}:${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Next moment (within the coming week) where a block starts.
+// Block ends are not switches: the last preset simply stays loaded.
+// Returns { at: Date, block } or null.
+export function getNextScheduleSwitch(blocks, date = new Date()) {
+    const active = (blocks || []).filter(b => b.enabled !== false && !validateScheduleBlock(b));
+    if (active.length === 0) return null;
+
+    const current = getActiveScheduleBlock(active, date);
+    const startOfToday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const dayStart = new Date(startOfToday);
+        dayStart.setDate(dayStart.getDate() + offset);
+        const weekday = dayStart.getDay();
+
+        const candidates = active
+            .filter(b => b.days.includes(weekday))
+            .map(b => {
+                const at = new Date(dayStart);
+                at.setMinutes(b.start_minute);
+                return { at, block: b };
+            })
+            .filter(c => c.at > date)
+            // A block directly following the current one with the same preset is not a switch
+            .filter(c => !(current && c.block.preset_id === current.preset_id && c.at.getTime() === currentEnd(current, date)))
+            .sort((x, y) => x.at - y.at);
+
+        if (candidates.length > 0) return candidates[0];
+    }
+    return null;
+}
+
+function currentEnd(block, date) {
+    const end = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    end.setMinutes(block.end_minute);
+    return end.getTime();
+}
+
+// "Today at 5:00 PM", "Tomorrow at 9:00 AM", "Mon at 9:00 AM"
+export function formatSwitchTime(at, now = new Date()) {
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfTarget = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+    const dayDiff = Math.round((startOfTarget - startOfToday) / (24 * 60 * 60 * 1000));
+    const time = at.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+    if (dayDiff === 0) return `Today at ${time}`;
+    if (dayDiff === 1) return `Tomorrow at ${time}`;
+    return `${SCHEDULE_DAYS[at.getDay()].short} at ${time}`;
+}
@@ -0,0 +1,171 @@
+// Settings Schema
+// Versioned description of the dashboard's user settings, used to validate imported settings files
+// (and the settings section of account backups) before anything is applied.
+//
+// File format (JSON):
+//   { format: 'beacon-settings', version, exported_at, settings: { ... } }
+// Files from before versioning are a bare settings object and are read as version 0.
+//
+// Runtime state (whether strict mode is on and until when, pause state and end time, verification) is never
+// exported or imported: it describes this moment, and importing it could end strict mode early.
+
+const SETTINGS_FORMAT = 'beacon-settings';
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+// strictModeLocked: the section can't be imported while strict mode is active
+export const SETTINGS_SECTIONS = [
+    { id: 'general', label: 'General' },
+    { id: 'activity', label: 'Activity log' },
+    { id: 'strictMode', label: 'Strict Mode', strictModeLocked: true },
+    { id: 'accountability', label: 'Accountability contact', strictModeLocked: true }
+];
+
+const SETTINGS_SCHEMA = {
+    weeklySummaryEmail: { section: 'general', label: 'Weekly summary email', type: 'boolean' },
+    showAllActivity: { section: 'general', label: 'Show all activity', type: 'boolean' },
+    showEnvironment: { section: 'general', label: 'Show environment', type: 'boolean' },
+    optimisticBlocking: { section: 'general', label: 'Optimistic blocking', type: 'boolean' },
+    dailyPauseBudgetMinutes: { section: 'general', label: 'Daily pause budget (minutes)', type: 'integer', min: 0, max: 1440 },
+
+    autoDeleteActivityLog: { section: 'activity', label: 'Auto-delete activity log', type: 'boolean' },
+    activityLogRetention: { section: 'activity', label: 'Keep entries for (days)', type: 'enum', values: [7, 30] },
+    logAllowDecisions: { section: 'activity', label: 'Log allowed sites', type: 'boolean' },
+    logCachedDecisions: { section: 'activity', label: 'Log cached decisions', type: 'boolean' },
+
+    strictModeIndefinite: { section: 'strictMode', label: 'Indefinite Strict Mode', type: 'boolean' },
+    strictModeDurationHours: { section: 'strictMode', label: 'Duration (hours)', type: 'integer', min: 0, max: 24 },
+    strictModeDurationMinutes: { section: 'strictMode', label: 'Duration (minutes)', type: 'integer', min: 0, max: 59 },
+
+    accountabilityContactRequired: { section: 'accountability', label: 'Require accountability contact', type: 'boolean' },
+    accountabilityContactName: { section: 'accountability', label: 'Contact name', type: 'string', maxLength: 100 },
+    accountabilityContactMethod: { section: 'accountability', label: 'Contact method', type: 'enum', values: ['email', 'phone'] },
+    accountabilityContactValue: { section: 'accountability', label: 'Contact address', type: 'string', maxLength: 254 }
+};
+
+export class SettingsImportError extends Error {
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'SettingsImportError';
+    }
+}
+
+function validateValue(rule, value) {
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'integer':
+            return Number.isInteger(value) && value >= rule.min && value <= rule.max
+                ? null
+                : `must be a whole number from ${rule.min} to ${rule.max}`;
+        case 'enum':
+            return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+        case 'string':
+            if (typeof value !== 'string') return 'must be text';
+            return value.length <= rule.maxLength ? null : `must be at most ${rule.maxLength} characters`;
+        default:
+            return 'has an unknown type';
+    }
+}
+
+// --- Validation ---
+// Splits raw settings into valid values, errors ({ key, message }) and ignored keys
+// (runtime state such as strictModeUntil, and keys this version doesn't know). Only `settings` is safe to apply.
+export function validateSettings(raw) {
+    const result = { settings: {}, errors: [], ignored: [] };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        result.errors.push({ key: null, message: 'Settings must be an object.' });
+        return result;
+    }
+
+    Object.entries(raw).forEach(([key, value]) => {
+        const rule = Object.hasOwn(SETTINGS_SCHEMA, key) ? SETTINGS_SCHEMA[key] : null;
+        if (!rule) {
+            result.ignored.push(key);
+            return;
+        }
+        const problem = validateValue(rule, value);
+        if (problem) {
+            result.errors.push({ key, message: `${rule.label} ${problem}.` });
+        } else {
+            result.settings[key] = value;
+        }
+    });
+    return result;
+}
+
+// Settings worth carrying to another device or account (no runtime state, no unknown keys)
+export function exportableSettings(settings) {
+    return Object.fromEntries(Object.keys(SETTINGS_SCHEMA)
+        .filter(key => settings?.[key] !== undefined)
+        .map(key => [key, settings[key]]));
+}
+
+// --- Files ---
+export function buildSettingsFile(settings) {
+    return JSON.stringify({
+        format: SETTINGS_FORMAT,
+        version: SETTINGS_SCHEMA_VERSION,
+        exported_at: new Date().toISOString(),
+        settings: exportableSettings(settings)
+    }, null, 2);
+}
+
+// Throws SettingsImportError when the file can't be used at all; otherwise returns the
+// validated result plus the file's version
+export function parseSettingsFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new SettingsImportError('This file is not valid JSON.', { cause: error });
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new SettingsImportError('This file does not contain settings.');
+    }
+
+    if (file.format === undefined) {
+        // Unversioned export: the settings object itself
+        return { version: 0, ...validateSettings(file) };
+    }
+
+    if (file.format !== SETTINGS_FORMAT) {
+        throw new SettingsImportError('This file is not a Beacon Blocker settings file.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new SettingsImportError('This settings file has no valid version.');
+    }
+    if (file.version > SETTINGS_SCHEMA_VERSION) {
+        throw new SettingsImportError('These settings were exported by a newer version of Beacon Blocker. Update the dashboard and try again.');
+    }
+    return { version: file.version, ...validateSettings(file.settings) };
+}
+
+// --- Preview & apply ---
+// Settings that would change, in schema order: [{ key, label, section, from, to }]
+export function previewSettingsChanges(imported, current) {
+    return Object.keys(SETTINGS_SCHEMA)
+        .filter(key => key in imported && JSON.stringify(imported[key]) !== JSON.stringify(current?.[key]))
+        .map(key => ({ key, label: SETTINGS_SCHEMA[key].label, section: SETTINGS_SCHEMA[key].section, from: current?.[key], to: imported[key] }));
+}
+
+export function formatSettingValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    return String(value);
+}
+
+// Validated settings from the chosen sections, merged over `current`.
+// Refuses (throws) rather than silently skipping strict-mode sections while strict mode is active.
+export function applySettingsImport(current, imported, sectionIds, { strictModeActive = false } = {}) {
+    const locked = SETTINGS_SECTIONS.filter(section => section.strictModeLocked && sectionIds.includes(section.id));
+    if (strictModeActive && locked.length > 0) {
+        throw new SettingsImportError(`${locked.map(section => section.label).join(' and ')} settings can't be changed during Strict Mode.`);
+    }
+
+    const { settings } = validateSettings(imported);
+    const next = { ...current };
+    Object.entries(settings).forEach(([key, value]) => {
+        if (sectionIds.includes(SETTINGS_SCHEMA[key].section)) next[key] = value;
+    });
+    return next;
+}
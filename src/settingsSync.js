@@ -0,0 +1,140 @@
+// Settings Sync
+// Persists the user's dashboard settings server-side so every browser and device shares them.
+//
+// Row in `user_settings` (one per user):
+//   { user_id, settings: { key: value }, key_updated_at: { key: ms }, revision }
+// Each key carries the time it was last changed, and merges keep the newer value per key, so two devices
+// editing different settings never overwrite each other. Writes are compare-and-swap on `revision`.
+//
+// localStorage['beacon_userSettings'] is only an offline cache of the values, with the per-key times in
+// localStorage['beacon_userSettings_updatedAt']; edits made offline keep their times and win on the next push.
+// Only settings described by settingsSchema.js are synced; runtime state (strict mode end time, pause)
+// stays per device and is owned by the backend and the extension.
+
+import { supabase } from './supabaseClient';
+import { exportableSettings } from './settingsSchema.js';
+
+const CACHE_KEY = 'beacon_userSettings';
+const TIMES_KEY = 'beacon_userSettings_updatedAt';
+const MAX_PUSH_ATTEMPTS = 3;
+
+function readTimes() {
+    try {
+        return JSON.parse(localStorage.getItem(TIMES_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function writeCache(values, times) {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY) || '{}');
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ ...cached, ...values }));
+    localStorage.setItem(TIMES_KEY, JSON.stringify(times));
+}
+
+// Per-key merge: the newer timestamp wins; on a tie (or no times at all) `a` wins
+export function mergeSettings(a, aTimes, b, bTimes) {
+    const settings = { ...a };
+    const updatedAt = { ...aTimes };
+    Object.keys(b || {}).forEach(key => {
+        if (!(key in settings) || (bTimes?.[key] || 0) > (aTimes?.[key] || 0)) {
+            settings[key] = b[key];
+            updatedAt[key] = bTimes?.[key] || 0;
+        }
+    });
+    return { settings, updatedAt };
+}
+
+// Stamp the synced keys that differ between two settings objects with the current time.
+// Returns the changed keys.
+export function recordLocalChanges(previous, next) {
+    const before = exportableSettings(previous);
+    const after = exportableSettings(next);
+    const changed = Object.keys(after).filter(key => JSON.stringify(after[key]) !== JSON.stringify(before[key]));
+    if (changed.length === 0) return changed;
+
+    const times = readTimes();
+    const now = Date.now();
+    changed.forEach(key => { times[key] = now; });
+    writeCache(after, times);
+    return changed;
+}
+
+async function fetchRow(userId) {
+    const { data, error } = await supabase
+        .from('user_settings')
+        .select('settings, key_updated_at, revision')
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Merge the local cache into the server row and write it back.
+// Returns the merged synced settings (which may include newer values from other devices).
+export async function pushSettings(userId, localSettings) {
+    const local = exportableSettings(localSettings);
+    const localTimes = readTimes();
+
+    for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+        const row = await fetchRow(userId);
+        const merged = mergeSettings(local, localTimes, row?.settings, row?.key_updated_at);
+
+        const payload = { settings: merged.settings, key_updated_at: merged.updatedAt };
+        const { data, error } = row
+            ? await supabase
+                .from('user_settings')
+                .update({ ...payload, revision: row.revision + 1 })
+                .eq('user_id', userId)
+                .eq('revision', row.revision)
+                .select('revision')
+            : await supabase
+                .from('user_settings')
+                .insert([{ user_id: userId, ...payload, revision: 1 }])
+                .select('revision');
+
+        // 23505: another device created the row first; retry as an update
+        if (error && error.code !== '23505') throw error;
+        if (!error && data?.length > 0) {
+            writeCache(merged.settings, merged.updatedAt);
+            return merged.settings;
+        }
+    }
+    throw new Error('Settings changed on another device while saving. They will be retried.');
+}
+
+// On login: merge the server row with the local cache. Pushes when this browser has newer values.
+// Returns the merged synced settings, or null when the server can't be reached (the cache stays in use).
+export async function loadSyncedSettings(userId, localSettings) {
+    let row;
+    try {
+        row = await fetchRow(userId);
+    } catch (err) {
+        console.error('[SETTINGS SYNC] Could not load settings, using the local copy:', err);
+        return null;
+    }
+
+    const local = exportableSettings(localSettings);
+    const localTimes = readTimes();
+    const merged = mergeSettings(row?.settings || {}, row?.key_updated_at || {}, local, localTimes);
+    writeCache(merged.settings, merged.updatedAt);
+
+    const serverBehind = !row || Object.keys(merged.settings)
+        .some(key => JSON.stringify(merged.settings[key]) !== JSON.stringify(row.settings?.[key]));
+    if (serverBehind) {
+        pushSettings(userId, merged.settings).catch(err => console.error('[SETTINGS SYNC] Push failed:', err));
+    }
+    return merged.settings;
+}
+
+// A row pushed by another device (Realtime). Returns the merged synced settings if anything
+// changed locally, otherwise null.
+export function mergeRemoteSettings(row, localSettings) {
+    if (!row?.settings) return null;
+    const local = exportableSettings(localSettings);
+    const merged = mergeSettings(local, readTimes(), row.settings, row.key_updated_at);
+    const changed = Object.keys(merged.settings)
+        .some(key => JSON.stringify(merged.settings[key]) !== JSON.stringify(local[key]));
+    writeCache(merged.settings, merged.updatedAt);
+    return changed ? merged.settings : null;
+}
@@ -0,0 +1,190 @@
+// Strict Mode Channel
+// One shared push channel for strict-mode and unlock-request state, replacing the separate
+// pollers in the dashboard and the Blocking Behavior tab.
+//
+// Changes arrive over Supabase Realtime (rules.strict_mode_until and the user's unlock_requests rows;
+// both tables must be in the supabase_realtime publication). Unlock rows are only used as a signal:
+// the canonical state is re-read from /api/unlock/status so consumers get the same shape as before.
+// Timers fire locally when strict mode or a pending request expires, and the state is re-synced
+// whenever the channel (re)connects so nothing is missed while offline. While Realtime is down
+// (channel error or timeout) the state is polled instead, until the channel is back.
+//
+// Events passed to listeners:
+//   { type: 'strict_mode', strictModeUntil: ms | null, reason: 'approved' | 'expired' | 'changed' }
+//   { type: 'unlock', request, emergencyBypass }
+
+import { supabase } from './supabaseClient';
+import { getUnlockStatus } from './api/accountability';
+
+const FALLBACK_POLL_INTERVAL = 30 * 1000; // 30 seconds
+
+let channelState = null; // { userId, session, channel, listeners, strictModeUntil, unlock, timers, pollTimer }
+
+function emit(event) {
+    if (!channelState) return;
+    channelState.listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('[STRICT CHANNEL] Listener failed:', err);
+        }
+    });
+}
+
+// Fire `fn` at `at` (ms). Long delays are re-armed in steps to stay under the setTimeout limit.
+function scheduleAt(key, at, fn) {
+    clearTimeout(channelState.timers[key]);
+    if (!at) return;
+    const delay = at - Date.now();
+    if (delay <= 0) {
+        fn();
+        return;
+    }
+    channelState.timers[key] = setTimeout(() => scheduleAt(key, at, fn), Math.min(delay, 2 ** 31 - 1));
+}
+
+function setStrictModeUntil(strictModeUntil, reason) {
+    if (!channelState || channelState.strictModeUntil === strictModeUntil) return;
+    channelState.strictModeUntil = strictModeUntil;
+    emit({ type: 'strict_mode', strictModeUntil, reason });
+
+    scheduleAt('strictMode', strictModeUntil, () => {
+        if (channelState?.strictModeUntil === strictModeUntil) {
+            emit({ type: 'strict_mode', strictModeUntil: null, reason: 'expired' });
+            channelState.strictModeUntil = null;
+        }
+    });
+}
+
+// Re-read unlock request state from the backend and broadcast it
+export async function refreshUnlockStatus() {
+    if (!channelState) return null;
+    const { session } = channelState;
+    try {
+        const data = await getUnlockStatus(session);
+        if (!channelState || channelState.userId !== session.user.id) return data;
+        channelState.unlock = { request: data.request, emergencyBypass: data.emergencyBypass };
+        emit({ type: 'unlock', ...channelState.unlock });
+
+        // Pending requests expire on their own; refresh when that happens
+        const expiresAt = data.request?.status === 'pending' && data.request.expiresAt
+            ? new Date(data.request.expiresAt).getTime()
+            : null;
+        scheduleAt('unlockExpiry', expiresAt, () => refreshUnlockStatus());
+        return data;
+    } catch (err) {
+        console.error('[STRICT CHANNEL] Error fetching unlock status:', err);
+        return null;
+    }
+}
+
+async function refreshStrictMode() {
+    if (!channelState) return;
+    const { data, error } = await supabase
+        .from('rules')
+        .select('strict_mode_until')
+        .eq('user_id', channelState.userId)
+        .maybeSingle();
+    if (error) {
+        console.error('[STRICT CHANNEL] Error fetching strict mode:', error);
+        return;
+    }
+    await handleStrictModeRow(data);
+}
+
+async function handleStrictModeRow(row) {
+    if (!channelState || !row) return;
+    const strictModeUntil = row.strict_mode_until ? new Date(row.strict_mode_until).getTime() : null;
+    if (strictModeUntil === channelState.strictModeUntil) return;
+
+    // Cleared early: find out whether an unlock approval did it
+    let reason = 'changed';
+    if (!strictModeUntil && channelState.strictModeUntil > Date.now()) {
+        const status = await refreshUnlockStatus();
+        if (status?.request?.status === 'approved') reason = 'approved';
+    }
+    setStrictModeUntil(strictModeUntil, reason);
+}
+
+// Re-read everything the channel would have pushed
+function resync() {
+    refreshStrictMode();
+    refreshUnlockStatus();
+}
+
+function startFallbackPolling() {
+    if (!channelState || channelState.pollTimer) return;
+    resync();
+    channelState.pollTimer = setInterval(resync, FALLBACK_POLL_INTERVAL);
+}
+
+function stopFallbackPolling() {
+    if (!channelState?.pollTimer) return;
+    clearInterval(channelState.pollTimer);
+    channelState.pollTimer = null;
+}
+
+function openChannel(session) {
+    const userId = session.user.id;
+    const state = {
+        userId,
+        session,
+        listeners: new Set(),
+        strictModeUntil: undefined, // Unknown until the first sync
+        unlock: null,
+        timers: {},
+        pollTimer: null
+    };
+    channelState = state;
+
+    channelState.channel = supabase
+        .channel(`strict-mode-${userId}`)
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'rules', filter: `user_id=eq.${userId}` },
+            (payload) => handleStrictModeRow(payload.new))
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'unlock_requests', filter: `user_id=eq.${userId}` },
+            () => refreshUnlockStatus())
+        .subscribe((status) => {
+            if (channelState !== state) return; // Closed meanwhile
+            if (status === 'SUBSCRIBED') {
+                // Catch up on anything that changed while disconnected
+                stopFallbackPolling();
+                resync();
+            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                // Supabase keeps retrying the channel; poll so unlock approvals still arrive meanwhile
+                console.warn('[STRICT CHANNEL] Realtime unavailable, polling until it reconnects:', status);
+                startFallbackPolling();
+            }
+        });
+}
+
+function closeChannel() {
+    if (!channelState) return;
+    Object.values(channelState.timers).forEach(clearTimeout);
+    clearInterval(channelState.pollTimer);
+    supabase.removeChannel(channelState.channel);
+    channelState = null;
+}
+
+// Subscribe to strict-mode/unlock events. Consumers share one channel per user; the last
+// unsubscribe closes it. Late subscribers immediately receive the last known unlock state.
+export function subscribeStrictModeChannel(session, listener) {
+    if (!session?.user?.id) return () => { };
+
+    if (channelState && channelState.userId !== session.user.id) closeChannel();
+    if (!channelState) openChannel(session);
+    updateStrictModeChannelSession(session);
+
+    const state = channelState;
+    state.listeners.add(listener);
+    if (state.unlock) listener({ type: 'unlock', ...state.unlock });
+
+    return () => {
+        state.listeners.delete(listener);
+        if (channelState === state && state.listeners.size === 0) closeChannel();
+    };
+}
+
+// Token refreshes don't reopen the channel; they only hand it the fresh access token for API calls
+export function updateStrictModeChannelSession(session) {
+    if (channelState && session?.user?.id === channelState.userId) channelState.session = session;
+}